@@ -58,3 +58,1678 @@ CREATE POLICY "Admins can delete all annual holidays" ON annual_holidays
 CREATE TRIGGER update_annual_holidays_updated_at
     BEFORE UPDATE ON annual_holidays
     FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+-- 7. 日跨ぎ勤務（翌日退勤）フラグの追加
+-- end_time は TIME 型のため、翌日退勤の場合はフラグで表す（例: 21:00～翌06:00）
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS end_next_day BOOLEAN DEFAULT FALSE;
+
+-- 翌日退勤でない場合は退勤時刻を出勤時刻より後とする（js/timecard.js の checkEndTimeOrder と同じ判定）
+-- 既存の記録は検証しない（NOT VALID）ため、違反する記録は修正時に検証される
+ALTER TABLE daily_records DROP CONSTRAINT IF EXISTS daily_records_end_time_check;
+ALTER TABLE daily_records ADD CONSTRAINT daily_records_end_time_check
+    CHECK (start_time IS NULL OR end_time IS NULL OR COALESCE(end_next_day, FALSE) OR end_time > start_time) NOT VALID;
+
+-- 8. 日毎の実績休憩の追加
+-- use_actual_breaks が TRUE の場合、勤務パターンの休憩時間の代わりに実績休憩を使用する
+-- （休憩を取らなかった日は use_actual_breaks = TRUE かつ休憩時刻をすべて NULL とする）
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS use_actual_breaks BOOLEAN DEFAULT FALSE;
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS break1_start TIME;
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS break1_end TIME;
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS break2_start TIME;
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS break2_end TIME;
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS break3_start TIME;
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS break3_end TIME;
+
+-- 9. 組織設定テーブルの追加
+-- 組織全体に適用する設定（36協定の上限時間など）を1行で管理する
+CREATE TABLE IF NOT EXISTS organization_settings (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    -- 36協定（時間外労働・休日労働に関する協定）
+    overtime_limit_monthly_hours DECIMAL(5,2) DEFAULT 45,     -- 月の時間外労働の上限（時間）
+    overtime_limit_yearly_hours DECIMAL(6,2) DEFAULT 360,     -- 年の時間外労働の上限（時間）
+    special_clause_enabled BOOLEAN DEFAULT TRUE,              -- 特別条項の有無
+    special_limit_monthly_hours DECIMAL(5,2) DEFAULT 100,     -- 特別条項: 月の時間外＋休日労働の上限（時間、未満）
+    special_limit_average_hours DECIMAL(5,2) DEFAULT 80,      -- 特別条項: 2～6ヶ月平均の上限（時間）
+    special_limit_yearly_hours DECIMAL(6,2) DEFAULT 720,      -- 特別条項: 年の時間外労働の上限（時間）
+    special_max_exceed_count INTEGER DEFAULT 6,               -- 特別条項: 月の上限を超えられる回数（年間）
+    agreement_start_month INTEGER DEFAULT 4 CHECK (agreement_start_month >= 1 AND agreement_start_month <= 12),  -- 協定の起算月
+    overtime_warning_ratio DECIMAL(3,2) DEFAULT 0.8,          -- 上限に対する注意表示の割合
+    block_approval_on_violation BOOLEAN DEFAULT TRUE,         -- 上限超過時に承認申請をブロックするか
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE organization_settings ENABLE ROW LEVEL SECURITY;
+
+-- ログインユーザーは組織設定を閲覧可能（上限チェックに使用）
+CREATE POLICY "Authenticated users can view organization settings" ON organization_settings
+    FOR SELECT USING (auth.uid() IS NOT NULL);
+
+-- 管理者は組織設定を作成・更新可能
+CREATE POLICY "Admins can insert organization settings" ON organization_settings
+    FOR INSERT WITH CHECK (is_admin());
+
+CREATE POLICY "Admins can update organization settings" ON organization_settings
+    FOR UPDATE USING (is_admin()) WITH CHECK (is_admin());
+
+CREATE TRIGGER update_organization_settings_updated_at
+    BEFORE UPDATE ON organization_settings
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+-- 10. 時間の丸めルールの追加
+-- 出退勤時刻（打刻ごと）、日の労働時間、月の合計のそれぞれに丸め単位と方向を設定する
+-- 方向: none（丸めない）、up（切り上げ）、down（切り捨て）、nearest（四捨五入）
+ALTER TABLE organization_settings ADD COLUMN IF NOT EXISTS rounding_punch_unit INTEGER DEFAULT 1;
+ALTER TABLE organization_settings ADD COLUMN IF NOT EXISTS rounding_start_direction TEXT DEFAULT 'none'
+    CHECK (rounding_start_direction IN ('none', 'up', 'down', 'nearest'));
+ALTER TABLE organization_settings ADD COLUMN IF NOT EXISTS rounding_end_direction TEXT DEFAULT 'none'
+    CHECK (rounding_end_direction IN ('none', 'up', 'down', 'nearest'));
+ALTER TABLE organization_settings ADD COLUMN IF NOT EXISTS rounding_daily_unit INTEGER DEFAULT 1;
+ALTER TABLE organization_settings ADD COLUMN IF NOT EXISTS rounding_daily_direction TEXT DEFAULT 'none'
+    CHECK (rounding_daily_direction IN ('none', 'up', 'down', 'nearest'));
+ALTER TABLE organization_settings ADD COLUMN IF NOT EXISTS rounding_monthly_unit INTEGER DEFAULT 1;
+ALTER TABLE organization_settings ADD COLUMN IF NOT EXISTS rounding_monthly_direction TEXT DEFAULT 'none'
+    CHECK (rounding_monthly_direction IN ('none', 'up', 'down', 'nearest'));
+
+-- 11. フレックスタイム制の追加
+-- 労働時間制度（固定労働時間制／フレックスタイム制）とフレックスタイム制の設定を月間設定に保持する
+ALTER TABLE monthly_settings ADD COLUMN IF NOT EXISTS working_time_system TEXT DEFAULT 'fixed'
+    CHECK (working_time_system IN ('fixed', 'flextime'));
+ALTER TABLE monthly_settings ADD COLUMN IF NOT EXISTS flex_core_start TIME;          -- コアタイム開始
+ALTER TABLE monthly_settings ADD COLUMN IF NOT EXISTS flex_core_end TIME;            -- コアタイム終了
+ALTER TABLE monthly_settings ADD COLUMN IF NOT EXISTS flex_band_start TIME;          -- フレキシブルタイム開始
+ALTER TABLE monthly_settings ADD COLUMN IF NOT EXISTS flex_band_end TIME;            -- フレキシブルタイム終了
+ALTER TABLE monthly_settings ADD COLUMN IF NOT EXISTS flex_settlement_months INTEGER DEFAULT 1
+    CHECK (flex_settlement_months >= 1 AND flex_settlement_months <= 3);            -- 清算期間（月）
+ALTER TABLE monthly_settings ADD COLUMN IF NOT EXISTS flex_settlement_start_month INTEGER DEFAULT 1
+    CHECK (flex_settlement_start_month >= 1 AND flex_settlement_start_month <= 12);  -- 清算期間の起算月
+ALTER TABLE monthly_settings ADD COLUMN IF NOT EXISTS flex_required_hours DECIMAL(5,2); -- 当月の総労働時間（未設定時は標準就労時間×平日数）
+
+-- 12. 変形労働時間制の追加
+-- 1ヶ月単位・1年単位の変形労働時間制を労働時間制度に追加する
+-- 所定労働日は年間休日設定（annual_holidays）、日毎の所定労働時間は勤務パターンから算出する
+ALTER TABLE monthly_settings DROP CONSTRAINT IF EXISTS monthly_settings_working_time_system_check;
+ALTER TABLE monthly_settings ADD CONSTRAINT monthly_settings_working_time_system_check
+    CHECK (working_time_system IN ('fixed', 'flextime', 'variable-monthly', 'variable-yearly'));
+ALTER TABLE monthly_settings ADD COLUMN IF NOT EXISTS variable_period_start_month INTEGER DEFAULT 4
+    CHECK (variable_period_start_month >= 1 AND variable_period_start_month <= 12);  -- 1年単位の変形期間の起算月
+
+-- 13. 半日・時間単位の休暇の追加
+-- 休暇の取得単位（全日／午前半休／午後半休／時間単位）と時間単位の取得時間を日毎の記録に保持する
+-- 半日・時間単位の休暇は遅刻・早退時間から差し引き、月間集計では欠勤と分けて計上する
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS leave_unit TEXT
+    CHECK (leave_unit IS NULL OR leave_unit IN ('full', 'am-half', 'pm-half', 'hourly'));  -- 休暇の取得単位
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS leave_hours INTEGER DEFAULT 0
+    CHECK (leave_hours >= 0 AND leave_hours <= 8);                                      -- 時間単位の取得時間
+
+-- 14. 年次有給休暇の管理台帳
+-- 入社日から法定の付与日数（6ヶ月で10日、以降1年ごとに11日、12日、14日…最大20日）を算出し、
+-- 日毎の記録の有休（半日・時間単位を含む）を付与日の古いものから充当する（付与から2年で時効）
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS hire_date DATE;  -- 入社日
+
+-- 入社日は付与日数に影響するため管理者のみ変更可能
+CREATE OR REPLACE FUNCTION public.protect_hire_date()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.hire_date IS DISTINCT FROM OLD.hire_date AND NOT is_admin() THEN
+        RAISE EXCEPTION '入社日は管理者のみ変更できます';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_user_profiles_hire_date ON user_profiles;
+CREATE TRIGGER protect_user_profiles_hire_date
+    BEFORE UPDATE ON user_profiles
+    FOR EACH ROW EXECUTE FUNCTION public.protect_hire_date();
+
+-- 管理者は全ユーザーの有休の残日数を確認するため日毎の記録・月間設定を閲覧可能
+DROP POLICY IF EXISTS "Admins can view all daily records" ON daily_records;
+CREATE POLICY "Admins can view all daily records" ON daily_records
+    FOR SELECT USING (is_admin());
+
+DROP POLICY IF EXISTS "Admins can view all monthly settings" ON monthly_settings;
+CREATE POLICY "Admins can view all monthly settings" ON monthly_settings
+    FOR SELECT USING (is_admin());
+
+-- 15. 年5日の有休の取得義務
+-- 承認者は取得義務の状況の一覧（承認管理タブ）を確認するため全ユーザーのプロフィールを閲覧可能
+DROP POLICY IF EXISTS "Approvers can view all profiles" ON user_profiles;
+CREATE POLICY "Approvers can view all profiles" ON user_profiles
+    FOR SELECT USING (is_approver());
+
+-- 16. 休暇の事前申請・承認
+-- 期間・休暇種類・取得単位・理由を事前に申請し、承認者が承認・却下する（月次の承認とは別に管理）
+-- 承認時に対象期間の所定労働日の日毎の記録へ休暇を反映し、承認済みの休暇と異なる内容への変更を禁止する
+CREATE TABLE IF NOT EXISTS leave_requests (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    leave_type TEXT NOT NULL CHECK (leave_type IN ('paid', 'special', 'congratulation')),
+    leave_unit TEXT DEFAULT 'full' CHECK (leave_unit IN ('full', 'am-half', 'pm-half', 'hourly')),
+    leave_hours INTEGER DEFAULT 0 CHECK (leave_hours >= 0 AND leave_hours <= 8),
+    reason TEXT,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    approved_by UUID REFERENCES auth.users(id),
+    approved_at TIMESTAMP WITH TIME ZONE,
+    rejection_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (start_date <= end_date),
+    CHECK (leave_unit = 'full' OR start_date = end_date)  -- 半日・時間単位は1日のみ
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_requests_user_id ON leave_requests(user_id);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests(status);
+
+ALTER TABLE leave_requests ENABLE ROW LEVEL SECURITY;
+
+-- ユーザーは自分の休暇申請を閲覧可能
+DROP POLICY IF EXISTS "Users can view own leave requests" ON leave_requests;
+CREATE POLICY "Users can view own leave requests" ON leave_requests
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ユーザーは自分の休暇申請を作成可能（承認待ちのみ）
+DROP POLICY IF EXISTS "Users can insert own leave requests" ON leave_requests;
+CREATE POLICY "Users can insert own leave requests" ON leave_requests
+    FOR INSERT WITH CHECK (auth.uid() = user_id AND status = 'pending');
+
+-- ユーザーは承認待ちの自分の休暇申請を取り下げ可能
+DROP POLICY IF EXISTS "Users can cancel own pending leave requests" ON leave_requests;
+CREATE POLICY "Users can cancel own pending leave requests" ON leave_requests
+    FOR UPDATE USING (auth.uid() = user_id AND status = 'pending')
+    WITH CHECK (auth.uid() = user_id AND status IN ('pending', 'cancelled'));
+
+-- 承認者は他のユーザーの休暇申請を閲覧・更新可能（自分の申請の承認・却下は不可）
+DROP POLICY IF EXISTS "Approvers can manage all leave requests" ON leave_requests;
+CREATE POLICY "Approvers can manage all leave requests" ON leave_requests
+    FOR ALL USING (is_approver() AND auth.uid() <> user_id);
+
+DROP TRIGGER IF EXISTS update_leave_requests_updated_at ON leave_requests;
+CREATE TRIGGER update_leave_requests_updated_at
+    BEFORE UPDATE ON leave_requests
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+-- 日毎の記録に反映元の休暇申請を保持する
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS leave_request_id UUID
+    REFERENCES leave_requests(id) ON DELETE SET NULL;  -- 反映元の休暇申請
+
+-- 日毎の記録への休暇の反映は休暇申請の承認時のトリガー（apply_approved_leave）のみが行い、承認者の作成・更新のポリシーは設けない
+DROP POLICY IF EXISTS "Approvers can write approved leave records" ON daily_records;
+DROP POLICY IF EXISTS "Approvers can update approved leave records" ON daily_records;
+
+-- 承認者はチームのシフト表に休日を表示するため全ユーザーの年間休日設定を閲覧可能
+DROP POLICY IF EXISTS "Approvers can view all annual holidays" ON annual_holidays;
+CREATE POLICY "Approvers can view all annual holidays" ON annual_holidays
+    FOR SELECT USING (is_approver());
+
+-- 承認済みの休暇申請の対象日は休暇種類・取得単位の変更を禁止する
+CREATE OR REPLACE FUNCTION public.lock_approved_leave()
+RETURNS TRIGGER AS $$
+DECLARE
+    request leave_requests%ROWTYPE;
+BEGIN
+    SELECT * INTO request FROM leave_requests
+    WHERE user_id = NEW.user_id
+    AND NEW.work_date BETWEEN start_date AND end_date
+    AND status = 'approved'
+    LIMIT 1;
+
+    IF FOUND AND (
+        NEW.leave_type IS DISTINCT FROM request.leave_type
+        OR COALESCE(NEW.leave_unit, 'full') IS DISTINCT FROM request.leave_unit
+        OR (request.leave_unit = 'hourly' AND NEW.leave_hours IS DISTINCT FROM request.leave_hours)
+    ) THEN
+        RAISE EXCEPTION '承認済みの休暇申請と異なる休暇は登録できません（%）', NEW.work_date;
+    END IF;
+
+    -- 全日の休暇の日は出退勤時刻を登録できない（勤務と休暇の二重計上を防ぐ、js/leave-requests.js の checkLeaveRequestConflict と同じ判定）
+    IF FOUND AND request.leave_unit = 'full' AND (NEW.start_time IS NOT NULL OR NEW.end_time IS NOT NULL) THEN
+        RAISE EXCEPTION '承認済みの休暇申請（全日）の日のため出退勤時刻は登録できません（%）', NEW.work_date;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS lock_daily_records_approved_leave ON daily_records;
+CREATE TRIGGER lock_daily_records_approved_leave
+    BEFORE INSERT OR UPDATE ON daily_records
+    FOR EACH ROW EXECUTE FUNCTION public.lock_approved_leave();
+
+-- 休暇申請の承認と同じトランザクションで、対象日（会社カレンダー上の所定労働日）の日毎の記録に休暇を反映する
+-- 所定労働日は js/variable-hours.js の isScheduledWorkday と同じ判定（年間休日設定の休日は除き、土曜出勤日は含める）
+-- 既存の記録は休暇の項目のみ更新し、全日の休暇の場合は出退勤時刻・休憩・残業などを消去する
+-- （時刻の消去は修正理由を付けて修正履歴に記録する、修正理由の列は 23 で追加）
+-- 承認済みの月を含む休暇申請は承認できない（承認済みの月の勤務記録は変更できないため）
+CREATE OR REPLACE FUNCTION public.apply_approved_leave()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status <> 'approved' OR OLD.status = 'approved' THEN
+        RETURN NULL;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM approvals
+        WHERE approvals.user_id = NEW.user_id
+        AND approvals.status = 'approved'
+        AND make_date(approvals.year, approvals.month, 1)
+            BETWEEN date_trunc('month', NEW.start_date)::DATE AND date_trunc('month', NEW.end_date)::DATE
+    ) THEN
+        RAISE EXCEPTION '勤務表が承認済みの月を含むため休暇申請を承認できません';
+    END IF;
+
+    INSERT INTO daily_records (user_id, work_date, work_type, work_pattern, note, leave_type, leave_unit, leave_hours, leave_request_id)
+    SELECT NEW.user_id, target_date, 'work', 1, NEW.reason,
+           NEW.leave_type, NEW.leave_unit, CASE WHEN NEW.leave_unit = 'hourly' THEN NEW.leave_hours ELSE 0 END, NEW.id
+    FROM (SELECT day::DATE AS target_date FROM generate_series(NEW.start_date, NEW.end_date, INTERVAL '1 day') AS day) AS days
+    WHERE COALESCE(
+        (SELECT holiday_type = 'saturday-work' FROM annual_holidays
+         WHERE annual_holidays.user_id = NEW.user_id AND annual_holidays.holiday_date = target_date
+         LIMIT 1),
+        EXTRACT(ISODOW FROM target_date) < 6
+    )
+    ON CONFLICT (user_id, work_date) DO UPDATE SET
+        leave_type = EXCLUDED.leave_type,
+        leave_unit = EXCLUDED.leave_unit,
+        leave_hours = EXCLUDED.leave_hours,
+        leave_request_id = EXCLUDED.leave_request_id,
+        start_time = CASE WHEN EXCLUDED.leave_unit = 'full' THEN NULL ELSE daily_records.start_time END,
+        end_time = CASE WHEN EXCLUDED.leave_unit = 'full' THEN NULL ELSE daily_records.end_time END,
+        end_next_day = CASE WHEN EXCLUDED.leave_unit = 'full' THEN FALSE ELSE daily_records.end_next_day END,
+        use_actual_breaks = CASE WHEN EXCLUDED.leave_unit = 'full' THEN FALSE ELSE daily_records.use_actual_breaks END,
+        break1_start = CASE WHEN EXCLUDED.leave_unit = 'full' THEN NULL ELSE daily_records.break1_start END,
+        break1_end = CASE WHEN EXCLUDED.leave_unit = 'full' THEN NULL ELSE daily_records.break1_end END,
+        break2_start = CASE WHEN EXCLUDED.leave_unit = 'full' THEN NULL ELSE daily_records.break2_start END,
+        break2_end = CASE WHEN EXCLUDED.leave_unit = 'full' THEN NULL ELSE daily_records.break2_end END,
+        break3_start = CASE WHEN EXCLUDED.leave_unit = 'full' THEN NULL ELSE daily_records.break3_start END,
+        break3_end = CASE WHEN EXCLUDED.leave_unit = 'full' THEN NULL ELSE daily_records.break3_end END,
+        late_time = CASE WHEN EXCLUDED.leave_unit = 'full' THEN 0 ELSE daily_records.late_time END,
+        early_leave_time = CASE WHEN EXCLUDED.leave_unit = 'full' THEN 0 ELSE daily_records.early_leave_time END,
+        overtime = CASE WHEN EXCLUDED.leave_unit = 'full' THEN 0 ELSE daily_records.overtime END,
+        night_overtime = CASE WHEN EXCLUDED.leave_unit = 'full' THEN 0 ELSE daily_records.night_overtime END,
+        correction_reason = '休暇申請の承認',
+        updated_at = NOW();
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS apply_approved_leave ON leave_requests;
+CREATE TRIGGER apply_approved_leave
+    AFTER UPDATE ON leave_requests
+    FOR EACH ROW EXECUTE FUNCTION public.apply_approved_leave();
+
+-- 17. 振替休日・代休の管理
+-- 休日出勤の記録に振替の種類（振替休日／代休）と休む日を保持し、休む日の記録には休日出勤日を保持して相互に紐付ける
+-- 振替休日は休日と労働日を入れ替えるため休日労働とせず、代休は休日労働として割増賃金の対象とする
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS substitute_type TEXT
+    CHECK (substitute_type IS NULL OR substitute_type IN ('substitute', 'compensatory'));  -- 振替の種類
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS substitute_date DATE;                   -- 紐付く日（休日出勤日には休む日、休む日には休日出勤日）
+
+-- 休む日の休暇種類に振休・代休を追加
+ALTER TABLE daily_records DROP CONSTRAINT IF EXISTS daily_records_leave_type_check;
+ALTER TABLE daily_records ADD CONSTRAINT daily_records_leave_type_check
+    CHECK (leave_type IS NULL OR leave_type IN ('paid', 'absent', 'special', 'congratulation', 'substitute-holiday', 'compensatory'));
+
+CREATE INDEX IF NOT EXISTS idx_daily_records_substitute_type ON daily_records(substitute_type);
+
+-- 振替休日・代休を指定できる期間
+ALTER TABLE organization_settings ADD COLUMN IF NOT EXISTS substitute_holiday_period_days INTEGER DEFAULT 28
+    CHECK (substitute_holiday_period_days >= 1);   -- 振替休日を指定できる期間（休日の前後の日数）
+ALTER TABLE organization_settings ADD COLUMN IF NOT EXISTS compensatory_leave_period_days INTEGER DEFAULT 60
+    CHECK (compensatory_leave_period_days >= 1);   -- 代休の取得期限（休日出勤日からの日数）
+
+-- 振替休日・代休の休む日が期間内かを検証する
+CREATE OR REPLACE FUNCTION public.validate_holiday_substitution()
+RETURNS TRIGGER AS $$
+DECLARE
+    period_days INTEGER;
+BEGIN
+    IF NEW.substitute_type IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.work_type NOT IN ('legal-holiday', 'extra-holiday') THEN
+        RAISE EXCEPTION '振替休日・代休は休日の勤務に指定してください（%）', NEW.work_date;
+    END IF;
+
+    IF NEW.substitute_type = 'substitute' THEN
+        SELECT COALESCE(MIN(substitute_holiday_period_days), 28) INTO period_days FROM organization_settings;
+        IF NEW.substitute_date IS NULL
+            OR NEW.substitute_date = NEW.work_date
+            OR ABS(NEW.substitute_date - NEW.work_date) > period_days THEN
+            RAISE EXCEPTION '振替休日は休日の前後%日以内で指定してください（%）', period_days, NEW.work_date;
+        END IF;
+    ELSIF NEW.substitute_date IS NOT NULL THEN
+        SELECT COALESCE(MIN(compensatory_leave_period_days), 60) INTO period_days FROM organization_settings;
+        IF NEW.substitute_date <= NEW.work_date OR NEW.substitute_date - NEW.work_date > period_days THEN
+            RAISE EXCEPTION '代休は休日出勤日の翌日から%日以内で指定してください（%）', period_days, NEW.work_date;
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS validate_daily_records_substitution ON daily_records;
+CREATE TRIGGER validate_daily_records_substitution
+    BEFORE INSERT OR UPDATE ON daily_records
+    FOR EACH ROW EXECUTE FUNCTION public.validate_holiday_substitution();
+
+-- 18. 勤務種類・休暇種類マスタ
+-- 勤務種類・休暇種類をコードの CHECK 制約ではなくマスタで管理し、管理者が追加・変更できるようにする
+-- is_system の種類（法定休日・有休・振休など）は計算で参照するため削除・コードの変更を禁止する
+CREATE TABLE IF NOT EXISTS work_types (
+    code TEXT PRIMARY KEY CHECK (code ~ '^[a-z0-9-]+$'),
+    label TEXT NOT NULL,
+    counts_as_attendance BOOLEAN DEFAULT TRUE,   -- 出勤日数に含めるか
+    note_required BOOLEAN DEFAULT FALSE,         -- 補足の入力を求めるか
+    is_system BOOLEAN DEFAULT FALSE,             -- システムで使用する種類（削除不可）
+    is_active BOOLEAN DEFAULT TRUE,              -- 入力の選択肢に表示するか
+    sort_order INTEGER DEFAULT 100,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS leave_types (
+    code TEXT PRIMARY KEY CHECK (code ~ '^[a-z0-9-]+$'),
+    label TEXT NOT NULL,
+    counts_as_attendance BOOLEAN DEFAULT FALSE,  -- 出勤扱いとするか
+    is_paid BOOLEAN DEFAULT FALSE,               -- 有給か
+    note_required BOOLEAN DEFAULT FALSE,         -- 補足の入力を求めるか
+    is_system BOOLEAN DEFAULT FALSE,             -- システムで使用する種類（削除不可）
+    is_active BOOLEAN DEFAULT TRUE,              -- 入力の選択肢に表示するか
+    sort_order INTEGER DEFAULT 100,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 既存の種類を登録
+INSERT INTO work_types (code, label, counts_as_attendance, note_required, is_system, sort_order) VALUES
+    ('work', '出勤', TRUE, FALSE, TRUE, 10),
+    ('remote', '出勤（リモート）', TRUE, FALSE, TRUE, 20),
+    ('late', '遅刻', TRUE, TRUE, TRUE, 30),
+    ('early-leave', '早退', TRUE, TRUE, TRUE, 40),
+    ('late-early', '遅刻＋早退', TRUE, TRUE, TRUE, 50),
+    ('legal-holiday', '休日（法定）', FALSE, TRUE, TRUE, 60),
+    ('extra-holiday', '休日（法定外）', FALSE, TRUE, TRUE, 70)
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO leave_types (code, label, counts_as_attendance, is_paid, note_required, is_system, sort_order) VALUES
+    ('paid', '有休', TRUE, TRUE, FALSE, TRUE, 10),
+    ('absent', '欠勤', FALSE, FALSE, FALSE, TRUE, 20),
+    ('special', '特休', TRUE, TRUE, FALSE, FALSE, 30),
+    ('congratulation', '慶弔', TRUE, TRUE, FALSE, FALSE, 40),
+    ('substitute-holiday', '振休', FALSE, FALSE, FALSE, TRUE, 50),
+    ('compensatory', '代休', FALSE, FALSE, FALSE, TRUE, 60)
+ON CONFLICT (code) DO NOTHING;
+
+-- 日毎の記録・休暇申請の種類をマスタで検証する
+ALTER TABLE daily_records DROP CONSTRAINT IF EXISTS daily_records_work_type_check;
+ALTER TABLE daily_records DROP CONSTRAINT IF EXISTS daily_records_work_type_fkey;
+ALTER TABLE daily_records ADD CONSTRAINT daily_records_work_type_fkey
+    FOREIGN KEY (work_type) REFERENCES work_types(code);
+
+ALTER TABLE daily_records DROP CONSTRAINT IF EXISTS daily_records_leave_type_check;
+ALTER TABLE daily_records DROP CONSTRAINT IF EXISTS daily_records_leave_type_fkey;
+ALTER TABLE daily_records ADD CONSTRAINT daily_records_leave_type_fkey
+    FOREIGN KEY (leave_type) REFERENCES leave_types(code);
+
+-- 欠勤・振休・代休は申請の対象外
+ALTER TABLE leave_requests DROP CONSTRAINT IF EXISTS leave_requests_leave_type_check;
+ALTER TABLE leave_requests ADD CONSTRAINT leave_requests_leave_type_check
+    CHECK (leave_type NOT IN ('absent', 'substitute-holiday', 'compensatory'));
+ALTER TABLE leave_requests DROP CONSTRAINT IF EXISTS leave_requests_leave_type_fkey;
+ALTER TABLE leave_requests ADD CONSTRAINT leave_requests_leave_type_fkey
+    FOREIGN KEY (leave_type) REFERENCES leave_types(code);
+
+ALTER TABLE work_types ENABLE ROW LEVEL SECURITY;
+ALTER TABLE leave_types ENABLE ROW LEVEL SECURITY;
+
+-- ログインユーザーはマスタを閲覧可能（入力の選択肢・集計に使用）
+DROP POLICY IF EXISTS "Authenticated users can view work types" ON work_types;
+CREATE POLICY "Authenticated users can view work types" ON work_types
+    FOR SELECT USING (auth.uid() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Authenticated users can view leave types" ON leave_types;
+CREATE POLICY "Authenticated users can view leave types" ON leave_types
+    FOR SELECT USING (auth.uid() IS NOT NULL);
+
+-- 管理者はマスタを作成・更新可能、システムで使用する種類以外を削除可能
+DROP POLICY IF EXISTS "Admins can insert work types" ON work_types;
+CREATE POLICY "Admins can insert work types" ON work_types
+    FOR INSERT WITH CHECK (is_admin() AND NOT is_system);
+
+DROP POLICY IF EXISTS "Admins can update work types" ON work_types;
+CREATE POLICY "Admins can update work types" ON work_types
+    FOR UPDATE USING (is_admin()) WITH CHECK (is_admin());
+
+DROP POLICY IF EXISTS "Admins can delete work types" ON work_types;
+CREATE POLICY "Admins can delete work types" ON work_types
+    FOR DELETE USING (is_admin() AND NOT is_system);
+
+DROP POLICY IF EXISTS "Admins can insert leave types" ON leave_types;
+CREATE POLICY "Admins can insert leave types" ON leave_types
+    FOR INSERT WITH CHECK (is_admin() AND NOT is_system);
+
+DROP POLICY IF EXISTS "Admins can update leave types" ON leave_types;
+CREATE POLICY "Admins can update leave types" ON leave_types
+    FOR UPDATE USING (is_admin()) WITH CHECK (is_admin());
+
+DROP POLICY IF EXISTS "Admins can delete leave types" ON leave_types;
+CREATE POLICY "Admins can delete leave types" ON leave_types
+    FOR DELETE USING (is_admin() AND NOT is_system);
+
+-- システムで使用する種類のコード・区分の変更を禁止する
+CREATE OR REPLACE FUNCTION public.protect_system_attendance_types()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.code IS DISTINCT FROM OLD.code OR NEW.is_system IS DISTINCT FROM OLD.is_system THEN
+        RAISE EXCEPTION '種類のコード・システム区分は変更できません（%）', OLD.code;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_work_types ON work_types;
+CREATE TRIGGER protect_work_types
+    BEFORE UPDATE ON work_types
+    FOR EACH ROW EXECUTE FUNCTION public.protect_system_attendance_types();
+
+DROP TRIGGER IF EXISTS protect_leave_types ON leave_types;
+CREATE TRIGGER protect_leave_types
+    BEFORE UPDATE ON leave_types
+    FOR EACH ROW EXECUTE FUNCTION public.protect_system_attendance_types();
+
+DROP TRIGGER IF EXISTS update_work_types_updated_at ON work_types;
+CREATE TRIGGER update_work_types_updated_at
+    BEFORE UPDATE ON work_types
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+DROP TRIGGER IF EXISTS update_leave_types_updated_at ON leave_types;
+CREATE TRIGGER update_leave_types_updated_at
+    BEFORE UPDATE ON leave_types
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+-- 19. 勤務パターンライブラリ
+-- 名前付きの勤務パターンを組織共通（user_id が NULL）とユーザー個人ごとに登録し、月間設定から選んで使用する（最大10件）
+-- 月間設定には選んだパターンの内容を patterns にパターン番号順で複製して保持する
+-- （ライブラリのパターンを変更しても、承認済みの月の計算が変わらないようにするため）
+CREATE TABLE IF NOT EXISTS work_patterns (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,  -- NULLは組織共通のパターン
+    name TEXT NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    break1_start TIME,
+    break1_end TIME,
+    break2_start TIME,
+    break2_end TIME,
+    break3_start TIME,
+    break3_end TIME,
+    sort_order INTEGER DEFAULT 100,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_work_patterns_user_id ON work_patterns(user_id);
+
+ALTER TABLE work_patterns ENABLE ROW LEVEL SECURITY;
+
+-- ユーザーは組織共通のパターンと自分のパターンを閲覧可能、管理者は全パターンを閲覧可能
+DROP POLICY IF EXISTS "Users can view organization and own work patterns" ON work_patterns;
+CREATE POLICY "Users can view organization and own work patterns" ON work_patterns
+    FOR SELECT USING (user_id IS NULL OR auth.uid() = user_id OR is_admin());
+
+-- ユーザーは自分のパターン、管理者は組織共通のパターンを作成・更新・削除可能
+DROP POLICY IF EXISTS "Users can insert own work patterns" ON work_patterns;
+CREATE POLICY "Users can insert own work patterns" ON work_patterns
+    FOR INSERT WITH CHECK (auth.uid() = user_id OR (user_id IS NULL AND is_admin()));
+
+DROP POLICY IF EXISTS "Users can update own work patterns" ON work_patterns;
+CREATE POLICY "Users can update own work patterns" ON work_patterns
+    FOR UPDATE USING (auth.uid() = user_id OR (user_id IS NULL AND is_admin()))
+    WITH CHECK (auth.uid() = user_id OR (user_id IS NULL AND is_admin()));
+
+DROP POLICY IF EXISTS "Users can delete own work patterns" ON work_patterns;
+CREATE POLICY "Users can delete own work patterns" ON work_patterns
+    FOR DELETE USING (auth.uid() = user_id OR (user_id IS NULL AND is_admin()));
+
+DROP TRIGGER IF EXISTS update_work_patterns_updated_at ON work_patterns;
+CREATE TRIGGER update_work_patterns_updated_at
+    BEFORE UPDATE ON work_patterns
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+-- 月間設定の勤務パターン（[{pattern_id, name, start, end, break1_start, break1_end, ...}] の配列）
+ALTER TABLE monthly_settings ADD COLUMN IF NOT EXISTS patterns JSONB;
+
+-- 日毎の記録のパターン番号を10まで許可
+ALTER TABLE daily_records DROP CONSTRAINT IF EXISTS daily_records_work_pattern_check;
+ALTER TABLE daily_records ADD CONSTRAINT daily_records_work_pattern_check
+    CHECK (work_pattern >= 1 AND work_pattern <= 10);
+
+-- 既存の月間設定のパターン1～3を patterns に移行する
+-- 始業・終業が未設定のパターンは末尾から除き、途中の未設定のパターンは従来どおり9:00～18:00とする
+-- pattern1_～pattern3_ の列は移行前のデータの参照用に残す
+UPDATE monthly_settings AS ms SET patterns = (
+    SELECT jsonb_agg(jsonb_build_object(
+        'pattern_id', NULL,
+        'name', 'パターン' || v.number,
+        'start', to_char(COALESCE(v.start_time, TIME '09:00'), 'HH24:MI'),
+        'end', to_char(COALESCE(v.end_time, TIME '18:00'), 'HH24:MI'),
+        'break1_start', to_char(v.break1_start, 'HH24:MI'),
+        'break1_end', to_char(v.break1_end, 'HH24:MI'),
+        'break2_start', to_char(v.break2_start, 'HH24:MI'),
+        'break2_end', to_char(v.break2_end, 'HH24:MI'),
+        'break3_start', to_char(v.break3_start, 'HH24:MI'),
+        'break3_end', to_char(v.break3_end, 'HH24:MI')
+    ) ORDER BY v.number)
+    FROM (VALUES
+        (1, ms.pattern1_start, ms.pattern1_end, ms.pattern1_break1_start, ms.pattern1_break1_end,
+            ms.pattern1_break2_start, ms.pattern1_break2_end, ms.pattern1_break3_start, ms.pattern1_break3_end),
+        (2, ms.pattern2_start, ms.pattern2_end, ms.pattern2_break1_start, ms.pattern2_break1_end,
+            ms.pattern2_break2_start, ms.pattern2_break2_end, ms.pattern2_break3_start, ms.pattern2_break3_end),
+        (3, ms.pattern3_start, ms.pattern3_end, ms.pattern3_break1_start, ms.pattern3_break1_end,
+            ms.pattern3_break2_start, ms.pattern3_break2_end, ms.pattern3_break3_start, ms.pattern3_break3_end)
+    ) AS v(number, start_time, end_time, break1_start, break1_end, break2_start, break2_end, break3_start, break3_end)
+    WHERE v.number <= CASE
+        WHEN ms.pattern3_start IS NOT NULL OR ms.pattern3_end IS NOT NULL THEN 3
+        WHEN ms.pattern2_start IS NOT NULL OR ms.pattern2_end IS NOT NULL THEN 2
+        ELSE 1
+    END
+)
+WHERE ms.patterns IS NULL;
+
+-- 20. シフト計画（予定と実績の比較）
+-- 各日に予定の勤務パターン（月間設定のパターン番号）または休みを事前に割り当てる
+-- 本人または承認者（管理者・上長）が作成し、勤務表で実績と並べて遅刻・早退・欠勤・予定外の出勤を判定する
+CREATE TABLE IF NOT EXISTS shift_plans (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    work_date DATE NOT NULL,
+    plan_type TEXT NOT NULL DEFAULT 'work' CHECK (plan_type IN ('work', 'day-off')),
+    work_pattern INTEGER CHECK (work_pattern >= 1 AND work_pattern <= 10),  -- 勤務の予定のパターン番号
+    planned_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,          -- 計画を作成したユーザー
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, work_date),
+    CHECK (plan_type = 'day-off' OR work_pattern IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_plans_user_id ON shift_plans(user_id);
+CREATE INDEX IF NOT EXISTS idx_shift_plans_work_date ON shift_plans(work_date);
+
+ALTER TABLE shift_plans ENABLE ROW LEVEL SECURITY;
+
+-- ユーザーは自分のシフト計画を閲覧・作成・更新・削除可能
+DROP POLICY IF EXISTS "Users can manage own shift plans" ON shift_plans;
+CREATE POLICY "Users can manage own shift plans" ON shift_plans
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- 承認者は全ユーザーのシフト計画を閲覧・作成・更新・削除可能
+DROP POLICY IF EXISTS "Approvers can manage all shift plans" ON shift_plans;
+CREATE POLICY "Approvers can manage all shift plans" ON shift_plans
+    FOR ALL USING (is_approver());
+
+DROP TRIGGER IF EXISTS update_shift_plans_updated_at ON shift_plans;
+CREATE TRIGGER update_shift_plans_updated_at
+    BEFORE UPDATE ON shift_plans
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+-- 承認者はシフト計画の勤務パターンを選ぶため全ユーザーの月間設定を閲覧可能
+DROP POLICY IF EXISTS "Approvers can view all monthly settings" ON monthly_settings;
+CREATE POLICY "Approvers can view all monthly settings" ON monthly_settings
+    FOR SELECT USING (is_approver());
+
+-- 21. チームのシフト表（承認者向け）
+-- 承認者が所属ごとに社員×日のシフト表を作成し、公開したシフト計画のみ各社員の勤務入力タブに表示する
+-- 本人が作成したシフト計画（20.）は作成時点で公開済みとする
+ALTER TABLE shift_plans ADD COLUMN IF NOT EXISTS is_published BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE INDEX IF NOT EXISTS idx_user_profiles_department ON user_profiles(department);
+
+-- 社員は公開済みの自分のシフト計画のみ閲覧可能（承認者が作成中の下書きは閲覧不可）
+-- 社員が作成・更新・削除できるのは自分で作成したシフト計画のみ（承認者が作成したシフト表は変更不可）
+DROP POLICY IF EXISTS "Users can manage own shift plans" ON shift_plans;
+
+DROP POLICY IF EXISTS "Users can view own published shift plans" ON shift_plans;
+CREATE POLICY "Users can view own published shift plans" ON shift_plans
+    FOR SELECT USING (auth.uid() = user_id AND is_published);
+
+DROP POLICY IF EXISTS "Users can insert own shift plans" ON shift_plans;
+CREATE POLICY "Users can insert own shift plans" ON shift_plans
+    FOR INSERT WITH CHECK (auth.uid() = user_id AND planned_by = auth.uid() AND is_published);
+
+DROP POLICY IF EXISTS "Users can update own shift plans" ON shift_plans;
+CREATE POLICY "Users can update own shift plans" ON shift_plans
+    FOR UPDATE USING (auth.uid() = user_id AND planned_by = auth.uid())
+    WITH CHECK (auth.uid() = user_id AND planned_by = auth.uid() AND is_published);
+
+DROP POLICY IF EXISTS "Users can delete own shift plans" ON shift_plans;
+CREATE POLICY "Users can delete own shift plans" ON shift_plans
+    FOR DELETE USING (auth.uid() = user_id AND planned_by = auth.uid());
+
+-- 22. 出勤・退勤・休憩の打刻
+-- 勤務入力タブの打刻ボタンで記録した打刻を保持し、日毎の勤務記録の出退勤時刻・実績休憩に反映する
+-- 打刻時刻はサーバーの時刻とし、記録後は変更できない（日毎の勤務記録を手入力で修正しても打刻は残る）
+CREATE TABLE IF NOT EXISTS punch_logs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    work_date DATE NOT NULL,                -- 勤務日（日をまたぐ勤務の退勤は出勤した日）
+    punch_type TEXT NOT NULL CHECK (punch_type IN ('clock-in', 'clock-out', 'break-start', 'break-end')),
+    punched_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_punch_logs_user_id ON punch_logs(user_id);
+CREATE INDEX IF NOT EXISTS idx_punch_logs_work_date ON punch_logs(work_date);
+
+ALTER TABLE punch_logs ENABLE ROW LEVEL SECURITY;
+
+-- ユーザーは自分の打刻を閲覧・記録可能（更新・削除のポリシーは設けない）
+DROP POLICY IF EXISTS "Users can view own punch logs" ON punch_logs;
+CREATE POLICY "Users can view own punch logs" ON punch_logs
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own punch logs" ON punch_logs;
+CREATE POLICY "Users can insert own punch logs" ON punch_logs
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- 承認者は全ユーザーの打刻を閲覧可能
+DROP POLICY IF EXISTS "Approvers can view all punch logs" ON punch_logs;
+CREATE POLICY "Approvers can view all punch logs" ON punch_logs
+    FOR SELECT USING (is_approver());
+
+-- 打刻時刻をサーバーの時刻にし、勤務日は当日または前日（日をまたぐ勤務）に限る
+-- 当日は日本時間の日付とする（js/punch-logs.js の getPunchToday も同じタイムゾーンで当日を求める）
+-- 打刻の順序（出勤→休憩開始→休憩終了→退勤）を検証する（js/punch-logs.js の validatePunch と同じ判定）
+CREATE OR REPLACE FUNCTION public.stamp_punch_log()
+RETURNS TRIGGER AS $$
+DECLARE
+    punched_date DATE;
+    last_type TEXT;
+    break_count INTEGER;
+BEGIN
+    NEW.punched_at := NOW();
+    punched_date := (NEW.punched_at AT TIME ZONE 'Asia/Tokyo')::DATE;
+
+    IF NEW.work_date NOT IN (punched_date, punched_date - 1) THEN
+        RAISE EXCEPTION '打刻できるのは当日の勤務のみです（%）', NEW.work_date;
+    END IF;
+
+    -- 同じユーザー・勤務日の打刻は同時に記録せず順に検証する
+    PERFORM pg_advisory_xact_lock(hashtext(NEW.user_id::TEXT || NEW.work_date::TEXT));
+
+    SELECT punch_type INTO last_type
+    FROM punch_logs
+    WHERE user_id = NEW.user_id AND work_date = NEW.work_date
+    ORDER BY punched_at DESC
+    LIMIT 1;
+
+    IF last_type = 'clock-out' THEN
+        RAISE EXCEPTION '退勤済みのため打刻できません';
+    END IF;
+
+    IF NEW.punch_type = 'clock-in' THEN
+        IF last_type IS NOT NULL THEN
+            RAISE EXCEPTION '出勤済みです';
+        END IF;
+        IF NEW.work_date <> punched_date THEN
+            RAISE EXCEPTION '出勤は当日の勤務のみ打刻できます';
+        END IF;
+    ELSIF last_type IS NULL THEN
+        RAISE EXCEPTION '出勤の打刻がありません';
+    ELSIF NEW.punch_type = 'clock-out' THEN
+        IF last_type = 'break-start' THEN
+            RAISE EXCEPTION '休憩を終了してから退勤してください';
+        END IF;
+    ELSIF NEW.punch_type = 'break-start' THEN
+        IF last_type = 'break-start' THEN
+            RAISE EXCEPTION '休憩中です';
+        END IF;
+
+        SELECT COUNT(*) INTO break_count
+        FROM punch_logs
+        WHERE user_id = NEW.user_id AND work_date = NEW.work_date AND punch_type = 'break-start';
+
+        IF break_count >= 3 THEN
+            RAISE EXCEPTION '休憩は3回まで打刻できます';
+        END IF;
+    ELSIF NEW.punch_type = 'break-end' THEN
+        IF last_type <> 'break-start' THEN
+            RAISE EXCEPTION '休憩の開始の打刻がありません';
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS stamp_punch_log ON punch_logs;
+CREATE TRIGGER stamp_punch_log
+    BEFORE INSERT ON punch_logs
+    FOR EACH ROW EXECUTE FUNCTION public.stamp_punch_log();
+
+-- 打刻は変更できない
+CREATE OR REPLACE FUNCTION public.prevent_punch_log_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '打刻は変更できません';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_punch_log_update ON punch_logs;
+CREATE TRIGGER prevent_punch_log_update
+    BEFORE UPDATE ON punch_logs
+    FOR EACH ROW EXECUTE FUNCTION public.prevent_punch_log_update();
+
+-- 23. 勤務記録の手修正の理由
+-- 打刻と異なる時刻への修正、または勤務日を過ぎてから入力済みの出退勤時刻・休憩の修正は理由の入力を必須とし、
+-- 修正前後の値とともに記録する（承認者は勤務表の承認時に手修正の日を確認する）
+CREATE TABLE IF NOT EXISTS record_corrections (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    work_date DATE NOT NULL,
+    reason TEXT NOT NULL CHECK (length(trim(reason)) > 0),   -- 修正理由
+    before_values JSONB NOT NULL DEFAULT '{}',              -- 修正前の値（修正した項目のみ）
+    after_values JSONB NOT NULL DEFAULT '{}',               -- 修正後の値（修正した項目のみ）
+    corrected_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_record_corrections_user_id ON record_corrections(user_id);
+CREATE INDEX IF NOT EXISTS idx_record_corrections_work_date ON record_corrections(work_date);
+
+ALTER TABLE record_corrections ENABLE ROW LEVEL SECURITY;
+
+-- ユーザーは自分の修正履歴を閲覧可能（記録は日毎の勤務記録のトリガーのみが行い、作成・更新・削除のポリシーは設けない）
+DROP POLICY IF EXISTS "Users can view own record corrections" ON record_corrections;
+CREATE POLICY "Users can view own record corrections" ON record_corrections
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own record corrections" ON record_corrections;
+
+-- 承認者は全ユーザーの修正履歴を閲覧可能
+DROP POLICY IF EXISTS "Approvers can view all record corrections" ON record_corrections;
+CREATE POLICY "Approvers can view all record corrections" ON record_corrections
+    FOR SELECT USING (is_approver());
+
+-- 日毎の勤務記録の保存時に渡す修正理由（トリガーが修正履歴に記録し、値は保持しない）
+ALTER TABLE daily_records ADD COLUMN IF NOT EXISTS correction_reason TEXT;
+
+-- 勤務記録の修正履歴の対象項目の値（時刻は時:分、js/record-corrections.js の getCorrectionValues と同じ形式）
+CREATE OR REPLACE FUNCTION public.get_correction_values(target daily_records)
+RETURNS JSONB AS $$
+BEGIN
+    RETURN jsonb_build_object(
+        'start_time', to_char(target.start_time, 'HH24:MI'),
+        'end_time', to_char(target.end_time, 'HH24:MI'),
+        'end_next_day', COALESCE(target.end_next_day, FALSE),
+        'use_actual_breaks', COALESCE(target.use_actual_breaks, FALSE),
+        'break1_start', to_char(target.break1_start, 'HH24:MI'),
+        'break1_end', to_char(target.break1_end, 'HH24:MI'),
+        'break2_start', to_char(target.break2_start, 'HH24:MI'),
+        'break2_end', to_char(target.break2_end, 'HH24:MI'),
+        'break3_start', to_char(target.break3_start, 'HH24:MI'),
+        'break3_end', to_char(target.break3_end, 'HH24:MI')
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- 勤務日の打刻から求めた項目の値（打刻がある項目のみ、js/punch-logs.js の applyPunchesToRecord と同じ判定）
+CREATE OR REPLACE FUNCTION public.get_punched_values(target_user_id UUID, target_work_date DATE)
+RETURNS JSONB AS $$
+DECLARE
+    punched JSONB := '{}';
+    clock_in TIMESTAMP;
+    clock_out TIMESTAMP;
+    break_interval RECORD;
+    break_count INTEGER := 0;
+BEGIN
+    SELECT MIN(punched_at AT TIME ZONE 'Asia/Tokyo') FILTER (WHERE punch_type = 'clock-in'),
+           MAX(punched_at AT TIME ZONE 'Asia/Tokyo') FILTER (WHERE punch_type = 'clock-out')
+    INTO clock_in, clock_out
+    FROM punch_logs
+    WHERE user_id = target_user_id AND work_date = target_work_date;
+
+    IF clock_in IS NOT NULL THEN
+        punched := punched || jsonb_build_object('start_time', to_char(clock_in, 'HH24:MI'));
+    END IF;
+    IF clock_out IS NOT NULL THEN
+        punched := punched || jsonb_build_object(
+            'end_time', to_char(clock_out, 'HH24:MI'),
+            'end_next_day', clock_out::DATE > target_work_date
+        );
+    END IF;
+
+    -- 休憩は開始・終了の組を順に割り当てる（終了の打刻がない休憩は含めない）
+    FOR break_interval IN
+        SELECT starts.punched_at AS started_at, ends.punched_at AS ended_at
+        FROM (
+            SELECT punched_at AT TIME ZONE 'Asia/Tokyo' AS punched_at, ROW_NUMBER() OVER (ORDER BY punched_at) AS n
+            FROM punch_logs
+            WHERE user_id = target_user_id AND work_date = target_work_date AND punch_type = 'break-start'
+        ) starts
+        JOIN (
+            SELECT punched_at AT TIME ZONE 'Asia/Tokyo' AS punched_at, ROW_NUMBER() OVER (ORDER BY punched_at) AS n
+            FROM punch_logs
+            WHERE user_id = target_user_id AND work_date = target_work_date AND punch_type = 'break-end'
+        ) ends ON ends.n = starts.n
+        ORDER BY starts.n
+        LIMIT 3
+    LOOP
+        break_count := break_count + 1;
+        punched := punched || jsonb_build_object(
+            'break' || break_count || '_start', to_char(break_interval.started_at, 'HH24:MI'),
+            'break' || break_count || '_end', to_char(break_interval.ended_at, 'HH24:MI')
+        );
+    END LOOP;
+
+    IF break_count > 0 THEN
+        punched := punched || jsonb_build_object('use_actual_breaks', TRUE);
+        FOR i IN break_count + 1..3 LOOP
+            punched := punched || jsonb_build_object('break' || i || '_start', NULL, 'break' || i || '_end', NULL);
+        END LOOP;
+    END IF;
+
+    RETURN punched;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 出退勤時刻・休憩の修正を検証し、修正履歴を記録する
+-- 打刻のとおりに反映する保存は修正としない
+-- 打刻と異なる時刻への修正、または勤務日を過ぎてから入力済みの時刻の修正は修正理由を必須とする（js/record-corrections.js の requiresCorrectionReason と同じ判定）
+-- 未入力の日の後日入力（作成、または時刻のない記録への入力）は打刻と異ならなければ理由を必要としない
+-- 修正理由がある場合は修正した項目の修正前後の値を修正履歴に記録する
+CREATE OR REPLACE FUNCTION public.record_daily_record_correction()
+RETURNS TRIGGER AS $$
+DECLARE
+    reason TEXT;
+    before_values JSONB;
+    after_values JSONB;
+    punched JSONB;
+    changed TEXT[];
+    punch_applied BOOLEAN;
+    punch_deviated BOOLEAN;
+    had_times BOOLEAN;
+BEGIN
+    reason := NULLIF(trim(COALESCE(NEW.correction_reason, '')), '');
+    NEW.correction_reason := NULL;
+
+    IF TG_OP = 'UPDATE' THEN
+        before_values := public.get_correction_values(OLD);
+    ELSE
+        before_values := public.get_correction_values(NULL::daily_records);
+    END IF;
+    after_values := public.get_correction_values(NEW);
+
+    SELECT array_agg(field) INTO changed
+    FROM jsonb_object_keys(after_values) AS field
+    WHERE after_values -> field IS DISTINCT FROM before_values -> field;
+
+    IF changed IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    punched := public.get_punched_values(NEW.user_id, NEW.work_date);
+
+    SELECT bool_and(punched ? field AND punched -> field = after_values -> field) INTO punch_applied
+    FROM unnest(changed) AS field;
+
+    SELECT COALESCE(bool_or(punched -> field IS DISTINCT FROM after_values -> field), FALSE) INTO punch_deviated
+    FROM jsonb_object_keys(punched) AS field;
+
+    -- 修正前に時刻（出退勤・休憩）が入力済みか（真偽値の項目は含めない）
+    SELECT COALESCE(bool_or(jsonb_typeof(value) = 'string'), FALSE) INTO had_times
+    FROM jsonb_each(before_values);
+
+    IF reason IS NULL AND NOT punch_applied
+        AND ((NEW.work_date < (NOW() AT TIME ZONE 'Asia/Tokyo')::DATE AND had_times) OR punch_deviated) THEN
+        RAISE EXCEPTION '出退勤時刻・休憩の修正理由を入力してください（%）', NEW.work_date;
+    END IF;
+
+    IF reason IS NOT NULL THEN
+        INSERT INTO record_corrections (user_id, work_date, reason, before_values, after_values, corrected_by)
+        SELECT NEW.user_id, NEW.work_date, reason,
+               jsonb_object_agg(field, before_values -> field),
+               jsonb_object_agg(field, after_values -> field),
+               auth.uid()
+        FROM unnest(changed) AS field;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS record_daily_record_correction ON daily_records;
+CREATE TRIGGER record_daily_record_correction
+    BEFORE INSERT OR UPDATE ON daily_records
+    FOR EACH ROW EXECUTE FUNCTION public.record_daily_record_correction();
+
+-- 24. 変更履歴（監査ログ）
+-- 勤務記録・設定・承認・ユーザー情報・マスタ・シフト計画の追加・変更・削除を、データベースのトリガーで変更者・変更前後の値とともに記録する
+-- 振替休日・代休は日毎の勤務記録（daily_records）に保持するため、勤務記録の変更履歴として記録する
+-- 承認ルート・承認者の担当・承認の代理は各テーブルの作成（25〜27）で同じトリガーを設定する
+-- 労働関係の記録の保存期間に対応するため、監査ログは追記のみとし、ユーザーを削除しても残す（外部キーを設けない）
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    table_name TEXT NOT NULL,                   -- 変更したテーブル
+    record_id TEXT,                             -- 変更した行のID（マスタはコード）
+    target_user_id UUID,                        -- 変更した行の対象ユーザー（行の user_id、承認者の担当・代理は承認者）
+    operation TEXT NOT NULL CHECK (operation IN ('INSERT', 'UPDATE', 'DELETE')),
+    old_values JSONB,                           -- 変更前の値（変更は変更した列のみ、追加はNULL）
+    new_values JSONB,                           -- 変更後の値（変更は変更した列のみ、削除はNULL）
+    changed_by UUID,                            -- 変更したユーザー（auth.uid()）
+    changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_table_name ON audit_logs(table_name);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_target_user_id ON audit_logs(target_user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_changed_at ON audit_logs(changed_at);
+
+ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
+
+-- 管理者のみ閲覧可能（記録はトリガーのみが行うため、追加・更新・削除のポリシーは設けない）
+DROP POLICY IF EXISTS "Admins can view audit logs" ON audit_logs;
+CREATE POLICY "Admins can view audit logs" ON audit_logs
+    FOR SELECT USING (is_admin());
+
+-- 変更前後の値を監査ログに記録する（更新は値が変わった列のみ記録し、updated_at のみの変更は記録しない）
+-- 行のIDはマスタ（id 列がない）ではコード、対象ユーザーは user_id がない承認者の担当・代理では承認者とする
+CREATE OR REPLACE FUNCTION public.write_audit_log()
+RETURNS TRIGGER AS $$
+DECLARE
+    old_row JSONB := CASE WHEN TG_OP IN ('UPDATE', 'DELETE') THEN to_jsonb(OLD) END;
+    new_row JSONB := CASE WHEN TG_OP IN ('INSERT', 'UPDATE') THEN to_jsonb(NEW) END;
+    row_data JSONB := COALESCE(new_row, old_row);
+    column_name TEXT;
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        old_row := '{}'::JSONB;
+        new_row := '{}'::JSONB;
+        FOR column_name IN SELECT jsonb_object_keys(to_jsonb(NEW)) LOOP
+            IF column_name <> 'updated_at' AND to_jsonb(NEW) -> column_name IS DISTINCT FROM to_jsonb(OLD) -> column_name THEN
+                old_row := old_row || jsonb_build_object(column_name, to_jsonb(OLD) -> column_name);
+                new_row := new_row || jsonb_build_object(column_name, to_jsonb(NEW) -> column_name);
+            END IF;
+        END LOOP;
+
+        IF new_row = '{}'::JSONB THEN
+            RETURN NULL;
+        END IF;
+    END IF;
+
+    INSERT INTO audit_logs (table_name, record_id, target_user_id, operation, old_values, new_values, changed_by)
+    VALUES (
+        TG_TABLE_NAME,
+        COALESCE(row_data ->> 'id', row_data ->> 'code'),
+        COALESCE(row_data ->> 'user_id', row_data ->> 'approver_id', row_data ->> 'delegator_id')::UUID,
+        TG_OP, old_row, new_row, auth.uid()
+    );
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_daily_records ON daily_records;
+CREATE TRIGGER audit_daily_records
+    AFTER INSERT OR UPDATE OR DELETE ON daily_records
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+DROP TRIGGER IF EXISTS audit_monthly_settings ON monthly_settings;
+CREATE TRIGGER audit_monthly_settings
+    AFTER INSERT OR UPDATE OR DELETE ON monthly_settings
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+DROP TRIGGER IF EXISTS audit_approvals ON approvals;
+CREATE TRIGGER audit_approvals
+    AFTER INSERT OR UPDATE OR DELETE ON approvals
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+DROP TRIGGER IF EXISTS audit_user_profiles ON user_profiles;
+CREATE TRIGGER audit_user_profiles
+    AFTER INSERT OR UPDATE OR DELETE ON user_profiles
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+DROP TRIGGER IF EXISTS audit_leave_requests ON leave_requests;
+CREATE TRIGGER audit_leave_requests
+    AFTER INSERT OR UPDATE OR DELETE ON leave_requests
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+DROP TRIGGER IF EXISTS audit_organization_settings ON organization_settings;
+CREATE TRIGGER audit_organization_settings
+    AFTER INSERT OR UPDATE OR DELETE ON organization_settings
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+DROP TRIGGER IF EXISTS audit_work_types ON work_types;
+CREATE TRIGGER audit_work_types
+    AFTER INSERT OR UPDATE OR DELETE ON work_types
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+DROP TRIGGER IF EXISTS audit_leave_types ON leave_types;
+CREATE TRIGGER audit_leave_types
+    AFTER INSERT OR UPDATE OR DELETE ON leave_types
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+DROP TRIGGER IF EXISTS audit_work_patterns ON work_patterns;
+CREATE TRIGGER audit_work_patterns
+    AFTER INSERT OR UPDATE OR DELETE ON work_patterns
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+DROP TRIGGER IF EXISTS audit_shift_plans ON shift_plans;
+CREATE TRIGGER audit_shift_plans
+    AFTER INSERT OR UPDATE OR DELETE ON shift_plans
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+-- 監査ログは変更・削除できない
+CREATE OR REPLACE FUNCTION public.prevent_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '監査ログは変更・削除できません';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_audit_log_change ON audit_logs;
+CREATE TRIGGER prevent_audit_log_change
+    BEFORE UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION public.prevent_audit_log_change();
+
+-- 25. 多段階の承認ルート
+-- 所属ごとに承認ルート（順序付きのステップと各ステップの承認者）を設定し、ステップ順に承認する
+-- 承認申請は申請時点のステップを保持し、最終ステップの承認で承認済み（月の編集不可）とする
+-- どのステップで却下しても社員に差し戻し、再申請は最初のステップから承認する
+CREATE TABLE IF NOT EXISTS approval_routes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    department TEXT NOT NULL DEFAULT '' UNIQUE,   -- 所属（空文字は所属の承認ルートがない場合の既定の承認ルート）
+    steps JSONB NOT NULL DEFAULT '[]',            -- ステップ [{name, approver_id, approver_name}]（承認順）
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE approval_routes ENABLE ROW LEVEL SECURITY;
+
+-- ログインユーザーは閲覧可能（承認申請時に所属の承認ルートを取得する）
+DROP POLICY IF EXISTS "Authenticated users can view approval routes" ON approval_routes;
+CREATE POLICY "Authenticated users can view approval routes" ON approval_routes
+    FOR SELECT USING (auth.uid() IS NOT NULL);
+
+-- 管理者のみ追加・更新・削除可能
+DROP POLICY IF EXISTS "Admins can manage approval routes" ON approval_routes;
+CREATE POLICY "Admins can manage approval routes" ON approval_routes
+    FOR ALL USING (is_admin());
+
+DROP TRIGGER IF EXISTS update_approval_routes_updated_at ON approval_routes;
+CREATE TRIGGER update_approval_routes_updated_at
+    BEFORE UPDATE ON approval_routes
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+-- 承認ルートの変更を監査ログに記録する（24 の write_audit_log）
+DROP TRIGGER IF EXISTS audit_approval_routes ON approval_routes;
+CREATE TRIGGER audit_approval_routes
+    AFTER INSERT OR UPDATE OR DELETE ON approval_routes
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+-- 承認申請に申請時点のステップと現在のステップ（1始まり）を追加
+-- 既存の申請（ステップなし）は承認者のいずれかが1回承認すれば承認済みとなる
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS route_steps JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS current_step INTEGER NOT NULL DEFAULT 1 CHECK (current_step >= 1);
+
+-- ステップごとの承認・却下の履歴
+CREATE TABLE IF NOT EXISTS approval_step_logs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    approval_id UUID REFERENCES approvals(id) ON DELETE CASCADE NOT NULL,
+    step_number INTEGER NOT NULL,                 -- ステップ番号（1始まり）
+    step_name TEXT NOT NULL,                      -- ステップ名（操作時点）
+    action TEXT NOT NULL CHECK (action IN ('approved', 'rejected')),
+    approver_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    comment TEXT,                                 -- 却下理由など
+    acted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_step_logs_approval_id ON approval_step_logs(approval_id);
+
+ALTER TABLE approval_step_logs ENABLE ROW LEVEL SECURITY;
+
+-- ユーザーは自分の承認申請の履歴を閲覧可能
+DROP POLICY IF EXISTS "Users can view own approval step logs" ON approval_step_logs;
+CREATE POLICY "Users can view own approval step logs" ON approval_step_logs
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM approvals
+            WHERE approvals.id = approval_step_logs.approval_id
+            AND approvals.user_id = auth.uid()
+        )
+    );
+
+-- 承認者は全履歴を閲覧可能（記録は承認申請の更新時のトリガーのみが行い、作成・更新・削除のポリシーは設けない）
+DROP POLICY IF EXISTS "Approvers can view all approval step logs" ON approval_step_logs;
+CREATE POLICY "Approvers can view all approval step logs" ON approval_step_logs
+    FOR SELECT USING (is_approver());
+
+DROP POLICY IF EXISTS "Approvers can insert own approval step logs" ON approval_step_logs;
+
+-- 承認申請時（承認待ちにしたとき）は申請者の所属の承認ルートのステップを設定し、最初のステップから承認する
+-- クライアントが指定したステップは使用しない（所属の承認ルートがない場合は既定の承認ルート、どちらもない場合はステップなし）
+-- 申請者自身が承認者のステップは申請者が承認できず進まなくなるため省略する（すべて省略した場合はステップなし）
+CREATE OR REPLACE FUNCTION public.resolve_approval_route()
+RETURNS TRIGGER AS $$
+DECLARE
+    applicable_steps JSONB;
+BEGIN
+    IF NEW.status = 'pending' AND (TG_OP = 'INSERT' OR OLD.status <> 'pending') THEN
+        SELECT steps INTO applicable_steps
+        FROM approval_routes
+        WHERE department IN ((SELECT department FROM user_profiles WHERE user_id = NEW.user_id), '')
+        ORDER BY department = ''
+        LIMIT 1;
+
+        SELECT COALESCE(jsonb_agg(step ORDER BY position), '[]') INTO NEW.route_steps
+        FROM jsonb_array_elements(COALESCE(applicable_steps, '[]')) WITH ORDINALITY AS s(step, position)
+        WHERE step ->> 'approver_id' IS DISTINCT FROM NEW.user_id::TEXT;
+
+        NEW.current_step := 1;
+
+        -- 却下後の再申請では前回の承認・却下の記録を残さない
+        NEW.approved_by := NULL;
+        NEW.approved_at := NULL;
+        NEW.rejection_reason := NULL;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS resolve_approval_route ON approvals;
+CREATE TRIGGER resolve_approval_route
+    BEFORE INSERT OR UPDATE ON approvals
+    FOR EACH ROW EXECUTE FUNCTION public.resolve_approval_route();
+
+-- 承認待ちの申請の承認・却下・次のステップへの進行は、現在のステップの承認者のみ可能とし、
+-- ステップを飛ばして承認することはできない（承認者の指定がないステップは承認者のいずれかが操作できる）
+CREATE OR REPLACE FUNCTION public.check_approval_step()
+RETURNS TRIGGER AS $$
+DECLARE
+    step JSONB;
+BEGIN
+    IF OLD.status = 'pending'
+        AND (NEW.status IN ('approved', 'rejected') OR NEW.current_step > OLD.current_step) THEN
+        step := OLD.route_steps -> (OLD.current_step - 1);
+
+        IF step IS NOT NULL AND step ->> 'approver_id' IS NOT NULL
+            AND step ->> 'approver_id' <> auth.uid()::TEXT THEN
+            RAISE EXCEPTION '現在のステップ（%）の承認者ではありません', step ->> 'name';
+        END IF;
+
+        IF NEW.current_step > OLD.current_step + 1
+            OR (NEW.status = 'approved' AND OLD.current_step < jsonb_array_length(OLD.route_steps)) THEN
+            RAISE EXCEPTION 'ステップを飛ばして承認することはできません';
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_approval_step ON approvals;
+CREATE TRIGGER check_approval_step
+    BEFORE UPDATE ON approvals
+    FOR EACH ROW EXECUTE FUNCTION public.check_approval_step();
+
+-- 承認・却下・次のステップへの進行を、承認申請の更新と同じトランザクションでステップの履歴に記録する
+-- 操作したユーザーはログインユーザー、却下の場合は却下理由をコメントとする
+CREATE OR REPLACE FUNCTION public.record_approval_step()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status = 'pending'
+        AND (NEW.status IN ('approved', 'rejected') OR NEW.current_step > OLD.current_step) THEN
+        INSERT INTO approval_step_logs (approval_id, step_number, step_name, action, approver_id, comment)
+        VALUES (
+            NEW.id,
+            OLD.current_step,
+            COALESCE(OLD.route_steps -> (OLD.current_step - 1) ->> 'name', '承認'),
+            CASE WHEN NEW.status = 'rejected' THEN 'rejected' ELSE 'approved' END,
+            auth.uid(),
+            CASE WHEN NEW.status = 'rejected' THEN NEW.rejection_reason END
+        );
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS record_approval_step ON approvals;
+CREATE TRIGGER record_approval_step
+    AFTER UPDATE ON approvals
+    FOR EACH ROW EXECUTE FUNCTION public.record_approval_step();
+
+-- 26. 承認者の担当範囲
+-- 承認者ごとに担当する所属または社員を割り当て、担当する社員の承認申請のみ閲覧・承認・却下できるようにする
+-- 承認ルートのステップの承認者に指定された申請も閲覧・操作でき、自分の申請は承認・却下できない
+-- 休暇申請・シフト計画・勤務記録などの承認者のポリシーも担当範囲に制限する
+CREATE TABLE IF NOT EXISTS approver_assignments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    approver_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    department TEXT,                                                  -- 担当する所属
+    employee_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,    -- 担当する社員（所属とどちらか一方を指定）
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK ((department IS NULL) <> (employee_id IS NULL)),
+    UNIQUE(approver_id, department),
+    UNIQUE(approver_id, employee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_approver_assignments_approver_id ON approver_assignments(approver_id);
+
+ALTER TABLE approver_assignments ENABLE ROW LEVEL SECURITY;
+
+-- 承認者は自分の担当を閲覧可能
+DROP POLICY IF EXISTS "Approvers can view own assignments" ON approver_assignments;
+CREATE POLICY "Approvers can view own assignments" ON approver_assignments
+    FOR SELECT USING (auth.uid() = approver_id);
+
+-- 管理者のみ追加・削除可能
+DROP POLICY IF EXISTS "Admins can manage approver assignments" ON approver_assignments;
+CREATE POLICY "Admins can manage approver assignments" ON approver_assignments
+    FOR ALL USING (is_admin());
+
+-- 承認者の担当の変更を監査ログに記録する（24 の write_audit_log）
+DROP TRIGGER IF EXISTS audit_approver_assignments ON approver_assignments;
+CREATE TRIGGER audit_approver_assignments
+    AFTER INSERT OR UPDATE OR DELETE ON approver_assignments
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+-- 既存の承認者は自分の所属を担当とする
+INSERT INTO approver_assignments (approver_id, department)
+SELECT user_id, department FROM user_profiles
+WHERE is_approver = true AND department IS NOT NULL AND department <> ''
+ON CONFLICT DO NOTHING;
+
+-- ログインユーザーが対象ユーザーの承認申請を担当する承認者かを判定する（自分自身は対象外）
+CREATE OR REPLACE FUNCTION public.is_assigned_approver(target_user_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN target_user_id <> auth.uid() AND is_approver() AND EXISTS (
+        SELECT 1
+        FROM approver_assignments
+        LEFT JOIN user_profiles ON user_profiles.user_id = target_user_id
+        WHERE approver_assignments.approver_id = auth.uid()
+        AND (approver_assignments.employee_id = target_user_id
+            OR approver_assignments.department = user_profiles.department)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 承認申請のポリシーを担当範囲で再作成する
+-- ユーザーは自分の申請を閲覧し、未申請・承認待ちとしてのみ作成・更新可能（自分で承認済み・却下にはできない）
+DROP POLICY IF EXISTS "Users can manage own approvals" ON approvals;
+DROP POLICY IF EXISTS "Users can view own approvals" ON approvals;
+CREATE POLICY "Users can view own approvals" ON approvals
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own approvals" ON approvals;
+CREATE POLICY "Users can insert own approvals" ON approvals
+    FOR INSERT WITH CHECK (auth.uid() = user_id AND status IN ('draft', 'pending'));
+
+-- 承認ルートのステップと現在のステップは社員が変更できない（protect_approval_route トリガーを参照）
+DROP POLICY IF EXISTS "Users can update own approvals" ON approvals;
+CREATE POLICY "Users can update own approvals" ON approvals
+    FOR UPDATE USING (auth.uid() = user_id AND status <> 'approved')
+    WITH CHECK (auth.uid() = user_id AND status IN ('draft', 'pending'));
+
+-- ログインユーザーが承認申請を扱う承認者かを判定する（自分の申請は対象外、27 で代理中の承認者が扱う申請を追加）
+-- 担当する社員の申請、または承認ルートのステップの承認者に指定された申請を対象とする
+-- route_steps は申請時に承認ルートから設定され、以降は変更できないため、ステップの承認者の判定に使用できる
+CREATE OR REPLACE FUNCTION public.is_approval_approver(target_user_id UUID, target_route_steps JSONB)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN target_user_id <> auth.uid() AND is_approver() AND (
+        is_assigned_approver(target_user_id)
+        OR target_route_steps @> jsonb_build_array(jsonb_build_object('approver_id', auth.uid()::TEXT))
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 承認者は扱う申請を閲覧し、承認待ち・承認済みの申請のみ更新可能（作成・削除は不可）
+-- 更新できる状態の遷移は check_approval_transition トリガーで制限する
+DROP POLICY IF EXISTS "Approvers can manage all approvals" ON approvals;
+DROP POLICY IF EXISTS "Approvers can manage assigned approvals" ON approvals;
+DROP POLICY IF EXISTS "Approvers can view assigned approvals" ON approvals;
+CREATE POLICY "Approvers can view assigned approvals" ON approvals
+    FOR SELECT USING (is_approval_approver(user_id, route_steps));
+
+DROP POLICY IF EXISTS "Approvers can decide assigned approvals" ON approvals;
+CREATE POLICY "Approvers can decide assigned approvals" ON approvals
+    FOR UPDATE USING (is_approval_approver(user_id, route_steps) AND status IN ('pending', 'approved'))
+    WITH CHECK (is_approval_approver(user_id, route_steps) AND status IN ('pending', 'approved', 'rejected', 'draft'));
+
+-- 承認者はステップの履歴も担当する申請のみ閲覧可能（サブクエリには approvals のポリシーが適用される）
+DROP POLICY IF EXISTS "Approvers can view all approval step logs" ON approval_step_logs;
+DROP POLICY IF EXISTS "Approvers can view assigned approval step logs" ON approval_step_logs;
+CREATE POLICY "Approvers can view assigned approval step logs" ON approval_step_logs
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM approvals
+            WHERE approvals.id = approval_step_logs.approval_id
+            AND approvals.user_id <> auth.uid()
+        )
+    );
+
+-- ログインユーザーが対象ユーザーを担当する承認者かを判定する（自分自身は対象外、27 で代理中の承認者の担当を追加）
+-- 休暇申請・シフト計画など承認申請以外の承認者のポリシーに使用する
+CREATE OR REPLACE FUNCTION public.is_approver_of(target_user_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN is_assigned_approver(target_user_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ログインユーザーが承認者として対象ユーザーの勤務記録を閲覧できるかを判定する
+-- 担当する社員に加えて、閲覧できる承認申請（承認ルートのステップの承認者に指定された申請など）の申請者を対象とする
+-- 承認申請のポリシーを適用するため SECURITY DEFINER としない
+CREATE OR REPLACE FUNCTION public.can_view_user_records(target_user_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN is_approver_of(target_user_id) OR (
+        target_user_id <> auth.uid() AND is_approver() AND EXISTS (
+            SELECT 1 FROM approvals WHERE approvals.user_id = target_user_id
+        )
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- 承認者の勤務記録・月間設定・打刻・修正履歴の閲覧を担当範囲に制限する
+DROP POLICY IF EXISTS "Approvers can view all daily records" ON daily_records;
+DROP POLICY IF EXISTS "Approvers can view assigned daily records" ON daily_records;
+CREATE POLICY "Approvers can view assigned daily records" ON daily_records
+    FOR SELECT USING (can_view_user_records(user_id));
+
+DROP POLICY IF EXISTS "Approvers can view all monthly settings" ON monthly_settings;
+DROP POLICY IF EXISTS "Approvers can view assigned monthly settings" ON monthly_settings;
+CREATE POLICY "Approvers can view assigned monthly settings" ON monthly_settings
+    FOR SELECT USING (can_view_user_records(user_id));
+
+DROP POLICY IF EXISTS "Approvers can view all punch logs" ON punch_logs;
+DROP POLICY IF EXISTS "Approvers can view assigned punch logs" ON punch_logs;
+CREATE POLICY "Approvers can view assigned punch logs" ON punch_logs
+    FOR SELECT USING (can_view_user_records(user_id));
+
+DROP POLICY IF EXISTS "Approvers can view all record corrections" ON record_corrections;
+DROP POLICY IF EXISTS "Approvers can view assigned record corrections" ON record_corrections;
+CREATE POLICY "Approvers can view assigned record corrections" ON record_corrections
+    FOR SELECT USING (can_view_user_records(user_id));
+
+-- 承認者は担当する社員の休暇申請を閲覧し、承認待ちの申請のみ承認・却下可能（作成・削除は不可）
+DROP POLICY IF EXISTS "Approvers can manage all leave requests" ON leave_requests;
+DROP POLICY IF EXISTS "Approvers can view assigned leave requests" ON leave_requests;
+CREATE POLICY "Approvers can view assigned leave requests" ON leave_requests
+    FOR SELECT USING (is_approver_of(user_id));
+
+DROP POLICY IF EXISTS "Approvers can decide assigned leave requests" ON leave_requests;
+CREATE POLICY "Approvers can decide assigned leave requests" ON leave_requests
+    FOR UPDATE USING (is_approver_of(user_id) AND status = 'pending')
+    WITH CHECK (is_approver_of(user_id) AND status IN ('approved', 'rejected'));
+
+-- 承認者は自分と担当する社員のシフト計画を閲覧・作成・更新・削除可能
+DROP POLICY IF EXISTS "Approvers can manage all shift plans" ON shift_plans;
+DROP POLICY IF EXISTS "Approvers can manage assigned shift plans" ON shift_plans;
+CREATE POLICY "Approvers can manage assigned shift plans" ON shift_plans
+    FOR ALL USING (is_approver() AND (auth.uid() = user_id OR is_approver_of(user_id)))
+    WITH CHECK (is_approver() AND (auth.uid() = user_id OR is_approver_of(user_id)));
+
+-- 自分の申請の承認・却下はトリガーでも禁止する
+CREATE OR REPLACE FUNCTION public.prevent_self_approval()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status = 'pending' AND NEW.status IN ('approved', 'rejected') AND NEW.user_id = auth.uid() THEN
+        RAISE EXCEPTION '自分の申請は承認・却下できません';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_self_approval ON approvals;
+CREATE TRIGGER prevent_self_approval
+    BEFORE UPDATE ON approvals
+    FOR EACH ROW EXECUTE FUNCTION public.prevent_self_approval();
+
+-- 承認ルートのステップは承認申請時（resolve_approval_route トリガーが設定）以外は変更できない
+-- 現在のステップは承認待ちの申請を承認者が1つ進める場合のみ変更でき、社員は変更できない
+CREATE OR REPLACE FUNCTION public.protect_approval_route()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'pending' AND (TG_OP = 'INSERT' OR OLD.status <> 'pending') THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.route_steps IS DISTINCT FROM '[]'::JSONB OR NEW.current_step IS DISTINCT FROM 1 THEN
+            RAISE EXCEPTION '承認ルートのステップは変更できません';
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    IF NEW.route_steps IS DISTINCT FROM OLD.route_steps THEN
+        RAISE EXCEPTION '承認ルートのステップは変更できません';
+    END IF;
+
+    IF NEW.current_step IS DISTINCT FROM OLD.current_step
+        AND (auth.uid() = OLD.user_id OR OLD.status <> 'pending' OR NEW.current_step <> OLD.current_step + 1) THEN
+        RAISE EXCEPTION '現在のステップは変更できません';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_approval_route ON approvals;
+CREATE TRIGGER protect_approval_route
+    BEFORE INSERT OR UPDATE ON approvals
+    FOR EACH ROW EXECUTE FUNCTION public.protect_approval_route();
+
+-- 承認申請の対象ユーザー・年月は変更できない
+-- 申請者以外（承認者）が行える状態の遷移は、承認待ちの承認・却下・次のステップへの進行と、承認済みの取り消し（未申請に戻す）のみとする
+CREATE OR REPLACE FUNCTION public.check_approval_transition()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.user_id <> OLD.user_id OR NEW.year <> OLD.year OR NEW.month <> OLD.month THEN
+        RAISE EXCEPTION '承認申請の対象ユーザー・年月は変更できません';
+    END IF;
+
+    IF auth.uid() <> OLD.user_id AND NOT (
+        (OLD.status = 'pending' AND NEW.status IN ('pending', 'approved', 'rejected'))
+        OR (OLD.status = 'approved' AND NEW.status IN ('approved', 'draft'))
+    ) THEN
+        RAISE EXCEPTION '承認申請の状態を変更できません（% → %）', OLD.status, NEW.status;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_approval_transition ON approvals;
+CREATE TRIGGER check_approval_transition
+    BEFORE UPDATE ON approvals
+    FOR EACH ROW EXECUTE FUNCTION public.check_approval_transition();
+
+-- 27. 承認の代理
+-- 承認者は不在の期間に代理の承認者を指定でき、代理の承認者は期間中、代理元の承認者の担当する申請を閲覧・承認・却下できる
+-- 承認・却下の記録には操作したユーザー（approved_by / approver_id）と代理元の承認者（on_behalf_of）の両方を保持する
+CREATE TABLE IF NOT EXISTS approval_delegations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    delegator_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,   -- 代理元の承認者
+    delegate_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,    -- 代理の承認者
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (delegator_id <> delegate_id),
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_delegations_delegator_id ON approval_delegations(delegator_id);
+CREATE INDEX IF NOT EXISTS idx_approval_delegations_delegate_id ON approval_delegations(delegate_id);
+
+ALTER TABLE approval_delegations ENABLE ROW LEVEL SECURITY;
+
+-- 承認者は自分の代理を閲覧・追加・削除可能
+DROP POLICY IF EXISTS "Approvers can manage own delegations" ON approval_delegations;
+CREATE POLICY "Approvers can manage own delegations" ON approval_delegations
+    FOR ALL USING (auth.uid() = delegator_id AND is_approver())
+    WITH CHECK (auth.uid() = delegator_id AND is_approver());
+
+-- 代理の承認者は自分への代理を閲覧可能
+DROP POLICY IF EXISTS "Delegates can view delegations" ON approval_delegations;
+CREATE POLICY "Delegates can view delegations" ON approval_delegations
+    FOR SELECT USING (auth.uid() = delegate_id);
+
+-- 承認の代理の変更を監査ログに記録する（24 の write_audit_log）
+DROP TRIGGER IF EXISTS audit_approval_delegations ON approval_delegations;
+CREATE TRIGGER audit_approval_delegations
+    AFTER INSERT OR UPDATE OR DELETE ON approval_delegations
+    FOR EACH ROW EXECUTE FUNCTION public.write_audit_log();
+
+-- 承認・却下の記録に代理元の承認者を追加
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS approved_on_behalf_of UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE approval_step_logs ADD COLUMN IF NOT EXISTS on_behalf_of UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+-- ログインユーザーが当日（日本時間）に承認者の代理であるかを判定する
+CREATE OR REPLACE FUNCTION public.is_active_delegate_of(delegator UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1
+        FROM approval_delegations
+        WHERE delegator_id = delegator
+        AND delegate_id = auth.uid()
+        AND (NOW() AT TIME ZONE 'Asia/Tokyo')::DATE BETWEEN start_date AND end_date
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 承認者が対象ユーザーの申請を担当するかを判定する（26 の is_assigned_approver を承認者を指定できるようにしたもの）
+CREATE OR REPLACE FUNCTION public.is_assigned_to(approver UUID, target_user_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN target_user_id <> approver AND EXISTS (
+        SELECT 1
+        FROM approver_assignments
+        LEFT JOIN user_profiles ON user_profiles.user_id = target_user_id
+        WHERE approver_assignments.approver_id = approver
+        AND (approver_assignments.employee_id = target_user_id
+            OR approver_assignments.department = user_profiles.department)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 代理中の承認者が担当する社員も担当とする（26 の関数を置き換え、代理元の承認者自身は対象外）
+CREATE OR REPLACE FUNCTION public.is_approver_of(target_user_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN is_assigned_approver(target_user_id) OR (
+        target_user_id <> auth.uid() AND is_approver() AND EXISTS (
+            SELECT 1 FROM approval_delegations
+            WHERE approval_delegations.delegate_id = auth.uid()
+            AND approval_delegations.delegator_id <> target_user_id
+            AND (NOW() AT TIME ZONE 'Asia/Tokyo')::DATE BETWEEN approval_delegations.start_date AND approval_delegations.end_date
+            AND is_assigned_to(approval_delegations.delegator_id, target_user_id)
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 代理の承認者は代理元の承認者の担当を閲覧可能（承認リストの絞り込みに使用する）
+DROP POLICY IF EXISTS "Delegates can view delegator assignments" ON approver_assignments;
+CREATE POLICY "Delegates can view delegator assignments" ON approver_assignments
+    FOR SELECT USING (is_active_delegate_of(approver_id));
+
+-- 承認者は担当する申請に加えて、代理中の承認者が担当する申請を閲覧・更新可能（26 の関数を置き換え）
+-- （自分の申請と代理元の承認者自身の申請を除く、route_steps は社員が変更できないため代理元の判定にも使用できる）
+CREATE OR REPLACE FUNCTION public.is_approval_approver(target_user_id UUID, target_route_steps JSONB)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN target_user_id <> auth.uid() AND is_approver() AND (
+        is_assigned_approver(target_user_id)
+        OR target_route_steps @> jsonb_build_array(jsonb_build_object('approver_id', auth.uid()::TEXT))
+        OR EXISTS (
+            SELECT 1 FROM approval_delegations
+            WHERE approval_delegations.delegate_id = auth.uid()
+            AND approval_delegations.delegator_id <> target_user_id
+            AND (NOW() AT TIME ZONE 'Asia/Tokyo')::DATE BETWEEN approval_delegations.start_date AND approval_delegations.end_date
+            AND (is_assigned_to(approval_delegations.delegator_id, target_user_id)
+                OR target_route_steps @> jsonb_build_array(jsonb_build_object('approver_id', approval_delegations.delegator_id::TEXT)))
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 現在のステップの承認者の代理も承認・却下可能とし、代理元の承認者は代理中の場合のみ記録できるようにする（25 の関数を置き換え）
+-- 承認者が指定されたステップを代理で操作した場合は、そのステップの承認者を代理元とする
+CREATE OR REPLACE FUNCTION public.check_approval_step()
+RETURNS TRIGGER AS $$
+DECLARE
+    step JSONB;
+    step_approver UUID;
+BEGIN
+    IF OLD.status = 'pending'
+        AND (NEW.status IN ('approved', 'rejected') OR NEW.current_step > OLD.current_step) THEN
+        step := OLD.route_steps -> (OLD.current_step - 1);
+        step_approver := (step ->> 'approver_id')::UUID;
+
+        IF step_approver IS NOT NULL AND step_approver <> auth.uid() THEN
+            IF NOT is_active_delegate_of(step_approver) THEN
+                RAISE EXCEPTION '現在のステップ（%）の承認者ではありません', step ->> 'name';
+            END IF;
+            NEW.approved_on_behalf_of := step_approver;
+        ELSIF step_approver IS NOT NULL THEN
+            NEW.approved_on_behalf_of := NULL;
+        END IF;
+
+        IF NEW.current_step > OLD.current_step + 1
+            OR (NEW.status = 'approved' AND OLD.current_step < jsonb_array_length(OLD.route_steps)) THEN
+            RAISE EXCEPTION 'ステップを飛ばして承認することはできません';
+        END IF;
+    END IF;
+
+    -- 却下後の再申請では前回の代理元の承認者を残さない（承認者・却下理由は resolve_approval_route で消去する）
+    IF NEW.status = 'pending' AND OLD.status <> 'pending' THEN
+        NEW.approved_on_behalf_of := NULL;
+    END IF;
+
+    IF NEW.approved_on_behalf_of IS NOT NULL
+        AND NEW.approved_on_behalf_of IS DISTINCT FROM OLD.approved_on_behalf_of
+        AND NOT is_active_delegate_of(NEW.approved_on_behalf_of) THEN
+        RAISE EXCEPTION '代理の期間外のため代理として承認・却下できません';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ステップの履歴に代理元の承認者も記録する（25 の関数を置き換え）
+CREATE OR REPLACE FUNCTION public.record_approval_step()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status = 'pending'
+        AND (NEW.status IN ('approved', 'rejected') OR NEW.current_step > OLD.current_step) THEN
+        INSERT INTO approval_step_logs (approval_id, step_number, step_name, action, approver_id, on_behalf_of, comment)
+        VALUES (
+            NEW.id,
+            OLD.current_step,
+            COALESCE(OLD.route_steps -> (OLD.current_step - 1) ->> 'name', '承認'),
+            CASE WHEN NEW.status = 'rejected' THEN 'rejected' ELSE 'approved' END,
+            auth.uid(),
+            NEW.approved_on_behalf_of,
+            CASE WHEN NEW.status = 'rejected' THEN NEW.rejection_reason END
+        );
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 代理の承認者は代理元の承認者として操作を記録可能（記録はトリガーが行うため作成のポリシーは設けない）
+DROP POLICY IF EXISTS "Approvers can insert own approval step logs" ON approval_step_logs;
@@ -81,6 +81,7 @@ async function createUser(userData) {
             .update({
                 name: userData.name,
                 department: userData.department,
+                hire_date: userData.hireDate || null,
                 is_approver: userData.isApprover || false,
                 is_admin: userData.isAdmin || false
             })
@@ -95,6 +96,7 @@ async function createUser(userData) {
                     email: userData.email,
                     name: userData.name,
                     department: userData.department,
+                    hire_date: userData.hireDate || null,
                     is_approver: userData.isApprover || false,
                     is_admin: userData.isAdmin || false
                 });
@@ -132,6 +134,7 @@ async function updateUserProfile(userId, profileData) {
             .update({
                 name: profileData.name,
                 department: profileData.department,
+                hire_date: profileData.hireDate || null,
                 is_approver: profileData.isApprover || false,
                 is_admin: profileData.isAdmin || false,
                 updated_at: new Date().toISOString()
@@ -296,3 +296,29 @@ async function changeHolidayYear(delta) {
 function getHolidayForDate(dateStr) {
     return annualHolidays.find(h => h.holiday_date === dateStr) || null;
 }
+
+/**
+ * 期間内の年間休日設定を取得する
+ * 変形労働時間制の所定労働日の判定に使用する
+ * @param {string} userId - ユーザーID
+ * @param {string} startDate - 開始日 (YYYY-MM-DD形式)
+ * @param {string} endDate - 終了日 (YYYY-MM-DD形式)
+ * @returns {Array} 休日設定の配列
+ */
+async function getAnnualHolidaysInRange(userId, startDate, endDate) {
+    try {
+        const { data, error } = await getSupabaseClient()
+            .from('annual_holidays')
+            .select('*')
+            .eq('user_id', userId)
+            .gte('holiday_date', startDate)
+            .lte('holiday_date', endDate)
+            .order('holiday_date');
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        console.error('年間休日の読み込みエラー:', error);
+        return [];
+    }
+}
@@ -12,6 +12,29 @@ let currentYear = new Date().getFullYear();
 let currentMonth = new Date().getMonth() + 1;
 let monthlySettings = null;
 let dailyRecords = [];
+let weeklyCarryOver = null;  // 月をまたぐ週の前月分労働時間（週40時間判定用）
+let overtimeLimitCheck = null;  // 36協定の上限チェック結果
+let roundingRules = null;  // 組織設定の時間の丸めルール
+let flextimeSettlement = null;  // フレックスタイム制の清算結果
+let variableSettlement = null;  // 変形労働時間制の変形期間の精算結果
+let leaveRequests = [];  // 自分の休暇申請
+let workTypes = DEFAULT_WORK_TYPES;  // 勤務種類マスタ
+let leaveTypes = DEFAULT_LEAVE_TYPES;  // 休暇種類マスタ
+let workPatternLibrary = [];  // 勤務パターンライブラリ（組織共通と自分のパターン）
+let monthlyPatterns = [];  // 月間設定フォームで編集中の勤務パターン
+let shiftPlans = [];  // 当月のシフト計画
+let rosterUsers = [];  // シフト表の対象とするユーザー
+let teamRoster = null;  // 承認者が編集中のシフト表
+let punchLogs = [];  // 当月の打刻
+let recentPunches = [];  // 前日・当日の打刻（打刻ボタンの状態に使用）
+let recordCorrections = [];  // 当月の勤務記録の修正履歴
+let auditLogUsers = [];  // 変更履歴の対象ユーザー・変更者の表示に使用するユーザー
+let approvalRoutes = [];  // 承認ルート
+let approvalRouteUsers = [];  // 承認ルートの所属・承認者の選択肢に使用するユーザー
+let approvalRouteSteps = [];  // 承認ルートのモーダルで編集中のステップ
+let approverAssignments = [];  // 承認者の担当
+let approverAssignmentUsers = [];  // 承認者の担当の承認者・所属・社員の選択肢に使用するユーザー
+let approvalDelegations = [];  // 自分が指定した代理と自分への代理
 let isEditable = true;
 
 /**
@@ -40,7 +63,13 @@ async function initApp() {
     updateMonthDisplay();
     setupEventListeners();
     await checkPermissions();
+    roundingRules = getRoundingRules(await getOrganizationSettings());
+    ({ workTypes, leaveTypes } = await getAttendanceTypes());
+    await loadWorkPatternLibrary();
     await loadMonthData();
+    await loadPunchPanel();
+    updatePunchClock();
+    setInterval(updatePunchClock, 1000);
 
     // パスワード変更チェック
     initPasswordChange();
@@ -114,17 +143,43 @@ function setupEventListeners() {
         });
     });
 
+    // 打刻
+    document.querySelectorAll('.punch-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            await punchClock(e.target.dataset.punchType);
+        });
+    });
+
     // 月間設定フォーム
     document.getElementById('monthly-settings-form')?.addEventListener('submit', async (e) => {
         e.preventDefault();
         await saveMonthlySettingsForm();
     });
 
+    // 労働時間制度の切り替え
+    document.getElementById('working-time-system')?.addEventListener('change', toggleWorkingTimeSystemSettings);
+
     // 前月コピー
     document.getElementById('copy-previous')?.addEventListener('click', async () => {
         await copyPreviousMonthSettings();
     });
 
+    // 月間設定の勤務パターンの追加・削除
+    document.getElementById('add-monthly-pattern')?.addEventListener('click', addMonthlyPattern);
+    document.getElementById('remove-monthly-pattern')?.addEventListener('click', removeMonthlyPattern);
+
+    // 勤務パターンライブラリ
+    document.getElementById('add-work-pattern-btn')?.addEventListener('click', () => {
+        openWorkPatternModal();
+    });
+    document.getElementById('close-work-pattern-modal')?.addEventListener('click', closeWorkPatternModal);
+    document.getElementById('cancel-work-pattern')?.addEventListener('click', closeWorkPatternModal);
+
+    document.getElementById('work-pattern-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveWorkPatternForm();
+    });
+
     // 日毎入力モーダル
     document.getElementById('close-daily-modal')?.addEventListener('click', closeDailyModal);
     document.getElementById('cancel-daily')?.addEventListener('click', closeDailyModal);
@@ -134,22 +189,83 @@ function setupEventListeners() {
         await saveDailyRecordForm();
     });
 
-    // 勤務種類変更時のアラート表示
+    // 勤務種類・休暇種類変更時のアラート表示
     document.getElementById('work-type')?.addEventListener('change', checkNoteAlert);
+    document.getElementById('leave-type')?.addEventListener('change', checkNoteAlert);
     document.getElementById('note')?.addEventListener('input', checkNoteAlert);
 
     // 出退勤時刻変更時の自動計算
     document.getElementById('start-time')?.addEventListener('change', calculateTimesFromInput);
     document.getElementById('end-time')?.addEventListener('change', calculateTimesFromInput);
+    document.getElementById('end-next-day')?.addEventListener('change', calculateTimesFromInput);
+
+    // 振替休日・代休の指定
+    document.getElementById('work-type')?.addEventListener('change', toggleSubstituteFields);
+    document.getElementById('substitute-type')?.addEventListener('change', toggleSubstituteFields);
+
+    // 休暇の取得単位変更時の自動計算
+    document.getElementById('leave-type')?.addEventListener('change', toggleLeaveHours);
+    document.getElementById('leave-unit')?.addEventListener('change', toggleLeaveHours);
+    document.getElementById('leave-hours')?.addEventListener('change', calculateTimesFromInput);
+
+    // 実績休憩の入力
+    document.getElementById('use-actual-breaks')?.addEventListener('change', toggleActualBreaks);
+    document.querySelectorAll('#actual-breaks input[type="time"]').forEach(input => {
+        input.addEventListener('change', calculateTimesFromInput);
+    });
+
+    // 出退勤時刻・実績休憩の修正理由
+    document.querySelectorAll('#start-time, #end-time, #end-next-day, #use-actual-breaks, #actual-breaks input[type="time"]').forEach(input => {
+        input.addEventListener('change', updateCorrectionReasonVisibility);
+    });
+
+    // 変更履歴の検索
+    document.getElementById('load-audit-logs')?.addEventListener('click', loadAuditLogs);
 
     // CSV出力
     document.getElementById('export-csv')?.addEventListener('click', exportToCSV);
 
+    // シフト計画
+    document.getElementById('edit-shift-plan')?.addEventListener('click', openShiftPlanModal);
+    document.getElementById('close-shift-plan-modal')?.addEventListener('click', closeShiftPlanModal);
+    document.getElementById('cancel-shift-plan')?.addEventListener('click', closeShiftPlanModal);
+    document.getElementById('shift-plan-user')?.addEventListener('change', (e) => {
+        loadShiftPlanForm(e.target.value);
+    });
+
+    document.getElementById('shift-plan-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveShiftPlanForm();
+    });
+
+    // チームのシフト表
+    document.getElementById('load-roster')?.addEventListener('click', loadTeamRoster);
+    document.getElementById('roster-fill-calendar')?.addEventListener('click', fillTeamRosterFromCalendar);
+    document.getElementById('roster-copy-week-btn')?.addEventListener('click', copyTeamRosterWeek);
+    document.getElementById('roster-copy-month')?.addEventListener('click', copyTeamRosterFromPreviousMonth);
+    document.getElementById('roster-save-draft')?.addEventListener('click', async () => {
+        await saveTeamRoster(false);
+    });
+    document.getElementById('roster-publish')?.addEventListener('click', async () => {
+        await saveTeamRoster(true);
+    });
+
     // 承認申請
     document.getElementById('request-approval')?.addEventListener('click', async () => {
         await submitApprovalRequest();
     });
 
+    // 休暇申請
+    document.getElementById('add-leave-request')?.addEventListener('click', openLeaveRequestModal);
+    document.getElementById('close-leave-request-modal')?.addEventListener('click', closeLeaveRequestModal);
+    document.getElementById('cancel-leave-request')?.addEventListener('click', closeLeaveRequestModal);
+    document.getElementById('leave-request-unit')?.addEventListener('change', updateLeaveRequestHoursVisibility);
+
+    document.getElementById('leave-request-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveLeaveRequestForm();
+    });
+
     // ユーザー管理モーダル
     document.getElementById('add-user-btn')?.addEventListener('click', () => {
         openUserModal();
@@ -163,6 +279,47 @@ function setupEventListeners() {
         await saveUserForm();
     });
 
+    // 勤務種類・休暇種類マスタ
+    document.querySelectorAll('.add-attendance-type-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            openAttendanceTypeModal(e.target.dataset.kind);
+        });
+    });
+    document.getElementById('close-attendance-type-modal')?.addEventListener('click', closeAttendanceTypeModal);
+    document.getElementById('cancel-attendance-type')?.addEventListener('click', closeAttendanceTypeModal);
+
+    document.getElementById('attendance-type-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveAttendanceTypeForm();
+    });
+
+    // 承認ルート
+    document.getElementById('add-approval-route-btn')?.addEventListener('click', () => {
+        openApprovalRouteModal();
+    });
+    document.getElementById('close-approval-route-modal')?.addEventListener('click', closeApprovalRouteModal);
+    document.getElementById('cancel-approval-route')?.addEventListener('click', closeApprovalRouteModal);
+    document.getElementById('add-approval-route-step')?.addEventListener('click', addApprovalRouteStep);
+    document.getElementById('remove-approval-route-step')?.addEventListener('click', removeApprovalRouteStep);
+
+    document.getElementById('approval-route-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveApprovalRouteForm();
+    });
+
+    // 承認の代理
+    document.getElementById('add-approval-delegation')?.addEventListener('click', addApprovalDelegation);
+
+    // 承認者の担当
+    document.getElementById('assignment-type')?.addEventListener('change', renderApproverAssignmentTargets);
+    document.getElementById('add-approver-assignment')?.addEventListener('click', addApproverAssignment);
+
+    // 組織設定フォーム
+    document.getElementById('organization-settings-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveOrganizationSettingsForm();
+    });
+
     // 年間休日設定
     document.getElementById('prev-holiday-year')?.addEventListener('click', () => {
         changeHolidayYear(-1);
@@ -193,6 +350,11 @@ function setupEventListeners() {
 
     document.getElementById('new-password')?.addEventListener('input', checkPasswordStrength);
 
+    // 年次有給休暇管理簿の出力
+    document.querySelectorAll('.export-paid-leave-register').forEach(btn => {
+        btn.addEventListener('click', exportPaidLeaveRegister);
+    });
+
     // システムチェック
     document.getElementById('system-check-btn')?.addEventListener('click', runSystemCheck);
     document.getElementById('close-system-check-modal')?.addEventListener('click', closeSystemCheckModal);
@@ -244,8 +406,18 @@ function switchTab(tabName) {
     // タブごとのデータ読み込み
     if (tabName === 'approval') {
         loadApprovalList();
+        loadApprovalDelegationList();
+        loadTeamRosterDepartments();
+        loadLeaveRequestApprovalList();
+        loadMandatoryLeaveReport();
     } else if (tabName === 'admin') {
         loadUserList();
+        loadPaidLeaveBalanceList();
+        loadAttendanceTypeList();
+        loadOrganizationSettingsForm();
+        loadApprovalRouteList();
+        loadApproverAssignmentList();
+        loadAuditLogFilters();
     } else if (tabName === 'annual-holidays') {
         initAnnualHolidays();
     }
@@ -263,6 +435,28 @@ async function loadMonthData() {
     // 日毎記録取得
     dailyRecords = await getDailyRecords(currentUser.id, currentYear, currentMonth);
 
+    // 月をまたぐ週の前月分労働時間を取得
+    weeklyCarryOver = await loadWeeklyCarryOver();
+
+    // フレックスタイム制・変形労働時間制の精算結果を取得
+    await loadWorkingTimeSettlements();
+
+    // 休暇申請取得
+    leaveRequests = await getLeaveRequests(currentUser.id);
+
+    // シフト計画取得
+    shiftPlans = await getShiftPlans(currentUser.id, currentYear, currentMonth);
+
+    // 打刻取得
+    punchLogs = await getPunchLogs(
+        currentUser.id,
+        formatDateString(currentYear, currentMonth, 1),
+        formatDateString(currentYear, currentMonth, getDaysInMonth(currentYear, currentMonth))
+    );
+
+    // 修正履歴取得
+    recordCorrections = await getRecordCorrections(currentUser.id, currentYear, currentMonth);
+
     // 承認状態確認
     isEditable = await isMonthEditable(currentUser.id, currentYear, currentMonth);
 
@@ -271,6 +465,57 @@ async function loadMonthData() {
     updateMonthlySettingsForm();
     renderTimecardTable();
     updateSummary();
+    updateOvertimeLimitDisplay();
+    updatePaidLeaveBalanceDisplay();
+    updateSubstituteBalanceDisplay();
+    renderLeaveRequestList();
+}
+
+/**
+ * 月初の週について前月分の労働時間を読み込む
+ * 週40時間の判定を月をまたいで行うために使用する
+ * @returns {Object} 前月から引き継ぐ週の労働時間 {weekStart: string, minutes: number}
+ */
+async function loadWeeklyCarryOver() {
+    let prevYear = currentYear;
+    let prevMonth = currentMonth - 1;
+
+    if (prevMonth < 1) {
+        prevMonth = 12;
+        prevYear -= 1;
+    }
+
+    const prevSettings = await getMonthlySettings(currentUser.id, prevYear, prevMonth);
+    const prevRecords = await getDailyRecords(currentUser.id, prevYear, prevMonth);
+
+    return calculateWeeklyCarryOver(prevRecords, prevSettings, currentYear, currentMonth, { roundingRules });
+}
+
+/**
+ * フレックスタイム制・変形労働時間制の精算結果を読み込む
+ * 該当しない労働時間制度の場合はnullとなる
+ */
+async function loadWorkingTimeSettlements() {
+    flextimeSettlement = await getFlextimeSettlement(currentUser.id, currentYear, currentMonth, roundingRules);
+    variableSettlement = await getVariablePeriodSettlement(currentUser.id, currentYear, currentMonth, roundingRules);
+}
+
+/**
+ * 集計関数に渡すオプションを取得する
+ * @returns {Object} オプション（calculateDailyBreakdowns・calculateMonthlySummary を参照）
+ */
+function getCalculationOptions() {
+    return {
+        weeklyCarryOver,
+        roundingRules,
+        flextimeSettlement,
+        variableSettlement,
+        workTypes,
+        leaveTypes,
+        scheduledMinutes: variableSettlement
+            ? variableSettlement.months[variableSettlement.targetIndex].scheduledByDate
+            : null
+    };
 }
 
 /**
@@ -286,7 +531,8 @@ async function updateApprovalStatusDisplay() {
         statusEl.textContent = '';
         statusEl.className = 'approval-status';
     } else {
-        statusEl.textContent = getApprovalStatusLabel(approval.status);
+        const stepLabel = approval.status === 'pending' ? `（${formatApprovalStepLabel(approval)}）` : '';
+        statusEl.textContent = getApprovalStatusLabel(approval.status) + stepLabel;
         statusEl.className = `approval-status ${getApprovalStatusClass(approval.status)}`;
     }
 
@@ -298,6 +544,134 @@ async function updateApprovalStatusDisplay() {
     }
 }
 
+/**
+ * 打刻欄の現在時刻を更新する
+ */
+function updatePunchClock() {
+    const clock = document.getElementById('punch-current-time');
+    if (clock) {
+        clock.textContent = new Date().toLocaleTimeString('ja-JP');
+    }
+}
+
+/**
+ * 前日・当日の打刻を読み込む
+ */
+async function loadPunchPanel() {
+    const today = getPunchToday();
+    recentPunches = await getPunchLogs(currentUser.id, addDaysToDate(today, -1), today);
+    renderPunchPanel();
+}
+
+/**
+ * 打刻欄（状態・打刻ボタン・打刻の一覧）を描画する
+ */
+function renderPunchPanel() {
+    const status = document.getElementById('punch-status');
+    if (!status) return;
+
+    const today = getPunchToday();
+    const workDate = getPunchWorkDate(recentPunches, today, PUNCH_TYPE.CLOCK_OUT);
+    const punches = getWorkDatePunches(recentPunches, workDate);
+    const stateLabels = {
+        [PUNCH_STATE.BEFORE_WORK]: '出勤前',
+        [PUNCH_STATE.WORKING]: '勤務中',
+        [PUNCH_STATE.ON_BREAK]: '休憩中',
+        [PUNCH_STATE.FINISHED]: '退勤済み'
+    };
+    const date = parseDateString(workDate);
+    status.textContent = `${date.getMonth() + 1}月${date.getDate()}日の勤務: ${stateLabels[getPunchState(punches)]}`;
+
+    // 打刻できない種類のボタンは無効にする（出勤は当日の勤務として判定）
+    document.querySelectorAll('.punch-btn').forEach(btn => {
+        const punchType = btn.dataset.punchType;
+        const targetPunches = getWorkDatePunches(recentPunches, getPunchWorkDate(recentPunches, today, punchType));
+        btn.disabled = validatePunch(targetPunches, punchType) !== null;
+    });
+
+    document.getElementById('punch-log-list').textContent = punches
+        .map(punch => `${PUNCH_TYPE_LABELS[punch.punch_type]} ${formatPunchTime(punch.punched_at)}`)
+        .join(' / ');
+}
+
+/**
+ * 打刻し、勤務日の日毎の勤務記録に反映する
+ * 反映先の勤務表を表示するため、勤務日の月を表示月にする
+ * @param {string} punchType - 打刻の種類
+ */
+async function punchClock(punchType) {
+    const today = getPunchToday();
+    recentPunches = await getPunchLogs(currentUser.id, addDaysToDate(today, -1), today);
+
+    const workDate = getPunchWorkDate(recentPunches, today, punchType);
+    const punchError = validatePunch(getWorkDatePunches(recentPunches, workDate), punchType);
+    if (punchError) {
+        showToast(punchError, 'error');
+        renderPunchPanel();
+        return;
+    }
+
+    const [year, month] = workDate.split('-').map(Number);
+    if (year !== currentYear || month !== currentMonth) {
+        currentYear = year;
+        currentMonth = month;
+        updateMonthDisplay();
+        await loadMonthData();
+    }
+
+    if (!isEditable) {
+        showToast('承認済みのため打刻できません', 'error');
+        return;
+    }
+
+    const result = await recordPunch(currentUser.id, workDate, punchType);
+    if (!result.success) {
+        showToast(result.message, 'error');
+        return;
+    }
+
+    recentPunches.push(result.punch);
+    const saveResult = await savePunchedRecord(workDate, getWorkDatePunches(recentPunches, workDate));
+
+    if (saveResult.success) {
+        showToast(result.message, 'success');
+    } else {
+        showToast(saveResult.message, 'error');
+    }
+
+    await loadMonthData();
+    renderPunchPanel();
+}
+
+/**
+ * 打刻から求めた出退勤時刻・実績休憩で日毎の勤務記録を保存する
+ * 記録がない日は予定の勤務パターン（シフト計画がない場合はパターン1）の勤務として作成する
+ * @param {string} workDate - 勤務日 (YYYY-MM-DD形式)
+ * @param {Array} punches - 勤務日の打刻の配列（時刻順）
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function savePunchedRecord(workDate, punches) {
+    const plan = findShiftPlan(shiftPlans, workDate);
+    const existing = dailyRecords.find(r => r.work_date === workDate) || {
+        work_type: 'work',
+        work_pattern: plan?.plan_type === SHIFT_PLAN_TYPE.WORK ? plan.work_pattern || 1 : 1
+    };
+    const { id, created_at, updated_at, ...values } = existing;
+    const record = applyPunchesToRecord({ ...values, user_id: currentUser.id }, punches, workDate);
+
+    // 退勤後は遅刻・早退・残業・深夜残業時間を計算する
+    if (record.start_time && record.end_time && monthlySettings
+        && !checkEndTimeOrder(record.start_time, record.end_time, record.end_next_day)) {
+        const { lateTime, earlyLeaveTime, overtime } = calculateRecordTimes(record);
+        record.late_time = lateTime;
+        record.early_leave_time = earlyLeaveTime;
+        record.overtime = overtime;
+        record.night_overtime = calculateRecordNightTime(record, monthlySettings, roundingRules);
+    }
+
+    return await saveDailyRecord(record);
+}
+
 /**
  * 月間設定フォームを更新する
  */
@@ -306,6 +680,8 @@ function updateMonthlySettingsForm() {
         // デフォルト値を設定
         document.getElementById('employee-name').value = currentProfile.name || '';
         document.getElementById('department').value = currentProfile.department || '';
+        setWorkingTimeSystemForm(null);
+        setMonthlyPatterns(null);
         return;
     }
 
@@ -316,35 +692,11 @@ function updateMonthlySettingsForm() {
     document.getElementById('department').value = monthlySettings.department || '';
     document.getElementById('standard-hours').value = monthlySettings.standard_hours || 8;
 
-    // パターン1
-    document.getElementById('pattern1-start').value = monthlySettings.pattern1_start || '09:00';
-    document.getElementById('pattern1-end').value = monthlySettings.pattern1_end || '18:00';
-    document.getElementById('pattern1-break1-start').value = monthlySettings.pattern1_break1_start || '12:00';
-    document.getElementById('pattern1-break1-end').value = monthlySettings.pattern1_break1_end || '13:00';
-    document.getElementById('pattern1-break2-start').value = monthlySettings.pattern1_break2_start || '';
-    document.getElementById('pattern1-break2-end').value = monthlySettings.pattern1_break2_end || '';
-    document.getElementById('pattern1-break3-start').value = monthlySettings.pattern1_break3_start || '';
-    document.getElementById('pattern1-break3-end').value = monthlySettings.pattern1_break3_end || '';
-
-    // パターン2
-    document.getElementById('pattern2-start').value = monthlySettings.pattern2_start || '';
-    document.getElementById('pattern2-end').value = monthlySettings.pattern2_end || '';
-    document.getElementById('pattern2-break1-start').value = monthlySettings.pattern2_break1_start || '';
-    document.getElementById('pattern2-break1-end').value = monthlySettings.pattern2_break1_end || '';
-    document.getElementById('pattern2-break2-start').value = monthlySettings.pattern2_break2_start || '';
-    document.getElementById('pattern2-break2-end').value = monthlySettings.pattern2_break2_end || '';
-    document.getElementById('pattern2-break3-start').value = monthlySettings.pattern2_break3_start || '';
-    document.getElementById('pattern2-break3-end').value = monthlySettings.pattern2_break3_end || '';
-
-    // パターン3
-    document.getElementById('pattern3-start').value = monthlySettings.pattern3_start || '';
-    document.getElementById('pattern3-end').value = monthlySettings.pattern3_end || '';
-    document.getElementById('pattern3-break1-start').value = monthlySettings.pattern3_break1_start || '';
-    document.getElementById('pattern3-break1-end').value = monthlySettings.pattern3_break1_end || '';
-    document.getElementById('pattern3-break2-start').value = monthlySettings.pattern3_break2_start || '';
-    document.getElementById('pattern3-break2-end').value = monthlySettings.pattern3_break2_end || '';
-    document.getElementById('pattern3-break3-start').value = monthlySettings.pattern3_break3_start || '';
-    document.getElementById('pattern3-break3-end').value = monthlySettings.pattern3_break3_end || '';
+    // 労働時間制度
+    setWorkingTimeSystemForm(monthlySettings);
+
+    // 勤務パターン
+    setMonthlyPatterns(monthlySettings);
 }
 
 /**
@@ -356,6 +708,12 @@ async function saveMonthlySettingsForm() {
         return;
     }
 
+    const patternError = validateSettingsPatterns(monthlyPatterns, dailyRecords);
+    if (patternError) {
+        showToast(patternError, 'error');
+        return;
+    }
+
     const settings = {
         user_id: currentUser.id,
         year: currentYear,
@@ -364,35 +722,11 @@ async function saveMonthlySettingsForm() {
         department: document.getElementById('department').value,
         standard_hours: parseFloat(document.getElementById('standard-hours').value) || 8,
 
-        // パターン1
-        pattern1_start: document.getElementById('pattern1-start').value || null,
-        pattern1_end: document.getElementById('pattern1-end').value || null,
-        pattern1_break1_start: document.getElementById('pattern1-break1-start').value || null,
-        pattern1_break1_end: document.getElementById('pattern1-break1-end').value || null,
-        pattern1_break2_start: document.getElementById('pattern1-break2-start').value || null,
-        pattern1_break2_end: document.getElementById('pattern1-break2-end').value || null,
-        pattern1_break3_start: document.getElementById('pattern1-break3-start').value || null,
-        pattern1_break3_end: document.getElementById('pattern1-break3-end').value || null,
-
-        // パターン2
-        pattern2_start: document.getElementById('pattern2-start').value || null,
-        pattern2_end: document.getElementById('pattern2-end').value || null,
-        pattern2_break1_start: document.getElementById('pattern2-break1-start').value || null,
-        pattern2_break1_end: document.getElementById('pattern2-break1-end').value || null,
-        pattern2_break2_start: document.getElementById('pattern2-break2-start').value || null,
-        pattern2_break2_end: document.getElementById('pattern2-break2-end').value || null,
-        pattern2_break3_start: document.getElementById('pattern2-break3-start').value || null,
-        pattern2_break3_end: document.getElementById('pattern2-break3-end').value || null,
-
-        // パターン3
-        pattern3_start: document.getElementById('pattern3-start').value || null,
-        pattern3_end: document.getElementById('pattern3-end').value || null,
-        pattern3_break1_start: document.getElementById('pattern3-break1-start').value || null,
-        pattern3_break1_end: document.getElementById('pattern3-break1-end').value || null,
-        pattern3_break2_start: document.getElementById('pattern3-break2-start').value || null,
-        pattern3_break2_end: document.getElementById('pattern3-break2-end').value || null,
-        pattern3_break3_start: document.getElementById('pattern3-break3-start').value || null,
-        pattern3_break3_end: document.getElementById('pattern3-break3-end').value || null
+        // 勤務パターン（ライブラリから選んだパターンの内容を当月の設定として保持する）
+        patterns: monthlyPatterns,
+
+        // 労働時間制度
+        ...getWorkingTimeSystemFromForm()
     };
 
     const result = await saveMonthlySettings(settings);
@@ -400,6 +734,281 @@ async function saveMonthlySettingsForm() {
     if (result.success) {
         showToast(result.message, 'success');
         monthlySettings = settings;
+
+        // 労働時間制度の変更を集計に反映
+        await loadWorkingTimeSettlements();
+        renderTimecardTable();
+        updateSummary();
+    } else {
+        showToast(result.message, 'error');
+    }
+}
+
+/**
+ * 労働時間制度の入力欄を設定する
+ * @param {Object|null} settings - 月間設定
+ */
+function setWorkingTimeSystemForm(settings) {
+    document.getElementById('working-time-system').value = settings?.working_time_system || WORKING_TIME_SYSTEM.FIXED;
+    document.getElementById('flex-core-start').value = (settings?.flex_core_start || '').substring(0, 5);
+    document.getElementById('flex-core-end').value = (settings?.flex_core_end || '').substring(0, 5);
+    document.getElementById('flex-band-start').value = (settings?.flex_band_start || '').substring(0, 5);
+    document.getElementById('flex-band-end').value = (settings?.flex_band_end || '').substring(0, 5);
+    document.getElementById('flex-settlement-months').value = settings?.flex_settlement_months || 1;
+    document.getElementById('flex-settlement-start-month').value = settings?.flex_settlement_start_month || 1;
+    document.getElementById('flex-required-hours').value = settings?.flex_required_hours || '';
+    document.getElementById('variable-period-start-month').value = settings?.variable_period_start_month || 4;
+    toggleWorkingTimeSystemSettings();
+}
+
+/**
+ * 労働時間制度の入力欄を取得する
+ * @returns {Object} 労働時間制度の設定（working_time_system, flex_*, variable_*）
+ */
+function getWorkingTimeSystemFromForm() {
+    return {
+        working_time_system: document.getElementById('working-time-system').value,
+        flex_core_start: document.getElementById('flex-core-start').value || null,
+        flex_core_end: document.getElementById('flex-core-end').value || null,
+        flex_band_start: document.getElementById('flex-band-start').value || null,
+        flex_band_end: document.getElementById('flex-band-end').value || null,
+        flex_settlement_months: parseInt(document.getElementById('flex-settlement-months').value) || 1,
+        flex_settlement_start_month: parseInt(document.getElementById('flex-settlement-start-month').value) || 1,
+        flex_required_hours: parseFloat(document.getElementById('flex-required-hours').value) || null,
+        variable_period_start_month: parseInt(document.getElementById('variable-period-start-month').value) || 4
+    };
+}
+
+/**
+ * 労働時間制度に応じて入力欄の表示を切り替える
+ */
+function toggleWorkingTimeSystemSettings() {
+    const system = document.getElementById('working-time-system').value;
+    document.getElementById('flextime-settings').style.display = system === WORKING_TIME_SYSTEM.FLEXTIME ? 'block' : 'none';
+    document.getElementById('variable-hours-settings').style.display = system === WORKING_TIME_SYSTEM.VARIABLE_YEARLY ? 'block' : 'none';
+}
+
+/**
+ * 月間設定フォームの勤務パターンを設定する
+ * @param {Object|null} settings - 月間設定
+ */
+function setMonthlyPatterns(settings) {
+    monthlyPatterns = getSettingsPatterns(settings).map(pattern => ({ ...pattern }));
+    renderMonthlyPatterns();
+}
+
+/**
+ * 月間設定フォームの勤務パターンを描画する
+ * 各パターン番号でライブラリのパターンを選択し、未選択の場合は現在の設定を維持する
+ */
+function renderMonthlyPatterns() {
+    const container = document.getElementById('monthly-patterns');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    monthlyPatterns.forEach((pattern, index) => {
+        const row = document.createElement('div');
+        row.className = 'form-group';
+        row.innerHTML = `
+            <label for="monthly-pattern-${index + 1}">パターン${index + 1}</label>
+            <select id="monthly-pattern-${index + 1}" data-index="${index}"></select>
+            <small>${formatWorkPatternTime(pattern)}</small>
+        `;
+
+        const select = row.querySelector('select');
+        select.appendChild(new Option(`${pattern.name}（現在の設定）`, ''));
+        for (const libraryPattern of workPatternLibrary) {
+            const scopeLabel = getWorkPatternScope(libraryPattern) === WORK_PATTERN_SCOPE.ORGANIZATION ? '組織' : '個人';
+            select.appendChild(new Option(`[${scopeLabel}] ${libraryPattern.name}（${formatWorkPatternTime(toSettingsPattern(libraryPattern))}）`, libraryPattern.id));
+        }
+        select.disabled = !isEditable;
+
+        select.addEventListener('change', (e) => {
+            const libraryPattern = workPatternLibrary.find(p => p.id === e.target.value);
+            if (libraryPattern) {
+                monthlyPatterns[index] = toSettingsPattern(libraryPattern);
+                renderMonthlyPatterns();
+            }
+        });
+
+        container.appendChild(row);
+    });
+
+    document.getElementById('add-monthly-pattern').disabled = !isEditable || monthlyPatterns.length >= WORK_PATTERN_LIMIT;
+    document.getElementById('remove-monthly-pattern').disabled = !isEditable || monthlyPatterns.length <= 1;
+}
+
+/**
+ * 月間設定に勤務パターンを追加する
+ * ライブラリの先頭のパターンを初期値とする
+ */
+function addMonthlyPattern() {
+    if (monthlyPatterns.length >= WORK_PATTERN_LIMIT) {
+        showToast(`勤務パターンは${WORK_PATTERN_LIMIT}件まで設定できます`, 'error');
+        return;
+    }
+
+    monthlyPatterns.push(workPatternLibrary.length > 0
+        ? toSettingsPattern(workPatternLibrary[0])
+        : { ...DEFAULT_WORK_PATTERN, name: `パターン${monthlyPatterns.length + 1}` });
+    renderMonthlyPatterns();
+}
+
+/**
+ * 月間設定の最後の勤務パターンを削除する
+ * 日毎の勤務記録で使用しているパターン番号は削除できない
+ */
+function removeMonthlyPattern() {
+    const patterns = monthlyPatterns.slice(0, -1);
+    const error = validateSettingsPatterns(patterns, dailyRecords);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+
+    monthlyPatterns = patterns;
+    renderMonthlyPatterns();
+}
+
+/**
+ * 勤務パターンライブラリを読み込む
+ */
+async function loadWorkPatternLibrary() {
+    workPatternLibrary = await getWorkPatterns(currentUser.id);
+    renderWorkPatternLibrary();
+}
+
+/**
+ * 勤務パターンライブラリの一覧を描画する
+ * 組織共通のパターンは管理者のみ編集・削除できる
+ */
+function renderWorkPatternLibrary() {
+    const tbody = document.getElementById('work-patterns-body');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+
+    if (workPatternLibrary.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4">登録されている勤務パターンはありません</td></tr>';
+        return;
+    }
+
+    for (const libraryPattern of workPatternLibrary) {
+        const isOrganization = getWorkPatternScope(libraryPattern) === WORK_PATTERN_SCOPE.ORGANIZATION;
+        const canEdit = !isOrganization || currentProfile?.is_admin;
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${isOrganization ? '組織共通' : '個人'}</td>
+            <td>${libraryPattern.name}</td>
+            <td>${formatWorkPatternTime(toSettingsPattern(libraryPattern))}</td>
+            <td>
+                ${canEdit ? `
+                    <button class="btn btn-small btn-primary edit-work-pattern-btn" data-id="${libraryPattern.id}">編集</button>
+                    <button class="btn btn-small btn-danger delete-work-pattern-btn" data-id="${libraryPattern.id}">削除</button>
+                ` : '-'}
+            </td>
+        `;
+
+        tbody.appendChild(tr);
+    }
+
+    // 編集ボタンイベント
+    tbody.querySelectorAll('.edit-work-pattern-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const libraryPattern = workPatternLibrary.find(p => p.id === e.target.dataset.id);
+            if (libraryPattern) {
+                openWorkPatternModal(libraryPattern);
+            }
+        });
+    });
+
+    // 削除ボタンイベント
+    tbody.querySelectorAll('.delete-work-pattern-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const libraryPattern = workPatternLibrary.find(p => p.id === e.target.dataset.id);
+            if (libraryPattern && confirm(`勤務パターン「${libraryPattern.name}」を削除しますか？`)) {
+                const result = await deleteWorkPattern(libraryPattern.id);
+                showToast(result.message, result.success ? 'success' : 'error');
+                await loadWorkPatternLibrary();
+                renderMonthlyPatterns();
+            }
+        });
+    });
+}
+
+/**
+ * 勤務パターンの追加/編集モーダルを開く
+ * @param {Object|null} libraryPattern - 編集する勤務パターン（追加の場合はnull）
+ */
+function openWorkPatternModal(libraryPattern = null) {
+    const modal = document.getElementById('work-pattern-modal');
+    if (!modal) return;
+
+    const pattern = libraryPattern ? toSettingsPattern(libraryPattern) : { ...DEFAULT_WORK_PATTERN, name: '' };
+    const scopeSelect = document.getElementById('work-pattern-scope');
+
+    document.getElementById('work-pattern-modal-title').textContent = `勤務パターンの${libraryPattern ? '編集' : '追加'}`;
+    document.getElementById('work-pattern-id').value = libraryPattern ? libraryPattern.id : '';
+    document.getElementById('work-pattern-name').value = pattern.name;
+    document.getElementById('work-pattern-sort-order').value = libraryPattern ? libraryPattern.sort_order ?? 100 : 100;
+    document.getElementById('work-pattern-start').value = pattern.start || '';
+    document.getElementById('work-pattern-end').value = pattern.end || '';
+    for (let i = 1; i <= 3; i++) {
+        document.getElementById(`work-pattern-break${i}-start`).value = pattern[`break${i}_start`] || '';
+        document.getElementById(`work-pattern-break${i}-end`).value = pattern[`break${i}_end`] || '';
+    }
+
+    // 組織共通のパターンは管理者のみ登録できる（区分は登録後に変更しない）
+    scopeSelect.value = libraryPattern ? getWorkPatternScope(libraryPattern) : WORK_PATTERN_SCOPE.PERSONAL;
+    scopeSelect.querySelector(`option[value="${WORK_PATTERN_SCOPE.ORGANIZATION}"]`).disabled = !currentProfile?.is_admin;
+    scopeSelect.disabled = Boolean(libraryPattern);
+
+    modal.style.display = 'flex';
+}
+
+/**
+ * 勤務パターンの追加/編集モーダルを閉じる
+ */
+function closeWorkPatternModal() {
+    const modal = document.getElementById('work-pattern-modal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * 勤務パターンフォームを保存する
+ */
+async function saveWorkPatternForm() {
+    const id = document.getElementById('work-pattern-id').value;
+    const libraryPattern = {
+        name: document.getElementById('work-pattern-name').value,
+        sort_order: parseInt(document.getElementById('work-pattern-sort-order').value) || 0,
+        start_time: document.getElementById('work-pattern-start').value || null,
+        end_time: document.getElementById('work-pattern-end').value || null
+    };
+    for (let i = 1; i <= 3; i++) {
+        libraryPattern[`break${i}_start`] = document.getElementById(`work-pattern-break${i}-start`).value || null;
+        libraryPattern[`break${i}_end`] = document.getElementById(`work-pattern-break${i}-end`).value || null;
+    }
+
+    if (id) {
+        libraryPattern.id = id;
+    } else {
+        libraryPattern.user_id = document.getElementById('work-pattern-scope').value === WORK_PATTERN_SCOPE.ORGANIZATION
+            ? null
+            : currentUser.id;
+    }
+
+    const result = await saveWorkPattern(libraryPattern);
+
+    if (result.success) {
+        showToast(result.message, 'success');
+        closeWorkPatternModal();
+        await loadWorkPatternLibrary();
+        renderMonthlyPatterns();
     } else {
         showToast(result.message, 'error');
     }
@@ -420,18 +1029,10 @@ async function copyPreviousMonthSettings() {
     document.getElementById('employee-name').value = prevSettings.name || '';
     document.getElementById('department').value = prevSettings.department || '';
     document.getElementById('standard-hours').value = prevSettings.standard_hours || 8;
+    setWorkingTimeSystemForm(prevSettings);
 
-    // パターン1-3をコピー
-    for (let i = 1; i <= 3; i++) {
-        document.getElementById(`pattern${i}-start`).value = prevSettings[`pattern${i}_start`] || '';
-        document.getElementById(`pattern${i}-end`).value = prevSettings[`pattern${i}_end`] || '';
-        document.getElementById(`pattern${i}-break1-start`).value = prevSettings[`pattern${i}_break1_start`] || '';
-        document.getElementById(`pattern${i}-break1-end`).value = prevSettings[`pattern${i}_break1_end`] || '';
-        document.getElementById(`pattern${i}-break2-start`).value = prevSettings[`pattern${i}_break2_start`] || '';
-        document.getElementById(`pattern${i}-break2-end`).value = prevSettings[`pattern${i}_break2_end`] || '';
-        document.getElementById(`pattern${i}-break3-start`).value = prevSettings[`pattern${i}_break3_start`] || '';
-        document.getElementById(`pattern${i}-break3-end`).value = prevSettings[`pattern${i}_break3_end`] || '';
-    }
+    // 勤務パターンをコピー
+    setMonthlyPatterns(prevSettings);
 
     showToast('前月の設定をコピーしました', 'success');
 }
@@ -446,17 +1047,27 @@ function renderTimecardTable() {
     tbody.innerHTML = '';
 
     const daysInMonth = getDaysInMonth(currentYear, currentMonth);
-    const recordMap = {};
+    const breakdownMap = {};
+    const correctionsByDate = groupCorrectionsByDate(recordCorrections);
 
-    // 記録をマップに変換
-    for (const record of dailyRecords) {
-        const day = new Date(record.work_date).getDate();
-        recordMap[day] = record;
+    // 日毎の内訳をマップに変換
+    for (const breakdown of calculateDailyBreakdowns(dailyRecords, monthlySettings, getCalculationOptions())) {
+        const day = parseDateString(breakdown.record.work_date).getDate();
+        breakdownMap[day] = breakdown;
     }
 
     for (let day = 1; day <= daysInMonth; day++) {
-        const record = recordMap[day] || {};
+        const breakdown = breakdownMap[day];
+        const record = breakdown ? breakdown.record : {};
         const dayOfWeek = getDayOfWeek(currentYear, currentMonth, day);
+        const plan = findShiftPlan(shiftPlans, formatDateString(currentYear, currentMonth, day));
+        const timeSources = breakdown ? getPunchTimeSources(record, getWorkDatePunches(punchLogs, record.work_date)) : {};
+        const corrections = correctionsByDate[formatDateString(currentYear, currentMonth, day)];
+        const deviation = formatShiftPlanDeviation(compareWithShiftPlan(breakdown ? record : null, plan, monthlySettings, {
+            today: getTodayDateString(),
+            workTypes,
+            roundingRules
+        }));
         const weekend = isWeekend(currentYear, currentMonth, day);
 
         const tr = document.createElement('tr');
@@ -468,18 +1079,39 @@ function renderTimecardTable() {
             tr.classList.add('saturday');
         }
 
+        // 手修正した日の表示
+        let correctionMark = '';
+        if (corrections) {
+            correctionMark = `
+                <span class="warning-icon record-correction">修正
+                    <span class="warning-tooltip">${formatCorrectionLines(corrections).join('<br>')}</span>
+                </span>`;
+        }
+
+        // 月60時間を超えた日の表示
+        let premiumWarning = '';
+        if (breakdown && breakdown.crossedMonthlyPremium) {
+            tr.classList.add('monthly-premium-crossed');
+            premiumWarning = `
+                <span class="warning-icon">⚠
+                    <span class="warning-tooltip">この日に法定外残業が月60時間を超えました（累計 ${minutesToTimeString(breakdown.cumulativeOvertime)}）</span>
+                </span>`;
+        }
+
         tr.innerHTML = `
-            <td>${day}</td>
+            <td>${day}${correctionMark}</td>
             <td>${dayOfWeek}</td>
-            <td>${getWorkTypeLabel(record.work_type) || '-'}</td>
-            <td>${record.start_time || '-'}</td>
-            <td>${record.end_time || '-'}</td>
+            <td>${formatShiftPlanLabel(plan, monthlySettings) || '-'}${deviation ? `<br><small class="shift-plan-deviation">${deviation}</small>` : ''}</td>
+            <td>${getWorkTypeLabel(record.work_type, workTypes) || '-'}${formatSubstituteLabel(record) ? `<br><small>${formatSubstituteLabel(record)}</small>` : ''}</td>
+            <td>${record.start_time || '-'}${formatPunchTimeSourceMark(timeSources.start)}</td>
+            <td>${formatEndTime(record.end_time, record.end_next_day) || '-'}${formatPunchTimeSourceMark(timeSources.end)}</td>
             <td>${record.late_time ? `${record.late_time}分` : '-'}</td>
             <td>${record.early_leave_time ? `${record.early_leave_time}分` : '-'}</td>
-            <td>${record.overtime ? `${record.overtime}分` : '-'}</td>
-            <td>${getLeaveTypeLabel(record.leave_type) || '-'}</td>
+            <td>${record.overtime ? `${record.overtime}分` : '-'}${premiumWarning}</td>
+            <td>${formatNightMinutes(breakdown)}</td>
+            <td>${formatLeaveLabel(record, leaveTypes) || '-'}</td>
             <td>${record.note || '-'}</td>
-            <td>パターン${record.work_pattern || 1}</td>
+            <td>${getPatternFromSettings(monthlySettings, record.work_pattern || 1).name}</td>
             <td>
                 <button class="btn btn-small btn-primary edit-btn" data-day="${day}" ${!isEditable ? 'disabled' : ''}>
                     編集
@@ -500,17 +1132,217 @@ function renderTimecardTable() {
 }
 
 /**
- * 集計を更新する
+ * 出退勤時刻の入力元を勤務表の表示用に変換する
+ * @param {string|null} source - 入力元（PUNCH_TIME_SOURCE）
+ * @returns {string} 表示用HTML（打刻がない場合は空文字）
  */
-function updateSummary() {
-    const summary = calculateMonthlySummary(dailyRecords, monthlySettings);
+function formatPunchTimeSourceMark(source) {
+    const label = formatPunchTimeSource(source);
+    if (!label) return '';
 
-    document.getElementById('total-work-days').textContent = summary.workDays;
-    document.getElementById('total-work-hours').textContent = minutesToTimeString(summary.totalWorkMinutes);
-    document.getElementById('total-overtime').textContent = minutesToTimeString(summary.totalOvertime);
-    document.getElementById('total-night-overtime').textContent = minutesToTimeString(summary.nightOvertime);
-    document.getElementById('total-legal-holiday-overtime').textContent = minutesToTimeString(summary.legalHolidayOvertime);
+    const className = source === PUNCH_TIME_SOURCE.EDITED ? 'punch-source punch-source-edited' : 'punch-source';
+    return `<br><small class="${className}">${label}</small>`;
+}
+
+/**
+ * 深夜早朝の労働時間を勤務表の表示用に変換する
+ * @param {Object} breakdown - 日毎の内訳（calculateDailyBreakdowns を参照）
+ * @returns {string} 表示用文字列（休日の場合は区分を付与）
+ */
+function formatNightMinutes(breakdown) {
+    if (!breakdown || !breakdown.night.total) return '-';
+
+    const { night } = breakdown;
+    if (night.legalHoliday) return `${night.legalHoliday}分（法定休日）`;
+    if (night.extraHoliday) return `${night.extraHoliday}分（法定外休日）`;
+    return `${night.weekday}分`;
+}
+
+/**
+ * 集計を更新する
+ */
+function updateSummary() {
+    const summary = calculateMonthlySummary(dailyRecords, monthlySettings, getCalculationOptions());
+
+    document.getElementById('total-work-days').textContent = summary.workDays;
+    document.getElementById('total-attendance-days').textContent = summary.attendanceDays;
+    document.getElementById('total-work-hours').textContent = minutesToTimeString(summary.totalWorkMinutes);
+    document.getElementById('total-overtime').textContent = minutesToTimeString(summary.totalOvertime);
+    document.getElementById('total-statutory-internal-overtime').textContent = minutesToTimeString(summary.statutoryInternalOvertime);
+    document.getElementById('total-statutory-external-overtime').textContent = minutesToTimeString(summary.statutoryExternalOvertime);
+    document.getElementById('total-overtime-up-to-60').textContent = minutesToTimeString(summary.overtimeUpTo60);
+    document.getElementById('total-overtime-over-60').textContent = minutesToTimeString(summary.overtimeOver60);
+    document.getElementById('total-night-overtime').textContent = minutesToTimeString(summary.nightOvertime);
+    document.getElementById('total-weekday-night').textContent = minutesToTimeString(summary.weekdayNightMinutes);
+    document.getElementById('total-legal-holiday-night').textContent = minutesToTimeString(summary.legalHolidayNightMinutes);
+    document.getElementById('total-extra-holiday-night').textContent = minutesToTimeString(summary.extraHolidayNightMinutes);
+    document.getElementById('total-legal-holiday-overtime').textContent = minutesToTimeString(summary.legalHolidayOvertime);
     document.getElementById('total-extra-holiday-overtime').textContent = minutesToTimeString(summary.extraHolidayOvertime);
+    document.getElementById('total-paid-leave-days').textContent = `${summary.paidLeaveDays}日`;
+    document.getElementById('total-paid-leave-hours').textContent = minutesToTimeString(summary.paidLeaveHourlyMinutes);
+    document.getElementById('total-special-leave-days').textContent = summary.specialLeaveHourlyMinutes
+        ? `${summary.specialLeaveDays}日（時間単位 ${minutesToTimeString(summary.specialLeaveHourlyMinutes)}）`
+        : `${summary.specialLeaveDays}日`;
+    document.getElementById('total-unpaid-leave-days').textContent = summary.unpaidLeaveHourlyMinutes
+        ? `${summary.unpaidLeaveDays}日（時間単位 ${minutesToTimeString(summary.unpaidLeaveHourlyMinutes)}）`
+        : `${summary.unpaidLeaveDays}日`;
+    document.getElementById('total-absent-days').textContent = `${summary.absentDays}日`;
+    document.getElementById('total-substitute-holiday-days').textContent = `${summary.substituteHolidayDays}日`;
+    document.getElementById('total-compensatory-days').textContent = `${summary.compensatoryDays}日`;
+
+    // 特別休暇・無給の休暇の内訳をツールチップに表示
+    const byPrefix = prefix => type => getLeaveSummaryPrefix(type.code, leaveTypes) === prefix;
+    document.getElementById('total-special-leave-days').title = formatLeaveDaysBreakdown(summary.leaveDaysByType, leaveTypes, byPrefix('specialLeave'));
+    document.getElementById('total-unpaid-leave-days').title = formatLeaveDaysBreakdown(summary.leaveDaysByType, leaveTypes, byPrefix('unpaidLeave'));
+
+    // 丸め前の労働時間をツールチップに表示
+    document.getElementById('total-work-hours').title = summary.raw
+        ? `丸め前 ${minutesToTimeString(summary.raw.totalWorkMinutes)}`
+        : '';
+
+    renderFlextimeSummary(document.getElementById('flextime-summary'), flextimeSettlement);
+    renderVariableHoursSummary(document.getElementById('variable-hours-summary'), variableSettlement);
+}
+
+/**
+ * 36協定の上限チェック結果を表示する
+ */
+async function updateOvertimeLimitDisplay() {
+    overtimeLimitCheck = await checkUserOvertimeLimits(currentUser.id, currentYear, currentMonth);
+    renderOvertimeLimitAlerts(document.getElementById('overtime-limit-alerts'), overtimeLimitCheck);
+}
+
+/**
+ * 有休の残日数を表示する（今日時点）
+ */
+async function updatePaidLeaveBalanceDisplay() {
+    const ledger = await getPaidLeaveLedger(currentUser.id, getTodayDateString());
+    renderPaidLeaveBalance(document.getElementById('paid-leave-balance'), ledger);
+}
+
+/**
+ * 振替休日・代休の取得状況を表示する（今日時点）
+ */
+async function updateSubstituteBalanceDisplay() {
+    const balance = await getSubstituteBalance(currentUser.id, getTodayDateString());
+    renderSubstituteBalance(document.getElementById('substitute-balance'), balance);
+}
+
+/**
+ * シフト計画モーダルを開く
+ * 承認者は対象者を選択して他のユーザーのシフト計画を作成できる
+ */
+async function openShiftPlanModal() {
+    const modal = document.getElementById('shift-plan-modal');
+    if (!modal) return;
+
+    const userSelect = document.getElementById('shift-plan-user');
+    userSelect.innerHTML = '';
+
+    if (currentProfile?.is_approver) {
+        for (const user of await getAllUsers()) {
+            userSelect.appendChild(new Option(user.name || user.email, user.user_id));
+        }
+    }
+    if (!userSelect.querySelector(`option[value="${currentUser.id}"]`)) {
+        userSelect.appendChild(new Option(currentProfile?.name || currentUser.email, currentUser.id));
+    }
+    userSelect.value = currentUser.id;
+    document.getElementById('shift-plan-user-group').style.display = currentProfile?.is_approver ? 'block' : 'none';
+    document.getElementById('shift-plan-modal-title').textContent = `${currentYear}年${currentMonth}月のシフト計画`;
+
+    await loadShiftPlanForm(currentUser.id);
+    modal.style.display = 'flex';
+}
+
+/**
+ * シフト計画モーダルを閉じる
+ */
+function closeShiftPlanModal() {
+    const modal = document.getElementById('shift-plan-modal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * 対象者のシフト計画をフォームに表示する
+ * @param {string} userId - 対象ユーザーID
+ */
+async function loadShiftPlanForm(userId) {
+    const tbody = document.getElementById('shift-plan-body');
+    if (!tbody) return;
+
+    const isSelf = userId === currentUser.id;
+    const settings = isSelf ? monthlySettings : await getMonthlySettings(userId, currentYear, currentMonth);
+    const plans = isSelf ? shiftPlans : await getShiftPlans(userId, currentYear, currentMonth);
+    const patterns = getSettingsPatterns(settings);
+
+    tbody.innerHTML = '';
+
+    for (let day = 1; day <= getDaysInMonth(currentYear, currentMonth); day++) {
+        const workDate = formatDateString(currentYear, currentMonth, day);
+        const plan = findShiftPlan(plans, workDate);
+        const weekend = isWeekend(currentYear, currentMonth, day);
+        const tr = document.createElement('tr');
+
+        if (weekend.isSunday) {
+            tr.classList.add('sunday');
+        } else if (weekend.isSaturday) {
+            tr.classList.add('saturday');
+        }
+
+        tr.innerHTML = `
+            <td>${day}</td>
+            <td>${getDayOfWeek(currentYear, currentMonth, day)}</td>
+            <td><select class="shift-plan-select" data-date="${workDate}"></select></td>
+        `;
+
+        const select = tr.querySelector('select');
+        select.appendChild(new Option('未設定', ''));
+        select.appendChild(new Option('休み', SHIFT_PLAN_TYPE.DAY_OFF));
+        patterns.forEach((pattern, index) => {
+            select.appendChild(new Option(formatWorkPatternLabel(pattern, index + 1), index + 1));
+        });
+
+        select.value = toShiftPlanValue(plan);
+        if (!isShiftPlanEditable(plan, currentUser.id, currentProfile?.is_approver)) {
+            select.disabled = true;
+            select.title = '承認者が作成したシフトのため変更できません';
+        }
+
+        tbody.appendChild(tr);
+    }
+}
+
+/**
+ * シフト計画フォームを保存する
+ */
+async function saveShiftPlanForm() {
+    const userId = document.getElementById('shift-plan-user').value;
+    const plans = [];
+
+    // 変更できない日（承認者が作成したシフト）は保存の対象に含めない
+    document.querySelectorAll('#shift-plan-body .shift-plan-select:not(:disabled)').forEach(select => {
+        const plan = fromShiftPlanValue(select.dataset.date, select.value);
+        if (plan) {
+            plans.push(plan);
+        }
+    });
+
+    const result = await saveShiftPlans(userId, currentYear, currentMonth, plans, currentUser.id);
+
+    if (result.success) {
+        showToast(result.message, 'success');
+        closeShiftPlanModal();
+
+        if (userId === currentUser.id) {
+            shiftPlans = await getShiftPlans(currentUser.id, currentYear, currentMonth);
+            renderTimecardTable();
+        }
+    } else {
+        showToast(result.message, 'error');
+    }
 }
 
 /**
@@ -528,20 +1360,49 @@ function openDailyModal(day) {
 
     // 既存記録を取得
     const record = dailyRecords.find(r => {
-        const recordDay = new Date(r.work_date).getDate();
+        const recordDay = parseDateString(r.work_date).getDate();
         return recordDay === day;
     });
 
+    // 勤務種類・休暇種類の選択肢（振休・代休は休日出勤日の記録から設定する）
+    renderAttendanceTypeOptions(document.getElementById('work-type'), workTypes, record?.work_type);
+    renderAttendanceTypeOptions(document.getElementById('leave-type'), leaveTypes, record?.leave_type, {
+        emptyLabel: '選択なし',
+        disabledCodes: Object.values(SUBSTITUTE_LEAVE_TYPE)
+    });
+
+    // 打刻（打刻は変更できないため、手入力との違いを確認できるよう表示する）
+    const punches = getWorkDatePunches(punchLogs, dateStr);
+    const punchSummary = document.getElementById('punch-log-summary');
+    punchSummary.textContent = `打刻: ${punches.map(punch => `${PUNCH_TYPE_LABELS[punch.punch_type]} ${formatPunchTime(punch.punched_at)}`).join(' / ')}`;
+    punchSummary.style.display = punches.length > 0 ? 'block' : 'none';
+
+    // シフト計画（予定の勤務パターンを新規入力の初期値とする）
+    const plan = findShiftPlan(shiftPlans, dateStr);
+    const plannedPattern = plan?.plan_type === SHIFT_PLAN_TYPE.WORK ? plan.work_pattern || 1 : 1;
+
+    // 勤務パターンの選択肢（月間設定の勤務パターン）
+    renderWorkPatternOptions(document.getElementById('work-pattern'), monthlySettings, record?.work_pattern || plannedPattern);
+
     if (record) {
         document.getElementById('work-type').value = record.work_type || 'work';
         document.getElementById('start-time').value = record.start_time || '';
         document.getElementById('end-time').value = record.end_time || '';
+        document.getElementById('end-next-day').checked = record.end_next_day || false;
         document.getElementById('late-time').value = record.late_time || 0;
         document.getElementById('early-leave-time').value = record.early_leave_time || 0;
         document.getElementById('overtime').value = record.overtime || 0;
         document.getElementById('leave-type').value = record.leave_type || '';
+        document.getElementById('leave-unit').value = record.leave_unit || LEAVE_UNIT.FULL;
+        document.getElementById('leave-hours').value = record.leave_hours || 1;
         document.getElementById('work-pattern').value = record.work_pattern || 1;
         document.getElementById('note').value = record.note || '';
+        document.getElementById('substitute-type').value = record.substitute_type || '';
+        document.getElementById('substitute-date').value = record.substitute_type ? record.substitute_date || '' : '';
+        setActualBreaksForm(
+            getEffectiveBreaks(record, getPatternFromSettings(monthlySettings, record.work_pattern || 1)),
+            record.use_actual_breaks || false
+        );
     } else {
         // 年間休日設定を確認して初期値を設定
         const holiday = getHolidayForDate(dateStr);
@@ -555,20 +1416,35 @@ function openDailyModal(day) {
             } else if (holiday.holiday_type === 'saturday-work') {
                 defaultWorkType = 'work';
             }
+        } else if (plan?.plan_type === SHIFT_PLAN_TYPE.DAY_OFF) {
+            defaultWorkType = 'extra-holiday';
         }
 
         document.getElementById('work-type').value = defaultWorkType;
-        document.getElementById('start-time').value = monthlySettings?.pattern1_start || '09:00';
-        document.getElementById('end-time').value = monthlySettings?.pattern1_end || '18:00';
+        const defaultPattern = getPatternFromSettings(monthlySettings, plannedPattern);
+        document.getElementById('start-time').value = defaultPattern.start;
+        document.getElementById('end-time').value = defaultPattern.end;
+        document.getElementById('end-next-day').checked = timeToMinutes(defaultPattern.end) <= timeToMinutes(defaultPattern.start);
         document.getElementById('late-time').value = 0;
         document.getElementById('early-leave-time').value = 0;
         document.getElementById('overtime').value = 0;
         document.getElementById('leave-type').value = '';
-        document.getElementById('work-pattern').value = 1;
+        document.getElementById('leave-unit').value = LEAVE_UNIT.FULL;
+        document.getElementById('leave-hours').value = 1;
+        document.getElementById('work-pattern').value = plannedPattern;
         document.getElementById('note').value = '';
+        document.getElementById('substitute-type').value = '';
+        document.getElementById('substitute-date').value = '';
+        setActualBreaksForm(defaultPattern, false);
     }
 
+    updateLeaveHoursVisibility();
+    applyLeaveRequestLock(dateStr, record);
+    applySubstituteDayOffLock(record);
+    updateSubstituteVisibility();
     checkNoteAlert();
+    document.getElementById('correction-reason').value = '';
+    updateCorrectionReasonVisibility();
     modal.style.display = 'flex';
 }
 
@@ -582,18 +1458,222 @@ function closeDailyModal() {
     }
 }
 
+/**
+ * 実績休憩の入力欄を設定する
+ * @param {Object} breaks - 休憩時間オブジェクト（break1_start～break3_end）
+ * @param {boolean} enabled - 実績休憩を使用するかどうか
+ */
+function setActualBreaksForm(breaks, enabled) {
+    for (let i = 1; i <= 3; i++) {
+        document.getElementById(`actual-break${i}-start`).value = (breaks[`break${i}_start`] || '').substring(0, 5);
+        document.getElementById(`actual-break${i}-end`).value = (breaks[`break${i}_end`] || '').substring(0, 5);
+    }
+
+    document.getElementById('use-actual-breaks').checked = enabled;
+    document.getElementById('actual-breaks').style.display = enabled ? 'block' : 'none';
+}
+
+/**
+ * 実績休憩の入力欄を取得する
+ * @returns {Object} 実績休憩オブジェクト（use_actual_breaks, break1_start～break3_end）
+ */
+function getActualBreaksFromForm() {
+    const useActualBreaks = document.getElementById('use-actual-breaks').checked;
+    const breaks = { use_actual_breaks: useActualBreaks };
+
+    for (let i = 1; i <= 3; i++) {
+        breaks[`break${i}_start`] = useActualBreaks ? document.getElementById(`actual-break${i}-start`).value || null : null;
+        breaks[`break${i}_end`] = useActualBreaks ? document.getElementById(`actual-break${i}-end`).value || null : null;
+    }
+
+    return breaks;
+}
+
+/**
+ * 実績休憩の入力欄の表示を切り替える
+ */
+function toggleActualBreaks() {
+    const enabled = document.getElementById('use-actual-breaks').checked;
+    document.getElementById('actual-breaks').style.display = enabled ? 'block' : 'none';
+    calculateTimesFromInput();
+}
+
+/**
+ * 休暇の入力欄を取得する
+ * 欠勤・振休・代休・休暇なしは取得単位を持たない
+ * @returns {Object} 休暇オブジェクト（leave_type, leave_unit, leave_hours）
+ */
+function getLeaveFromForm() {
+    const leaveType = document.getElementById('leave-type').value || null;
+    const leaveUnit = leaveType && !FULL_DAY_ONLY_LEAVE_TYPES.includes(leaveType) ? document.getElementById('leave-unit').value : null;
+
+    return {
+        leave_type: leaveType,
+        leave_unit: leaveUnit,
+        leave_hours: leaveUnit === LEAVE_UNIT.HOURLY ? parseInt(document.getElementById('leave-hours').value) || 0 : 0
+    };
+}
+
+/**
+ * 休暇の取得単位・取得時間の入力欄の表示を更新する
+ */
+function updateLeaveHoursVisibility() {
+    const leaveType = document.getElementById('leave-type').value;
+    const hasUnit = leaveType && !FULL_DAY_ONLY_LEAVE_TYPES.includes(leaveType);
+
+    document.getElementById('leave-unit').disabled = !hasUnit;
+    document.getElementById('leave-hours-group').style.display =
+        hasUnit && document.getElementById('leave-unit').value === LEAVE_UNIT.HOURLY ? 'block' : 'none';
+}
+
+/**
+ * 承認済みの休暇申請がある日は休暇の入力欄を申請内容で固定する
+ * @param {string} dateStr - 日付 (YYYY-MM-DD形式)
+ * @param {Object|undefined} record - 既存の日毎の記録
+ */
+function applyLeaveRequestLock(dateStr, record) {
+    const request = findApprovedLeaveRequest(leaveRequests, dateStr);
+    const notice = document.getElementById('leave-request-notice');
+
+    if (request) {
+        document.getElementById('leave-type').value = request.leave_type;
+        document.getElementById('leave-unit').value = request.leave_unit || LEAVE_UNIT.FULL;
+        document.getElementById('leave-hours').value = request.leave_hours || 1;
+        updateLeaveHoursVisibility();
+
+        // 全日の休暇は勤務パターンの出退勤時刻を初期値にしない
+        if (!record && !isPartialLeave(request)) {
+            document.getElementById('start-time').value = '';
+            document.getElementById('end-time').value = '';
+            document.getElementById('end-next-day').checked = false;
+        }
+    }
+
+    // 取得単位の入力可否は休暇種類に応じて updateLeaveHoursVisibility で設定済み
+    document.getElementById('leave-type').disabled = !!request;
+    document.getElementById('leave-hours').disabled = !!request;
+    if (request) {
+        document.getElementById('leave-unit').disabled = true;
+    }
+
+    if (notice) {
+        notice.textContent = request
+            ? `承認済みの休暇申請（${formatLeaveLabel(request, leaveTypes)}）があるため休暇の内容は変更できません`
+            : '';
+        notice.style.display = request ? 'block' : 'none';
+    }
+}
+
+/**
+ * 振休・代休の日は休暇の入力欄を固定し、紐付く休日出勤日を表示する
+ * 休暇申請による固定（applyLeaveRequestLock）の後に呼び出す
+ * @param {Object|undefined} record - 既存の日毎の記録
+ */
+function applySubstituteDayOffLock(record) {
+    const dayOff = isSubstituteDayOff(record);
+    const notice = document.getElementById('substitute-leave-notice');
+
+    if (dayOff) {
+        ['leave-type', 'leave-unit', 'leave-hours'].forEach(id => {
+            document.getElementById(id).disabled = true;
+        });
+    }
+
+    if (notice) {
+        notice.textContent = dayOff
+            ? `${record.substitute_date} の休日出勤の${getLeaveTypeLabel(record.leave_type, leaveTypes)}です（変更は休日出勤日の記録から行ってください）`
+            : '';
+        notice.style.display = dayOff ? 'block' : 'none';
+    }
+}
+
+/**
+ * 振替休日・代休の入力欄を取得する
+ * 休日以外の勤務、または指定なしの場合は紐付けを持たない
+ * @returns {Object} 振替オブジェクト（substitute_type, substitute_date）
+ */
+function getSubstituteFromForm() {
+    const workType = document.getElementById('work-type').value;
+    const substituteType = isHolidayWorkType(workType) ? document.getElementById('substitute-type').value || null : null;
+
+    return {
+        substitute_type: substituteType,
+        substitute_date: substituteType ? document.getElementById('substitute-date').value || null : null
+    };
+}
+
+/**
+ * 振替休日・代休の入力欄の表示を更新する
+ * 休日の勤務のみ指定でき、振休・代休として休む日には表示しない
+ */
+function updateSubstituteVisibility() {
+    const workType = document.getElementById('work-type').value;
+    const dayOff = isSubstituteDayOff(dailyRecords.find(r => r.work_date === document.getElementById('edit-date').value));
+
+    document.getElementById('substitute-group').style.display =
+        isHolidayWorkType(workType) && !dayOff ? 'flex' : 'none';
+    document.getElementById('substitute-date').disabled = !document.getElementById('substitute-type').value;
+}
+
+/**
+ * 勤務の種類・振替の種類の変更時に入力欄を切り替えて再計算する
+ */
+function toggleSubstituteFields() {
+    updateSubstituteVisibility();
+    calculateTimesFromInput();
+}
+
+/**
+ * 休暇の取得単位変更時に入力欄を切り替えて再計算する
+ */
+function toggleLeaveHours() {
+    updateLeaveHoursVisibility();
+    calculateTimesFromInput();
+}
+
+/**
+ * 日毎入力フォームの出退勤時刻・実績休憩を取得する
+ * @returns {Object} 勤務記録の形式の時刻 {work_date, start_time, end_time, end_next_day, use_actual_breaks, break1_start～break3_end}
+ */
+function getTimesFromForm() {
+    const endTime = document.getElementById('end-time').value || null;
+
+    return {
+        work_date: document.getElementById('edit-date').value,
+        start_time: document.getElementById('start-time').value || null,
+        end_time: endTime,
+        end_next_day: endTime ? document.getElementById('end-next-day').checked : false,
+        ...getActualBreaksFromForm()
+    };
+}
+
+/**
+ * 修正理由の入力欄の表示を更新する
+ * 打刻と異なる時刻への修正、または勤務日を過ぎてから入力済みの出退勤時刻・休憩を修正する場合に表示する
+ */
+function updateCorrectionReasonVisibility() {
+    const times = getTimesFromForm();
+    const existing = dailyRecords.find(r => r.work_date === times.work_date) || null;
+    const required = requiresCorrectionReason(existing, times, getWorkDatePunches(punchLogs, times.work_date), getTodayDateString());
+
+    document.getElementById('correction-reason-group').style.display = required ? 'block' : 'none';
+}
+
 /**
  * 補足欄アラートをチェックする
  */
 function checkNoteAlert() {
-    const workType = document.getElementById('work-type').value;
+    const record = {
+        work_type: document.getElementById('work-type').value,
+        leave_type: document.getElementById('leave-type').value || null
+    };
     const note = document.getElementById('note').value;
     const alertEl = document.getElementById('note-alert');
 
     if (!alertEl) return;
 
-    // 出勤以外で補足欄が空の場合にアラート表示
-    if (workType !== 'work' && workType !== 'remote' && !note.trim()) {
+    // 勤務種類・休暇種類マスタで補足を求める種類で補足欄が空の場合にアラート表示
+    if (isNoteRequired(record, workTypes, leaveTypes) && !note.trim()) {
         alertEl.style.display = 'block';
     } else {
         alertEl.style.display = 'none';
@@ -601,33 +1681,78 @@ function checkNoteAlert() {
 }
 
 /**
- * 入力から時間を計算する
+ * 入力値から遅刻・早退・残業時間を計算する
  */
 function calculateTimesFromInput() {
-    const startTime = document.getElementById('start-time').value;
-    const endTime = document.getElementById('end-time').value;
-    const workType = document.getElementById('work-type').value;
-    const patternNum = parseInt(document.getElementById('work-pattern').value) || 1;
-
-    if (!startTime || !endTime || !monthlySettings) return;
+    const record = {
+        work_date: document.getElementById('edit-date').value,
+        work_type: document.getElementById('work-type').value,
+        work_pattern: parseInt(document.getElementById('work-pattern').value) || 1,
+        start_time: document.getElementById('start-time').value,
+        end_time: document.getElementById('end-time').value,
+        end_next_day: document.getElementById('end-next-day').checked,
+        ...getLeaveFromForm(),
+        ...getActualBreaksFromForm(),
+        ...getSubstituteFromForm()
+    };
 
-    const pattern = getPatternFromSettings(monthlySettings, patternNum);
-    const standardHours = monthlySettings.standard_hours || 8;
+    if (!record.start_time || !record.end_time || !monthlySettings) return;
+    if (checkEndTimeOrder(record.start_time, record.end_time, record.end_next_day)) return;
 
-    // 遅刻時間計算
-    const lateTime = calculateLateTime(startTime, pattern.start);
+    const { lateTime, earlyLeaveTime, overtime } = calculateRecordTimes(record);
     document.getElementById('late-time').value = lateTime;
-
-    // 早退時間計算
-    const earlyLeaveTime = calculateEarlyLeaveTime(endTime, pattern.end);
     document.getElementById('early-leave-time').value = earlyLeaveTime;
+    document.getElementById('overtime').value = overtime;
+}
+
+/**
+ * 日毎の勤務記録の遅刻・早退・残業時間を計算する（当月の月間設定・シフト計画・丸めルールを使用）
+ * @param {Object} record - 日毎の勤務記録（出退勤時刻が入力済み）
+ * @returns {Object} {lateTime, earlyLeaveTime, overtime}（分）
+ */
+function calculateRecordTimes(record) {
+    const { startTime, endTime } = roundPunchTimes(
+        record.start_time,
+        resolveEndTime(record.end_time, record.end_next_day),
+        roundingRules
+    );
+    const patternNum = record.work_pattern || 1;
+    const pattern = getPatternFromSettings(monthlySettings, patternNum);
+    const standardHours = monthlySettings.standard_hours || 8;
+    const flextime = isFlextime(monthlySettings);
+
+    // 遅刻・早退時間計算（シフト計画がある日は予定の勤務パターンに対して判定、
+    // フレックスタイム制はコアタイムに対して判定、半日・時間単位の休暇は差し引く）
+    const scheduledPattern = getPlannedPattern(findShiftPlan(shiftPlans, record.work_date), monthlySettings) || pattern;
+    const scheduledStart = flextime ? monthlySettings.flex_core_start : scheduledPattern.start;
+    const scheduledEnd = flextime ? monthlySettings.flex_core_end : getPatternEndTime(scheduledPattern);
+    const { lateTime, earlyLeaveTime } = calculateLateAndEarlyLeave(
+        startTime, endTime, scheduledStart, scheduledEnd, getLeaveOffsets(record, scheduledPattern)
+    );
+
+    // 労働時間計算（実績休憩が入力されていればパターンの休憩より優先）
+    const breaks = getEffectiveBreaks(record, pattern);
+    let workTime = calculateWorkTime(startTime, endTime, breaks);
+    if (roundingRules) {
+        workTime = roundMinutes(workTime, roundingRules.dailyUnit, roundingRules.dailyDirection);
+    }
 
-    // 労働時間計算
-    const workTime = calculateWorkTime(startTime, endTime, pattern);
+    // 残業時間計算（フレックスタイム制は清算期間で判定するため休日労働のみ、
+    // 変形労働時間制はその日の所定労働時間を基準とする、振替休日を指定した休日は通常の勤務日とする）
+    let overtime;
+    if (flextime) {
+        overtime = calculateFlextimeDailyOvertime(workTime, getEffectiveWorkType(record));
+    } else if (isVariableHours(monthlySettings)) {
+        const calendar = getCalculationOptions().scheduledMinutes || {};
+        const scheduled = calendar[record.work_date] === 0 && !isSubstitutedRecord(record)
+            ? 0
+            : getRecordScheduledMinutes(record, monthlySettings);
+        overtime = calculateVariableOvertime(workTime, scheduled, getEffectiveWorkType(record));
+    } else {
+        overtime = calculateOvertime(workTime, standardHours, record);
+    }
 
-    // 残業時間計算
-    const overtime = calculateOvertime(workTime, standardHours, workType);
-    document.getElementById('overtime').value = overtime.total;
+    return { lateTime, earlyLeaveTime, overtime: overtime.total };
 }
 
 /**
@@ -643,75 +1768,100 @@ async function saveDailyRecordForm() {
     const workDate = document.getElementById('edit-date').value;
     const startTime = document.getElementById('start-time').value;
     const endTime = document.getElementById('end-time').value;
+    const endNextDay = document.getElementById('end-next-day').checked;
     const workType = document.getElementById('work-type').value;
     const patternNum = parseInt(document.getElementById('work-pattern').value) || 1;
 
-    // 深夜残業時間計算
+    // 翌日のチェックがない退勤時刻が出勤時刻以前の場合は保存しない
+    const endTimeError = checkEndTimeOrder(startTime, endTime, endNextDay);
+    if (endTimeError) {
+        showToast(endTimeError, 'error');
+        return;
+    }
+
+    // フレックスタイム制のフレキシブルタイム外の勤務を確認
+    if (isFlextime(monthlySettings) && startTime && endTime) {
+        const bandStart = monthlySettings.flex_band_start;
+        const bandEnd = monthlySettings.flex_band_end;
+        const outside = (bandStart && timeToMinutes(startTime) < timeToMinutes(bandStart))
+            || (bandEnd && timeToMinutes(resolveEndTime(endTime, endNextDay)) > timeToMinutes(bandEnd));
+
+        if (outside && !confirm('フレキシブルタイム外の勤務が含まれています。保存しますか？')) {
+            return;
+        }
+    }
+
+    // 深夜残業時間計算（丸めた出退勤時刻で計算し、深夜早朝時間帯の休憩を控除）
     let nightOvertime = 0;
     if (startTime && endTime) {
-        nightOvertime = calculateNightOvertime(startTime, endTime, monthlySettings?.standard_hours || 8);
+        const punches = roundPunchTimes(startTime, resolveEndTime(endTime, endNextDay), roundingRules);
+        const breaks = getEffectiveBreaks(getActualBreaksFromForm(), getPatternFromSettings(monthlySettings, patternNum));
+        nightOvertime = calculateNightOvertime(punches.startTime, punches.endTime, monthlySettings?.standard_hours || 8, breaks);
     }
 
+    // 振休・代休として休む日は休日出勤日との紐付けを保持する
+    const existing = dailyRecords.find(r => r.work_date === workDate);
+    const dayOff = isSubstituteDayOff(existing);
+
     const record = {
         user_id: currentUser.id,
         work_date: workDate,
         work_type: workType,
         start_time: startTime || null,
         end_time: endTime || null,
+        end_next_day: endTime ? endNextDay : false,
         late_time: parseInt(document.getElementById('late-time').value) || 0,
         early_leave_time: parseInt(document.getElementById('early-leave-time').value) || 0,
         overtime: parseInt(document.getElementById('overtime').value) || 0,
         night_overtime: nightOvertime,
-        leave_type: document.getElementById('leave-type').value || null,
+        ...getLeaveFromForm(),
         work_pattern: patternNum,
-        note: document.getElementById('note').value || null
+        note: document.getElementById('note').value || null,
+        ...getActualBreaksFromForm(),
+        ...(dayOff ? { substitute_type: null, substitute_date: existing.substitute_date } : getSubstituteFromForm())
     };
 
-    const result = await saveDailyRecord(record);
-
-    if (result.success) {
-        showToast(result.message, 'success');
-        closeDailyModal();
-        await loadMonthData();
-    } else {
-        showToast(result.message, 'error');
+    // 勤務の予定の日に出退勤時刻・休暇の入力がない場合は欠勤とする
+    if (compareWithShiftPlan(record, findShiftPlan(shiftPlans, workDate), monthlySettings, { workTypes })?.isAbsent) {
+        record.leave_type = 'absent';
+        record.leave_unit = null;
+        record.leave_hours = 0;
     }
-}
-
-/**
- * CSVエクスポート
- */
-function exportToCSV() {
-    const csv = generateCSV(dailyRecords, monthlySettings, currentYear, currentMonth);
-
-    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `勤務表_${currentYear}年${currentMonth}月.csv`;
-    link.click();
-    URL.revokeObjectURL(url);
-
-    showToast('CSVを出力しました', 'success');
-}
 
-/**
- * 承認申請を送信する
- */
-async function submitApprovalRequest() {
-    if (!isEditable) {
-        showToast('すでに承認されています', 'error');
+    // 承認済みの休暇申請と矛盾する入力を確認
+    const leaveConflict = checkLeaveRequestConflict(record, findApprovedLeaveRequest(leaveRequests, workDate));
+    if (leaveConflict) {
+        showToast(leaveConflict, 'error');
         return;
     }
 
-    if (!confirm(`${currentYear}年${currentMonth}月の承認申請を送信しますか？`)) {
+    // 振休・代休の日の勤務、振替休日・代休の期間を確認
+    const substituteError = checkSubstituteDayOffConflict(record) || await checkHolidaySubstitution(record);
+    if (substituteError) {
+        showToast(substituteError, 'error');
         return;
     }
 
-    const result = await requestApproval(currentUser.id, currentYear, currentMonth);
+    // 打刻と異なる時刻への修正、勤務日を過ぎてからの入力済みの時刻の修正は理由を入力する（修正前後の値はデータベースのトリガーが記録）
+    if (requiresCorrectionReason(existing || null, record, getWorkDatePunches(punchLogs, workDate), getTodayDateString())) {
+        record.correction_reason = document.getElementById('correction-reason').value.trim();
+        if (!record.correction_reason) {
+            showToast('出退勤時刻・休憩の修正理由を入力してください', 'error');
+            return;
+        }
+    }
+
+    let result = await saveDailyRecord(record);
+
+    // 休む日の記録に振休・代休を反映
+    const previousDayOffDate = existing && !dayOff ? existing.substitute_date : null;
+    if (result.success && !dayOff && (record.substitute_date || previousDayOffDate)) {
+        result = await saveHolidaySubstitution(record, previousDayOffDate);
+    }
 
     if (result.success) {
         showToast(result.message, 'success');
+        closeDailyModal();
         await loadMonthData();
     } else {
         showToast(result.message, 'error');
@@ -719,39 +1869,225 @@ async function submitApprovalRequest() {
 }
 
 /**
- * 承認リストを読み込む
+ * 自分の休暇申請の一覧を表示する
  */
-async function loadApprovalList() {
-    const tbody = document.getElementById('approval-body');
+function renderLeaveRequestList() {
+    const tbody = document.getElementById('leave-requests-body');
     if (!tbody) return;
 
-    tbody.innerHTML = '<tr><td colspan="5">読み込み中...</td></tr>';
-
-    const approvals = await getAllApprovals();
-
-    if (approvals.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="5">承認データがありません</td></tr>';
+    if (leaveRequests.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6">休暇申請はありません</td></tr>';
         return;
     }
 
     tbody.innerHTML = '';
 
-    for (const approval of approvals) {
+    for (const request of leaveRequests) {
         const tr = document.createElement('tr');
-        const userName = approval.user_profiles?.name || '不明';
+        const status = getLeaveRequestStatusLabel(request.status);
 
         tr.innerHTML = `
-            <td>${userName}</td>
-            <td>${approval.year}年${approval.month}月</td>
-            <td>${formatDate(approval.requested_at)}</td>
-            <td>${getApprovalStatusLabel(approval.status)}</td>
+            <td>${formatLeaveRequestPeriod(request)}</td>
+            <td>${formatLeaveLabel(request, leaveTypes)}</td>
+            <td>${request.reason || '-'}</td>
+            <td>${formatDate(request.requested_at)}</td>
+            <td>${request.status === LEAVE_REQUEST_STATUS.REJECTED && request.rejection_reason
+                ? `${status}（${request.rejection_reason}）`
+                : status}</td>
             <td>
-                ${approval.status === 'pending' ? `
-                    <button class="btn btn-small btn-success approve-btn" data-id="${approval.id}">承認</button>
-                    <button class="btn btn-small btn-danger reject-btn" data-id="${approval.id}">却下</button>
+                ${request.status === LEAVE_REQUEST_STATUS.PENDING ? `
+                    <button class="btn btn-small btn-secondary cancel-leave-request-btn" data-id="${request.id}">取り下げ</button>
                 ` : ''}
-                ${approval.status === 'approved' ? `
-                    <button class="btn btn-small btn-secondary cancel-approval-btn" data-id="${approval.id}">取消</button>
+            </td>
+        `;
+
+        tbody.appendChild(tr);
+    }
+
+    // 取り下げボタンイベント
+    tbody.querySelectorAll('.cancel-leave-request-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            if (confirm('休暇申請を取り下げますか？')) {
+                const result = await cancelLeaveRequest(e.target.dataset.id);
+                showToast(result.message, result.success ? 'success' : 'error');
+                leaveRequests = await getLeaveRequests(currentUser.id);
+                renderLeaveRequestList();
+            }
+        });
+    });
+}
+
+/**
+ * 休暇申請モーダルを開く
+ */
+function openLeaveRequestModal() {
+    const modal = document.getElementById('leave-request-modal');
+    if (!modal) return;
+
+    renderAttendanceTypeOptions(document.getElementById('leave-request-type'), getRequestableLeaveTypes(leaveTypes));
+    document.getElementById('leave-request-form').reset();
+    updateLeaveRequestHoursVisibility();
+    modal.style.display = 'flex';
+}
+
+/**
+ * 休暇申請モーダルを閉じる
+ */
+function closeLeaveRequestModal() {
+    const modal = document.getElementById('leave-request-modal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * 休暇申請の取得時間の入力欄の表示を更新する
+ */
+function updateLeaveRequestHoursVisibility() {
+    document.getElementById('leave-request-hours-group').style.display =
+        document.getElementById('leave-request-unit').value === LEAVE_UNIT.HOURLY ? 'block' : 'none';
+}
+
+/**
+ * 休暇申請フォームを送信する
+ */
+async function saveLeaveRequestForm() {
+    const leaveUnit = document.getElementById('leave-request-unit').value;
+    const startDate = document.getElementById('leave-request-start').value;
+
+    const result = await submitLeaveRequest(currentUser.id, {
+        start_date: startDate,
+        end_date: document.getElementById('leave-request-end').value || startDate,
+        leave_type: document.getElementById('leave-request-type').value,
+        leave_unit: leaveUnit,
+        leave_hours: leaveUnit === LEAVE_UNIT.HOURLY ? parseInt(document.getElementById('leave-request-hours').value) || 0 : 0,
+        reason: document.getElementById('leave-request-reason').value.trim()
+    }, leaveTypes);
+
+    if (result.success) {
+        showToast(result.message, 'success');
+        closeLeaveRequestModal();
+        leaveRequests = await getLeaveRequests(currentUser.id);
+        renderLeaveRequestList();
+    } else {
+        showToast(result.message, 'error');
+    }
+}
+
+/**
+ * CSVエクスポート
+ */
+function exportToCSV() {
+    const rawTimes = document.getElementById('csv-time-mode')?.value === 'raw';
+    const csv = generateCSV(dailyRecords, monthlySettings, currentYear, currentMonth, { ...getCalculationOptions(), rawTimes });
+
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `勤務表_${currentYear}年${currentMonth}月.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    showToast('CSVを出力しました', 'success');
+}
+
+/**
+ * 承認申請を送信する
+ */
+async function submitApprovalRequest() {
+    if (!isEditable) {
+        showToast('すでに承認されています', 'error');
+        return;
+    }
+
+    let confirmMessage = `${currentYear}年${currentMonth}月の承認申請を送信しますか？`;
+
+    // 36協定の注意事項がある場合は確認メッセージに含める
+    if (overtimeLimitCheck && overtimeLimitCheck.alerts.length > 0) {
+        confirmMessage += '\n\n36協定の注意事項:\n' + overtimeLimitCheck.alerts.map(alert => `・${alert.message}`).join('\n');
+    }
+
+    if (!confirm(confirmMessage)) {
+        return;
+    }
+
+    const result = await requestApproval(currentUser.id, currentYear, currentMonth);
+
+    if (result.success) {
+        showToast(result.message, 'success');
+        await loadMonthData();
+    } else {
+        showToast(result.message, 'error');
+    }
+}
+
+/**
+ * 承認リストを読み込む
+ */
+async function loadApprovalList() {
+    const tbody = document.getElementById('approval-body');
+    if (!tbody) return;
+
+    tbody.innerHTML = '<tr><td colspan="8">読み込み中...</td></tr>';
+
+    const approvals = await getAllApprovals(currentUser.id);
+
+    if (approvals.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8">承認データがありません</td></tr>';
+        return;
+    }
+
+    // ステップの履歴（承認者名を付ける）
+    const stepLogs = await getApprovalStepLogs(approvals.map(approval => approval.id));
+    const userNames = Object.fromEntries((await getAllUsers()).map(user => [user.user_id, user.name || user.email]));
+    for (const logs of Object.values(stepLogs)) {
+        logs.forEach(log => {
+            log.approver_name = userNames[log.approver_id];
+            log.on_behalf_of_name = log.on_behalf_of ? userNames[log.on_behalf_of] : null;
+        });
+    }
+
+    // 代理中の承認者（代理で操作する申請は代理元の承認者として承認・却下する）
+    const delegatorIds = await getCurrentDelegatorIds(currentUser.id);
+    const actors = Object.fromEntries(approvals.map(approval => [approval.id, resolveApprovalActor(approval, currentUser.id, delegatorIds)]));
+
+    // 承認待ちの申請について36協定の上限と手修正した日をチェック（上限は全員分の勤務記録をまとめて取得して判定）
+    const pendingApprovals = approvals.filter(approval => approval.status === 'pending');
+    const limitResults = await checkUsersOvertimeLimits(pendingApprovals.map(approval => ({
+        userId: approval.user_id,
+        year: approval.year,
+        month: approval.month
+    })));
+    const limitChecks = Object.fromEntries(pendingApprovals.map((approval, index) => [approval.id, limitResults[index]]));
+    const corrections = {};
+    await Promise.all(pendingApprovals.map(async approval => {
+        corrections[approval.id] = await getRecordCorrections(approval.user_id, approval.year, approval.month);
+    }));
+
+    tbody.innerHTML = '';
+
+    for (const approval of approvals) {
+        const tr = document.createElement('tr');
+        const userName = approval.user_profiles?.name || '不明';
+        const actor = actors[approval.id];
+        const onBehalfOfLabel = actor.onBehalfOf ? `（${userNames[actor.onBehalfOf] || '不明'}の代理）` : '';
+
+        tr.innerHTML = `
+            <td>${userName}</td>
+            <td>${approval.year}年${approval.month}月</td>
+            <td>${formatDate(approval.requested_at)}</td>
+            <td>${getApprovalStatusLabel(approval.status)}</td>
+            <td>${getApprovalStepBadge(approval, stepLogs[approval.id])}</td>
+            <td>${getOvertimeLimitBadge(limitChecks[approval.id])}</td>
+            <td>${getRecordCorrectionBadge(corrections[approval.id])}</td>
+            <td>
+                ${actor.canAct ? `
+                    <button class="btn btn-small btn-success approve-btn" data-id="${approval.id}">承認${onBehalfOfLabel}</button>
+                    <button class="btn btn-small btn-danger reject-btn" data-id="${approval.id}">却下${onBehalfOfLabel}</button>
+                ` : ''}
+                ${approval.status === 'approved' ? `
+                    <button class="btn btn-small btn-secondary cancel-approval-btn" data-id="${approval.id}">取消</button>
                 ` : ''}
             </td>
         `;
@@ -763,8 +2099,14 @@ async function loadApprovalList() {
     tbody.querySelectorAll('.approve-btn').forEach(btn => {
         btn.addEventListener('click', async (e) => {
             const id = e.target.dataset.id;
-            if (confirm('承認しますか？')) {
-                const result = await approve(id, currentUser.id);
+            const limitCheck = limitChecks[id];
+            const approval = approvals.find(a => a.id === id);
+            const stepName = getCurrentApprovalStep(approval).name;
+            const confirmMessage = limitCheck && limitCheck.hasError
+                ? `36協定の上限を超えています。「${stepName}」を承認しますか？`
+                : `「${stepName}」を承認しますか？`;
+            if (confirm(confirmMessage)) {
+                const result = await approve(id, currentUser.id, actors[id].onBehalfOf);
                 showToast(result.message, result.success ? 'success' : 'error');
                 await loadApprovalList();
             }
@@ -777,7 +2119,7 @@ async function loadApprovalList() {
             const id = e.target.dataset.id;
             const reason = prompt('却下理由を入力してください:');
             if (reason !== null) {
-                const result = await reject(id, currentUser.id, reason);
+                const result = await reject(id, currentUser.id, reason, actors[id].onBehalfOf);
                 showToast(result.message, result.success ? 'success' : 'error');
                 await loadApprovalList();
             }
@@ -797,6 +2139,367 @@ async function loadApprovalList() {
     });
 }
 
+/**
+ * 承認の代理の一覧と代理の承認者の選択肢を読み込む
+ */
+async function loadApprovalDelegationList() {
+    const tbody = document.getElementById('approval-delegations-body');
+    if (!tbody) return;
+
+    const [delegations, users] = await Promise.all([getApprovalDelegations(currentUser.id), getAllUsers()]);
+    const today = getTodayDateString();
+    approvalDelegations = delegations;
+
+    // 代理の承認者の選択肢（自分以外の承認者）
+    const select = document.getElementById('delegation-delegate');
+    select.innerHTML = '';
+    for (const approver of users.filter(user => user.is_approver && user.user_id !== currentUser.id)) {
+        select.appendChild(new Option(approver.name || approver.email, approver.user_id));
+    }
+
+    tbody.innerHTML = '';
+
+    if (delegations.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="3">代理は登録されていません</td></tr>';
+        return;
+    }
+
+    for (const delegation of delegations) {
+        let status = isDelegationActive(delegation, today) ? '代理中' : '予定';
+        if (delegation.end_date < today) {
+            status = '終了';
+        }
+
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${formatApprovalDelegation(delegation, users)}</td>
+            <td>${status}${delegation.delegate_id === currentUser.id ? '（あなたが代理）' : ''}</td>
+            <td>
+                ${delegation.delegator_id === currentUser.id ? `
+                    <button class="btn btn-small btn-danger delete-approval-delegation-btn" data-id="${delegation.id}">削除</button>
+                ` : ''}
+            </td>
+        `;
+        tbody.appendChild(tr);
+    }
+
+    // 削除ボタンイベント
+    tbody.querySelectorAll('.delete-approval-delegation-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            if (confirm('代理を削除しますか？')) {
+                const result = await deleteApprovalDelegation(e.target.dataset.id);
+                showToast(result.message, result.success ? 'success' : 'error');
+                await loadApprovalDelegationList();
+            }
+        });
+    });
+}
+
+/**
+ * 承認の代理を追加する
+ */
+async function addApprovalDelegation() {
+    const result = await saveApprovalDelegation({
+        delegator_id: currentUser.id,
+        delegate_id: document.getElementById('delegation-delegate').value,
+        start_date: document.getElementById('delegation-start-date').value,
+        end_date: document.getElementById('delegation-end-date').value
+    }, approvalDelegations);
+
+    showToast(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        await loadApprovalDelegationList();
+    }
+}
+
+/**
+ * シフト表の所属の選択肢を読み込む
+ */
+async function loadTeamRosterDepartments() {
+    const select = document.getElementById('roster-department');
+    if (!select) return;
+
+    const selected = select.value || currentProfile?.department || '';
+    rosterUsers = await getAllUsers();
+    select.innerHTML = '';
+
+    for (const department of getDepartments(rosterUsers)) {
+        select.appendChild(new Option(department, department));
+    }
+    if (getDepartments(rosterUsers).includes(selected)) {
+        select.value = selected;
+    }
+}
+
+/**
+ * 所属のシフト表を読み込む（表示中の月）
+ */
+async function loadTeamRoster() {
+    const department = document.getElementById('roster-department').value;
+    if (!department) {
+        showToast('所属を選択してください', 'error');
+        return;
+    }
+
+    const members = getDepartmentMembers(rosterUsers, department);
+    const userIds = members.map(member => member.user_id);
+    const plans = await getTeamShiftPlans(userIds, currentYear, currentMonth);
+
+    teamRoster = {
+        year: currentYear,
+        month: currentMonth,
+        department,
+        members,
+        values: createRoster(members, plans),
+        hasDrafts: plans.some(plan => plan.is_published === false),
+        settingsByUser: await getTeamMonthlySettings(userIds, currentYear, currentMonth),
+        holidaysByUser: await getTeamAnnualHolidays(userIds, currentYear, currentMonth)
+    };
+
+    renderTeamRosterWeekOptions();
+    renderTeamRoster();
+}
+
+/**
+ * シフト表のコピー元の週の選択肢を描画する
+ */
+function renderTeamRosterWeekOptions() {
+    const select = document.getElementById('roster-copy-week');
+    if (!select || !teamRoster) return;
+
+    select.innerHTML = '';
+    const weekStarts = [...new Set(getMonthDates(teamRoster.year, teamRoster.month).map(getWeekStartDate))];
+
+    for (const weekStart of weekStarts) {
+        const date = parseDateString(weekStart);
+        select.appendChild(new Option(`${date.getMonth() + 1}/${date.getDate()}の週`, weekStart));
+    }
+}
+
+/**
+ * シフト表を描画する
+ * 各社員の年間休日設定の休日は背景色で表示する
+ */
+function renderTeamRoster() {
+    const head = document.getElementById('roster-head');
+    const body = document.getElementById('roster-body');
+    if (!head || !body || !teamRoster) return;
+
+    const { year, month, department, members, values, settingsByUser, holidaysByUser } = teamRoster;
+    const daysInMonth = getDaysInMonth(year, month);
+
+    document.getElementById('roster-title').textContent = `シフト表（${year}年${month}月・${department}）`;
+    document.getElementById('roster-status').textContent = teamRoster.hasDrafts ? '※公開していない変更があります' : '';
+
+    // 日付の見出し
+    let headHtml = '<tr><th>氏名</th>';
+    for (let day = 1; day <= daysInMonth; day++) {
+        const weekend = isWeekend(year, month, day);
+        const className = weekend.isSunday ? 'sunday' : weekend.isSaturday ? 'saturday' : '';
+        headHtml += `<th class="${className}">${day}<br>${getDayOfWeek(year, month, day)}</th>`;
+    }
+    head.innerHTML = `${headHtml}</tr>`;
+
+    // 社員×日の予定
+    body.innerHTML = '';
+    if (members.length === 0) {
+        body.innerHTML = `<tr><td colspan="${daysInMonth + 1}">所属する社員がいません</td></tr>`;
+    }
+
+    for (const member of members) {
+        const tr = document.createElement('tr');
+        const patterns = getSettingsPatterns(settingsByUser[member.user_id] || null);
+        tr.innerHTML = `<td>${member.name || member.email}</td>`;
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const workDate = formatDateString(year, month, day);
+            const td = document.createElement('td');
+            if (!isScheduledWorkday(year, month, day, holidaysByUser[member.user_id] || [])) {
+                td.classList.add('roster-holiday');
+            }
+
+            const select = document.createElement('select');
+            select.appendChild(new Option('-', ''));
+            select.appendChild(new Option('休', SHIFT_PLAN_TYPE.DAY_OFF));
+            patterns.forEach((pattern, index) => {
+                select.appendChild(new Option(pattern.name, index + 1));
+            });
+            select.value = values[member.user_id][workDate] || '';
+
+            select.addEventListener('change', (e) => {
+                values[member.user_id][workDate] = e.target.value;
+                teamRoster.hasDrafts = true;
+                document.getElementById('roster-status').textContent = '※公開していない変更があります';
+                renderTeamRosterHeadcount();
+            });
+
+            td.appendChild(select);
+            tr.appendChild(td);
+        }
+
+        body.appendChild(tr);
+    }
+
+    renderTeamRosterHeadcount();
+}
+
+/**
+ * シフト表の日毎・勤務パターンごとの人数を描画する
+ */
+function renderTeamRosterHeadcount() {
+    const foot = document.getElementById('roster-headcount');
+    if (!foot || !teamRoster) return;
+
+    const headcount = countRosterHeadcount(teamRoster.values, teamRoster.settingsByUser);
+    let html = '<tr><th>人数</th>';
+
+    for (const workDate of getMonthDates(teamRoster.year, teamRoster.month)) {
+        html += `<td>${formatRosterHeadcount(headcount[workDate]).join('<br>') || '-'}</td>`;
+    }
+
+    foot.innerHTML = `${html}</tr>`;
+}
+
+/**
+ * シフト表の未設定の日を年間休日設定から埋める
+ */
+function fillTeamRosterFromCalendar() {
+    if (!teamRoster) {
+        showToast('シフト表を表示してください', 'error');
+        return;
+    }
+
+    teamRoster.values = fillRosterFromCalendar(teamRoster.values, teamRoster.year, teamRoster.month, teamRoster.holidaysByUser);
+    teamRoster.hasDrafts = true;
+    renderTeamRoster();
+}
+
+/**
+ * シフト表の週の予定を以降の週にコピーする
+ */
+function copyTeamRosterWeek() {
+    if (!teamRoster) {
+        showToast('シフト表を表示してください', 'error');
+        return;
+    }
+
+    const weekStart = document.getElementById('roster-copy-week').value;
+    teamRoster.values = copyRosterWeek(teamRoster.values, teamRoster.year, teamRoster.month, weekStart);
+    teamRoster.hasDrafts = true;
+    renderTeamRoster();
+}
+
+/**
+ * 前月のシフト表をコピーする
+ */
+async function copyTeamRosterFromPreviousMonth() {
+    if (!teamRoster) {
+        showToast('シフト表を表示してください', 'error');
+        return;
+    }
+    if (!confirm('表示中のシフト表を前月の予定（4週前の同じ曜日）で上書きしますか？')) {
+        return;
+    }
+
+    const { year, month, members } = teamRoster;
+    const prevYear = month === 1 ? year - 1 : year;
+    const prevMonth = month === 1 ? 12 : month - 1;
+    const prevPlans = await getTeamShiftPlans(members.map(member => member.user_id), prevYear, prevMonth);
+
+    teamRoster.values = copyRosterFromPreviousMonth(createRoster(members, prevPlans), members, year, month);
+    teamRoster.hasDrafts = true;
+    renderTeamRoster();
+}
+
+/**
+ * シフト表を保存する
+ * @param {boolean} isPublished - 公開する場合true（下書き保存はfalse）
+ */
+async function saveTeamRoster(isPublished) {
+    if (!teamRoster) {
+        showToast('シフト表を表示してください', 'error');
+        return;
+    }
+
+    const result = await saveRoster(teamRoster.values, teamRoster.year, teamRoster.month, currentUser.id, isPublished);
+
+    if (result.success) {
+        showToast(result.message, 'success');
+        teamRoster.hasDrafts = !isPublished;
+        renderTeamRoster();
+
+        // 自分が含まれる場合は勤務入力タブの予定に反映
+        if (teamRoster.values[currentUser.id] && teamRoster.year === currentYear && teamRoster.month === currentMonth) {
+            shiftPlans = await getShiftPlans(currentUser.id, currentYear, currentMonth);
+            renderTimecardTable();
+        }
+    } else {
+        showToast(result.message, 'error');
+    }
+}
+
+/**
+ * 承認待ちの休暇申請を読み込む
+ */
+async function loadLeaveRequestApprovalList() {
+    const tbody = document.getElementById('leave-request-approval-body');
+    if (!tbody) return;
+
+    tbody.innerHTML = '<tr><td colspan="6">読み込み中...</td></tr>';
+
+    const requests = await getPendingLeaveRequests(currentUser.id);
+
+    if (requests.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6">承認待ちの休暇申請はありません</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = '';
+
+    for (const request of requests) {
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${request.user_profiles?.name || '不明'}</td>
+            <td>${formatLeaveRequestPeriod(request)}</td>
+            <td>${formatLeaveLabel(request, leaveTypes)}</td>
+            <td>${request.reason || '-'}</td>
+            <td>${formatDate(request.requested_at)}</td>
+            <td>
+                <button class="btn btn-small btn-success approve-leave-btn" data-id="${request.id}">承認</button>
+                <button class="btn btn-small btn-danger reject-leave-btn" data-id="${request.id}">却下</button>
+            </td>
+        `;
+
+        tbody.appendChild(tr);
+    }
+
+    // 承認ボタンイベント
+    tbody.querySelectorAll('.approve-leave-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const request = requests.find(r => r.id === e.target.dataset.id);
+            if (confirm('休暇申請を承認しますか？\n対象日の勤務記録に休暇が反映されます')) {
+                const result = await approveLeaveRequest(request, currentUser.id);
+                showToast(result.message, result.success ? 'success' : 'error');
+                await loadLeaveRequestApprovalList();
+            }
+        });
+    });
+
+    // 却下ボタンイベント
+    tbody.querySelectorAll('.reject-leave-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const request = requests.find(r => r.id === e.target.dataset.id);
+            const reason = prompt('却下理由を入力してください:');
+            if (reason !== null) {
+                const result = await rejectLeaveRequest(request, currentUser.id, reason);
+                showToast(result.message, result.success ? 'success' : 'error');
+                await loadLeaveRequestApprovalList();
+            }
+        });
+    });
+}
+
 /**
  * ユーザーリストを読み込む
  */
@@ -844,17 +2547,132 @@ async function loadUserList() {
         });
     });
 
-    // 削除ボタンイベント
-    tbody.querySelectorAll('.delete-user-btn').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-            const userId = e.target.dataset.id;
-            if (confirm('このユーザーを削除しますか？')) {
-                const result = await deleteUser(userId);
-                showToast(result.message, result.success ? 'success' : 'error');
-                await loadUserList();
-            }
-        });
-    });
+    // 削除ボタンイベント
+    tbody.querySelectorAll('.delete-user-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const userId = e.target.dataset.id;
+            if (confirm('このユーザーを削除しますか？')) {
+                const result = await deleteUser(userId);
+                showToast(result.message, result.success ? 'success' : 'error');
+                await loadUserList();
+            }
+        });
+    });
+}
+
+/**
+ * 全ユーザーの有休の残日数一覧を読み込む（今日時点）
+ */
+async function loadPaidLeaveBalanceList() {
+    const tbody = document.getElementById('paid-leave-balances-body');
+    if (!tbody) return;
+
+    tbody.innerHTML = '<tr><td colspan="8">読み込み中...</td></tr>';
+
+    const entries = await getPaidLeaveRegister(getTodayDateString());
+
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8">ユーザーがいません</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = '';
+
+    for (const { user, ledger, mandatory } of entries) {
+        const tr = document.createElement('tr');
+
+        if (ledger) {
+            const format = minutes => formatPaidLeaveMinutes(minutes, ledger.dayMinutes);
+            tr.innerHTML = `
+                <td>${user.name || user.email}</td>
+                <td>${user.hire_date}</td>
+                <td>${format(ledger.grantedMinutes)}</td>
+                <td>${format(ledger.usedMinutes)}</td>
+                <td>${format(ledger.remainingMinutes)}</td>
+                <td>${format(ledger.expiredMinutes)}</td>
+                <td>${ledger.nextGrant.grantDate}（${ledger.nextGrant.days}日）</td>
+                <td>${formatMandatoryLeaveStatus(mandatory)}</td>
+            `;
+        } else {
+            tr.innerHTML = `
+                <td>${user.name || user.email}</td>
+                <td colspan="7">入社日が未設定です</td>
+            `;
+        }
+
+        tbody.appendChild(tr);
+    }
+}
+
+/**
+ * 年5日の取得義務の状況を表示用に整形する
+ * @param {Object|null} mandatory - 取得義務の状況（calculateMandatoryLeaveStatus の結果）
+ * @returns {string} 表示用HTML
+ */
+function formatMandatoryLeaveStatus(mandatory) {
+    if (!mandatory) return '-';
+
+    const label = `${mandatory.takenDays}日／${PAID_LEAVE_RULES.MANDATORY_DAYS}日`;
+    if (mandatory.status === MANDATORY_LEAVE_STATUS.AT_RISK || mandatory.status === MANDATORY_LEAVE_STATUS.OVERDUE) {
+        const className = mandatory.status === MANDATORY_LEAVE_STATUS.OVERDUE ? 'overtime-badge error' : 'overtime-badge warning';
+        return `${label} <span class="${className}">${getMandatoryLeaveStatusLabel(mandatory.status)}</span>`;
+    }
+
+    return `${label}（${getMandatoryLeaveStatusLabel(mandatory.status)}）`;
+}
+
+/**
+ * 年5日の取得義務が未達のユーザー一覧を読み込む（今日時点、期限の近い順）
+ */
+async function loadMandatoryLeaveReport() {
+    const tbody = document.getElementById('mandatory-leave-body');
+    if (!tbody) return;
+
+    tbody.innerHTML = '<tr><td colspan="6">読み込み中...</td></tr>';
+
+    const entries = (await getPaidLeaveRegister(getTodayDateString()))
+        .filter(entry => entry.mandatory && entry.mandatory.status !== MANDATORY_LEAVE_STATUS.ACHIEVED)
+        .sort((a, b) => a.mandatory.deadline.localeCompare(b.mandatory.deadline));
+
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6">取得義務が未達のユーザーはいません</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = '';
+
+    for (const { user, mandatory } of entries) {
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${user.name || user.email}</td>
+            <td>${mandatory.grantDate}（${mandatory.grantDays}日）</td>
+            <td>${mandatory.deadline}（残り${mandatory.daysUntilDeadline}日）</td>
+            <td>${mandatory.takenDays}日</td>
+            <td>${mandatory.remainingDays}日</td>
+            <td>${formatMandatoryLeaveStatus(mandatory)}</td>
+        `;
+
+        tbody.appendChild(tr);
+    }
+}
+
+/**
+ * 年次有給休暇管理簿をCSVで出力する
+ */
+async function exportPaidLeaveRegister() {
+    const today = getTodayDateString();
+    const csv = generatePaidLeaveRegisterCSV(await getPaidLeaveRegister(today));
+
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `年次有給休暇管理簿_${today}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    showToast('年次有給休暇管理簿を出力しました', 'success');
 }
 
 /**
@@ -878,6 +2696,7 @@ function openUserModal(user = null) {
         passwordGroup.querySelector('label').textContent = 'パスワード（変更する場合のみ）';
         document.getElementById('user-name').value = user.name || '';
         document.getElementById('user-department').value = user.department || '';
+        document.getElementById('user-hire-date').value = user.hire_date || '';
         document.getElementById('is-approver').checked = user.is_approver || false;
         document.getElementById('is-admin').checked = user.is_admin || false;
     } else {
@@ -890,6 +2709,7 @@ function openUserModal(user = null) {
         passwordGroup.querySelector('label').textContent = 'パスワード';
         document.getElementById('user-name').value = '';
         document.getElementById('user-department').value = '';
+        document.getElementById('user-hire-date').value = '';
         document.getElementById('is-approver').checked = false;
         document.getElementById('is-admin').checked = false;
     }
@@ -918,6 +2738,7 @@ async function saveUserForm() {
         const result = await updateUserProfile(userId, {
             name: document.getElementById('user-name').value,
             department: document.getElementById('user-department').value,
+            hireDate: document.getElementById('user-hire-date').value,
             isApprover: document.getElementById('is-approver').checked,
             isAdmin: document.getElementById('is-admin').checked
         });
@@ -927,6 +2748,7 @@ async function saveUserForm() {
         if (result.success) {
             closeUserModal();
             await loadUserList();
+            await loadPaidLeaveBalanceList();
         }
     } else {
         // 新規作成
@@ -935,6 +2757,7 @@ async function saveUserForm() {
             password: document.getElementById('user-password').value,
             name: document.getElementById('user-name').value,
             department: document.getElementById('user-department').value,
+            hireDate: document.getElementById('user-hire-date').value,
             isApprover: document.getElementById('is-approver').checked,
             isAdmin: document.getElementById('is-admin').checked
         });
@@ -944,10 +2767,580 @@ async function saveUserForm() {
         if (result.success) {
             closeUserModal();
             await loadUserList();
+            await loadPaidLeaveBalanceList();
+        }
+    }
+}
+
+/**
+ * 勤務種類・休暇種類マスタの一覧を読み込む
+ */
+async function loadAttendanceTypeList() {
+    ({ workTypes, leaveTypes } = await getAttendanceTypes());
+
+    renderAttendanceTypeList(ATTENDANCE_TYPE_KIND.WORK, document.getElementById('work-types-body'), workTypes);
+    renderAttendanceTypeList(ATTENDANCE_TYPE_KIND.LEAVE, document.getElementById('leave-types-body'), leaveTypes);
+}
+
+/**
+ * 勤務種類・休暇種類マスタの一覧を描画する
+ * @param {string} kind - マスタの区分（ATTENDANCE_TYPE_KIND）
+ * @param {HTMLElement} tbody - 描画先のテーブル本体
+ * @param {Array} types - マスタの配列
+ */
+function renderAttendanceTypeList(kind, tbody, types) {
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+
+    for (const type of types) {
+        const tr = document.createElement('tr');
+        const paidCell = kind === ATTENDANCE_TYPE_KIND.LEAVE ? `<td>${type.is_paid ? '有給' : '無給'}</td>` : '';
+
+        tr.innerHTML = `
+            <td>${type.code}</td>
+            <td>${type.label}</td>
+            <td>${type.counts_as_attendance ? '○' : '-'}</td>
+            ${paidCell}
+            <td>${type.note_required ? '○' : '-'}</td>
+            <td>${type.is_active === false ? '無効' : '有効'}${type.is_system ? '（システム）' : ''}</td>
+            <td>
+                <button class="btn btn-small btn-primary edit-attendance-type-btn" data-code="${type.code}">編集</button>
+                ${type.is_system ? '' : `<button class="btn btn-small btn-danger delete-attendance-type-btn" data-code="${type.code}">削除</button>`}
+            </td>
+        `;
+
+        tbody.appendChild(tr);
+    }
+
+    // 編集ボタンイベント
+    tbody.querySelectorAll('.edit-attendance-type-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const type = types.find(t => t.code === e.target.dataset.code);
+            if (type) {
+                openAttendanceTypeModal(kind, type);
+            }
+        });
+    });
+
+    // 削除ボタンイベント
+    tbody.querySelectorAll('.delete-attendance-type-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const type = types.find(t => t.code === e.target.dataset.code);
+            if (type && confirm(`「${type.label}」を削除しますか？`)) {
+                const result = await deleteAttendanceType(kind, type);
+                showToast(result.message, result.success ? 'success' : 'error');
+                await loadAttendanceTypeList();
+            }
+        });
+    });
+}
+
+/**
+ * 勤務種類・休暇種類の追加/編集モーダルを開く
+ * @param {string} kind - マスタの区分（ATTENDANCE_TYPE_KIND）
+ * @param {Object|null} type - 編集する種類（追加の場合はnull）
+ */
+function openAttendanceTypeModal(kind, type = null) {
+    const modal = document.getElementById('attendance-type-modal');
+    if (!modal) return;
+
+    const isLeave = kind === ATTENDANCE_TYPE_KIND.LEAVE;
+    const kindLabel = isLeave ? '休暇種類' : '勤務種類';
+
+    document.getElementById('attendance-type-modal-title').textContent = `${kindLabel}の${type ? '編集' : '追加'}`;
+    document.getElementById('attendance-type-kind').value = kind;
+    document.getElementById('attendance-type-is-new').value = type ? '' : '1';
+    document.getElementById('attendance-type-code').value = type ? type.code : '';
+    document.getElementById('attendance-type-code').disabled = Boolean(type);
+    document.getElementById('attendance-type-label').value = type ? type.label : '';
+    document.getElementById('attendance-type-sort-order').value = type ? type.sort_order ?? 100 : 100;
+    document.getElementById('attendance-type-counts-as-attendance-label').textContent = isLeave ? '出勤扱いとする' : '出勤日数に含める';
+    document.getElementById('attendance-type-counts-as-attendance').checked = type ? Boolean(type.counts_as_attendance) : !isLeave;
+    document.getElementById('attendance-type-is-paid-group').style.display = isLeave ? '' : 'none';
+    document.getElementById('attendance-type-is-paid').checked = type ? Boolean(type.is_paid) : false;
+    document.getElementById('attendance-type-note-required').checked = type ? Boolean(type.note_required) : false;
+    document.getElementById('attendance-type-is-active').checked = type ? type.is_active !== false : true;
+    document.getElementById('attendance-type-is-active').disabled = Boolean(type?.is_system);
+
+    modal.style.display = 'flex';
+}
+
+/**
+ * 勤務種類・休暇種類の追加/編集モーダルを閉じる
+ */
+function closeAttendanceTypeModal() {
+    const modal = document.getElementById('attendance-type-modal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * 勤務種類・休暇種類フォームを保存する
+ */
+async function saveAttendanceTypeForm() {
+    const kind = document.getElementById('attendance-type-kind').value;
+    const isNew = document.getElementById('attendance-type-is-new').value === '1';
+    const types = kind === ATTENDANCE_TYPE_KIND.LEAVE ? leaveTypes : workTypes;
+
+    const result = await saveAttendanceType(kind, {
+        code: document.getElementById('attendance-type-code').value.trim(),
+        label: document.getElementById('attendance-type-label').value,
+        sort_order: parseInt(document.getElementById('attendance-type-sort-order').value) || 0,
+        counts_as_attendance: document.getElementById('attendance-type-counts-as-attendance').checked,
+        is_paid: document.getElementById('attendance-type-is-paid').checked,
+        note_required: document.getElementById('attendance-type-note-required').checked,
+        is_active: document.getElementById('attendance-type-is-active').checked
+    }, types, isNew);
+
+    if (result.success) {
+        showToast(result.message, 'success');
+        closeAttendanceTypeModal();
+        await loadAttendanceTypeList();
+        renderTimecardTable();
+        updateSummary();
+    } else {
+        showToast(result.message, 'error');
+    }
+}
+
+/**
+ * 承認ルートの一覧を読み込む
+ */
+async function loadApprovalRouteList() {
+    const tbody = document.getElementById('approval-routes-body');
+    if (!tbody) return;
+
+    [approvalRoutes, approvalRouteUsers] = await Promise.all([getApprovalRoutes(), getAllUsers()]);
+    tbody.innerHTML = '';
+
+    if (approvalRoutes.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="3">承認ルートがありません（承認者のいずれかが1回承認します）</td></tr>';
+        return;
+    }
+
+    for (const route of approvalRoutes) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${route.department || '既定'}</td>
+            <td>${formatApprovalRouteSteps(route)}${formatSelfApprovalStepWarning(route)}</td>
+            <td>
+                <button class="btn btn-small btn-primary edit-approval-route-btn" data-id="${route.id}">編集</button>
+                <button class="btn btn-small btn-danger delete-approval-route-btn" data-id="${route.id}">削除</button>
+            </td>
+        `;
+        tbody.appendChild(tr);
+    }
+
+    // 編集ボタンイベント
+    tbody.querySelectorAll('.edit-approval-route-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const route = approvalRoutes.find(r => r.id === e.target.dataset.id);
+            if (route) {
+                openApprovalRouteModal(route);
+            }
+        });
+    });
+
+    // 削除ボタンイベント
+    tbody.querySelectorAll('.delete-approval-route-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const route = approvalRoutes.find(r => r.id === e.target.dataset.id);
+            if (route && confirm(`「${route.department || '既定'}」の承認ルートを削除しますか？`)) {
+                const result = await deleteApprovalRoute(route.id);
+                showToast(result.message, result.success ? 'success' : 'error');
+                await loadApprovalRouteList();
+            }
+        });
+    });
+}
+
+/**
+ * 承認ルートの一覧に表示する、承認者自身の申請でステップを省略する警告を取得する
+ * @param {Object} route - 承認ルート
+ * @returns {string} HTML文字列（警告がない場合は空文字）
+ */
+function formatSelfApprovalStepWarning(route) {
+    const warning = getSelfApprovalStepWarning(route, approvalRoutes, approvalRouteUsers);
+    if (!warning) return '';
+
+    return `
+        <span class="warning-icon">⚠
+            <span class="warning-tooltip">${warning}</span>
+        </span>
+    `;
+}
+
+/**
+ * 承認ルートの追加/編集モーダルを開く
+ * @param {Object|null} route - 編集する承認ルート（追加の場合はnull）
+ */
+function openApprovalRouteModal(route = null) {
+    const modal = document.getElementById('approval-route-modal');
+    if (!modal) return;
+
+    const select = document.getElementById('approval-route-department');
+    select.innerHTML = '';
+    select.appendChild(new Option('既定（所属の承認ルートがない場合）', DEFAULT_ROUTE_DEPARTMENT));
+    for (const department of getDepartments(approvalRouteUsers)) {
+        select.appendChild(new Option(department, department));
+    }
+
+    document.getElementById('approval-route-modal-title').textContent = `承認ルートの${route ? '編集' : '追加'}`;
+    document.getElementById('approval-route-id').value = route ? route.id : '';
+    select.value = route ? route.department : DEFAULT_ROUTE_DEPARTMENT;
+    approvalRouteSteps = route ? route.steps.map(step => ({ ...step })) : [{ name: '', approver_id: null }];
+    renderApprovalRouteSteps();
+
+    modal.style.display = 'flex';
+}
+
+/**
+ * 承認ルートの追加/編集モーダルを閉じる
+ */
+function closeApprovalRouteModal() {
+    const modal = document.getElementById('approval-route-modal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * 承認ルートのモーダルのステップを描画する
+ * 承認者は承認権限のあるユーザーから選択する
+ */
+function renderApprovalRouteSteps() {
+    const container = document.getElementById('approval-route-steps');
+    if (!container) return;
+
+    const approvers = approvalRouteUsers.filter(user => user.is_approver);
+    container.innerHTML = '';
+
+    approvalRouteSteps.forEach((step, index) => {
+        const row = document.createElement('div');
+        row.className = 'form-row';
+        row.innerHTML = `
+            <div class="form-group">
+                <label for="approval-route-step-name-${index + 1}">ステップ${index + 1}</label>
+                <input type="text" id="approval-route-step-name-${index + 1}" placeholder="例: 課長承認" value="${step.name || ''}">
+            </div>
+            <div class="form-group">
+                <label for="approval-route-step-approver-${index + 1}">承認者</label>
+                <select id="approval-route-step-approver-${index + 1}"></select>
+            </div>
+        `;
+
+        const select = row.querySelector('select');
+        select.appendChild(new Option('選択してください', ''));
+        for (const approver of approvers) {
+            select.appendChild(new Option(approver.name || approver.email, approver.user_id));
+        }
+        select.value = step.approver_id || '';
+
+        row.querySelector('input').addEventListener('input', (e) => {
+            step.name = e.target.value;
+        });
+        select.addEventListener('change', (e) => {
+            const approver = approvers.find(user => user.user_id === e.target.value);
+            step.approver_id = approver ? approver.user_id : null;
+            step.approver_name = approver ? approver.name || approver.email : null;
+        });
+
+        container.appendChild(row);
+    });
+
+    document.getElementById('add-approval-route-step').disabled = approvalRouteSteps.length >= APPROVAL_ROUTE_STEP_LIMIT;
+    document.getElementById('remove-approval-route-step').disabled = approvalRouteSteps.length <= 1;
+}
+
+/**
+ * 承認ルートにステップを追加する
+ */
+function addApprovalRouteStep() {
+    if (approvalRouteSteps.length >= APPROVAL_ROUTE_STEP_LIMIT) {
+        showToast(`ステップは${APPROVAL_ROUTE_STEP_LIMIT}つまで設定できます`, 'error');
+        return;
+    }
+
+    approvalRouteSteps.push({ name: '', approver_id: null });
+    renderApprovalRouteSteps();
+}
+
+/**
+ * 承認ルートの最後のステップを削除する
+ */
+function removeApprovalRouteStep() {
+    if (approvalRouteSteps.length <= 1) return;
+
+    approvalRouteSteps.pop();
+    renderApprovalRouteSteps();
+}
+
+/**
+ * 承認ルートフォームを保存する
+ */
+async function saveApprovalRouteForm() {
+    const route = {
+        id: document.getElementById('approval-route-id').value || null,
+        department: document.getElementById('approval-route-department').value,
+        steps: approvalRouteSteps
+    };
+    const result = await saveApprovalRoute(route, approvalRoutes);
+
+    if (result.success) {
+        showToast(result.message, 'success');
+        const warning = getSelfApprovalStepWarning(route, approvalRoutes, approvalRouteUsers);
+        if (warning) {
+            showToast(warning, 'info');
+        }
+        closeApprovalRouteModal();
+        await loadApprovalRouteList();
+    } else {
+        showToast(result.message, 'error');
+    }
+}
+
+/**
+ * 承認者の担当の一覧と選択肢を読み込む
+ */
+async function loadApproverAssignmentList() {
+    const tbody = document.getElementById('approver-assignments-body');
+    if (!tbody) return;
+
+    [approverAssignments, approverAssignmentUsers] = await Promise.all([getApproverAssignments(), getAllUsers()]);
+    const userName = (userId) => {
+        const user = approverAssignmentUsers.find(u => u.user_id === userId);
+        return user ? user.name || user.email : '不明';
+    };
+
+    // 承認者の選択肢
+    const approverSelect = document.getElementById('assignment-approver');
+    const selectedApprover = approverSelect.value;
+    approverSelect.innerHTML = '';
+    for (const approver of approverAssignmentUsers.filter(user => user.is_approver)) {
+        approverSelect.appendChild(new Option(approver.name || approver.email, approver.user_id));
+    }
+    if (selectedApprover) {
+        approverSelect.value = selectedApprover;
+    }
+    renderApproverAssignmentTargets();
+
+    tbody.innerHTML = '';
+
+    if (approverAssignments.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="3">担当が登録されていません</td></tr>';
+        return;
+    }
+
+    for (const assignment of approverAssignments) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${userName(assignment.approver_id)}</td>
+            <td>${formatApproverAssignment(assignment, approverAssignmentUsers)}</td>
+            <td>
+                <button class="btn btn-small btn-danger delete-approver-assignment-btn" data-id="${assignment.id}">削除</button>
+            </td>
+        `;
+        tbody.appendChild(tr);
+    }
+
+    // 削除ボタンイベント
+    tbody.querySelectorAll('.delete-approver-assignment-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            if (confirm('担当を削除しますか？')) {
+                const result = await deleteApproverAssignment(e.target.dataset.id);
+                showToast(result.message, result.success ? 'success' : 'error');
+                await loadApproverAssignmentList();
+            }
+        });
+    });
+}
+
+/**
+ * 承認者の担当の選択肢（所属または社員）を描画する
+ */
+function renderApproverAssignmentTargets() {
+    const select = document.getElementById('assignment-target');
+    if (!select) return;
+
+    const type = document.getElementById('assignment-type').value;
+    select.innerHTML = '';
+
+    if (type === APPROVER_ASSIGNMENT_TYPE.DEPARTMENT) {
+        for (const department of getDepartments(approverAssignmentUsers)) {
+            select.appendChild(new Option(department, department));
+        }
+    } else {
+        for (const user of approverAssignmentUsers) {
+            select.appendChild(new Option(user.name || user.email, user.user_id));
+        }
+    }
+}
+
+/**
+ * 承認者の担当を追加する
+ */
+async function addApproverAssignment() {
+    const isDepartment = document.getElementById('assignment-type').value === APPROVER_ASSIGNMENT_TYPE.DEPARTMENT;
+    const target = document.getElementById('assignment-target').value;
+
+    const result = await saveApproverAssignment({
+        approver_id: document.getElementById('assignment-approver').value,
+        department: isDepartment ? target : null,
+        employee_id: isDepartment ? null : target
+    }, approverAssignments);
+
+    showToast(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        await loadApproverAssignmentList();
+    }
+}
+
+/**
+ * 組織設定フォームを読み込む
+ */
+async function loadOrganizationSettingsForm() {
+    const form = document.getElementById('organization-settings-form');
+    if (!form) return;
+
+    const settings = await getOrganizationSettings();
+
+    // 36協定
+    document.getElementById('overtime-limit-monthly-hours').value = settings.overtime_limit_monthly_hours;
+    document.getElementById('overtime-limit-yearly-hours').value = settings.overtime_limit_yearly_hours;
+    document.getElementById('special-clause-enabled').checked = settings.special_clause_enabled;
+    document.getElementById('special-limit-monthly-hours').value = settings.special_limit_monthly_hours;
+    document.getElementById('special-limit-average-hours').value = settings.special_limit_average_hours;
+    document.getElementById('special-limit-yearly-hours').value = settings.special_limit_yearly_hours;
+    document.getElementById('special-max-exceed-count').value = settings.special_max_exceed_count;
+    document.getElementById('agreement-start-month').value = settings.agreement_start_month;
+    document.getElementById('overtime-warning-ratio').value = Math.round(settings.overtime_warning_ratio * 100);
+    document.getElementById('block-approval-on-violation').checked = settings.block_approval_on_violation;
+
+    // 振替休日・代休
+    document.getElementById('substitute-holiday-period-days').value = settings.substitute_holiday_period_days;
+    document.getElementById('compensatory-leave-period-days').value = settings.compensatory_leave_period_days;
+
+    // 時間の丸め
+    document.getElementById('rounding-punch-unit').value = settings.rounding_punch_unit;
+    document.getElementById('rounding-start-direction').value = settings.rounding_start_direction;
+    document.getElementById('rounding-end-direction').value = settings.rounding_end_direction;
+    document.getElementById('rounding-daily-unit').value = settings.rounding_daily_unit;
+    document.getElementById('rounding-daily-direction').value = settings.rounding_daily_direction;
+    document.getElementById('rounding-monthly-unit').value = settings.rounding_monthly_unit;
+    document.getElementById('rounding-monthly-direction').value = settings.rounding_monthly_direction;
+}
+
+/**
+ * 組織設定フォームを保存する
+ */
+async function saveOrganizationSettingsForm() {
+    const defaults = ORGANIZATION_SETTINGS_DEFAULTS;
+
+    const settings = {
+        // 36協定
+        overtime_limit_monthly_hours: parseFloat(document.getElementById('overtime-limit-monthly-hours').value) || defaults.overtime_limit_monthly_hours,
+        overtime_limit_yearly_hours: parseFloat(document.getElementById('overtime-limit-yearly-hours').value) || defaults.overtime_limit_yearly_hours,
+        special_clause_enabled: document.getElementById('special-clause-enabled').checked,
+        special_limit_monthly_hours: parseFloat(document.getElementById('special-limit-monthly-hours').value) || defaults.special_limit_monthly_hours,
+        special_limit_average_hours: parseFloat(document.getElementById('special-limit-average-hours').value) || defaults.special_limit_average_hours,
+        special_limit_yearly_hours: parseFloat(document.getElementById('special-limit-yearly-hours').value) || defaults.special_limit_yearly_hours,
+        special_max_exceed_count: parseInt(document.getElementById('special-max-exceed-count').value) || defaults.special_max_exceed_count,
+        agreement_start_month: parseInt(document.getElementById('agreement-start-month').value) || defaults.agreement_start_month,
+        overtime_warning_ratio: (parseInt(document.getElementById('overtime-warning-ratio').value) || defaults.overtime_warning_ratio * 100) / 100,
+        block_approval_on_violation: document.getElementById('block-approval-on-violation').checked,
+
+        // 振替休日・代休
+        substitute_holiday_period_days: parseInt(document.getElementById('substitute-holiday-period-days').value) || defaults.substitute_holiday_period_days,
+        compensatory_leave_period_days: parseInt(document.getElementById('compensatory-leave-period-days').value) || defaults.compensatory_leave_period_days,
+
+        // 時間の丸め
+        rounding_punch_unit: parseInt(document.getElementById('rounding-punch-unit').value) || defaults.rounding_punch_unit,
+        rounding_start_direction: document.getElementById('rounding-start-direction').value,
+        rounding_end_direction: document.getElementById('rounding-end-direction').value,
+        rounding_daily_unit: parseInt(document.getElementById('rounding-daily-unit').value) || defaults.rounding_daily_unit,
+        rounding_daily_direction: document.getElementById('rounding-daily-direction').value,
+        rounding_monthly_unit: parseInt(document.getElementById('rounding-monthly-unit').value) || defaults.rounding_monthly_unit,
+        rounding_monthly_direction: document.getElementById('rounding-monthly-direction').value
+    };
+
+    const result = await saveOrganizationSettings(settings);
+    showToast(result.message, result.success ? 'success' : 'error');
+
+    if (result.success) {
+        // 丸めルールを勤務表に反映
+        roundingRules = getRoundingRules(mergeOrganizationSettings(settings));
+        await loadMonthData();
+    }
+}
+
+/**
+ * 変更履歴の絞り込み条件の選択肢を読み込む
+ */
+async function loadAuditLogFilters() {
+    const userSelect = document.getElementById('audit-user');
+    const tableSelect = document.getElementById('audit-table');
+    if (!userSelect || !tableSelect) return;
+
+    const selectedUser = userSelect.value;
+    auditLogUsers = await getAllUsers();
+
+    userSelect.innerHTML = '';
+    userSelect.appendChild(new Option('すべて', ''));
+    for (const user of auditLogUsers) {
+        userSelect.appendChild(new Option(user.name || user.email, user.user_id));
+    }
+    userSelect.value = selectedUser;
+
+    if (tableSelect.options.length === 0) {
+        tableSelect.appendChild(new Option('すべて', ''));
+        for (const [tableName, label] of Object.entries(AUDIT_TABLE_LABELS)) {
+            tableSelect.appendChild(new Option(label, tableName));
         }
     }
 }
 
+/**
+ * 変更履歴を検索して表示する
+ */
+async function loadAuditLogs() {
+    const tbody = document.getElementById('audit-log-body');
+    if (!tbody) return;
+
+    tbody.innerHTML = '<tr><td colspan="6">読み込み中...</td></tr>';
+
+    const logs = await getAuditLogs({
+        userId: document.getElementById('audit-user').value,
+        tableName: document.getElementById('audit-table').value,
+        startDate: document.getElementById('audit-start-date').value,
+        endDate: document.getElementById('audit-end-date').value
+    });
+
+    if (logs.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6">変更履歴がありません</td></tr>';
+        return;
+    }
+
+    const userNames = Object.fromEntries(auditLogUsers.map(user => [user.user_id, user.name || user.email]));
+    tbody.innerHTML = '';
+
+    for (const log of logs) {
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${formatDate(log.changed_at)}</td>
+            <td>${log.target_user_id ? userNames[log.target_user_id] || '削除済みのユーザー' : '-'}</td>
+            <td>${AUDIT_TABLE_LABELS[log.table_name] || log.table_name}</td>
+            <td>${AUDIT_OPERATION_LABELS[log.operation] || log.operation}</td>
+            <td>${log.changed_by ? userNames[log.changed_by] || '削除済みのユーザー' : 'システム'}</td>
+            <td><small>${formatAuditChanges(log).join('<br>') || '-'}</small></td>
+        `;
+
+        tbody.appendChild(tr);
+    }
+}
+
 /**
  * 日付をフォーマットする
  * @param {string} dateStr - ISO形式の日付文字列
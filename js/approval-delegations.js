@@ -0,0 +1,248 @@
+/**
+ * 承認の代理モジュール
+ *
+ * このファイルは承認者が不在の期間に代理の承認者を指定する機能と、代理の承認者が操作できる承認申請の判定機能を提供する
+ * 代理の承認者は期間中、代理元の承認者の担当する申請（承認ルートで代理元が承認者に指定された申請を含む）を承認・却下できる
+ * 承認・却下の記録には操作したユーザーと代理元の承認者の両方を保持する
+ */
+
+/**
+ * 代理が指定日に有効かを判定する
+ * @param {Object} delegation - 代理 {delegator_id, delegate_id, start_date, end_date}
+ * @param {string} date - 日付 (YYYY-MM-DD形式)
+ * @returns {boolean} 有効な場合はtrue
+ */
+function isDelegationActive(delegation, date) {
+    return delegation.start_date <= date && date <= delegation.end_date;
+}
+
+/**
+ * 代理の承認者が指定日に代理している承認者を取得する
+ * @param {Array} delegations - 代理の配列
+ * @param {string} delegateId - 代理の承認者のユーザーID
+ * @param {string} date - 日付 (YYYY-MM-DD形式)
+ * @returns {Array} 代理元の承認者のユーザーIDの配列（重複なし）
+ */
+function getActiveDelegatorIds(delegations, delegateId, date) {
+    return [...new Set((delegations || [])
+        .filter(delegation => delegation.delegate_id === delegateId && isDelegationActive(delegation, date))
+        .map(delegation => delegation.delegator_id))];
+}
+
+/**
+ * 自分が担当する申請に代理で取得した申請を加える
+ * 自分が担当する申請と重複する場合は自分の申請として扱い、代理元の承認者が複数の場合は最初の承認者の代理とする
+ * @param {Array} approvals - 自分が担当する承認申請の配列
+ * @param {Array} delegatedApprovals - 代理で取得した承認申請の配列（delegator_id を含む）
+ * @returns {Array} 承認申請の配列
+ */
+function mergeDelegatedApprovals(approvals, delegatedApprovals) {
+    const merged = [...approvals];
+
+    for (const approval of delegatedApprovals || []) {
+        if (!merged.some(other => other.id === approval.id)) {
+            merged.push(approval);
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * 承認申請を承認・却下するユーザーを判定する
+ * 自分が現在のステップを操作できる場合は自分として、できない場合は代理中の承認者として操作する
+ * 代理元の承認者の担当範囲のみで取得した申請（delegator_id あり）は代理元の承認者として操作する
+ * @param {Object} approval - 承認申請（代理で取得した場合は delegator_id を含む）
+ * @param {string} userId - 操作するユーザーID
+ * @param {Array} delegatorIds - 代理中の承認者のユーザーIDの配列
+ * @returns {Object} {canAct: boolean, onBehalfOf: string|null}（onBehalfOf は代理元の承認者のユーザーID）
+ */
+function resolveApprovalActor(approval, userId, delegatorIds) {
+    if (approval.user_id === userId) {
+        return { canAct: false, onBehalfOf: null };
+    }
+    if (!approval.delegator_id && canActOnApprovalStep(approval, userId)) {
+        return { canAct: true, onBehalfOf: null };
+    }
+
+    const candidates = approval.delegator_id ? [approval.delegator_id] : delegatorIds;
+    const delegatorId = candidates.find(id => delegatorIds.includes(id) && canActOnApprovalStep(approval, id));
+
+    return delegatorId
+        ? { canAct: true, onBehalfOf: delegatorId }
+        : { canAct: false, onBehalfOf: null };
+}
+
+/**
+ * 代理を表示用に整形する
+ * @param {Object} delegation - 代理
+ * @param {Array} users - ユーザープロフィールの配列
+ * @returns {string} 表示文字列（例: 山田 → 佐藤（2024-05-01～2024-05-10））
+ */
+function formatApprovalDelegation(delegation, users) {
+    const userName = (userId) => {
+        const user = (users || []).find(u => u.user_id === userId);
+        return user ? user.name || user.email : '不明';
+    };
+
+    return `${userName(delegation.delegator_id)} → ${userName(delegation.delegate_id)}（${delegation.start_date}～${delegation.end_date}）`;
+}
+
+/**
+ * 代理を検証する
+ * @param {Object} delegation - 代理 {delegator_id, delegate_id, start_date, end_date}
+ * @param {Array} delegations - 登録済みの代理の配列
+ * @returns {string|null} エラーメッセージ（問題がない場合はnull）
+ */
+function validateApprovalDelegation(delegation, delegations) {
+    if (!delegation.delegate_id) {
+        return '代理の承認者を選択してください';
+    }
+    if (delegation.delegate_id === delegation.delegator_id) {
+        return '自分自身を代理にすることはできません';
+    }
+    if (!delegation.start_date || !delegation.end_date) {
+        return '代理の期間を入力してください';
+    }
+    if (delegation.end_date < delegation.start_date) {
+        return '終了日は開始日以降の日付を入力してください';
+    }
+
+    const overlapped = (delegations || []).some(other =>
+        other.delegator_id === delegation.delegator_id
+        && other.start_date <= delegation.end_date
+        && delegation.start_date <= other.end_date);
+    if (overlapped) {
+        return '期間が重なる代理がすでに登録されています';
+    }
+
+    return null;
+}
+
+/**
+ * 自分に関係する代理の一覧を取得する（自分が指定した代理と自分への代理）
+ * @param {string} userId - ユーザーID
+ * @returns {Array} 代理の配列（開始日順）
+ */
+async function getApprovalDelegations(userId) {
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('approval_delegations')
+            .select('*')
+            .or(`delegator_id.eq.${userId},delegate_id.eq.${userId}`)
+            .order('start_date', { ascending: true });
+
+        if (error) {
+            console.error('承認の代理取得エラー:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('承認の代理取得エラー:', error);
+        return [];
+    }
+}
+
+/**
+ * 当日に代理している承認者を取得する
+ * @param {string} delegateId - 代理の承認者のユーザーID
+ * @returns {Array} 代理元の承認者のユーザーIDの配列
+ */
+async function getCurrentDelegatorIds(delegateId) {
+    return getActiveDelegatorIds(await getApprovalDelegations(delegateId), delegateId, getTodayDateString());
+}
+
+/**
+ * 代理を追加する
+ * @param {Object} delegation - 代理 {delegator_id, delegate_id, start_date, end_date}
+ * @param {Array} delegations - 登録済みの代理の配列
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function saveApprovalDelegation(delegation, delegations) {
+    const validationError = validateApprovalDelegation(delegation, delegations);
+    if (validationError) {
+        return {
+            success: false,
+            message: validationError
+        };
+    }
+
+    try {
+        const client = getSupabaseClient();
+        const { error } = await client
+            .from('approval_delegations')
+            .insert({
+                delegator_id: delegation.delegator_id,
+                delegate_id: delegation.delegate_id,
+                start_date: delegation.start_date,
+                end_date: delegation.end_date
+            });
+
+        if (error) {
+            return {
+                success: false,
+                message: '代理の追加に失敗しました: ' + error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: '代理を追加しました'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '代理の追加中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 代理を削除する
+ * @param {string} delegationId - 代理ID
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function deleteApprovalDelegation(delegationId) {
+    try {
+        const client = getSupabaseClient();
+        const { error } = await client
+            .from('approval_delegations')
+            .delete()
+            .eq('id', delegationId);
+
+        if (error) {
+            return {
+                success: false,
+                message: '代理の削除に失敗しました: ' + error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: '代理を削除しました'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '代理の削除中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isDelegationActive,
+        getActiveDelegatorIds,
+        mergeDelegatedApprovals,
+        resolveApprovalActor,
+        formatApprovalDelegation,
+        validateApprovalDelegation,
+        getApprovalDelegations,
+        getCurrentDelegatorIds,
+        saveApprovalDelegation,
+        deleteApprovalDelegation
+    };
+}
@@ -0,0 +1,401 @@
+/**
+ * 承認ルートモジュール
+ *
+ * このファイルは所属ごとの多段階の承認ルートの管理と、承認申請の現在のステップの判定機能を提供する
+ * 承認ルートはステップの配列 [{name, approver_id, approver_name}] を順に承認する
+ * 承認申請には申請時点のステップを route_steps として保持し、current_step（1始まり）で現在のステップを表す
+ * route_steps の設定とステップの履歴の記録はデータベースのトリガーが行う（申請者の所属の承認ルートがない場合は既定の承認ルート）
+ * 承認ルートがない所属は、承認者のいずれかが1回承認すれば承認済みとなる
+ */
+
+/**
+ * 所属の承認ルートがない場合に使用する既定の承認ルートの所属（空文字）
+ */
+const DEFAULT_ROUTE_DEPARTMENT = '';
+
+/**
+ * 承認ルートがない場合のステップ（承認者のいずれかが承認できる）
+ */
+const DEFAULT_APPROVAL_STEP = { name: '承認', approver_id: null, approver_name: null };
+
+/**
+ * 承認ルートのステップ数の上限
+ */
+const APPROVAL_ROUTE_STEP_LIMIT = 5;
+
+/**
+ * ステップの操作の定数
+ */
+const APPROVAL_STEP_ACTION = {
+    APPROVED: 'approved',   // 承認
+    REJECTED: 'rejected'    // 却下（社員に差し戻す）
+};
+
+/**
+ * 承認ルートのステップを取得する
+ * @param {Object|null} route - 承認ルート
+ * @returns {Array} ステップの配列（承認ルートがない場合は既定のステップのみ）
+ */
+function getRouteSteps(route) {
+    return route && route.steps && route.steps.length > 0 ? route.steps : [DEFAULT_APPROVAL_STEP];
+}
+
+/**
+ * 承認申請のステップを取得する（申請時点の承認ルート）
+ * @param {Object} approval - 承認申請
+ * @returns {Array} ステップの配列
+ */
+function getApprovalSteps(approval) {
+    return getRouteSteps({ steps: approval.route_steps });
+}
+
+/**
+ * 承認申請の現在のステップを取得する
+ * @param {Object} approval - 承認申請
+ * @returns {Object} 現在のステップ {name, approver_id, approver_name}
+ */
+function getCurrentApprovalStep(approval) {
+    const steps = getApprovalSteps(approval);
+    return steps[Math.min(Math.max(approval.current_step || 1, 1), steps.length) - 1];
+}
+
+/**
+ * 現在のステップが最終ステップかを判定する
+ * @param {Object} approval - 承認申請
+ * @returns {boolean} 最終ステップの場合はtrue
+ */
+function isFinalApprovalStep(approval) {
+    return (approval.current_step || 1) >= getApprovalSteps(approval).length;
+}
+
+/**
+ * ユーザーが承認申請の現在のステップを承認・却下できるかを判定する
+ * 承認待ちの申請のみ、現在のステップの承認者が操作できる（承認者の指定がないステップは承認者のいずれかが操作できる）
+ * 自分の申請は操作できない
+ * @param {Object} approval - 承認申請
+ * @param {string} userId - ユーザーID
+ * @returns {boolean} 操作できる場合はtrue
+ */
+function canActOnApprovalStep(approval, userId) {
+    if (approval.status !== APPROVAL_STATUS.PENDING || approval.user_id === userId) return false;
+
+    const step = getCurrentApprovalStep(approval);
+    return !step.approver_id || step.approver_id === userId;
+}
+
+/**
+ * 承認後の承認申請の値を取得する
+ * 最終ステップの承認で承認済みとし、それ以外は次のステップに進める
+ * @param {Object} approval - 承認申請
+ * @param {string} approverId - 承認者ID（操作したユーザー）
+ * @param {string} now - 承認日時 (ISO形式)
+ * @param {string|null} onBehalfOf - 代理で承認する場合の代理元の承認者ID
+ * @returns {Object} 更新する値
+ */
+function getApprovedValues(approval, approverId, now, onBehalfOf = null) {
+    if (isFinalApprovalStep(approval)) {
+        return {
+            status: APPROVAL_STATUS.APPROVED,
+            approved_by: approverId,
+            approved_on_behalf_of: onBehalfOf,
+            approved_at: now,
+            updated_at: now
+        };
+    }
+
+    return {
+        current_step: (approval.current_step || 1) + 1,
+        approved_on_behalf_of: onBehalfOf,
+        updated_at: now
+    };
+}
+
+/**
+ * 承認申請の現在のステップの表示を取得する
+ * @param {Object} approval - 承認申請
+ * @returns {string} 表示文字列（例: 2/3 部長承認（佐藤）、承認待ち以外は '-'）
+ */
+function formatApprovalStepLabel(approval) {
+    if (approval.status !== APPROVAL_STATUS.PENDING) return '-';
+
+    const steps = getApprovalSteps(approval);
+    const step = getCurrentApprovalStep(approval);
+    const approverName = step.approver_name ? `（${step.approver_name}）` : '';
+
+    return `${steps.indexOf(step) + 1}/${steps.length} ${step.name}${approverName}`;
+}
+
+/**
+ * 承認ルートのステップを表示用に整形する
+ * @param {Object} route - 承認ルート
+ * @returns {string} 表示文字列（例: 1. 課長承認（山田） → 2. 部長承認（佐藤））
+ */
+function formatApprovalRouteSteps(route) {
+    return getRouteSteps(route)
+        .map((step, index) => `${index + 1}. ${step.name}${step.approver_name ? `（${step.approver_name}）` : ''}`)
+        .join(' → ');
+}
+
+/**
+ * ステップの履歴を表示用の行に整形する
+ * @param {Array} stepLogs - ステップの履歴の配列（操作日時順、approver_name・on_behalf_of_name を含む）
+ * @returns {Array} 表示文字列の配列（例: 1. 課長承認 山田 4/30 承認、代理の場合は 佐藤（山田の代理））
+ */
+function formatApprovalStepLogLines(stepLogs) {
+    return (stepLogs || []).map(log => {
+        const actedAt = new Date(log.acted_at);
+        const actionLabel = log.action === APPROVAL_STEP_ACTION.REJECTED ? '却下' : '承認';
+        const onBehalfOf = log.on_behalf_of_name ? `（${log.on_behalf_of_name}の代理）` : '';
+        return `${log.step_number}. ${log.step_name} ${log.approver_name || ''}${onBehalfOf} ${actedAt.getMonth() + 1}/${actedAt.getDate()} ${actionLabel}`;
+    });
+}
+
+/**
+ * 承認管理のステップの表示を取得する
+ * @param {Object} approval - 承認申請
+ * @param {Array} stepLogs - ステップの履歴の配列（approver_name を含む）
+ * @returns {string} 表示用HTML（履歴がある場合はツールチップで表示）
+ */
+function getApprovalStepBadge(approval, stepLogs) {
+    const label = formatApprovalStepLabel(approval);
+    if (!stepLogs || stepLogs.length === 0) {
+        return label;
+    }
+
+    return `
+        ${label}
+        <span class="warning-icon">履歴
+            <span class="warning-tooltip">${formatApprovalStepLogLines(stepLogs).join('<br>')}</span>
+        </span>
+    `;
+}
+
+/**
+ * 承認ルートを検証する
+ * @param {Object} route - 承認ルート {department, steps}
+ * @param {Array} routes - 登録済みの承認ルートの配列
+ * @returns {string|null} エラーメッセージ（問題がない場合はnull）
+ */
+function validateApprovalRoute(route, routes) {
+    const steps = route.steps || [];
+
+    if (steps.length === 0) {
+        return 'ステップを1つ以上設定してください';
+    }
+    if (steps.length > APPROVAL_ROUTE_STEP_LIMIT) {
+        return `ステップは${APPROVAL_ROUTE_STEP_LIMIT}つまで設定できます`;
+    }
+    if (steps.some(step => !step.name || !step.name.trim())) {
+        return 'ステップ名を入力してください';
+    }
+    if (steps.some(step => !step.approver_id)) {
+        return '各ステップの承認者を選択してください';
+    }
+    if ((routes || []).some(other => other.id !== route.id && other.department === route.department)) {
+        return route.department === DEFAULT_ROUTE_DEPARTMENT
+            ? '既定の承認ルートはすでに登録されています'
+            : `「${route.department}」の承認ルートはすでに登録されています`;
+    }
+
+    return null;
+}
+
+/**
+ * 申請者に適用する承認ルートのステップを取得する
+ * 申請者自身が承認者のステップは申請者が承認できないため省略する（resolve_approval_route トリガーと同じ判定）
+ * @param {Array} steps - 承認ルートのステップの配列
+ * @param {string} applicantId - 申請者のユーザーID
+ * @returns {Array} ステップの配列（すべて省略した場合は空配列）
+ */
+function getApplicantApprovalSteps(steps, applicantId) {
+    return (steps || []).filter(step => step.approver_id !== applicantId);
+}
+
+/**
+ * 承認ルートの承認者が自分の申請でステップを省略されることの警告を取得する
+ * 承認者の所属にこの承認ルートが適用される場合（既定の承認ルートは所属の承認ルートがない場合）に警告する
+ * 保存は妨げない（validateApprovalRoute のエラーとは別に表示する）
+ * @param {Object} route - 承認ルート {department, steps}
+ * @param {Array} routes - 登録済みの承認ルートの配列
+ * @param {Array} users - ユーザープロフィールの配列
+ * @returns {string|null} 警告メッセージ（該当がない場合はnull）
+ */
+function getSelfApprovalStepWarning(route, routes, users) {
+    const appliesTo = (department) => route.department === DEFAULT_ROUTE_DEPARTMENT
+        ? !(routes || []).some(other => other.id !== route.id && department && other.department === department)
+        : department === route.department;
+
+    const names = (route.steps || [])
+        .map(step => (users || []).find(user => user.user_id === step.approver_id))
+        .filter(approver => approver && appliesTo(approver.department))
+        .map(approver => approver.name || approver.email);
+
+    if (names.length === 0) return null;
+
+    return `${[...new Set(names)].join('、')}の申請では、本人が承認者のステップを省略します`;
+}
+
+/**
+ * 承認ルートの一覧を取得する
+ * @returns {Array} 承認ルートの配列（所属順、既定の承認ルートが先頭）
+ */
+async function getApprovalRoutes() {
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('approval_routes')
+            .select('*')
+            .order('department', { ascending: true });
+
+        if (error) {
+            console.error('承認ルート取得エラー:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('承認ルート取得エラー:', error);
+        return [];
+    }
+}
+
+/**
+ * 承認ルートを保存する
+ * @param {Object} route - 承認ルート {id, department, steps}（idがない場合は追加）
+ * @param {Array} routes - 登録済みの承認ルートの配列
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function saveApprovalRoute(route, routes) {
+    const validationError = validateApprovalRoute(route, routes);
+    if (validationError) {
+        return {
+            success: false,
+            message: validationError
+        };
+    }
+
+    try {
+        const client = getSupabaseClient();
+        const values = {
+            department: route.department,
+            steps: route.steps.map(step => ({
+                name: step.name.trim(),
+                approver_id: step.approver_id,
+                approver_name: step.approver_name || null
+            }))
+        };
+
+        const result = route.id
+            ? await client.from('approval_routes').update(values).eq('id', route.id)
+            : await client.from('approval_routes').insert(values);
+
+        if (result.error) {
+            return {
+                success: false,
+                message: '承認ルートの保存に失敗しました: ' + result.error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: '承認ルートを保存しました（承認待ちの申請は申請時点のルートで承認します）'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '承認ルートの保存中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 承認ルートを削除する
+ * @param {string} routeId - 承認ルートID
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function deleteApprovalRoute(routeId) {
+    try {
+        const client = getSupabaseClient();
+        const { error } = await client
+            .from('approval_routes')
+            .delete()
+            .eq('id', routeId);
+
+        if (error) {
+            return {
+                success: false,
+                message: '承認ルートの削除に失敗しました: ' + error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: '承認ルートを削除しました'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '承認ルートの削除中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 承認申請のステップの履歴を取得する
+ * @param {Array} approvalIds - 承認IDの配列
+ * @returns {Object} 承認IDごとのステップの履歴 {承認ID: Array}（操作日時順）
+ */
+async function getApprovalStepLogs(approvalIds) {
+    const grouped = {};
+    if (!approvalIds || approvalIds.length === 0) return grouped;
+
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('approval_step_logs')
+            .select('*')
+            .in('approval_id', approvalIds)
+            .order('acted_at', { ascending: true });
+
+        if (error) {
+            console.error('承認ステップ履歴取得エラー:', error);
+            return grouped;
+        }
+
+        for (const log of data || []) {
+            (grouped[log.approval_id] = grouped[log.approval_id] || []).push(log);
+        }
+
+        return grouped;
+    } catch (error) {
+        console.error('承認ステップ履歴取得エラー:', error);
+        return grouped;
+    }
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_ROUTE_DEPARTMENT,
+        DEFAULT_APPROVAL_STEP,
+        APPROVAL_ROUTE_STEP_LIMIT,
+        APPROVAL_STEP_ACTION,
+        getRouteSteps,
+        getApprovalSteps,
+        getCurrentApprovalStep,
+        isFinalApprovalStep,
+        canActOnApprovalStep,
+        getApprovedValues,
+        formatApprovalStepLabel,
+        formatApprovalRouteSteps,
+        formatApprovalStepLogLines,
+        getApprovalStepBadge,
+        getApplicantApprovalSteps,
+        getSelfApprovalStepWarning,
+        validateApprovalRoute,
+        getApprovalRoutes,
+        saveApprovalRoute,
+        deleteApprovalRoute,
+        getApprovalStepLogs
+    };
+}
@@ -3,6 +3,7 @@
  * 
  * このファイルは勤務表の承認機能を提供する
  * 承認申請、承認、却下、承認取り消しを担当
+ * 承認は所属の承認ルートのステップ順に行い、最終ステップの承認で承認済み（月の編集不可）とする（approval-routes.js を参照）
  */
 
 /**
@@ -45,8 +46,36 @@ async function getApprovalStatus(userId, year, month) {
     }
 }
 
+/**
+ * 承認申請をIDで取得する
+ * @param {string} approvalId - 承認ID
+ * @returns {Object|null} 承認申請またはnull
+ */
+async function getApprovalById(approvalId) {
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('approvals')
+            .select('*')
+            .eq('id', approvalId)
+            .single();
+        
+        if (error) {
+            console.error('承認申請取得エラー:', error);
+            return null;
+        }
+        
+        return data;
+    } catch (error) {
+        console.error('承認申請取得エラー:', error);
+        return null;
+    }
+}
+
 /**
  * 承認申請を行う
+ * 36協定の上限を超えている場合、組織設定によっては申請をブロックする
+ * 申請時点の所属の承認ルートを保持し、最初のステップから承認する（却下後の再申請も最初のステップから）
  * @param {string} userId - ユーザーID
  * @param {number} year - 年
  * @param {number} month - 月
@@ -67,24 +96,40 @@ async function requestApproval(userId, year, month) {
         
         const now = new Date().toISOString();
         
+        // すでに承認済みの場合はエラー
+        if (existing && existing.status === APPROVAL_STATUS.APPROVED) {
+            return {
+                success: false,
+                message: 'すでに承認されています'
+            };
+        }
+        
+        // 36協定の上限チェック
+        const limitCheck = await checkUserOvertimeLimits(userId, year, month);
+        if (limitCheck.hasError && limitCheck.limits.block_approval_on_violation) {
+            const messages = limitCheck.alerts
+                .filter(alert => alert.level === OVERTIME_ALERT_LEVEL.ERROR)
+                .map(alert => alert.message);
+            return {
+                success: false,
+                message: '36協定の上限を超えているため承認申請できません: ' + messages.join('／')
+            };
+        }
+        
+        // 承認ルートのステップは申請時にデータベースのトリガーが所属の承認ルートから設定する
+        let saved;
         if (existing) {
-            // すでに承認済みの場合はエラー
-            if (existing.status === APPROVAL_STATUS.APPROVED) {
-                return {
-                    success: false,
-                    message: 'すでに承認されています'
-                };
-            }
-            
             // 更新
-            const { error } = await client
+            const { data, error } = await client
                 .from('approvals')
                 .update({
                     status: APPROVAL_STATUS.PENDING,
                     requested_at: now,
                     updated_at: now
                 })
-                .eq('id', existing.id);
+                .eq('id', existing.id)
+                .select('route_steps')
+                .single();
             
             if (error) {
                 return {
@@ -92,9 +137,10 @@ async function requestApproval(userId, year, month) {
                     message: '承認申請に失敗しました: ' + error.message
                 };
             }
+            saved = data;
         } else {
             // 新規作成
-            const { error } = await client
+            const { data, error } = await client
                 .from('approvals')
                 .insert({
                     user_id: userId,
@@ -104,7 +150,9 @@ async function requestApproval(userId, year, month) {
                     requested_at: now,
                     created_at: now,
                     updated_at: now
-                });
+                })
+                .select('route_steps')
+                .single();
             
             if (error) {
                 return {
@@ -112,11 +160,12 @@ async function requestApproval(userId, year, month) {
                     message: '承認申請に失敗しました: ' + error.message
                 };
             }
+            saved = data;
         }
         
         return {
             success: true,
-            message: '承認申請を送信しました'
+            message: `承認申請を送信しました（${formatApprovalRouteSteps({ steps: saved.route_steps })}）`
         };
     } catch (error) {
         return {
@@ -128,9 +177,12 @@ async function requestApproval(userId, year, month) {
 
 /**
  * 承認待ちリストを取得する（承認者向け）
+ * 承認者が担当する申請のみ取得し、自分の申請は含めない（approver-assignments.js を参照）
+ * 代理中の承認者の担当する申請も含める
+ * @param {string} approverId - 承認者ID
  * @returns {Array} 承認待ちリスト
  */
-async function getPendingApprovals() {
+async function getPendingApprovals(approverId) {
     try {
         const client = getSupabaseClient();
         const { data, error } = await client
@@ -139,6 +191,8 @@ async function getPendingApprovals() {
                 *,
                 user_profiles:user_id (name, department)
             `)
+            .neq('user_id', approverId)
+            .or(await getApprovalScopeFilter(approverId))
             .eq('status', APPROVAL_STATUS.PENDING)
             .order('requested_at', { ascending: true });
         
@@ -147,7 +201,8 @@ async function getPendingApprovals() {
             return [];
         }
         
-        return data || [];
+        return mergeDelegatedApprovals(data || [], await getDelegatedApprovals(approverId, APPROVAL_STATUS.PENDING))
+            .sort((a, b) => (a.requested_at || '').localeCompare(b.requested_at || ''));
     } catch (error) {
         console.error('承認待ちリスト取得エラー:', error);
         return [];
@@ -156,9 +211,12 @@ async function getPendingApprovals() {
 
 /**
  * 全承認リストを取得する（承認者向け）
+ * 承認者が担当する申請のみ取得し、自分の申請は含めない（approver-assignments.js を参照）
+ * 代理中の承認者の担当する申請も含める
+ * @param {string} approverId - 承認者ID
  * @returns {Array} 承認リスト
  */
-async function getAllApprovals() {
+async function getAllApprovals(approverId) {
     try {
         const client = getSupabaseClient();
         const { data, error } = await client
@@ -167,6 +225,8 @@ async function getAllApprovals() {
                 *,
                 user_profiles:user_id (name, department)
             `)
+            .neq('user_id', approverId)
+            .or(await getApprovalScopeFilter(approverId))
             .order('year', { ascending: false })
             .order('month', { ascending: false });
         
@@ -175,32 +235,84 @@ async function getAllApprovals() {
             return [];
         }
         
-        return data || [];
+        return mergeDelegatedApprovals(data || [], await getDelegatedApprovals(approverId))
+            .sort((a, b) => b.year - a.year || b.month - a.month);
     } catch (error) {
         console.error('承認リスト取得エラー:', error);
         return [];
     }
 }
 
+/**
+ * 代理中の承認者の担当する申請を取得する（承認者向け）
+ * 自分の申請と代理元の承認者自身の申請は含めない（approval-delegations.js を参照）
+ * @param {string} approverId - 承認者ID
+ * @param {string|null} status - 承認状態（省略時は全状態）
+ * @returns {Array} 承認リスト（代理元の承認者のユーザーIDを delegator_id に設定）
+ */
+async function getDelegatedApprovals(approverId, status = null) {
+    const client = getSupabaseClient();
+    const delegated = [];
+    
+    for (const delegatorId of await getCurrentDelegatorIds(approverId)) {
+        let query = client
+            .from('approvals')
+            .select(`
+                *,
+                user_profiles:user_id (name, department)
+            `)
+            .neq('user_id', approverId)
+            .neq('user_id', delegatorId)
+            .or(await getApprovalScopeFilter(delegatorId));
+        
+        if (status) {
+            query = query.eq('status', status);
+        }
+        
+        const { data, error } = await query;
+        
+        if (error) {
+            console.error('代理の承認リスト取得エラー:', error);
+            continue;
+        }
+        
+        delegated.push(...(data || []).map(approval => ({ ...approval, delegator_id: delegatorId })));
+    }
+    
+    return delegated;
+}
+
 /**
  * 承認を行う
+ * 現在のステップの承認者（またはその代理）のみ承認でき、最終ステップの承認で承認済みとする（それ以外は次のステップに進める）
+ * ステップの履歴はデータベースのトリガーが承認申請の更新と同時に記録する
  * @param {string} approvalId - 承認ID
- * @param {string} approverId - 承認者ID
+ * @param {string} approverId - 承認者ID（操作したユーザー）
+ * @param {string|null} onBehalfOf - 代理で承認する場合の代理元の承認者ID
  * @returns {Object} 結果オブジェクト {success: boolean, message: string}
  */
-async function approve(approvalId, approverId) {
+async function approve(approvalId, approverId, onBehalfOf = null) {
     try {
         const client = getSupabaseClient();
         const now = new Date().toISOString();
         
+        const approval = await getApprovalById(approvalId);
+        if (approval && approval.user_id === approverId) {
+            return {
+                success: false,
+                message: '自分の申請は承認できません'
+            };
+        }
+        if (!approval || !canActOnApprovalStep(approval, onBehalfOf || approverId)) {
+            return {
+                success: false,
+                message: '現在のステップの承認者ではないため承認できません'
+            };
+        }
+        
         const { error } = await client
             .from('approvals')
-            .update({
-                status: APPROVAL_STATUS.APPROVED,
-                approved_by: approverId,
-                approved_at: now,
-                updated_at: now
-            })
+            .update(getApprovedValues(approval, approverId, now, onBehalfOf))
             .eq('id', approvalId);
         
         if (error) {
@@ -210,6 +322,14 @@ async function approve(approvalId, approverId) {
             };
         }
         
+        if (!isFinalApprovalStep(approval)) {
+            const nextStep = getCurrentApprovalStep({ ...approval, current_step: approval.current_step + 1 });
+            return {
+                success: true,
+                message: `「${getCurrentApprovalStep(approval).name}」を承認しました（次のステップ: ${nextStep.name}）`
+            };
+        }
+        
         return {
             success: true,
             message: '承認しました'
@@ -224,21 +344,38 @@ async function approve(approvalId, approverId) {
 
 /**
  * 却下を行う
+ * 現在のステップの承認者（またはその代理）のみ却下でき、どのステップで却下しても社員に差し戻す（再申請は最初のステップから）
  * @param {string} approvalId - 承認ID
- * @param {string} approverId - 承認者ID
+ * @param {string} approverId - 承認者ID（操作したユーザー）
  * @param {string} reason - 却下理由
+ * @param {string|null} onBehalfOf - 代理で却下する場合の代理元の承認者ID
  * @returns {Object} 結果オブジェクト {success: boolean, message: string}
  */
-async function reject(approvalId, approverId, reason) {
+async function reject(approvalId, approverId, reason, onBehalfOf = null) {
     try {
         const client = getSupabaseClient();
         const now = new Date().toISOString();
         
+        const approval = await getApprovalById(approvalId);
+        if (approval && approval.user_id === approverId) {
+            return {
+                success: false,
+                message: '自分の申請は却下できません'
+            };
+        }
+        if (!approval || !canActOnApprovalStep(approval, onBehalfOf || approverId)) {
+            return {
+                success: false,
+                message: '現在のステップの承認者ではないため却下できません'
+            };
+        }
+        
         const { error } = await client
             .from('approvals')
             .update({
                 status: APPROVAL_STATUS.REJECTED,
                 approved_by: approverId,
+                approved_on_behalf_of: onBehalfOf,
                 approved_at: now,
                 rejection_reason: reason,
                 updated_at: now
@@ -280,6 +417,7 @@ async function cancelApproval(approvalId, approverId) {
             .update({
                 status: APPROVAL_STATUS.DRAFT,
                 approved_by: null,
+                approved_on_behalf_of: null,
                 approved_at: null,
                 rejection_reason: null,
                 updated_at: now
@@ -357,9 +495,11 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         APPROVAL_STATUS,
         getApprovalStatus,
+        getApprovalById,
         requestApproval,
         getPendingApprovals,
         getAllApprovals,
+        getDelegatedApprovals,
         approve,
         reject,
         cancelApproval,
@@ -0,0 +1,267 @@
+/**
+ * 承認者の担当範囲モジュール
+ *
+ * このファイルは承認者ごとに担当する所属・社員の割り当てと、承認者が閲覧・承認できる承認申請の絞り込み機能を提供する
+ * 承認者は担当する所属の社員・担当する社員の申請と、承認ルートのステップの承認者に指定された申請を扱う（自分の申請は除く）
+ * データベースでも同じ範囲をRLSで制限する（docs/schema-updates.sql の 26 を参照）
+ * 休暇申請は担当する社員（代理中の承認者が担当する社員を含む）の申請のみ扱う
+ */
+
+/**
+ * 担当の種類の定数
+ */
+const APPROVER_ASSIGNMENT_TYPE = {
+    DEPARTMENT: 'department',   // 所属
+    EMPLOYEE: 'employee'        // 社員
+};
+
+/**
+ * 担当の種類を取得する
+ * @param {Object} assignment - 担当 {approver_id, department, employee_id}
+ * @returns {string} 担当の種類（APPROVER_ASSIGNMENT_TYPE）
+ */
+function getApproverAssignmentType(assignment) {
+    return assignment.employee_id ? APPROVER_ASSIGNMENT_TYPE.EMPLOYEE : APPROVER_ASSIGNMENT_TYPE.DEPARTMENT;
+}
+
+/**
+ * 承認者が担当する社員のユーザーIDを取得する
+ * @param {Array} assignments - 担当の配列
+ * @param {Array} users - ユーザープロフィールの配列
+ * @param {string} approverId - 承認者のユーザーID
+ * @returns {Array} 担当する社員のユーザーIDの配列（承認者自身を除く）
+ */
+function getAssignedUserIds(assignments, users, approverId) {
+    const own = (assignments || []).filter(assignment => assignment.approver_id === approverId);
+    const departments = own.map(assignment => assignment.department).filter(Boolean);
+    const employeeIds = own.map(assignment => assignment.employee_id).filter(Boolean);
+
+    return (users || [])
+        .filter(user => user.user_id !== approverId)
+        .filter(user => employeeIds.includes(user.user_id) || (user.department && departments.includes(user.department)))
+        .map(user => user.user_id);
+}
+
+/**
+ * 承認者が扱う承認申請の絞り込み条件を作成する（PostgRESTのor条件）
+ * 担当する社員の申請、または承認ルートのステップの承認者に指定された申請
+ * @param {Array} assignedUserIds - 担当する社員のユーザーIDの配列
+ * @param {string} approverId - 承認者のユーザーID
+ * @returns {string} or条件の文字列
+ */
+function buildApprovalScopeFilter(assignedUserIds, approverId) {
+    const conditions = [`route_steps.cs.[{"approver_id":"${approverId}"}]`];
+
+    if (assignedUserIds.length > 0) {
+        conditions.unshift(`user_id.in.(${assignedUserIds.join(',')})`);
+    }
+
+    return conditions.join(',');
+}
+
+/**
+ * 承認者が担当する社員に、代理中の承認者が担当する社員を加えたユーザーIDを取得する
+ * 代理元の承認者自身と自分は含めない（データベースの is_approver_of と同じ範囲）
+ * @param {Array} assignments - 担当の配列
+ * @param {Array} users - ユーザープロフィールの配列
+ * @param {string} approverId - 承認者のユーザーID
+ * @param {Array} delegatorIds - 代理中の承認者のユーザーIDの配列
+ * @returns {Array} 担当する社員のユーザーIDの配列（重複なし）
+ */
+function getScopedUserIds(assignments, users, approverId, delegatorIds = []) {
+    const delegated = delegatorIds.flatMap(delegatorId =>
+        getAssignedUserIds(assignments, users, delegatorId).filter(userId => userId !== approverId));
+
+    return [...new Set([...getAssignedUserIds(assignments, users, approverId), ...delegated])];
+}
+
+/**
+ * 担当を表示用に整形する
+ * @param {Object} assignment - 担当
+ * @param {Array} users - ユーザープロフィールの配列
+ * @returns {string} 表示文字列（例: 所属: 営業部、社員: 山田）
+ */
+function formatApproverAssignment(assignment, users) {
+    if (getApproverAssignmentType(assignment) === APPROVER_ASSIGNMENT_TYPE.DEPARTMENT) {
+        return `所属: ${assignment.department}`;
+    }
+
+    const employee = (users || []).find(user => user.user_id === assignment.employee_id);
+    return `社員: ${employee ? employee.name || employee.email : '不明'}`;
+}
+
+/**
+ * 担当を検証する
+ * @param {Object} assignment - 担当 {approver_id, department, employee_id}
+ * @param {Array} assignments - 登録済みの担当の配列
+ * @returns {string|null} エラーメッセージ（問題がない場合はnull）
+ */
+function validateApproverAssignment(assignment, assignments) {
+    if (!assignment.approver_id) {
+        return '承認者を選択してください';
+    }
+    if (!assignment.department && !assignment.employee_id) {
+        return '担当する所属または社員を選択してください';
+    }
+    if (assignment.employee_id === assignment.approver_id) {
+        return '自分自身を担当にすることはできません';
+    }
+
+    const duplicated = (assignments || []).some(other =>
+        other.approver_id === assignment.approver_id
+        && (other.department || null) === (assignment.department || null)
+        && (other.employee_id || null) === (assignment.employee_id || null));
+    if (duplicated) {
+        return 'すでに担当に登録されています';
+    }
+
+    return null;
+}
+
+/**
+ * 担当の一覧を取得する
+ * @param {string|null} approverId - 承認者のユーザーID（省略時は全承認者）
+ * @returns {Array} 担当の配列
+ */
+async function getApproverAssignments(approverId = null) {
+    try {
+        const client = getSupabaseClient();
+        let query = client
+            .from('approver_assignments')
+            .select('*');
+
+        if (approverId) {
+            query = query.eq('approver_id', approverId);
+        }
+
+        const { data, error } = await query.order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('承認者の担当取得エラー:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('承認者の担当取得エラー:', error);
+        return [];
+    }
+}
+
+/**
+ * 承認者が扱う承認申請の絞り込み条件を取得する
+ * @param {string} approverId - 承認者のユーザーID
+ * @returns {string} or条件の文字列（buildApprovalScopeFilter を参照）
+ */
+async function getApprovalScopeFilter(approverId) {
+    const [assignments, users] = await Promise.all([getApproverAssignments(approverId), getAllUsers()]);
+    return buildApprovalScopeFilter(getAssignedUserIds(assignments, users, approverId), approverId);
+}
+
+/**
+ * 承認者が担当する社員（代理中の承認者が担当する社員を含む）のユーザーIDを取得する
+ * @param {string} approverId - 承認者のユーザーID
+ * @returns {Array} 担当する社員のユーザーIDの配列（getScopedUserIds を参照）
+ */
+async function getApproverScopeUserIds(approverId) {
+    const [assignments, users, delegatorIds] = await Promise.all([
+        getApproverAssignments(),
+        getAllUsers(),
+        getCurrentDelegatorIds(approverId)
+    ]);
+    return getScopedUserIds(assignments, users, approverId, delegatorIds);
+}
+
+/**
+ * 担当を追加する
+ * @param {Object} assignment - 担当 {approver_id, department, employee_id}
+ * @param {Array} assignments - 登録済みの担当の配列
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function saveApproverAssignment(assignment, assignments) {
+    const validationError = validateApproverAssignment(assignment, assignments);
+    if (validationError) {
+        return {
+            success: false,
+            message: validationError
+        };
+    }
+
+    try {
+        const client = getSupabaseClient();
+        const { error } = await client
+            .from('approver_assignments')
+            .insert({
+                approver_id: assignment.approver_id,
+                department: assignment.department || null,
+                employee_id: assignment.employee_id || null
+            });
+
+        if (error) {
+            return {
+                success: false,
+                message: '担当の追加に失敗しました: ' + error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: '担当を追加しました'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '担当の追加中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 担当を削除する
+ * @param {string} assignmentId - 担当ID
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function deleteApproverAssignment(assignmentId) {
+    try {
+        const client = getSupabaseClient();
+        const { error } = await client
+            .from('approver_assignments')
+            .delete()
+            .eq('id', assignmentId);
+
+        if (error) {
+            return {
+                success: false,
+                message: '担当の削除に失敗しました: ' + error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: '担当を削除しました'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '担当の削除中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        APPROVER_ASSIGNMENT_TYPE,
+        getApproverAssignmentType,
+        getAssignedUserIds,
+        buildApprovalScopeFilter,
+        getScopedUserIds,
+        formatApproverAssignment,
+        validateApproverAssignment,
+        getApproverAssignments,
+        getApprovalScopeFilter,
+        getApproverScopeUserIds,
+        saveApproverAssignment,
+        deleteApproverAssignment
+    };
+}
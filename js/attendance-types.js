@@ -0,0 +1,321 @@
+/**
+ * 勤務種類・休暇種類マスタモジュール
+ *
+ * このファイルは勤務種類・休暇種類マスタの取得・保存機能を提供する
+ * 日毎入力の選択肢、補足欄の入力要否、月間集計・CSVのラベルと区分をマスタから決定する
+ */
+
+/**
+ * マスタの区分
+ */
+const ATTENDANCE_TYPE_KIND = {
+    WORK: 'work',       // 勤務種類（work_types）
+    LEAVE: 'leave'      // 休暇種類（leave_types）
+};
+
+/**
+ * マスタの区分ごとのテーブル名
+ */
+const ATTENDANCE_TYPE_TABLES = {
+    [ATTENDANCE_TYPE_KIND.WORK]: 'work_types',
+    [ATTENDANCE_TYPE_KIND.LEAVE]: 'leave_types'
+};
+
+/**
+ * マスタの区分ごとの初期値を取得する
+ * @param {string} kind - マスタの区分（ATTENDANCE_TYPE_KIND）
+ * @returns {Array} 初期値の配列
+ */
+function getDefaultAttendanceTypes(kind) {
+    return kind === ATTENDANCE_TYPE_KIND.LEAVE ? DEFAULT_LEAVE_TYPES : DEFAULT_WORK_TYPES;
+}
+
+/**
+ * データベースから取得したマスタを初期値で補完する
+ * 初期値にある種類は未設定の項目を補完し、追加された種類は表示順に並べる
+ * @param {Array} defaults - 初期値の配列
+ * @param {Array} rows - データベースから取得したマスタの配列
+ * @returns {Array} マスタの配列（表示順）
+ */
+function mergeAttendanceTypes(defaults, rows) {
+    const merged = defaults.map(type => ({ ...type }));
+
+    for (const row of rows || []) {
+        const values = {};
+        for (const key of Object.keys(row)) {
+            if (row[key] !== null && row[key] !== undefined) {
+                values[key] = row[key];
+            }
+        }
+
+        const index = merged.findIndex(type => type.code === row.code);
+        if (index >= 0) {
+            merged[index] = { ...merged[index], ...values };
+        } else {
+            merged.push({ is_system: false, is_active: true, ...values });
+        }
+    }
+
+    return merged.sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0) || a.code.localeCompare(b.code));
+}
+
+/**
+ * 勤務種類・休暇種類マスタを取得する
+ * テーブルが未作成・取得に失敗した場合は初期値を使用する
+ * @returns {Object} マスタ {workTypes: Array, leaveTypes: Array}
+ */
+async function getAttendanceTypes() {
+    return {
+        workTypes: await getAttendanceTypeList(ATTENDANCE_TYPE_KIND.WORK),
+        leaveTypes: await getAttendanceTypeList(ATTENDANCE_TYPE_KIND.LEAVE)
+    };
+}
+
+/**
+ * 区分ごとのマスタを取得する
+ * @param {string} kind - マスタの区分（ATTENDANCE_TYPE_KIND）
+ * @returns {Array} マスタの配列（表示順）
+ */
+async function getAttendanceTypeList(kind) {
+    const defaults = getDefaultAttendanceTypes(kind);
+
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from(ATTENDANCE_TYPE_TABLES[kind])
+            .select('*')
+            .order('sort_order', { ascending: true });
+
+        if (error) {
+            console.error('種類マスタ取得エラー:', error);
+            return mergeAttendanceTypes(defaults, []);
+        }
+
+        return mergeAttendanceTypes(defaults, data);
+    } catch (error) {
+        console.error('種類マスタ取得エラー:', error);
+        return mergeAttendanceTypes(defaults, []);
+    }
+}
+
+/**
+ * マスタの種類の入力内容を検証する
+ * @param {Object} type - 種類 {code, label, is_active}
+ * @param {Array} types - 同じ区分のマスタの配列
+ * @param {boolean} isNew - 新規追加の場合true
+ * @returns {string|null} エラーメッセージ、問題がない場合はnull
+ */
+function validateAttendanceType(type, types, isNew) {
+    if (!type.code || !/^[a-z0-9-]+$/.test(type.code)) {
+        return 'コードは半角英小文字・数字・ハイフンで入力してください';
+    }
+    if (!type.label || !type.label.trim()) {
+        return '表示名を入力してください';
+    }
+
+    const existing = types.find(t => t.code === type.code);
+    if (isNew && existing) {
+        return `コード「${type.code}」は既に登録されています`;
+    }
+    if (existing && existing.is_system && !type.is_active) {
+        return `${existing.label}はシステムで使用するため無効にできません`;
+    }
+
+    return null;
+}
+
+/**
+ * マスタの種類を保存する（管理者向け）
+ * @param {string} kind - マスタの区分（ATTENDANCE_TYPE_KIND）
+ * @param {Object} type - 種類 {code, label, counts_as_attendance, is_paid, note_required, is_active, sort_order}
+ * @param {Array} types - 同じ区分のマスタの配列（検証に使用）
+ * @param {boolean} isNew - 新規追加の場合true
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function saveAttendanceType(kind, type, types, isNew) {
+    const validationError = validateAttendanceType(type, types, isNew);
+    if (validationError) {
+        return {
+            success: false,
+            message: validationError
+        };
+    }
+
+    try {
+        const client = getSupabaseClient();
+        const values = {
+            label: type.label.trim(),
+            counts_as_attendance: type.counts_as_attendance,
+            note_required: type.note_required,
+            is_active: type.is_active,
+            sort_order: type.sort_order
+        };
+        if (kind === ATTENDANCE_TYPE_KIND.LEAVE) {
+            values.is_paid = type.is_paid;
+        }
+
+        let result;
+        if (isNew) {
+            // 新規作成
+            result = await client
+                .from(ATTENDANCE_TYPE_TABLES[kind])
+                .insert({ code: type.code, ...values });
+        } else {
+            // 更新
+            result = await client
+                .from(ATTENDANCE_TYPE_TABLES[kind])
+                .update(values)
+                .eq('code', type.code);
+        }
+
+        if (result.error) {
+            return {
+                success: false,
+                message: '種類の保存に失敗しました: ' + result.error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: `「${values.label}」を保存しました`
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '種類の保存中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * マスタの種類を削除する（管理者向け）
+ * 勤務記録で使用している種類は削除できないため、無効にして選択肢から外す
+ * @param {string} kind - マスタの区分（ATTENDANCE_TYPE_KIND）
+ * @param {Object} type - 種類
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function deleteAttendanceType(kind, type) {
+    if (type.is_system) {
+        return {
+            success: false,
+            message: `${type.label}はシステムで使用するため削除できません`
+        };
+    }
+
+    try {
+        const client = getSupabaseClient();
+        const { error } = await client
+            .from(ATTENDANCE_TYPE_TABLES[kind])
+            .delete()
+            .eq('code', type.code);
+
+        if (error) {
+            // 外部キー制約違反（勤務記録・休暇申請で使用中）
+            if (error.code === '23503') {
+                return {
+                    success: false,
+                    message: `${type.label}は勤務記録で使用しているため削除できません（無効にしてください）`
+                };
+            }
+            return {
+                success: false,
+                message: '種類の削除に失敗しました: ' + error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: `「${type.label}」を削除しました`
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '種類の削除中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 入力の選択肢とする種類を取得する
+ * 無効な種類は除くが、記録に登録済みの種類は表示のため含める
+ * @param {Array} types - マスタの配列
+ * @param {string|null} currentCode - 記録に登録済みの種類コード
+ * @returns {Array} 種類の配列
+ */
+function getSelectableAttendanceTypes(types, currentCode = null) {
+    return types.filter(type => type.is_active !== false || type.code === currentCode);
+}
+
+/**
+ * 勤務記録に補足の入力が必要かを判定する
+ * 勤務種類・休暇種類のいずれかで補足を求める場合に必要とする
+ * @param {Object} record - 日毎の勤務記録（work_type, leave_type）
+ * @param {Array} workTypes - 勤務種類マスタ
+ * @param {Array} leaveTypes - 休暇種類マスタ
+ * @returns {boolean} 補足の入力が必要な場合true
+ */
+function isNoteRequired(record, workTypes, leaveTypes) {
+    const workType = findWorkType(record.work_type, workTypes);
+    const leaveType = findLeaveType(record.leave_type, leaveTypes);
+
+    return Boolean(workType?.note_required || leaveType?.note_required);
+}
+
+/**
+ * 休暇種類ごとの取得日数を表示用に整形する
+ * @param {Object} leaveDaysByType - 休暇種類ごとの取得日数（calculateMonthlySummary の leaveDaysByType）
+ * @param {Array} leaveTypes - 休暇種類マスタ
+ * @param {Function} filter - 対象とする休暇種類の条件
+ * @returns {string} 表示文字列（例: 特休 1日、慶弔 0.5日）
+ */
+function formatLeaveDaysBreakdown(leaveDaysByType, leaveTypes, filter = () => true) {
+    return Object.entries(leaveDaysByType || {})
+        .filter(([code, days]) => days > 0 && filter(findLeaveType(code, leaveTypes) || { code }))
+        .map(([code, days]) => `${getLeaveTypeLabel(code, leaveTypes) || code} ${days}日`)
+        .join('、');
+}
+
+/**
+ * 勤務種類・休暇種類の選択肢を描画する
+ * @param {HTMLSelectElement} select - 描画先のセレクトボックス
+ * @param {Array} types - マスタの配列
+ * @param {string|null} currentCode - 記録に登録済みの種類コード
+ * @param {Object} options - オプション
+ * @param {string} options.emptyLabel - 未選択の選択肢のラベル（省略時は未選択の選択肢なし）
+ * @param {Array} options.disabledCodes - 選択できない種類コード（他の記録から設定される種類）
+ */
+function renderAttendanceTypeOptions(select, types, currentCode = null, options = {}) {
+    if (!select) return;
+
+    const disabledCodes = options.disabledCodes || [];
+    select.innerHTML = '';
+
+    if (options.emptyLabel !== undefined) {
+        select.appendChild(new Option(options.emptyLabel, ''));
+    }
+
+    for (const type of getSelectableAttendanceTypes(types, currentCode)) {
+        const option = new Option(type.label, type.code);
+        option.disabled = disabledCodes.includes(type.code);
+        select.appendChild(option);
+    }
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ATTENDANCE_TYPE_KIND,
+        ATTENDANCE_TYPE_TABLES,
+        getDefaultAttendanceTypes,
+        mergeAttendanceTypes,
+        getAttendanceTypes,
+        getAttendanceTypeList,
+        validateAttendanceType,
+        saveAttendanceType,
+        deleteAttendanceType,
+        getSelectableAttendanceTypes,
+        isNoteRequired,
+        formatLeaveDaysBreakdown,
+        renderAttendanceTypeOptions
+    };
+}
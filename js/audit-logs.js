@@ -0,0 +1,146 @@
+/**
+ * 変更履歴（監査ログ）モジュール
+ *
+ * このファイルは勤務記録・設定・承認・ユーザー情報・マスタ・シフト計画の変更履歴の取得と表示用の整形機能を提供する
+ * 変更履歴はデータベースのトリガーで記録され（クライアントからは記録・変更・削除できない）、管理者のみ閲覧できる
+ */
+
+/**
+ * 変更履歴を記録するテーブルの表示名
+ */
+const AUDIT_TABLE_LABELS = {
+    daily_records: '日毎の勤務記録',
+    monthly_settings: '月間設定',
+    approvals: '承認',
+    user_profiles: 'ユーザー',
+    leave_requests: '休暇申請',
+    organization_settings: '組織設定',
+    work_types: '勤務種類',
+    leave_types: '休暇種類',
+    work_patterns: '勤務パターン',
+    shift_plans: 'シフト計画',
+    approval_routes: '承認ルート',
+    approver_assignments: '承認者の担当',
+    approval_delegations: '承認の代理'
+};
+
+/**
+ * 操作の表示名
+ */
+const AUDIT_OPERATION_LABELS = {
+    INSERT: '追加',
+    UPDATE: '変更',
+    DELETE: '削除'
+};
+
+/**
+ * 変更内容の表示から除く列（行の識別・作成日時など）
+ */
+const AUDIT_HIDDEN_COLUMNS = ['id', 'user_id', 'created_at', 'updated_at'];
+
+/**
+ * 一度に取得する変更履歴の件数
+ */
+const AUDIT_LOG_LIMIT = 200;
+
+/**
+ * 変更履歴の値を表示用に整形する
+ * @param {*} value - 値
+ * @returns {string} 表示文字列（値がない場合は（なし））
+ */
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '（なし）';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * 変更履歴の列ごとの変更前後の値を取得する
+ * 追加は追加後の値、削除は削除前の値を列挙する
+ * @param {Object} log - 変更履歴
+ * @returns {Array} 変更内容の配列 [{column, oldValue, newValue}]
+ */
+function getAuditChanges(log) {
+    const oldValues = log.old_values || {};
+    const newValues = log.new_values || {};
+    const columns = Object.keys(log.operation === 'DELETE' ? oldValues : newValues);
+
+    return columns
+        .filter(column => !AUDIT_HIDDEN_COLUMNS.includes(column))
+        .map(column => ({
+            column,
+            oldValue: oldValues[column] ?? null,
+            newValue: newValues[column] ?? null
+        }));
+}
+
+/**
+ * 変更履歴の変更内容を表示用に整形する
+ * @param {Object} log - 変更履歴
+ * @returns {Array} 表示文字列の配列（例: start_time: 09:00:00 → 08:30:00）
+ */
+function formatAuditChanges(log) {
+    return getAuditChanges(log).map(change => {
+        if (log.operation === 'INSERT') return `${change.column}: ${formatAuditValue(change.newValue)}`;
+        if (log.operation === 'DELETE') return `${change.column}: ${formatAuditValue(change.oldValue)}`;
+        return `${change.column}: ${formatAuditValue(change.oldValue)} → ${formatAuditValue(change.newValue)}`;
+    });
+}
+
+/**
+ * 変更履歴を取得する（新しい順）
+ * @param {Object} filters - 絞り込み条件
+ * @param {string} filters.userId - 対象ユーザーID
+ * @param {string} filters.tableName - テーブル名
+ * @param {string} filters.startDate - 変更日の開始 (YYYY-MM-DD形式)
+ * @param {string} filters.endDate - 変更日の終了 (YYYY-MM-DD形式)
+ * @returns {Array} 変更履歴の配列（最大 AUDIT_LOG_LIMIT 件）
+ */
+async function getAuditLogs(filters = {}) {
+    try {
+        const client = getSupabaseClient();
+        let query = client
+            .from('audit_logs')
+            .select('*');
+
+        if (filters.userId) {
+            query = query.eq('target_user_id', filters.userId);
+        }
+        if (filters.tableName) {
+            query = query.eq('table_name', filters.tableName);
+        }
+        if (filters.startDate) {
+            query = query.gte('changed_at', parseDateString(filters.startDate).toISOString());
+        }
+        if (filters.endDate) {
+            query = query.lt('changed_at', parseDateString(addDaysToDate(filters.endDate, 1)).toISOString());
+        }
+
+        const { data, error } = await query
+            .order('changed_at', { ascending: false })
+            .limit(AUDIT_LOG_LIMIT);
+
+        if (error) {
+            console.error('変更履歴取得エラー:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('変更履歴取得エラー:', error);
+        return [];
+    }
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AUDIT_TABLE_LABELS,
+        AUDIT_OPERATION_LABELS,
+        AUDIT_LOG_LIMIT,
+        formatAuditValue,
+        getAuditChanges,
+        formatAuditChanges,
+        getAuditLogs
+    };
+}
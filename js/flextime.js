@@ -0,0 +1,278 @@
+/**
+ * フレックスタイム制モジュール
+ *
+ * このファイルはフレックスタイム制の清算期間の集計機能を提供する
+ * 清算期間の総労働時間に対する過不足の計算、不足時間の翌期への繰越を担当
+ */
+
+/**
+ * フレックスタイム制の労働時間の上限
+ */
+const FLEXTIME_LIMITS = {
+    MAX_SETTLEMENT_MONTHS: 3,                   // 清算期間の上限（月）
+    MONTHLY_WEEKLY_AVERAGE_MINUTES: 50 * 60     // 清算期間が1ヶ月を超える場合の各月の週平均の上限（分）
+};
+
+/**
+ * 対象月を含む清算期間を取得する
+ * 清算期間は起算月から settlementMonths ヶ月ごとに区切る
+ * @param {number} year - 対象年
+ * @param {number} month - 対象月
+ * @param {number} settlementMonths - 清算期間の月数（1～3）
+ * @param {number} startMonth - 清算期間の起算月
+ * @returns {Object} 清算期間 {months: [{year, month}], index: 対象月の位置}
+ */
+function getSettlementPeriod(year, month, settlementMonths = 1, startMonth = 1) {
+    const length = Math.min(Math.max(settlementMonths || 1, 1), FLEXTIME_LIMITS.MAX_SETTLEMENT_MONTHS);
+    const index = ((((month - (startMonth || 1)) % 12) + 12) % 12) % length;
+    const months = [];
+
+    for (let i = 0; i < length; i++) {
+        const date = new Date(year, month - 1 - index + i, 1);
+        months.push({ year: date.getFullYear(), month: date.getMonth() + 1 });
+    }
+
+    return { months, index };
+}
+
+/**
+ * 月の平日（月～金）の日数を取得する
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @returns {number} 平日の日数
+ */
+function countWeekdays(year, month) {
+    let count = 0;
+
+    for (let day = 1; day <= getDaysInMonth(year, month); day++) {
+        const weekend = isWeekend(year, month, day);
+        if (!weekend.isSaturday && !weekend.isSunday) {
+            count++;
+        }
+    }
+
+    return count;
+}
+
+/**
+ * 月の総労働時間（所定）を取得する
+ * 月間設定で未入力の場合は 1日標準就労時間 × 平日の日数 とする
+ * @param {Object|null} settings - 月間設定
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @returns {number} 総労働時間（分）
+ */
+function getFlextimeRequiredMinutes(settings, year, month) {
+    if (settings?.flex_required_hours) {
+        return Math.round(settings.flex_required_hours * 60);
+    }
+
+    return Math.round((settings?.standard_hours || 8) * 60) * countWeekdays(year, month);
+}
+
+/**
+ * 法定労働時間の総枠を計算する（週40時間 × 暦日数 ÷ 7）
+ * @param {number} days - 清算期間の暦日数
+ * @returns {number} 法定労働時間の総枠（分）
+ */
+function getStatutoryTotalMinutes(days) {
+    return Math.floor(STATUTORY_LIMITS.WEEKLY_MINUTES * days / 7);
+}
+
+/**
+ * 月の実労働時間を計算する（法定休日労働を除く）
+ * @param {Array} records - 日毎の勤務記録配列
+ * @param {Object|null} settings - 月間設定
+ * @param {Object|null} roundingRules - 丸めルールオブジェクト
+ * @returns {number} 実労働時間（分）
+ */
+function calculateFlextimeActualMinutes(records, settings, roundingRules = null) {
+    return records
+        .filter(record => getEffectiveWorkType(record) !== 'legal-holiday')
+        .reduce((sum, record) => sum + calculateRecordWorkTime(record, settings, roundingRules), 0);
+}
+
+/**
+ * 清算期間の過不足を計算する
+ * 清算期間が1ヶ月を超える場合は各月の週平均50時間超を当月の法定外残業とし、
+ * 清算期間の最終月に法定労働時間の総枠を超えた時間（月ごとに計上済みの分を除く）を法定外残業とする
+ * @param {Array} periodMonths - 清算期間の月データ配列 [{year, month, settings, records}]
+ * @param {number} targetIndex - 対象月の位置
+ * @param {number} carryInMinutes - 前の清算期間から繰り越した不足時間（分）
+ * @param {Object|null} roundingRules - 丸めルールオブジェクト
+ * @returns {Object} 精算結果オブジェクト
+ */
+function calculateFlextimeSettlement(periodMonths, targetIndex, carryInMinutes = 0, roundingRules = null) {
+    const multiMonth = periodMonths.length > 1;
+
+    const months = periodMonths.map(data => {
+        const days = getDaysInMonth(data.year, data.month);
+        const actualMinutes = calculateFlextimeActualMinutes(data.records || [], data.settings, roundingRules);
+        const weeklyAverageLimit = Math.floor(FLEXTIME_LIMITS.MONTHLY_WEEKLY_AVERAGE_MINUTES * days / 7);
+
+        return {
+            year: data.year,
+            month: data.month,
+            days,
+            requiredMinutes: getFlextimeRequiredMinutes(data.settings, data.year, data.month),
+            actualMinutes,
+            weeklyAverageExcess: multiMonth ? Math.max(0, actualMinutes - weeklyAverageLimit) : 0
+        };
+    });
+
+    const sum = (list, key) => list.reduce((total, m) => total + m[key], 0);
+    const elapsed = months.slice(0, targetIndex + 1);
+    const target = months[targetIndex];
+
+    const result = {
+        months,
+        targetIndex,
+        isFinalMonth: targetIndex === months.length - 1,
+        carryInMinutes,
+        requiredMinutes: sum(months, 'requiredMinutes') + carryInMinutes,
+        actualMinutes: sum(elapsed, 'actualMinutes'),
+        statutoryTotalMinutes: getStatutoryTotalMinutes(sum(months, 'days')),
+        balanceMinutes: sum(elapsed, 'actualMinutes') - sum(elapsed, 'requiredMinutes') - carryInMinutes,
+        statutoryInternal: 0,
+        statutoryExternal: target.weeklyAverageExcess,
+        shortfallMinutes: 0
+    };
+
+    // 清算期間の最終月に精算する
+    if (result.isFinalMonth) {
+        const settled = result.actualMinutes - sum(months, 'weeklyAverageExcess');
+        result.statutoryExternal += Math.max(0, settled - result.statutoryTotalMinutes);
+        result.statutoryInternal = Math.max(0, Math.min(settled, result.statutoryTotalMinutes) - result.requiredMinutes);
+        result.shortfallMinutes = Math.max(0, result.requiredMinutes - result.actualMinutes);
+    }
+
+    return result;
+}
+
+/**
+ * 対象月の清算結果を月データから計算する
+ * 前の清算期間の不足時間は、当期の法定労働時間の総枠を超えない範囲で繰り越す
+ * @param {Array} monthData - 月データ配列 [{year, month, settings, records}]（清算期間と前の清算期間を含む）
+ * @param {number} year - 対象年
+ * @param {number} month - 対象月
+ * @param {Object|null} roundingRules - 丸めルールオブジェクト
+ * @returns {Object|null} 精算結果オブジェクト、フレックスタイム制でない場合はnull
+ */
+function calculateFlextimeSettlementForMonth(monthData, year, month, roundingRules = null) {
+    const lookup = (y, m) => monthData.find(d => d.year === y && d.month === m)
+        || { year: y, month: m, settings: null, records: [] };
+
+    const settings = lookup(year, month).settings;
+    if (!isFlextime(settings)) return null;
+
+    const { months, index } = getSettlementPeriod(year, month, settings.flex_settlement_months, settings.flex_settlement_start_month);
+    const period = months.map(m => lookup(m.year, m.month));
+
+    // 前の清算期間の不足時間
+    const prevDate = new Date(months[0].year, months[0].month - 2, 1);
+    const prevPeriod = getSettlementPeriod(prevDate.getFullYear(), prevDate.getMonth() + 1,
+        settings.flex_settlement_months, settings.flex_settlement_start_month);
+    const prevData = prevPeriod.months.map(m => lookup(m.year, m.month));
+    let carryIn = 0;
+
+    if (isFlextime(prevData[prevData.length - 1].settings)) {
+        const prev = calculateFlextimeSettlement(prevData, prevData.length - 1, 0, roundingRules);
+        const base = calculateFlextimeSettlement(period, index, 0, roundingRules);
+        carryIn = Math.min(prev.shortfallMinutes, Math.max(0, base.statutoryTotalMinutes - base.requiredMinutes));
+    }
+
+    return calculateFlextimeSettlement(period, index, carryIn, roundingRules);
+}
+
+/**
+ * ユーザーの対象月の清算結果を取得する
+ * @param {string} userId - ユーザーID
+ * @param {number} year - 対象年
+ * @param {number} month - 対象月
+ * @param {Object|null} roundingRules - 丸めルールオブジェクト
+ * @returns {Object|null} 精算結果オブジェクト、フレックスタイム制でない場合はnull
+ */
+async function getFlextimeSettlement(userId, year, month, roundingRules = null) {
+    const settings = await getMonthlySettings(userId, year, month);
+    if (!isFlextime(settings)) return null;
+
+    const { months } = getSettlementPeriod(year, month, settings.flex_settlement_months, settings.flex_settlement_start_month);
+    const first = new Date(months[0].year, months[0].month - 1 - months.length, 1);
+    const targets = [];
+
+    // 前の清算期間から当期の最終月まで
+    for (let i = 0; i < months.length * 2; i++) {
+        const date = new Date(first.getFullYear(), first.getMonth() + i, 1);
+        targets.push({ year: date.getFullYear(), month: date.getMonth() + 1 });
+    }
+
+    const monthData = await Promise.all(targets.map(async ({ year: y, month: m }) => ({
+        year: y,
+        month: m,
+        settings: y === year && m === month ? settings : await getMonthlySettings(userId, y, m),
+        records: await getDailyRecords(userId, y, m)
+    })));
+
+    return calculateFlextimeSettlementForMonth(monthData, year, month, roundingRules);
+}
+
+/**
+ * 清算結果を表示する
+ * @param {HTMLElement} container - 表示先の要素
+ * @param {Object|null} settlement - 精算結果オブジェクト
+ */
+function renderFlextimeSummary(container, settlement) {
+    if (!container) return;
+
+    if (!settlement) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    const first = settlement.months[0];
+    const last = settlement.months[settlement.months.length - 1];
+    const balance = settlement.balanceMinutes;
+    const balanceLabel = balance < 0 ? `-${minutesToTimeString(-balance)}` : `+${minutesToTimeString(balance)}`;
+
+    let status = '';
+    if (settlement.isFinalMonth && settlement.shortfallMinutes > 0) {
+        status = `
+            <div class="alert alert-warning">
+                ⚠ 総労働時間に対して ${minutesToTimeString(settlement.shortfallMinutes)} 不足しています（翌清算期間へ繰越）
+            </div>`;
+    } else if (!settlement.isFinalMonth) {
+        status = `
+            <div class="alert alert-info">
+                清算期間の途中のため、法定外残業は週平均50時間を超えた分のみ計上しています
+            </div>`;
+    }
+
+    container.innerHTML = `
+        <div class="flextime-figures">
+            <span>フレックスタイム制 清算期間: ${first.year}年${first.month}月～${last.year}年${last.month}月</span>
+            <span>総労働時間 ${minutesToTimeString(settlement.requiredMinutes)}${settlement.carryInMinutes ? `（前期繰越 ${minutesToTimeString(settlement.carryInMinutes)}を含む）` : ''}</span>
+            <span>実労働時間 ${minutesToTimeString(settlement.actualMinutes)}</span>
+            <span>過不足 ${balanceLabel}</span>
+            <span>法定労働時間の総枠 ${minutesToTimeString(settlement.statutoryTotalMinutes)}</span>
+        </div>
+        ${status}
+    `;
+    container.style.display = 'block';
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FLEXTIME_LIMITS,
+        getSettlementPeriod,
+        countWeekdays,
+        getFlextimeRequiredMinutes,
+        getStatutoryTotalMinutes,
+        calculateFlextimeActualMinutes,
+        calculateFlextimeSettlement,
+        calculateFlextimeSettlementForMonth,
+        getFlextimeSettlement,
+        renderFlextimeSummary
+    };
+}
@@ -0,0 +1,469 @@
+/**
+ * 休暇申請モジュール
+ *
+ * このファイルは休暇の事前申請・承認機能を提供する
+ * 休暇申請の作成・取り下げ、承認者による承認・却下、承認済みの休暇と矛盾する入力の防止を担当
+ * 承認時の日毎の記録への反映は、承認と同じトランザクションでデータベースのトリガー（apply_approved_leave）が行う
+ */
+
+/**
+ * 休暇申請の状態
+ */
+const LEAVE_REQUEST_STATUS = {
+    PENDING: 'pending',       // 承認待ち
+    APPROVED: 'approved',     // 承認済み
+    REJECTED: 'rejected',     // 却下
+    CANCELLED: 'cancelled'    // 取り下げ
+};
+
+/**
+ * 申請できない休暇種類（欠勤・振休・代休は事前申請の対象外）
+ */
+const NON_REQUESTABLE_LEAVE_TYPES = ['absent', 'substitute-holiday', 'compensatory'];
+
+/**
+ * 申請できる休暇種類かを判定する
+ * @param {string} leaveType - 休暇種類コード
+ * @param {Array} leaveTypes - 休暇種類マスタ（省略時は初期値）
+ * @returns {boolean} 休暇種類マスタで有効かつ申請の対象の場合true
+ */
+function isRequestableLeaveType(leaveType, leaveTypes) {
+    const type = findLeaveType(leaveType, leaveTypes);
+    return Boolean(type) && type.is_active !== false && !NON_REQUESTABLE_LEAVE_TYPES.includes(type.code);
+}
+
+/**
+ * 申請できる休暇種類の一覧を取得する
+ * @param {Array} leaveTypes - 休暇種類マスタ（省略時は初期値）
+ * @returns {Array} 休暇種類の配列
+ */
+function getRequestableLeaveTypes(leaveTypes) {
+    return (leaveTypes || DEFAULT_LEAVE_TYPES).filter(type => isRequestableLeaveType(type.code, leaveTypes));
+}
+
+/**
+ * 休暇申請の内容を検証する
+ * @param {Object} request - 休暇申請 {start_date, end_date, leave_type, leave_unit, leave_hours, reason}
+ * @param {Array} leaveTypes - 休暇種類マスタ（省略時は初期値）
+ * @returns {string|null} エラーメッセージ、問題がない場合はnull
+ */
+function validateLeaveRequest(request, leaveTypes) {
+    if (!request.start_date || !request.end_date) {
+        return '期間を入力してください';
+    }
+    if (request.end_date < request.start_date) {
+        return '終了日は開始日以降の日付を入力してください';
+    }
+    if (!isRequestableLeaveType(request.leave_type, leaveTypes)) {
+        return '休暇種類を選択してください';
+    }
+    if (isPartialLeave(request) && request.start_date !== request.end_date) {
+        return '半日・時間単位の休暇は1日ずつ申請してください';
+    }
+    if (request.leave_unit === LEAVE_UNIT.HOURLY && !(request.leave_hours >= 1 && request.leave_hours <= 8)) {
+        return '取得時間は1～8時間で入力してください';
+    }
+    return null;
+}
+
+/**
+ * 休暇申請の対象日（会社カレンダー上の所定労働日）を取得する
+ * @param {Object} request - 休暇申請 {start_date, end_date}
+ * @param {Array} holidays - 年間休日設定の配列
+ * @returns {Array} 対象日の配列 (YYYY-MM-DD形式)
+ */
+function getLeaveRequestDates(request, holidays = []) {
+    const dates = [];
+
+    for (let date = request.start_date; date <= request.end_date; date = addDaysToDate(date, 1)) {
+        const d = parseDateString(date);
+        if (isScheduledWorkday(d.getFullYear(), d.getMonth() + 1, d.getDate(), holidays)) {
+            dates.push(date);
+        }
+    }
+
+    return dates;
+}
+
+/**
+ * 期間が重なる休暇申請（承認待ち・承認済み）を取得する
+ * @param {Array} requests - 休暇申請の配列
+ * @param {Object} request - 確認する休暇申請 {start_date, end_date}
+ * @returns {Object|undefined} 重なる休暇申請
+ */
+function findOverlappingLeaveRequest(requests, request) {
+    return requests.find(r =>
+        r.id !== request.id
+        && [LEAVE_REQUEST_STATUS.PENDING, LEAVE_REQUEST_STATUS.APPROVED].includes(r.status)
+        && r.start_date <= request.end_date
+        && r.end_date >= request.start_date
+    );
+}
+
+/**
+ * 日付を含む承認済みの休暇申請を取得する
+ * @param {Array} requests - 休暇申請の配列
+ * @param {string} date - 日付 (YYYY-MM-DD形式)
+ * @returns {Object|undefined} 承認済みの休暇申請
+ */
+function findApprovedLeaveRequest(requests, date) {
+    return requests.find(r =>
+        r.status === LEAVE_REQUEST_STATUS.APPROVED && r.start_date <= date && r.end_date >= date
+    );
+}
+
+/**
+ * 日毎の記録が承認済みの休暇申請と矛盾しないかを確認する
+ * 休暇種類・取得単位の変更と、全日の休暇の日の出退勤時刻の入力を矛盾とする
+ * @param {Object} record - 保存する日毎の記録
+ * @param {Object|undefined} request - 日付を含む承認済みの休暇申請
+ * @returns {string|null} エラーメッセージ、矛盾しない場合はnull
+ */
+function checkLeaveRequestConflict(record, request) {
+    if (!request) return null;
+
+    const label = formatLeaveLabel({ ...request, leave_unit: request.leave_unit || LEAVE_UNIT.FULL });
+
+    if (record.leave_type !== request.leave_type
+        || (record.leave_unit || LEAVE_UNIT.FULL) !== (request.leave_unit || LEAVE_UNIT.FULL)
+        || (request.leave_unit === LEAVE_UNIT.HOURLY && record.leave_hours !== request.leave_hours)) {
+        return `承認済みの休暇申請（${label}）と休暇の内容が異なります`;
+    }
+
+    if (!isPartialLeave(request) && (record.start_time || record.end_time)) {
+        return `承認済みの休暇申請（${label}）の日のため出退勤時刻は入力できません`;
+    }
+
+    return null;
+}
+
+/**
+ * ユーザーの休暇申請を取得する
+ * @param {string} userId - ユーザーID
+ * @returns {Array} 休暇申請の配列（開始日の新しい順）
+ */
+async function getLeaveRequests(userId) {
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('leave_requests')
+            .select('*')
+            .eq('user_id', userId)
+            .order('start_date', { ascending: false });
+
+        if (error) {
+            console.error('休暇申請取得エラー:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('休暇申請取得エラー:', error);
+        return [];
+    }
+}
+
+/**
+ * 承認待ちの休暇申請を取得する（承認者向け）
+ * 承認者が担当する社員（代理中の承認者が担当する社員を含む）の申請のみ取得し、自分の申請は含めない（approver-assignments.js を参照）
+ * @param {string} approverId - 承認者ID
+ * @returns {Array} 休暇申請の配列（申請日順）
+ */
+async function getPendingLeaveRequests(approverId) {
+    try {
+        const userIds = await getApproverScopeUserIds(approverId);
+        if (userIds.length === 0) return [];
+
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('leave_requests')
+            .select(`
+                *,
+                user_profiles:user_id (name, department)
+            `)
+            .in('user_id', userIds)
+            .eq('status', LEAVE_REQUEST_STATUS.PENDING)
+            .order('requested_at', { ascending: true });
+
+        if (error) {
+            console.error('承認待ち休暇申請取得エラー:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('承認待ち休暇申請取得エラー:', error);
+        return [];
+    }
+}
+
+/**
+ * 休暇を申請する
+ * @param {string} userId - ユーザーID
+ * @param {Object} request - 休暇申請 {start_date, end_date, leave_type, leave_unit, leave_hours, reason}
+ * @param {Array} leaveTypes - 休暇種類マスタ（省略時は初期値）
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function submitLeaveRequest(userId, request, leaveTypes) {
+    const validationError = validateLeaveRequest(request, leaveTypes);
+    if (validationError) {
+        return {
+            success: false,
+            message: validationError
+        };
+    }
+
+    try {
+        const client = getSupabaseClient();
+
+        const holidays = await getAnnualHolidaysInRange(userId, request.start_date, request.end_date);
+        if (getLeaveRequestDates(request, holidays).length === 0) {
+            return {
+                success: false,
+                message: '期間に所定労働日が含まれていません'
+            };
+        }
+
+        const overlapping = findOverlappingLeaveRequest(await getLeaveRequests(userId), request);
+        if (overlapping) {
+            return {
+                success: false,
+                message: `期間が重なる休暇申請（${overlapping.start_date}～${overlapping.end_date}）があります`
+            };
+        }
+
+        const now = new Date().toISOString();
+        const { error } = await client
+            .from('leave_requests')
+            .insert({
+                user_id: userId,
+                start_date: request.start_date,
+                end_date: request.end_date,
+                leave_type: request.leave_type,
+                leave_unit: request.leave_unit || LEAVE_UNIT.FULL,
+                leave_hours: request.leave_unit === LEAVE_UNIT.HOURLY ? request.leave_hours : 0,
+                reason: request.reason || null,
+                status: LEAVE_REQUEST_STATUS.PENDING,
+                requested_at: now,
+                created_at: now,
+                updated_at: now
+            });
+
+        if (error) {
+            return {
+                success: false,
+                message: '休暇申請に失敗しました: ' + error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: '休暇を申請しました'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '休暇申請中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 承認待ちの休暇申請を取り下げる
+ * @param {string} requestId - 休暇申請ID
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function cancelLeaveRequest(requestId) {
+    try {
+        const client = getSupabaseClient();
+        const { error } = await client
+            .from('leave_requests')
+            .update({
+                status: LEAVE_REQUEST_STATUS.CANCELLED,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', requestId)
+            .eq('status', LEAVE_REQUEST_STATUS.PENDING);
+
+        if (error) {
+            return {
+                success: false,
+                message: '休暇申請の取り下げに失敗しました: ' + error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: '休暇申請を取り下げました'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '休暇申請の取り下げ中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 休暇申請を承認し、対象日の日毎の記録に休暇を反映する
+ * 反映はデータベースのトリガーが行い、反映できない場合（承認済みの月を含むなど）は承認しない
+ * @param {Object} request - 休暇申請
+ * @param {string} approverId - 承認者ID
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function approveLeaveRequest(request, approverId) {
+    if (request.user_id === approverId) {
+        return {
+            success: false,
+            message: '自分の休暇申請は承認できません'
+        };
+    }
+
+    try {
+        const client = getSupabaseClient();
+        const now = new Date().toISOString();
+
+        const { data: updated, error } = await client
+            .from('leave_requests')
+            .update({
+                status: LEAVE_REQUEST_STATUS.APPROVED,
+                approved_by: approverId,
+                approved_at: now,
+                updated_at: now
+            })
+            .eq('id', request.id)
+            .eq('status', LEAVE_REQUEST_STATUS.PENDING)
+            .select('id');
+
+        if (error) {
+            return {
+                success: false,
+                message: '休暇申請の承認に失敗しました: ' + error.message
+            };
+        }
+
+        if (!updated || updated.length === 0) {
+            return {
+                success: false,
+                message: '承認待ちの休暇申請ではないため承認できません'
+            };
+        }
+
+        return {
+            success: true,
+            message: '休暇申請を承認しました'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '休暇申請の承認中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 休暇申請を却下する
+ * @param {Object} request - 休暇申請
+ * @param {string} approverId - 承認者ID
+ * @param {string} reason - 却下理由
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function rejectLeaveRequest(request, approverId, reason) {
+    if (request.user_id === approverId) {
+        return {
+            success: false,
+            message: '自分の休暇申請は却下できません'
+        };
+    }
+
+    try {
+        const client = getSupabaseClient();
+        const now = new Date().toISOString();
+
+        const { data: updated, error } = await client
+            .from('leave_requests')
+            .update({
+                status: LEAVE_REQUEST_STATUS.REJECTED,
+                approved_by: approverId,
+                approved_at: now,
+                rejection_reason: reason,
+                updated_at: now
+            })
+            .eq('id', request.id)
+            .eq('status', LEAVE_REQUEST_STATUS.PENDING)
+            .select('id');
+
+        if (error) {
+            return {
+                success: false,
+                message: '休暇申請の却下に失敗しました: ' + error.message
+            };
+        }
+
+        if (!updated || updated.length === 0) {
+            return {
+                success: false,
+                message: '承認待ちの休暇申請ではないため却下できません'
+            };
+        }
+
+        return {
+            success: true,
+            message: '休暇申請を却下しました'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '休暇申請の却下中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 休暇申請の期間を表示用に整形する
+ * @param {Object} request - 休暇申請
+ * @returns {string} 期間（例: 2024-11-01～2024-11-03）
+ */
+function formatLeaveRequestPeriod(request) {
+    return request.start_date === request.end_date
+        ? request.start_date
+        : `${request.start_date}～${request.end_date}`;
+}
+
+/**
+ * 休暇申請の状態のラベルを取得する
+ * @param {string} status - 状態コード
+ * @returns {string} 状態ラベル
+ */
+function getLeaveRequestStatusLabel(status) {
+    const labels = {
+        [LEAVE_REQUEST_STATUS.PENDING]: '承認待ち',
+        [LEAVE_REQUEST_STATUS.APPROVED]: '承認済み',
+        [LEAVE_REQUEST_STATUS.REJECTED]: '却下',
+        [LEAVE_REQUEST_STATUS.CANCELLED]: '取り下げ'
+    };
+    return labels[status] || '不明';
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEAVE_REQUEST_STATUS,
+        NON_REQUESTABLE_LEAVE_TYPES,
+        isRequestableLeaveType,
+        getRequestableLeaveTypes,
+        validateLeaveRequest,
+        getLeaveRequestDates,
+        findOverlappingLeaveRequest,
+        findApprovedLeaveRequest,
+        checkLeaveRequestConflict,
+        getLeaveRequests,
+        getPendingLeaveRequests,
+        submitLeaveRequest,
+        cancelLeaveRequest,
+        approveLeaveRequest,
+        rejectLeaveRequest,
+        formatLeaveRequestPeriod,
+        getLeaveRequestStatusLabel
+    };
+}
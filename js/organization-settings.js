@@ -0,0 +1,141 @@
+/**
+ * 組織設定モジュール
+ * 
+ * このファイルは組織全体に適用する設定の取得・保存機能を提供する
+ * 36協定の上限時間や時間の丸めルールなど、ユーザーごとではなく組織単位で管理する設定を担当
+ */
+
+/**
+ * 組織設定のデフォルト値
+ * organization_settings テーブルに行がない場合、または列が未設定の場合に使用する
+ */
+const ORGANIZATION_SETTINGS_DEFAULTS = {
+    // 36協定（時間外労働・休日労働に関する協定）
+    overtime_limit_monthly_hours: 45,       // 月の時間外労働の上限（時間）
+    overtime_limit_yearly_hours: 360,       // 年の時間外労働の上限（時間）
+    special_clause_enabled: true,           // 特別条項の有無
+    special_limit_monthly_hours: 100,       // 月の時間外＋休日労働の上限（時間、未満、特別条項の有無にかかわらず適用）
+    special_limit_average_hours: 80,        // 2～6ヶ月平均の時間外＋休日労働の上限（時間、特別条項の有無にかかわらず適用）
+    special_limit_yearly_hours: 720,        // 特別条項: 年の時間外労働の上限（時間）
+    special_max_exceed_count: 6,            // 特別条項: 月の上限を超えられる回数（年間）
+    agreement_start_month: 4,               // 協定の起算月
+    overtime_warning_ratio: 0.8,            // 上限に対してこの割合を超えたら注意を表示
+    block_approval_on_violation: true,      // 上限超過時に承認申請をブロックするか
+
+    // 時間の丸め（単位は分、方向は ROUNDING_DIRECTION）
+    rounding_punch_unit: 1,                 // 出退勤時刻の丸め単位
+    rounding_start_direction: 'none',       // 出勤時刻の丸め方向
+    rounding_end_direction: 'none',         // 退勤時刻の丸め方向
+    rounding_daily_unit: 1,                 // 日の労働時間の丸め単位
+    rounding_daily_direction: 'none',       // 日の労働時間の丸め方向
+    rounding_monthly_unit: 1,               // 月の合計の丸め単位
+    rounding_monthly_direction: 'none',     // 月の合計の丸め方向
+
+    // 振替休日・代休
+    substitute_holiday_period_days: 28,     // 振替休日を指定できる期間（休日の前後の日数）
+    compensatory_leave_period_days: 60      // 代休の取得期限（休日出勤日からの日数）
+};
+
+/**
+ * 組織設定を取得する
+ * 未設定の項目はデフォルト値で補完する
+ * @returns {Object} 組織設定オブジェクト
+ */
+async function getOrganizationSettings() {
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('organization_settings')
+            .select('*')
+            .order('created_at', { ascending: true })
+            .limit(1);
+        
+        if (error) {
+            console.error('組織設定取得エラー:', error);
+            return { ...ORGANIZATION_SETTINGS_DEFAULTS };
+        }
+        
+        return mergeOrganizationSettings(data && data[0]);
+    } catch (error) {
+        console.error('組織設定取得エラー:', error);
+        return { ...ORGANIZATION_SETTINGS_DEFAULTS };
+    }
+}
+
+/**
+ * 組織設定を保存する（管理者向け）
+ * @param {Object} settings - 組織設定オブジェクト
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function saveOrganizationSettings(settings) {
+    try {
+        const client = getSupabaseClient();
+        
+        // 既存の設定を確認
+        const { data: existing } = await client
+            .from('organization_settings')
+            .select('id')
+            .order('created_at', { ascending: true })
+            .limit(1);
+        
+        let result;
+        if (existing && existing.length > 0) {
+            // 更新
+            result = await client
+                .from('organization_settings')
+                .update(settings)
+                .eq('id', existing[0].id);
+        } else {
+            // 新規作成
+            result = await client
+                .from('organization_settings')
+                .insert(settings);
+        }
+        
+        if (result.error) {
+            return {
+                success: false,
+                message: '組織設定の保存に失敗しました: ' + result.error.message
+            };
+        }
+        
+        return {
+            success: true,
+            message: '組織設定を保存しました'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '組織設定の保存中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 組織設定をデフォルト値で補完する
+ * @param {Object|null} settings - データベースから取得した組織設定
+ * @returns {Object} 組織設定オブジェクト
+ */
+function mergeOrganizationSettings(settings) {
+    const merged = { ...ORGANIZATION_SETTINGS_DEFAULTS };
+    
+    if (!settings) return merged;
+    
+    for (const key of Object.keys(settings)) {
+        if (settings[key] !== null && settings[key] !== undefined) {
+            merged[key] = settings[key];
+        }
+    }
+    
+    return merged;
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ORGANIZATION_SETTINGS_DEFAULTS,
+        getOrganizationSettings,
+        saveOrganizationSettings,
+        mergeOrganizationSettings
+    };
+}
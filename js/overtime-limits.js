@@ -0,0 +1,392 @@
+/**
+ * 36協定上限チェックモジュール
+ *
+ * このファイルは時間外労働・休日労働の上限（36協定）の監視機能を提供する
+ * 複数月にわたる時間外労働の集計、上限超過の判定、警告表示を担当
+ */
+
+/**
+ * 上限チェック結果の警告レベル
+ */
+const OVERTIME_ALERT_LEVEL = {
+    WARNING: 'warning',   // 注意（上限に接近、特別条項の適用など）
+    ERROR: 'error'        // 上限超過（協定違反）
+};
+
+/**
+ * 上限チェックに使用する月数
+ * 協定年度（最大12ヶ月）と2～6ヶ月平均の両方を判定できる期間
+ */
+const OVERTIME_HISTORY_MONTHS = 12;
+
+/**
+ * 対象月までの集計する月を取得する
+ * @param {number} year - 対象年
+ * @param {number} month - 対象月
+ * @param {number} monthCount - 取得する月数（対象月を含む）
+ * @returns {Array} 月の配列（古い順） [{year, month}]
+ */
+function getOvertimeHistoryMonths(year, month, monthCount = OVERTIME_HISTORY_MONTHS) {
+    const months = [];
+
+    for (let i = monthCount - 1; i >= 0; i--) {
+        const date = new Date(year, month - 1 - i, 1);
+        months.push({ year: date.getFullYear(), month: date.getMonth() + 1 });
+    }
+
+    return months;
+}
+
+/**
+ * まとめて取得した月間設定・勤務記録からユーザーの月ごとのデータを取り出す
+ * @param {Object} data - 月間設定・勤務記録 {settings: Array, records: Array}（複数ユーザー分）
+ * @param {string} userId - ユーザーID
+ * @param {Array} months - 月の配列（古い順） [{year, month}]
+ * @returns {Array} 月ごとのデータ（古い順） [{year, month, settings, records}]
+ */
+function selectOvertimeMonthData(data, userId, months) {
+    return months.map(({ year, month }) => {
+        const prefix = `${year}-${String(month).padStart(2, '0')}-`;
+        return {
+            year,
+            month,
+            settings: data.settings.find(s => s.user_id === userId && s.year === year && s.month === month) || null,
+            records: data.records.filter(r => r.user_id === userId && r.work_date.startsWith(prefix))
+        };
+    });
+}
+
+/**
+ * 月ごとのデータから時間外労働・休日労働を集計する
+ * 月をまたぐ週の40時間判定のため、前月分の労働時間を順に引き継いで集計する
+ * 上限の判定は丸めルールを適用しない実労働時間で行う
+ * フレックスタイム制の月は渡した範囲の月データで清算期間を精算する
+ * 変形労働時間制の月は1日・1週の判定のみ行う（変形期間の総枠による判定は含めない）
+ * @param {Array} loaded - 月ごとのデータ（古い順） [{year, month, settings, records}]
+ * @returns {Array} 月ごとの集計配列（古い順） [{year, month, overtimeMinutes, holidayWorkMinutes}]
+ */
+function buildOvertimeHistory(loaded) {
+    return loaded.map((data, index) => {
+        const prev = loaded[index - 1];
+        const weeklyCarryOver = prev
+            ? calculateWeeklyCarryOver(prev.records, prev.settings, data.year, data.month)
+            : null;
+        const summary = calculateMonthlySummary(data.records, data.settings, {
+            weeklyCarryOver,
+            flextimeSettlement: calculateFlextimeSettlementForMonth(loaded, data.year, data.month)
+        });
+
+        return {
+            year: data.year,
+            month: data.month,
+            overtimeMinutes: summary.statutoryExternalOvertime,
+            holidayWorkMinutes: summary.legalHolidayWorkMinutes
+        };
+    });
+}
+
+/**
+ * 対象月までの月ごとの時間外労働・休日労働を取得する
+ * @param {string} userId - ユーザーID
+ * @param {number} year - 対象年
+ * @param {number} month - 対象月
+ * @param {number} monthCount - 取得する月数（対象月を含む）
+ * @returns {Array} 月ごとの集計配列（古い順） [{year, month, overtimeMinutes, holidayWorkMinutes}]
+ */
+async function getOvertimeHistory(userId, year, month, monthCount = OVERTIME_HISTORY_MONTHS) {
+    const months = getOvertimeHistoryMonths(year, month, monthCount);
+
+    const loaded = await Promise.all(months.map(async ({ year: y, month: m }) => ({
+        year: y,
+        month: m,
+        settings: await getMonthlySettings(userId, y, m),
+        records: await getDailyRecords(userId, y, m)
+    })));
+
+    return buildOvertimeHistory(loaded);
+}
+
+/**
+ * 複数ユーザーの月間設定・勤務記録を期間でまとめて取得する
+ * 勤務記録は1回の取得件数の上限を超える場合があるため、ページごとに取得する
+ * @param {Array} userIds - ユーザーIDの配列
+ * @param {Object} start - 開始月 {year, month}
+ * @param {Object} end - 終了月 {year, month}
+ * @returns {Object} 月間設定・勤務記録 {settings: Array, records: Array}
+ */
+async function getOvertimeHistoryData(userIds, start, end) {
+    const pageSize = 1000;
+    const client = getSupabaseClient();
+
+    const { data: settings, error: settingsError } = await client
+        .from('monthly_settings')
+        .select('*')
+        .in('user_id', userIds)
+        .gte('year', start.year)
+        .lte('year', end.year);
+
+    if (settingsError) {
+        throw settingsError;
+    }
+
+    const records = [];
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await client
+            .from('daily_records')
+            .select('*')
+            .in('user_id', userIds)
+            .gte('work_date', formatDateString(start.year, start.month, 1))
+            .lte('work_date', formatDateString(end.year, end.month, getDaysInMonth(end.year, end.month)))
+            .order('user_id', { ascending: true })
+            .order('work_date', { ascending: true })
+            .range(from, from + pageSize - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        records.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+    }
+
+    return { settings: settings || [], records };
+}
+
+/**
+ * 協定年度を取得する
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @param {number} startMonth - 協定の起算月
+ * @returns {number} 協定年度（起算月が属する年）
+ */
+function getAgreementYear(year, month, startMonth) {
+    return month >= startMonth ? year : year - 1;
+}
+
+/**
+ * 36協定の上限をチェックする
+ * 時間外労働は法定外残業、休日労働は法定休日労働の時間を対象とする
+ * @param {Array} history - 月ごとの集計配列（古い順、最後が対象月）
+ * @param {Object} limits - 組織設定（上限時間）
+ * @returns {Object} チェック結果オブジェクト
+ */
+function checkOvertimeLimits(history, limits) {
+    const target = history[history.length - 1];
+    const ratio = limits.overtime_warning_ratio;
+    const monthlyLimit = limits.overtime_limit_monthly_hours * 60;
+    const yearlyLimit = limits.overtime_limit_yearly_hours * 60;
+    const specialMonthlyLimit = limits.special_limit_monthly_hours * 60;
+    const specialAverageLimit = limits.special_limit_average_hours * 60;
+    const specialYearlyLimit = limits.special_limit_yearly_hours * 60;
+
+    // 協定年度内の月
+    const agreementYear = getAgreementYear(target.year, target.month, limits.agreement_start_month);
+    const yearMonths = history.filter(h =>
+        getAgreementYear(h.year, h.month, limits.agreement_start_month) === agreementYear
+    );
+
+    const result = {
+        monthlyOvertime: target.overtimeMinutes,
+        monthlyTotal: target.overtimeMinutes + target.holidayWorkMinutes,
+        yearlyOvertime: yearMonths.reduce((sum, h) => sum + h.overtimeMinutes, 0),
+        exceedCount: yearMonths.filter(h => h.overtimeMinutes > monthlyLimit).length,
+        averages: [],
+        maxAverage: 0,
+        alerts: [],
+        hasError: false
+    };
+
+    // 2～6ヶ月平均（時間外＋休日労働、協定年度をまたいで判定）
+    for (let n = 2; n <= 6 && n <= history.length; n++) {
+        const recent = history.slice(-n);
+        const average = Math.round(recent.reduce((sum, h) => sum + h.overtimeMinutes + h.holidayWorkMinutes, 0) / n);
+        result.averages.push({ months: n, average });
+        result.maxAverage = Math.max(result.maxAverage, average);
+    }
+
+    const addAlert = (level, message) => {
+        result.alerts.push({ level, message });
+    };
+
+    // 月の上限
+    if (result.monthlyOvertime > monthlyLimit) {
+        if (limits.special_clause_enabled) {
+            addAlert(OVERTIME_ALERT_LEVEL.WARNING,
+                `月の時間外労働が${limits.overtime_limit_monthly_hours}時間を超えています（特別条項 年${result.exceedCount}回目／上限${limits.special_max_exceed_count}回）`);
+        } else {
+            addAlert(OVERTIME_ALERT_LEVEL.ERROR,
+                `月の時間外労働が上限${limits.overtime_limit_monthly_hours}時間を超えています（${minutesToTimeString(result.monthlyOvertime)}）`);
+        }
+    } else if (result.monthlyOvertime >= monthlyLimit * ratio) {
+        addAlert(OVERTIME_ALERT_LEVEL.WARNING,
+            `月の時間外労働が上限${limits.overtime_limit_monthly_hours}時間に近づいています（${minutesToTimeString(result.monthlyOvertime)}）`);
+    }
+
+    // 年の上限
+    if (result.yearlyOvertime > yearlyLimit) {
+        if (limits.special_clause_enabled) {
+            addAlert(OVERTIME_ALERT_LEVEL.WARNING,
+                `年の時間外労働が${limits.overtime_limit_yearly_hours}時間を超えています（${minutesToTimeString(result.yearlyOvertime)}）`);
+        } else {
+            addAlert(OVERTIME_ALERT_LEVEL.ERROR,
+                `年の時間外労働が上限${limits.overtime_limit_yearly_hours}時間を超えています（${minutesToTimeString(result.yearlyOvertime)}）`);
+        }
+    } else if (result.yearlyOvertime >= yearlyLimit * ratio) {
+        addAlert(OVERTIME_ALERT_LEVEL.WARNING,
+            `年の時間外労働が上限${limits.overtime_limit_yearly_hours}時間に近づいています（${minutesToTimeString(result.yearlyOvertime)}）`);
+    }
+
+    // 時間外＋休日労働の上限（特別条項の有無にかかわらず判定）
+    if (result.monthlyTotal >= specialMonthlyLimit) {
+        addAlert(OVERTIME_ALERT_LEVEL.ERROR,
+            `月の時間外＋休日労働が${limits.special_limit_monthly_hours}時間以上です（${minutesToTimeString(result.monthlyTotal)}）`);
+    } else if (result.monthlyTotal >= specialMonthlyLimit * ratio) {
+        addAlert(OVERTIME_ALERT_LEVEL.WARNING,
+            `月の時間外＋休日労働が${limits.special_limit_monthly_hours}時間に近づいています（${minutesToTimeString(result.monthlyTotal)}）`);
+    }
+
+    const exceeded = result.averages.filter(a => a.average > specialAverageLimit);
+    if (exceeded.length > 0) {
+        const labels = exceeded.map(a => `${a.months}ヶ月平均 ${minutesToTimeString(a.average)}`).join('、');
+        addAlert(OVERTIME_ALERT_LEVEL.ERROR,
+            `時間外＋休日労働の複数月平均が${limits.special_limit_average_hours}時間を超えています（${labels}）`);
+    } else if (result.maxAverage >= specialAverageLimit * ratio) {
+        addAlert(OVERTIME_ALERT_LEVEL.WARNING,
+            `時間外＋休日労働の複数月平均が${limits.special_limit_average_hours}時間に近づいています（最大 ${minutesToTimeString(result.maxAverage)}）`);
+    }
+
+    // 特別条項の上限
+    if (limits.special_clause_enabled) {
+        if (result.yearlyOvertime > specialYearlyLimit) {
+            addAlert(OVERTIME_ALERT_LEVEL.ERROR,
+                `年の時間外労働が特別条項の上限${limits.special_limit_yearly_hours}時間を超えています（${minutesToTimeString(result.yearlyOvertime)}）`);
+        }
+
+        if (result.exceedCount > limits.special_max_exceed_count) {
+            addAlert(OVERTIME_ALERT_LEVEL.ERROR,
+                `月${limits.overtime_limit_monthly_hours}時間を超えた月が年${limits.special_max_exceed_count}回を超えています（${result.exceedCount}回）`);
+        }
+    }
+
+    // 上限超過を先に表示
+    result.alerts.sort((a, b) => (a.level === b.level ? 0 : a.level === OVERTIME_ALERT_LEVEL.ERROR ? -1 : 1));
+    result.hasError = result.alerts.some(a => a.level === OVERTIME_ALERT_LEVEL.ERROR);
+
+    return result;
+}
+
+/**
+ * ユーザーの36協定の上限をチェックする
+ * @param {string} userId - ユーザーID
+ * @param {number} year - 対象年
+ * @param {number} month - 対象月
+ * @returns {Object} チェック結果オブジェクト（limits に適用した組織設定を含む）
+ */
+async function checkUserOvertimeLimits(userId, year, month) {
+    const [limits, history] = await Promise.all([
+        getOrganizationSettings(),
+        getOvertimeHistory(userId, year, month)
+    ]);
+
+    return { ...checkOvertimeLimits(history, limits), limits };
+}
+
+/**
+ * 複数の申請について36協定の上限をまとめてチェックする
+ * 対象のユーザー・期間の月間設定と勤務記録を一度に取得し、申請ごとの判定はメモリ上で行う
+ * @param {Array} targets - チェック対象の配列 [{userId, year, month}]
+ * @returns {Array} チェック結果オブジェクトの配列（targets と同じ順、取得に失敗した場合はnull）
+ */
+async function checkUsersOvertimeLimits(targets) {
+    if (targets.length === 0) return [];
+
+    const targetMonths = targets.map(target => getOvertimeHistoryMonths(target.year, target.month));
+    const allMonths = targetMonths.flat().sort((a, b) => a.year - b.year || a.month - b.month);
+    const userIds = [...new Set(targets.map(target => target.userId))];
+
+    try {
+        const [limits, data] = await Promise.all([
+            getOrganizationSettings(),
+            getOvertimeHistoryData(userIds, allMonths[0], allMonths[allMonths.length - 1])
+        ]);
+
+        return targets.map((target, index) => {
+            const history = buildOvertimeHistory(selectOvertimeMonthData(data, target.userId, targetMonths[index]));
+            return { ...checkOvertimeLimits(history, limits), limits };
+        });
+    } catch (error) {
+        console.error('36協定の上限チェックエラー:', error);
+        return targets.map(() => null);
+    }
+}
+
+/**
+ * 上限チェック結果を表示する
+ * @param {HTMLElement} container - 表示先の要素
+ * @param {Object} result - チェック結果オブジェクト
+ */
+function renderOvertimeLimitAlerts(container, result) {
+    if (!container) return;
+
+    if (!result) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const figures = `
+        <div class="overtime-limit-figures">
+            <span>36協定: 月 ${minutesToTimeString(result.monthlyOvertime)} / ${result.limits.overtime_limit_monthly_hours}時間</span>
+            <span>年 ${minutesToTimeString(result.yearlyOvertime)} / ${result.limits.overtime_limit_yearly_hours}時間</span>
+            <span>${result.limits.overtime_limit_monthly_hours}時間超過 ${result.exceedCount}回</span>
+            <span>複数月平均（最大） ${minutesToTimeString(result.maxAverage)}</span>
+        </div>
+    `;
+
+    const alerts = result.alerts.map(alert => `
+        <div class="alert ${alert.level === OVERTIME_ALERT_LEVEL.ERROR ? 'alert-danger' : 'alert-warning'}">
+            ${alert.level === OVERTIME_ALERT_LEVEL.ERROR ? '⛔' : '⚠'} ${alert.message}
+        </div>
+    `).join('');
+
+    container.innerHTML = figures + alerts;
+}
+
+/**
+ * 承認一覧に表示する上限チェック結果のバッジを取得する
+ * @param {Object} result - チェック結果オブジェクト
+ * @returns {string} バッジのHTML
+ */
+function getOvertimeLimitBadge(result) {
+    if (!result || result.alerts.length === 0) {
+        return '-';
+    }
+
+    const label = result.hasError ? '上限超過' : '注意';
+    const className = result.hasError ? 'overtime-badge error' : 'overtime-badge warning';
+    const messages = result.alerts.map(alert => alert.message).join('<br>');
+
+    return `
+        <span class="warning-icon ${className}">${label}
+            <span class="warning-tooltip">${messages}</span>
+        </span>
+    `;
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OVERTIME_ALERT_LEVEL,
+        OVERTIME_HISTORY_MONTHS,
+        getOvertimeHistoryMonths,
+        selectOvertimeMonthData,
+        buildOvertimeHistory,
+        getOvertimeHistory,
+        getOvertimeHistoryData,
+        getAgreementYear,
+        checkOvertimeLimits,
+        checkUserOvertimeLimits,
+        checkUsersOvertimeLimits,
+        renderOvertimeLimitAlerts,
+        getOvertimeLimitBadge
+    };
+}
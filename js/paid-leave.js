@@ -0,0 +1,483 @@
+/**
+ * 年次有給休暇管理モジュール
+ *
+ * このファイルは年次有給休暇（有休）の付与・取得・残日数の管理機能を提供する
+ * 入社日に基づく法定の付与日数の算出、2年の時効、日毎の記録からの取得時間の集計を担当
+ */
+
+/**
+ * 勤続年数ごとの付与日数（週5日以上勤務の労働者）
+ * 入社6ヶ月で10日、以降1年ごとに付与し、6年6ヶ月以降は毎年20日とする
+ */
+const PAID_LEAVE_GRANT_DAYS = [10, 11, 12, 14, 16, 18, 20];
+
+/**
+ * 有休の付与に関する定数
+ */
+const PAID_LEAVE_RULES = {
+    FIRST_GRANT_MONTHS: 6,      // 初回付与までの月数
+    GRANT_INTERVAL_MONTHS: 12,  // 2回目以降の付与間隔（月）
+    VALID_MONTHS: 24,           // 有効期間（2年で時効）
+    MANDATORY_DAYS: 5,          // 付与日から1年以内に取得させる日数
+    MANDATORY_MIN_GRANT_DAYS: 10,   // 取得義務の対象となる付与日数
+    MANDATORY_ALERT_DAYS: 90    // 取得義務の期限が近いと判定する日数
+};
+
+/**
+ * 年5日の取得義務の状況
+ */
+const MANDATORY_LEAVE_STATUS = {
+    ACHIEVED: 'achieved',   // 取得済み
+    ON_TRACK: 'on-track',   // 取得中（期限まで余裕あり）
+    AT_RISK: 'at-risk',     // 要注意（期限まで90日以内で未達）
+    OVERDUE: 'overdue'      // 未達（期限を過ぎて未達）
+};
+
+/**
+ * 日付に月数を加算する（加算先の月に同じ日がない場合は月末とする）
+ * @param {string} dateStr - 日付文字列 (YYYY-MM-DD形式)
+ * @param {number} months - 加算する月数
+ * @returns {string} 日付文字列 (YYYY-MM-DD形式)
+ */
+function addMonthsToDate(dateStr, months) {
+    const date = parseDateString(dateStr);
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const day = Math.min(date.getDate(), getDaysInMonth(target.getFullYear(), target.getMonth() + 1));
+    return formatDateString(target.getFullYear(), target.getMonth() + 1, day);
+}
+
+/**
+ * 日付に日数を加算する
+ * @param {string} dateStr - 日付文字列 (YYYY-MM-DD形式)
+ * @param {number} days - 加算する日数
+ * @returns {string} 日付文字列 (YYYY-MM-DD形式)
+ */
+function addDaysToDate(dateStr, days) {
+    const date = parseDateString(dateStr);
+    date.setDate(date.getDate() + days);
+    return formatDateString(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
+/**
+ * 今日の日付を取得する
+ * @returns {string} 日付文字列 (YYYY-MM-DD形式)
+ */
+function getTodayDateString() {
+    const today = new Date();
+    return formatDateString(today.getFullYear(), today.getMonth() + 1, today.getDate());
+}
+
+/**
+ * 時間単位の取得に使用する1日分の時間を取得する
+ * 1日の所定労働時間に1時間未満の端数がある場合は時間単位に切り上げる
+ * @param {number} standardHours - 1日標準就労時間
+ * @returns {number} 1日分の時間（分）
+ */
+function getPaidLeaveDayMinutes(standardHours) {
+    return Math.ceil(standardHours || 8) * 60;
+}
+
+/**
+ * 入社日から基準日までの有休の付与を取得する
+ * 出勤率8割以上の要件は判定しない（要件を満たさない場合は管理者が調整する）
+ * @param {string} hireDate - 入社日 (YYYY-MM-DD形式)
+ * @param {string} asOfDate - 基準日 (YYYY-MM-DD形式)
+ * @returns {Array} 付与の配列（付与日順） [{grantDate, expiryDate, days}]
+ */
+function getPaidLeaveGrants(hireDate, asOfDate) {
+    const grants = [];
+    if (!hireDate) return grants;
+
+    for (let i = 0; ; i++) {
+        const grantDate = addMonthsToDate(hireDate, PAID_LEAVE_RULES.FIRST_GRANT_MONTHS + PAID_LEAVE_RULES.GRANT_INTERVAL_MONTHS * i);
+        if (grantDate > asOfDate) break;
+
+        grants.push({
+            grantDate,
+            expiryDate: addDaysToDate(addMonthsToDate(grantDate, PAID_LEAVE_RULES.VALID_MONTHS), -1),
+            days: PAID_LEAVE_GRANT_DAYS[Math.min(i, PAID_LEAVE_GRANT_DAYS.length - 1)]
+        });
+    }
+
+    return grants;
+}
+
+/**
+ * 基準日の次の付与を取得する
+ * @param {string} hireDate - 入社日 (YYYY-MM-DD形式)
+ * @param {string} asOfDate - 基準日 (YYYY-MM-DD形式)
+ * @returns {Object|null} 次の付与 {grantDate, days}、入社日が未設定の場合はnull
+ */
+function getNextPaidLeaveGrant(hireDate, asOfDate) {
+    if (!hireDate) return null;
+
+    const count = getPaidLeaveGrants(hireDate, asOfDate).length;
+    return {
+        grantDate: addMonthsToDate(hireDate, PAID_LEAVE_RULES.FIRST_GRANT_MONTHS + PAID_LEAVE_RULES.GRANT_INTERVAL_MONTHS * count),
+        days: PAID_LEAVE_GRANT_DAYS[Math.min(count, PAID_LEAVE_GRANT_DAYS.length - 1)]
+    };
+}
+
+/**
+ * 日毎の記録から有休の取得を取得する
+ * 全日は1日分、半日は0.5日分、時間単位は取得時間とする
+ * @param {Array} records - 日毎の勤務記録配列
+ * @param {number} dayMinutes - 1日分の時間（分）
+ * @returns {Array} 取得の配列（日付順） [{date, minutes}]
+ */
+function getPaidLeaveUsage(records, dayMinutes) {
+    return records
+        .filter(record => record.leave_type === 'paid')
+        .map(record => ({
+            date: record.work_date,
+            minutes: record.leave_unit === LEAVE_UNIT.HOURLY
+                ? Math.round((record.leave_hours || 0) * 60)
+                : Math.round(getLeaveDays(record) * dayMinutes)
+        }))
+        .filter(usage => usage.minutes > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 有休の管理台帳を計算する
+ * 取得は取得日に有効な付与のうち付与日の古いものから充当し、有効期限を過ぎた残りは時効消滅とする
+ * @param {string} hireDate - 入社日 (YYYY-MM-DD形式)
+ * @param {Array} records - 日毎の勤務記録配列（入社日以降の有休の記録）
+ * @param {string} asOfDate - 基準日 (YYYY-MM-DD形式)
+ * @param {number} dayMinutes - 1日分の時間（分）
+ * @returns {Object} 管理台帳オブジェクト
+ */
+function calculatePaidLeaveLedger(hireDate, records, asOfDate, dayMinutes = 8 * 60) {
+    const grants = getPaidLeaveGrants(hireDate, asOfDate).map(grant => ({
+        ...grant,
+        grantedMinutes: grant.days * dayMinutes,
+        usedMinutes: 0,
+        remainingMinutes: grant.days * dayMinutes,
+        expired: grant.expiryDate < asOfDate
+    }));
+    const usage = getPaidLeaveUsage(records, dayMinutes).filter(u => u.date <= asOfDate);
+    let overdrawnMinutes = 0;
+
+    for (const use of usage) {
+        let rest = use.minutes;
+
+        for (const grant of grants) {
+            if (rest === 0) break;
+            if (grant.grantDate > use.date || grant.expiryDate < use.date) continue;
+
+            const consumed = Math.min(rest, grant.remainingMinutes);
+            grant.usedMinutes += consumed;
+            grant.remainingMinutes -= consumed;
+            rest -= consumed;
+        }
+
+        // 残日数を超えた取得
+        overdrawnMinutes += rest;
+    }
+
+    const active = grants.filter(grant => !grant.expired);
+    const sum = (list, key) => list.reduce((total, grant) => total + grant[key], 0);
+
+    return {
+        hireDate,
+        asOfDate,
+        dayMinutes,
+        grants,
+        usage,
+        grantedMinutes: sum(active, 'grantedMinutes'),
+        usedMinutes: sum(active, 'usedMinutes'),
+        remainingMinutes: sum(active, 'remainingMinutes'),
+        expiredMinutes: sum(grants.filter(grant => grant.expired), 'remainingMinutes'),
+        overdrawnMinutes,
+        nextGrant: getNextPaidLeaveGrant(hireDate, asOfDate),
+        records: records.filter(record => record.leave_type === 'paid' && record.work_date <= asOfDate)
+    };
+}
+
+/**
+ * 付与日から1年間（基準日から1年間）の有休の取得を取得する
+ * 取得義務の日数には時間単位の取得を含めない
+ * @param {Array} records - 日毎の勤務記録配列
+ * @param {string} grantDate - 付与日（基準日）(YYYY-MM-DD形式)
+ * @returns {Object} {endDate: 期間の末日, days: 取得日数, hourlyMinutes: 時間単位の取得時間（分）, records: 期間内の記録}
+ */
+function getGrantYearLeave(records, grantDate) {
+    const endDate = addDaysToDate(addMonthsToDate(grantDate, 12), -1);
+    const inPeriod = records.filter(record =>
+        record.leave_type === 'paid' && record.work_date >= grantDate && record.work_date <= endDate
+    );
+
+    return {
+        endDate,
+        days: inPeriod.reduce((sum, record) => sum + getLeaveDays(record), 0),
+        hourlyMinutes: inPeriod
+            .filter(record => record.leave_unit === LEAVE_UNIT.HOURLY)
+            .reduce((sum, record) => sum + Math.round((record.leave_hours || 0) * 60), 0),
+        records: inPeriod
+    };
+}
+
+/**
+ * 付与ごとの年5日の取得義務の状況を判定する
+ * 付与日から1年以内の取得日数（半日は0.5日、時間単位は含めない）を判定する
+ * @param {Object} grant - 付与 {grantDate, days}
+ * @param {Array} records - 日毎の勤務記録配列
+ * @param {string} asOfDate - 基準日 (YYYY-MM-DD形式)
+ * @returns {Object|null} 取得義務の状況、付与日数が10日未満の場合はnull
+ *   {grantDate, deadline, grantDays, takenDays, remainingDays, daysUntilDeadline, status}
+ */
+function evaluateMandatoryLeave(grant, records, asOfDate) {
+    if (grant.days < PAID_LEAVE_RULES.MANDATORY_MIN_GRANT_DAYS) return null;
+
+    const year = getGrantYearLeave(records, grant.grantDate);
+    const remainingDays = Math.max(0, PAID_LEAVE_RULES.MANDATORY_DAYS - year.days);
+    const daysUntilDeadline = Math.round((parseDateString(year.endDate) - parseDateString(asOfDate)) / (24 * 60 * 60 * 1000));
+
+    let status = MANDATORY_LEAVE_STATUS.ON_TRACK;
+    if (remainingDays === 0) {
+        status = MANDATORY_LEAVE_STATUS.ACHIEVED;
+    } else if (daysUntilDeadline < 0) {
+        status = MANDATORY_LEAVE_STATUS.OVERDUE;
+    } else if (daysUntilDeadline <= PAID_LEAVE_RULES.MANDATORY_ALERT_DAYS) {
+        status = MANDATORY_LEAVE_STATUS.AT_RISK;
+    }
+
+    return {
+        grantDate: grant.grantDate,
+        deadline: year.endDate,
+        grantDays: grant.days,
+        takenDays: year.days,
+        remainingDays,
+        daysUntilDeadline,
+        status
+    };
+}
+
+/**
+ * 基準日時点の年5日の取得義務の状況を計算する（基準日を含む直近の付与が対象）
+ * @param {Object} ledger - 管理台帳オブジェクト（calculatePaidLeaveLedger の結果）
+ * @returns {Object|null} 取得義務の状況（evaluateMandatoryLeave を参照）、対象となる付与がない場合はnull
+ */
+function calculateMandatoryLeaveStatus(ledger) {
+    const grant = ledger.grants[ledger.grants.length - 1];
+    if (!grant) return null;
+
+    return evaluateMandatoryLeave(grant, ledger.records, ledger.asOfDate);
+}
+
+/**
+ * 年5日の取得義務の状況のラベルを取得する
+ * @param {string} status - 状況コード
+ * @returns {string} 状況ラベル
+ */
+function getMandatoryLeaveStatusLabel(status) {
+    const labels = {
+        'achieved': '取得済み',
+        'on-track': '取得中',
+        'at-risk': '要注意',
+        'overdue': '未達'
+    };
+    return labels[status] || '対象外';
+}
+
+/**
+ * 有休の時間を日数・時間で表示する
+ * @param {number} minutes - 時間（分）
+ * @param {number} dayMinutes - 1日分の時間（分）
+ * @returns {string} 表示文字列（例: 12日、3日4時間）
+ */
+function formatPaidLeaveMinutes(minutes, dayMinutes) {
+    const days = Math.floor(minutes / dayMinutes);
+    const hours = Math.round((minutes % dayMinutes) / 6) / 10;
+    return hours ? `${days}日${hours}時間` : `${days}日`;
+}
+
+/**
+ * ユーザーの有休の管理台帳を取得する
+ * @param {string} userId - ユーザーID
+ * @param {string} asOfDate - 基準日 (YYYY-MM-DD形式)
+ * @returns {Object|null} 管理台帳オブジェクト、入社日が未設定の場合はnull
+ */
+async function getPaidLeaveLedger(userId, asOfDate) {
+    try {
+        const client = getSupabaseClient();
+        const { data: profile, error: profileError } = await client
+            .from('user_profiles')
+            .select('hire_date')
+            .eq('user_id', userId)
+            .single();
+
+        if (profileError) {
+            console.error('入社日取得エラー:', profileError);
+            return null;
+        }
+
+        if (!profile?.hire_date) return null;
+
+        const { data: records, error } = await client
+            .from('daily_records')
+            .select('work_date, leave_type, leave_unit, leave_hours')
+            .eq('user_id', userId)
+            .eq('leave_type', 'paid')
+            .gte('work_date', profile.hire_date)
+            .lte('work_date', asOfDate)
+            .order('work_date', { ascending: true });
+
+        if (error) {
+            console.error('有休取得記録の取得エラー:', error);
+            return null;
+        }
+
+        const asOf = parseDateString(asOfDate);
+        const settings = await getMonthlySettings(userId, asOf.getFullYear(), asOf.getMonth() + 1);
+
+        return calculatePaidLeaveLedger(profile.hire_date, records || [], asOfDate,
+            getPaidLeaveDayMinutes(settings?.standard_hours));
+    } catch (error) {
+        console.error('有休管理台帳の取得エラー:', error);
+        return null;
+    }
+}
+
+/**
+ * 全ユーザーの有休の管理台帳と年5日の取得義務の状況を取得する
+ * @param {string} asOfDate - 基準日 (YYYY-MM-DD形式)
+ * @returns {Array} ユーザーごとの配列 [{user, ledger, mandatory}]（入社日が未設定の場合 ledger・mandatory はnull）
+ */
+async function getPaidLeaveRegister(asOfDate) {
+    const users = await getAllUsers();
+
+    return Promise.all(users.map(async user => {
+        const ledger = user.hire_date ? await getPaidLeaveLedger(user.user_id, asOfDate) : null;
+        return { user, ledger, mandatory: ledger ? calculateMandatoryLeaveStatus(ledger) : null };
+    }));
+}
+
+/**
+ * 年次有給休暇管理簿のCSVを生成する
+ * 付与ごとに基準日・付与日数・基準日から1年間の取得日数と取得した時季を出力する
+ * @param {Array} entries - ユーザーごとの配列（getPaidLeaveRegister の結果）
+ * @returns {string} CSV文字列
+ */
+function generatePaidLeaveRegisterCSV(entries) {
+    const headers = [
+        '氏名', '所属', '入社日', '基準日', '付与日数', '有効期限',
+        '取得日数', '取得時間(時間単位)', '取得時季', '残日数', '年5日の取得義務'
+    ];
+    const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const rows = [headers.join(',')];
+
+    for (const { user, ledger } of entries) {
+        if (!ledger) continue;
+
+        for (const grant of ledger.grants) {
+            const year = getGrantYearLeave(ledger.records, grant.grantDate);
+            const dates = year.records
+                .map(record => {
+                    const unit = getLeaveUnitLabel(record);
+                    return unit ? `${record.work_date}（${unit}）` : record.work_date;
+                })
+                .join(' ');
+            const status = evaluateMandatoryLeave(grant, ledger.records, ledger.asOfDate);
+
+            rows.push([
+                quote(user.name || user.email),
+                quote(user.department),
+                ledger.hireDate,
+                grant.grantDate,
+                `${grant.days}日`,
+                grant.expiryDate,
+                `${year.days}日`,
+                year.hourlyMinutes ? `${year.hourlyMinutes / 60}時間` : '',
+                quote(dates),
+                grant.expired ? '時効' : formatPaidLeaveMinutes(grant.remainingMinutes, ledger.dayMinutes),
+                getMandatoryLeaveStatusLabel(status?.status)
+            ].join(','));
+        }
+    }
+
+    return rows.join('\n');
+}
+
+/**
+ * 有休の残日数を表示する
+ * @param {HTMLElement} container - 表示先の要素
+ * @param {Object|null} ledger - 管理台帳オブジェクト
+ */
+function renderPaidLeaveBalance(container, ledger) {
+    if (!container) return;
+
+    if (!ledger) {
+        container.innerHTML = '<div class="alert alert-info">入社日が設定されていないため、有休の残日数を表示できません</div>';
+        return;
+    }
+
+    const format = minutes => formatPaidLeaveMinutes(minutes, ledger.dayMinutes);
+    const mandatory = calculateMandatoryLeaveStatus(ledger);
+    const rows = ledger.grants.filter(grant => !grant.expired).map(grant => `
+        <tr>
+            <td>${grant.grantDate}</td>
+            <td>${grant.expiryDate}</td>
+            <td>${grant.days}日</td>
+            <td>${format(grant.usedMinutes)}</td>
+            <td>${format(grant.remainingMinutes)}</td>
+        </tr>
+    `).join('');
+
+    const overdrawn = ledger.overdrawnMinutes
+        ? `<div class="alert alert-warning">⚠ 残日数を超えて ${format(ledger.overdrawnMinutes)} 取得しています</div>`
+        : '';
+
+    container.innerHTML = `
+        <div class="paid-leave-figures">
+            <span>有休残日数 ${format(ledger.remainingMinutes)}（${ledger.asOfDate}時点）</span>
+            <span>取得済 ${format(ledger.usedMinutes)}</span>
+            <span>時効消滅 ${format(ledger.expiredMinutes)}</span>
+            <span>次回付与 ${ledger.nextGrant.grantDate}（${ledger.nextGrant.days}日）</span>
+            ${mandatory ? `<span>年5日の取得義務 ${mandatory.takenDays}日／${PAID_LEAVE_RULES.MANDATORY_DAYS}日（期限 ${mandatory.deadline}）</span>` : ''}
+        </div>
+        ${overdrawn}
+        ${mandatory && mandatory.status === MANDATORY_LEAVE_STATUS.AT_RISK
+            ? `<div class="alert alert-warning">⚠ ${mandatory.deadline} までにあと ${mandatory.remainingDays}日 の有休の取得が必要です</div>`
+            : ''}
+        ${rows ? `
+        <table class="paid-leave-table">
+            <thead>
+                <tr>
+                    <th>付与日</th>
+                    <th>有効期限</th>
+                    <th>付与日数</th>
+                    <th>取得</th>
+                    <th>残</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>` : ''}
+    `;
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PAID_LEAVE_GRANT_DAYS,
+        PAID_LEAVE_RULES,
+        MANDATORY_LEAVE_STATUS,
+        addMonthsToDate,
+        addDaysToDate,
+        getTodayDateString,
+        getPaidLeaveDayMinutes,
+        getPaidLeaveGrants,
+        getNextPaidLeaveGrant,
+        getPaidLeaveUsage,
+        calculatePaidLeaveLedger,
+        getGrantYearLeave,
+        evaluateMandatoryLeave,
+        calculateMandatoryLeaveStatus,
+        getMandatoryLeaveStatusLabel,
+        formatPaidLeaveMinutes,
+        getPaidLeaveLedger,
+        getPaidLeaveRegister,
+        generatePaidLeaveRegisterCSV,
+        renderPaidLeaveBalance
+    };
+}
@@ -0,0 +1,381 @@
+/**
+ * 打刻モジュール
+ *
+ * このファイルは出勤・退勤・休憩の打刻の記録・取得と、打刻から日毎の勤務記録の出退勤時刻・実績休憩を求める機能を提供する
+ * 打刻時刻はサーバーの時刻で記録し、記録後は変更できない（手入力で修正した時刻と打刻を区別するため）
+ * 打刻の日付・時刻はブラウザのタイムゾーンによらず、データベースと同じ日本時間（Asia/Tokyo）で扱う
+ */
+
+/**
+ * 打刻の種類
+ */
+const PUNCH_TYPE = {
+    CLOCK_IN: 'clock-in',         // 出勤
+    CLOCK_OUT: 'clock-out',       // 退勤
+    BREAK_START: 'break-start',   // 休憩開始
+    BREAK_END: 'break-end'        // 休憩終了
+};
+
+/**
+ * 打刻の種類の表示名
+ */
+const PUNCH_TYPE_LABELS = {
+    [PUNCH_TYPE.CLOCK_IN]: '出勤',
+    [PUNCH_TYPE.CLOCK_OUT]: '退勤',
+    [PUNCH_TYPE.BREAK_START]: '休憩開始',
+    [PUNCH_TYPE.BREAK_END]: '休憩終了'
+};
+
+/**
+ * 勤務日の打刻の状態
+ */
+const PUNCH_STATE = {
+    BEFORE_WORK: 'before-work',   // 出勤前
+    WORKING: 'working',           // 勤務中
+    ON_BREAK: 'on-break',         // 休憩中
+    FINISHED: 'finished'          // 退勤済み
+};
+
+/**
+ * 出退勤時刻の入力元
+ */
+const PUNCH_TIME_SOURCE = {
+    PUNCHED: 'punched',   // 打刻のとおり
+    EDITED: 'edited',     // 打刻を手入力で修正
+    MANUAL: 'manual'      // 打刻なし（手入力）
+};
+
+/**
+ * 日毎の勤務記録の実績休憩の上限
+ */
+const PUNCH_BREAK_LIMIT = 3;
+
+/**
+ * 打刻の日付・時刻のタイムゾーン（docs/schema-updates.sql の 22 の stamp_punch_log と同じ）
+ */
+const PUNCH_TIME_ZONE = 'Asia/Tokyo';
+
+/**
+ * 打刻の日付・時刻の書式（年・月・日・時・分を2桁で取得する）
+ */
+const PUNCH_DATE_TIME_FORMAT = new Intl.DateTimeFormat('en-US', {
+    timeZone: PUNCH_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+/**
+ * 時刻を日本時間の日付と時:分に分ける
+ * @param {string|Date} timestamp - 時刻（タイムスタンプ）
+ * @returns {Object} {date: 日付 (YYYY-MM-DD形式), time: 時刻 (HH:MM形式)}
+ */
+function getPunchDateTimeParts(timestamp) {
+    const parts = {};
+    for (const { type, value } of PUNCH_DATE_TIME_FORMAT.formatToParts(new Date(timestamp))) {
+        parts[type] = value;
+    }
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * 打刻時刻を時:分の文字列にする（日本時間）
+ * @param {string} punchedAt - 打刻時刻（タイムスタンプ）
+ * @returns {string} 時刻 (HH:MM形式)
+ */
+function formatPunchTime(punchedAt) {
+    return getPunchDateTimeParts(punchedAt).time;
+}
+
+/**
+ * 打刻時刻の日付を取得する（日本時間）
+ * @param {string} punchedAt - 打刻時刻（タイムスタンプ）
+ * @returns {string} 日付 (YYYY-MM-DD形式)
+ */
+function getPunchDate(punchedAt) {
+    return getPunchDateTimeParts(punchedAt).date;
+}
+
+/**
+ * 打刻する当日の日付を取得する（日本時間）
+ * データベースは日本時間の当日・前日の勤務のみ打刻を受け付けるため、ブラウザのタイムゾーンの日付は使用しない
+ * @param {Date} now - 現在時刻（省略時は現在）
+ * @returns {string} 日付 (YYYY-MM-DD形式)
+ */
+function getPunchToday(now = new Date()) {
+    return getPunchDate(now);
+}
+
+/**
+ * 勤務日の打刻を時刻順に取得する
+ * @param {Array} punches - 打刻の配列
+ * @param {string} workDate - 勤務日 (YYYY-MM-DD形式)
+ * @returns {Array} 打刻の配列（時刻順）
+ */
+function getWorkDatePunches(punches, workDate) {
+    return (punches || [])
+        .filter(punch => punch.work_date === workDate)
+        .sort((a, b) => new Date(a.punched_at) - new Date(b.punched_at));
+}
+
+/**
+ * 勤務日の打刻の状態を取得する
+ * @param {Array} punches - 勤務日の打刻の配列（時刻順）
+ * @returns {string} 状態（PUNCH_STATE）
+ */
+function getPunchState(punches) {
+    const last = punches[punches.length - 1];
+    if (!last) return PUNCH_STATE.BEFORE_WORK;
+
+    switch (last.punch_type) {
+        case PUNCH_TYPE.CLOCK_OUT:
+            return PUNCH_STATE.FINISHED;
+        case PUNCH_TYPE.BREAK_START:
+            return PUNCH_STATE.ON_BREAK;
+        default:
+            return PUNCH_STATE.WORKING;
+    }
+}
+
+/**
+ * 打刻する勤務日を取得する
+ * 前日の勤務が退勤前の場合（日をまたぐ勤務）、出勤以外の打刻は前日の勤務とする
+ * @param {Array} punches - 前日・当日の打刻の配列
+ * @param {string} today - 当日の日付（getPunchToday の日本時間の日付、YYYY-MM-DD形式）
+ * @param {string} punchType - 打刻の種類
+ * @returns {string} 勤務日 (YYYY-MM-DD形式)
+ */
+function getPunchWorkDate(punches, today, punchType) {
+    if (punchType === PUNCH_TYPE.CLOCK_IN) return today;
+
+    const yesterday = addDaysToDate(today, -1);
+    const yesterdayState = getPunchState(getWorkDatePunches(punches, yesterday));
+    const todayState = getPunchState(getWorkDatePunches(punches, today));
+
+    const yesterdayOpen = yesterdayState === PUNCH_STATE.WORKING || yesterdayState === PUNCH_STATE.ON_BREAK;
+    return yesterdayOpen && todayState === PUNCH_STATE.BEFORE_WORK ? yesterday : today;
+}
+
+/**
+ * 打刻できるかを検証する
+ * データベースでも打刻の記録時に同じ順序を検証する（docs/schema-updates.sql の 22 の stamp_punch_log を参照）
+ * @param {Array} punches - 勤務日の打刻の配列（時刻順）
+ * @param {string} punchType - 打刻の種類
+ * @returns {string|null} エラーメッセージ、打刻できる場合はnull
+ */
+function validatePunch(punches, punchType) {
+    const state = getPunchState(punches);
+
+    if (state === PUNCH_STATE.FINISHED) {
+        return '退勤済みのため打刻できません';
+    }
+
+    switch (punchType) {
+        case PUNCH_TYPE.CLOCK_IN:
+            return state === PUNCH_STATE.BEFORE_WORK ? null : '出勤済みです';
+        case PUNCH_TYPE.CLOCK_OUT:
+            if (state === PUNCH_STATE.BEFORE_WORK) return '出勤の打刻がありません';
+            return state === PUNCH_STATE.ON_BREAK ? '休憩を終了してから退勤してください' : null;
+        case PUNCH_TYPE.BREAK_START: {
+            if (state !== PUNCH_STATE.WORKING) {
+                return state === PUNCH_STATE.ON_BREAK ? '休憩中です' : '出勤の打刻がありません';
+            }
+            const breakCount = punches.filter(punch => punch.punch_type === PUNCH_TYPE.BREAK_START).length;
+            return breakCount < PUNCH_BREAK_LIMIT ? null : `休憩は${PUNCH_BREAK_LIMIT}回まで打刻できます`;
+        }
+        case PUNCH_TYPE.BREAK_END:
+            return state === PUNCH_STATE.ON_BREAK ? null : '休憩の開始の打刻がありません';
+        default:
+            return '打刻の種類が正しくありません';
+    }
+}
+
+/**
+ * 打刻から出退勤時刻・実績休憩を求める
+ * 出勤は最初の出勤の打刻、退勤は最後の退勤の打刻とし、休憩は開始・終了の組を順に割り当てる
+ * @param {Array} punches - 勤務日の打刻の配列（時刻順）
+ * @param {string} workDate - 勤務日 (YYYY-MM-DD形式)
+ * @returns {Object} 打刻の時刻 {start_time, end_time, end_next_day, breaks: [{start, end}]}（打刻がない項目はnull）
+ */
+function derivePunchedTimes(punches, workDate) {
+    const clockIn = punches.find(punch => punch.punch_type === PUNCH_TYPE.CLOCK_IN);
+    const clockOut = [...punches].reverse().find(punch => punch.punch_type === PUNCH_TYPE.CLOCK_OUT);
+    const breaks = [];
+
+    for (const punch of punches) {
+        if (punch.punch_type === PUNCH_TYPE.BREAK_START) {
+            breaks.push({ start: formatPunchTime(punch.punched_at), end: null });
+        } else if (punch.punch_type === PUNCH_TYPE.BREAK_END && breaks.length > 0) {
+            breaks[breaks.length - 1].end = formatPunchTime(punch.punched_at);
+        }
+    }
+
+    return {
+        start_time: clockIn ? formatPunchTime(clockIn.punched_at) : null,
+        end_time: clockOut ? formatPunchTime(clockOut.punched_at) : null,
+        end_next_day: clockOut ? getPunchDate(clockOut.punched_at) > workDate : false,
+        breaks: breaks.filter(interval => interval.end).slice(0, PUNCH_BREAK_LIMIT)
+    };
+}
+
+/**
+ * 打刻を日毎の勤務記録に反映する
+ * 打刻がある項目のみ上書きし、休憩の打刻がある場合は実績休憩とする
+ * @param {Object} record - 日毎の勤務記録（記録がない場合は空オブジェクト）
+ * @param {Array} punches - 勤務日の打刻の配列（時刻順）
+ * @param {string} workDate - 勤務日 (YYYY-MM-DD形式)
+ * @returns {Object} 打刻を反映した勤務記録
+ */
+function applyPunchesToRecord(record, punches, workDate) {
+    const punched = derivePunchedTimes(punches, workDate);
+    const applied = { ...record, work_date: workDate };
+
+    if (punched.start_time) {
+        applied.start_time = punched.start_time;
+    }
+    if (punched.end_time) {
+        applied.end_time = punched.end_time;
+        applied.end_next_day = punched.end_next_day;
+    }
+    if (punched.breaks.length > 0) {
+        applied.use_actual_breaks = true;
+        for (let i = 1; i <= PUNCH_BREAK_LIMIT; i++) {
+            const interval = punched.breaks[i - 1];
+            applied[`break${i}_start`] = interval ? interval.start : null;
+            applied[`break${i}_end`] = interval ? interval.end : null;
+        }
+    }
+
+    return applied;
+}
+
+/**
+ * 日毎の勤務記録の出退勤時刻の入力元を判定する
+ * @param {Object} record - 日毎の勤務記録
+ * @param {Array} punches - 勤務日の打刻の配列（時刻順）
+ * @returns {Object} 入力元 {start, end}（PUNCH_TIME_SOURCE）、時刻の入力がない項目はnull
+ */
+function getPunchTimeSources(record, punches) {
+    const punched = derivePunchedTimes(punches, record.work_date);
+
+    const getSource = (recordTime, punchedTime, sameDay = true) => {
+        if (!recordTime) return null;
+        if (!punchedTime) return PUNCH_TIME_SOURCE.MANUAL;
+        return recordTime.substring(0, 5) === punchedTime && sameDay ? PUNCH_TIME_SOURCE.PUNCHED : PUNCH_TIME_SOURCE.EDITED;
+    };
+
+    return {
+        start: getSource(record.start_time, punched.start_time),
+        end: getSource(record.end_time, punched.end_time, Boolean(record.end_next_day) === punched.end_next_day)
+    };
+}
+
+/**
+ * 出退勤時刻の入力元の表示名を取得する
+ * @param {string|null} source - 入力元（PUNCH_TIME_SOURCE）
+ * @returns {string} 表示名（打刻・修正）、打刻がない場合は空文字
+ */
+function formatPunchTimeSource(source) {
+    if (source === PUNCH_TIME_SOURCE.PUNCHED) return '打刻';
+    if (source === PUNCH_TIME_SOURCE.EDITED) return '修正';
+    return '';
+}
+
+/**
+ * 期間の打刻を取得する
+ * @param {string} userId - ユーザーID
+ * @param {string} startDate - 開始日 (YYYY-MM-DD形式)
+ * @param {string} endDate - 終了日 (YYYY-MM-DD形式)
+ * @returns {Array} 打刻の配列（時刻順）
+ */
+async function getPunchLogs(userId, startDate, endDate) {
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('punch_logs')
+            .select('*')
+            .eq('user_id', userId)
+            .gte('work_date', startDate)
+            .lte('work_date', endDate)
+            .order('punched_at', { ascending: true });
+
+        if (error) {
+            console.error('打刻取得エラー:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('打刻取得エラー:', error);
+        return [];
+    }
+}
+
+/**
+ * 打刻を記録する
+ * 打刻時刻はデータベースでサーバーの時刻に設定する
+ * @param {string} userId - ユーザーID
+ * @param {string} workDate - 勤務日 (YYYY-MM-DD形式)
+ * @param {string} punchType - 打刻の種類
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string, punch?: Object}
+ */
+async function recordPunch(userId, workDate, punchType) {
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('punch_logs')
+            .insert({
+                user_id: userId,
+                work_date: workDate,
+                punch_type: punchType
+            })
+            .select()
+            .single();
+
+        if (error) {
+            return {
+                success: false,
+                message: '打刻に失敗しました: ' + error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: `${PUNCH_TYPE_LABELS[punchType]}を打刻しました（${formatPunchTime(data.punched_at)}）`,
+            punch: data
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '打刻中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PUNCH_TYPE,
+        PUNCH_TYPE_LABELS,
+        PUNCH_STATE,
+        PUNCH_TIME_SOURCE,
+        PUNCH_TIME_ZONE,
+        getPunchDateTimeParts,
+        formatPunchTime,
+        getPunchDate,
+        getPunchToday,
+        getWorkDatePunches,
+        getPunchState,
+        getPunchWorkDate,
+        validatePunch,
+        derivePunchedTimes,
+        applyPunchesToRecord,
+        getPunchTimeSources,
+        formatPunchTimeSource,
+        getPunchLogs,
+        recordPunch
+    };
+}
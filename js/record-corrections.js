@@ -0,0 +1,208 @@
+/**
+ * 勤務記録の手修正モジュール
+ *
+ * このファイルは日毎の勤務記録の出退勤時刻・休憩の手修正について、修正理由の要否の判定と修正履歴の取得・表示機能を提供する
+ * 打刻と異なる時刻への修正、または勤務日を過ぎてから入力済みの時刻を修正する場合は理由を必須とし、修正前後の値を記録する
+ * 勤務日を過ぎてから未入力の日を入力する場合（打刻がない日の後日入力）は理由を必要としない
+ * 修正理由の検証と修正履歴の記録は日毎の勤務記録の保存時にデータベースのトリガーで行う（docs/schema-updates.sql の 23 を参照）
+ */
+
+/**
+ * 修正履歴の対象とする項目
+ */
+const CORRECTION_FIELDS = [
+    { key: 'start_time', label: '出勤時刻', type: 'time' },
+    { key: 'end_time', label: '退勤時刻', type: 'time' },
+    { key: 'end_next_day', label: '退勤の翌日', type: 'boolean' },
+    { key: 'use_actual_breaks', label: '実績休憩', type: 'boolean' },
+    { key: 'break1_start', label: '休憩1開始', type: 'time' },
+    { key: 'break1_end', label: '休憩1終了', type: 'time' },
+    { key: 'break2_start', label: '休憩2開始', type: 'time' },
+    { key: 'break2_end', label: '休憩2終了', type: 'time' },
+    { key: 'break3_start', label: '休憩3開始', type: 'time' },
+    { key: 'break3_end', label: '休憩3終了', type: 'time' }
+];
+
+/**
+ * 勤務記録の修正履歴の対象項目の値を取得する（時刻は時:分に揃える）
+ * @param {Object|null} record - 日毎の勤務記録
+ * @returns {Object} 項目ごとの値 {start_time, end_time, end_next_day, ...}
+ */
+function getCorrectionValues(record) {
+    const values = {};
+
+    for (const field of CORRECTION_FIELDS) {
+        const value = record ? record[field.key] : null;
+        values[field.key] = field.type === 'boolean' ? Boolean(value) : (value ? value.substring(0, 5) : null);
+    }
+
+    return values;
+}
+
+/**
+ * 修正した項目を取得する
+ * @param {Object|null} before - 修正前の勤務記録
+ * @param {Object} after - 修正後の勤務記録
+ * @returns {Array} 修正した項目のキーの配列
+ */
+function getChangedCorrectionFields(before, after) {
+    const beforeValues = getCorrectionValues(before);
+    const afterValues = getCorrectionValues(after);
+
+    return CORRECTION_FIELDS
+        .map(field => field.key)
+        .filter(key => beforeValues[key] !== afterValues[key]);
+}
+
+/**
+ * 打刻と異なる項目を取得する
+ * 打刻がある項目（出勤・退勤・休憩）のみ比較する（applyPunchesToRecord を参照）
+ * @param {Object} record - 日毎の勤務記録
+ * @param {Array} punches - 勤務日の打刻の配列（時刻順）
+ * @returns {Array} 打刻と異なる項目のキーの配列
+ */
+function getPunchDeviationFields(record, punches) {
+    const punched = applyPunchesToRecord({}, punches, record.work_date);
+    const values = getCorrectionValues(record);
+    const punchedValues = getCorrectionValues(punched);
+
+    return CORRECTION_FIELDS
+        .map(field => field.key)
+        .filter(key => key in punched && values[key] !== punchedValues[key]);
+}
+
+/**
+ * 出退勤時刻・休憩の時刻が入力済みかを判定する
+ * @param {Object|null} record - 日毎の勤務記録
+ * @returns {boolean} いずれかの時刻が入力済みの場合はtrue
+ */
+function hasCorrectionTimes(record) {
+    const values = getCorrectionValues(record);
+    return CORRECTION_FIELDS.some(field => field.type === 'time' && values[field.key] !== null);
+}
+
+/**
+ * 修正理由が必要かを判定する
+ * 出退勤時刻・休憩を修正した場合に、打刻と異なる時刻となるとき、または勤務日を過ぎてから入力済みの時刻を修正するときは理由を必須とする
+ * @param {Object|null} before - 修正前の勤務記録
+ * @param {Object} after - 修正後の勤務記録
+ * @param {Array} punches - 勤務日の打刻の配列（時刻順）
+ * @param {string} today - 当日の日付 (YYYY-MM-DD形式)
+ * @returns {boolean} 修正理由が必要な場合はtrue
+ */
+function requiresCorrectionReason(before, after, punches, today) {
+    if (getChangedCorrectionFields(before, after).length === 0) return false;
+
+    return (after.work_date < today && hasCorrectionTimes(before)) || getPunchDeviationFields(after, punches).length > 0;
+}
+
+/**
+ * 修正内容を表示用に整形する
+ * @param {Object} correction - 修正履歴
+ * @returns {string} 表示文字列（例: 出勤時刻 09:00→08:30）
+ */
+function formatCorrectionChanges(correction) {
+    const formatValue = (field, value) => {
+        if (field.type === 'boolean') return value ? 'あり' : 'なし';
+        return value || '未入力';
+    };
+
+    return CORRECTION_FIELDS
+        .filter(field => field.key in (correction.after_values || {}))
+        .map(field => `${field.label} ${formatValue(field, correction.before_values[field.key])}→${formatValue(field, correction.after_values[field.key])}`)
+        .join('、');
+}
+
+/**
+ * 修正履歴を勤務日ごとにまとめる
+ * @param {Array} corrections - 修正履歴の配列
+ * @returns {Object} 勤務日ごとの修正履歴 {日付: Array}
+ */
+function groupCorrectionsByDate(corrections) {
+    const grouped = {};
+
+    for (const correction of corrections || []) {
+        (grouped[correction.work_date] = grouped[correction.work_date] || []).push(correction);
+    }
+
+    return grouped;
+}
+
+/**
+ * 修正履歴を表示用の行に整形する
+ * @param {Array} corrections - 修正履歴の配列
+ * @returns {Array} 表示文字列の配列（例: 4/1 出勤時刻 09:00→08:30（打刻忘れ））
+ */
+function formatCorrectionLines(corrections) {
+    return (corrections || []).map(correction => {
+        const date = parseDateString(correction.work_date);
+        return `${date.getMonth() + 1}/${date.getDate()} ${formatCorrectionChanges(correction)}（${correction.reason}）`;
+    });
+}
+
+/**
+ * 承認管理の手修正の表示を取得する
+ * @param {Array} corrections - 対象月の修正履歴の配列
+ * @returns {string} 表示用HTML（修正がない場合は '-'）
+ */
+function getRecordCorrectionBadge(corrections) {
+    if (!corrections || corrections.length === 0) {
+        return '-';
+    }
+
+    const days = Object.keys(groupCorrectionsByDate(corrections)).length;
+
+    return `
+        <span class="warning-icon overtime-badge warning">${days}日
+            <span class="warning-tooltip">${formatCorrectionLines(corrections).join('<br>')}</span>
+        </span>
+    `;
+}
+
+/**
+ * 月の修正履歴を取得する
+ * @param {string} userId - ユーザーID
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @returns {Array} 修正履歴の配列（日付・修正日時順）
+ */
+async function getRecordCorrections(userId, year, month) {
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('record_corrections')
+            .select('*')
+            .eq('user_id', userId)
+            .gte('work_date', formatDateString(year, month, 1))
+            .lte('work_date', formatDateString(year, month, getDaysInMonth(year, month)))
+            .order('work_date', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('修正履歴取得エラー:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('修正履歴取得エラー:', error);
+        return [];
+    }
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CORRECTION_FIELDS,
+        getCorrectionValues,
+        getChangedCorrectionFields,
+        getPunchDeviationFields,
+        hasCorrectionTimes,
+        requiresCorrectionReason,
+        formatCorrectionChanges,
+        groupCorrectionsByDate,
+        formatCorrectionLines,
+        getRecordCorrectionBadge,
+        getRecordCorrections
+    };
+}
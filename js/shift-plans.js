@@ -0,0 +1,280 @@
+/**
+ * シフト計画モジュール
+ *
+ * このファイルは月間のシフト計画（各日の予定の勤務パターン・休み）の取得・保存と、予定と実績の比較機能を提供する
+ * 遅刻・早退・欠勤は予定の勤務パターンと実績の出退勤時刻の差から判定する
+ */
+
+/**
+ * シフト計画の予定の種類
+ */
+const SHIFT_PLAN_TYPE = {
+    WORK: 'work',           // 勤務（予定の勤務パターンを指定）
+    DAY_OFF: 'day-off'      // 休み
+};
+
+/**
+ * 指定日のシフト計画を取得する
+ * @param {Array} plans - シフト計画の配列
+ * @param {string} workDate - 日付 (YYYY-MM-DD形式)
+ * @returns {Object|null} シフト計画、ない場合はnull
+ */
+function findShiftPlan(plans, workDate) {
+    return (plans || []).find(plan => plan.work_date === workDate) || null;
+}
+
+/**
+ * シフト計画を変更できるかを判定する
+ * 社員が変更できるのは自分で作成した計画のみ（承認者が作成したシフト表は承認者のみ変更可能）
+ * @param {Object|null} plan - シフト計画
+ * @param {string} userId - 操作するユーザーID
+ * @param {boolean} isApprover - 操作するユーザーが承認者の場合true
+ * @returns {boolean} 変更できる場合はtrue
+ */
+function isShiftPlanEditable(plan, userId, isApprover) {
+    return isApprover || !plan || plan.planned_by === userId;
+}
+
+/**
+ * シフト計画を入力欄の値に変換する
+ * @param {Object|null} plan - シフト計画
+ * @returns {string} 入力欄の値（未設定は空文字、休みは day-off、勤務はパターン番号）
+ */
+function toShiftPlanValue(plan) {
+    if (!plan) return '';
+    return plan.plan_type === SHIFT_PLAN_TYPE.DAY_OFF ? SHIFT_PLAN_TYPE.DAY_OFF : String(plan.work_pattern || 1);
+}
+
+/**
+ * 入力欄の値をシフト計画に変換する
+ * @param {string} workDate - 日付 (YYYY-MM-DD形式)
+ * @param {string} value - 入力欄の値（toShiftPlanValue を参照）
+ * @returns {Object|null} シフト計画 {work_date, plan_type, work_pattern}、未設定の場合はnull
+ */
+function fromShiftPlanValue(workDate, value) {
+    if (!value) return null;
+    if (value === SHIFT_PLAN_TYPE.DAY_OFF) {
+        return { work_date: workDate, plan_type: SHIFT_PLAN_TYPE.DAY_OFF, work_pattern: null };
+    }
+    return { work_date: workDate, plan_type: SHIFT_PLAN_TYPE.WORK, work_pattern: parseInt(value) || 1 };
+}
+
+/**
+ * シフト計画の予定の勤務パターンを取得する
+ * @param {Object|null} plan - シフト計画
+ * @param {Object|null} settings - 月間設定
+ * @returns {Object|null} 勤務パターンオブジェクト、休みの予定・予定がない場合はnull
+ */
+function getPlannedPattern(plan, settings) {
+    if (!plan || plan.plan_type !== SHIFT_PLAN_TYPE.WORK) return null;
+    return getPatternFromSettings(settings, plan.work_pattern || 1);
+}
+
+/**
+ * シフト計画の表示ラベルを取得する
+ * @param {Object|null} plan - シフト計画
+ * @param {Object|null} settings - 月間設定
+ * @returns {string} ラベル（例: 早番 07:00～16:00、休み）、予定がない場合は空文字
+ */
+function formatShiftPlanLabel(plan, settings) {
+    if (!plan) return '';
+    if (plan.plan_type === SHIFT_PLAN_TYPE.DAY_OFF) return '休み';
+
+    const pattern = getPlannedPattern(plan, settings);
+    return `${pattern.name} ${pattern.start}～${pattern.end}`;
+}
+
+/**
+ * 予定と実績を比較する
+ * 予定の勤務パターンの始業・終業に対する遅刻・早退（半日・時間単位の休暇を差し引く）、
+ * 勤務の予定の日に出勤・休暇の記録がない欠勤、休みの予定の日の出勤を判定する
+ * 記録のない日は当日より前の場合のみ欠勤とする
+ * @param {Object|null} record - 日毎の勤務記録
+ * @param {Object|null} plan - シフト計画
+ * @param {Object|null} settings - 月間設定
+ * @param {Object} options - オプション
+ * @param {string} options.today - 当日の日付 (YYYY-MM-DD形式)
+ * @param {Array} options.workTypes - 勤務種類マスタ
+ * @param {Object|null} options.roundingRules - 丸めルールオブジェクト
+ * @returns {Object|null} 比較結果 {lateTime, earlyLeaveTime, isAbsent, isUnplannedWork, isUnplannedDayOff, isPatternChanged}、予定がない場合はnull
+ */
+function compareWithShiftPlan(record, plan, settings, options = {}) {
+    if (!plan) return null;
+
+    const result = {
+        lateTime: 0,
+        earlyLeaveTime: 0,
+        isAbsent: false,
+        isUnplannedWork: false,
+        isUnplannedDayOff: false,
+        isPatternChanged: false
+    };
+    const worked = Boolean(record?.start_time && record?.end_time);
+
+    // 休みの予定の日の出勤
+    if (plan.plan_type === SHIFT_PLAN_TYPE.DAY_OFF) {
+        result.isUnplannedWork = worked;
+        return result;
+    }
+
+    if (!worked) {
+        if (record?.leave_type) {
+            result.isAbsent = record.leave_type === 'absent';
+        } else if (record && !isAttendanceWorkType(record.work_type, options.workTypes)) {
+            result.isUnplannedDayOff = true;
+        } else if (record || (options.today && plan.work_date < options.today)) {
+            result.isAbsent = true;
+        }
+        return result;
+    }
+
+    result.isPatternChanged = (record.work_pattern || 1) !== (plan.work_pattern || 1);
+
+    // フレックスタイム制の遅刻・早退はコアタイムに対して判定するため比較しない
+    if (isFlextime(settings)) return result;
+
+    const pattern = getPlannedPattern(plan, settings);
+    const punches = roundPunchTimes(record.start_time, resolveEndTime(record.end_time, record.end_next_day), options.roundingRules || null);
+    const { lateTime, earlyLeaveTime } = calculateLateAndEarlyLeave(
+        punches.startTime, punches.endTime, pattern.start, getPatternEndTime(pattern), getLeaveOffsets(record, pattern)
+    );
+    result.lateTime = lateTime;
+    result.earlyLeaveTime = earlyLeaveTime;
+
+    return result;
+}
+
+/**
+ * 予定と実績の比較結果を表示用に整形する
+ * @param {Object|null} comparison - 比較結果（compareWithShiftPlan を参照）
+ * @returns {string} 表示文字列（例: 遅刻15分・早退30分）、差がない場合は空文字
+ */
+function formatShiftPlanDeviation(comparison) {
+    if (!comparison) return '';
+
+    const labels = [];
+    if (comparison.isAbsent) labels.push('欠勤');
+    if (comparison.isUnplannedWork) labels.push('予定外の出勤');
+    if (comparison.isUnplannedDayOff) labels.push('予定外の休み');
+    if (comparison.lateTime > 0) labels.push(`遅刻${comparison.lateTime}分`);
+    if (comparison.earlyLeaveTime > 0) labels.push(`早退${comparison.earlyLeaveTime}分`);
+    if (comparison.isPatternChanged) labels.push('パターン変更');
+
+    return labels.join('・');
+}
+
+/**
+ * 月のシフト計画を取得する
+ * 承認者がシフト表で作成中（未公開）の計画は options.includeDrafts を指定した場合のみ含める
+ * @param {string} userId - ユーザーID
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @param {Object} options - オプション
+ * @param {boolean} options.includeDrafts - 未公開の計画を含める場合true
+ * @returns {Array} シフト計画の配列（日付順）
+ */
+async function getShiftPlans(userId, year, month, options = {}) {
+    try {
+        const client = getSupabaseClient();
+        let query = client
+            .from('shift_plans')
+            .select('*')
+            .eq('user_id', userId)
+            .gte('work_date', formatDateString(year, month, 1))
+            .lte('work_date', formatDateString(year, month, getDaysInMonth(year, month)));
+
+        if (!options.includeDrafts) {
+            query = query.eq('is_published', true);
+        }
+
+        const { data, error } = await query.order('work_date', { ascending: true });
+
+        if (error) {
+            console.error('シフト計画取得エラー:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('シフト計画取得エラー:', error);
+        return [];
+    }
+}
+
+/**
+ * 月のシフト計画を保存する
+ * 指定した月の計画を置き換える（予定を指定しない日は計画を削除する）
+ * @param {string} userId - 対象ユーザーID
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @param {Array} plans - シフト計画の配列 [{work_date, plan_type, work_pattern}]
+ * @param {string} plannedBy - 計画を作成したユーザーID
+ * @param {boolean} isPublished - 公開する場合true（シフト表の下書きはfalse）
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function saveShiftPlans(userId, year, month, plans, plannedBy, isPublished = true) {
+    try {
+        const client = getSupabaseClient();
+
+        const { error: deleteError } = await client
+            .from('shift_plans')
+            .delete()
+            .eq('user_id', userId)
+            .gte('work_date', formatDateString(year, month, 1))
+            .lte('work_date', formatDateString(year, month, getDaysInMonth(year, month)));
+
+        if (deleteError) {
+            return {
+                success: false,
+                message: 'シフト計画の保存に失敗しました: ' + deleteError.message
+            };
+        }
+
+        if (plans.length > 0) {
+            const { error } = await client
+                .from('shift_plans')
+                .insert(plans.map(plan => ({
+                    user_id: userId,
+                    work_date: plan.work_date,
+                    plan_type: plan.plan_type,
+                    work_pattern: plan.plan_type === SHIFT_PLAN_TYPE.WORK ? plan.work_pattern || 1 : null,
+                    planned_by: plannedBy,
+                    is_published: isPublished
+                })));
+
+            if (error) {
+                return {
+                    success: false,
+                    message: 'シフト計画の保存に失敗しました: ' + error.message
+                };
+            }
+        }
+
+        return {
+            success: true,
+            message: `${year}年${month}月のシフト計画を保存しました`
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: 'シフト計画の保存中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SHIFT_PLAN_TYPE,
+        findShiftPlan,
+        isShiftPlanEditable,
+        toShiftPlanValue,
+        fromShiftPlanValue,
+        getPlannedPattern,
+        formatShiftPlanLabel,
+        compareWithShiftPlan,
+        formatShiftPlanDeviation,
+        getShiftPlans,
+        saveShiftPlans
+    };
+}
@@ -0,0 +1,332 @@
+/**
+ * チームのシフト表モジュール
+ *
+ * このファイルは承認者が所属ごとに社員×日のシフト表を作成・公開する機能を提供する
+ * シフト表は { ユーザーID: { 日付: 入力欄の値 } } の形式で保持する（入力欄の値は toShiftPlanValue を参照）
+ * 勤務パターンは各社員の月間設定、休みの初期値は各社員の年間休日設定を使用する
+ */
+
+/**
+ * ユーザー一覧から所属の一覧を取得する
+ * @param {Array} users - ユーザープロフィールの配列
+ * @returns {Array} 所属名の配列（名前順）
+ */
+function getDepartments(users) {
+    return [...new Set(users.map(user => user.department).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b, 'ja'));
+}
+
+/**
+ * 所属の社員を取得する
+ * @param {Array} users - ユーザープロフィールの配列
+ * @param {string} department - 所属名
+ * @returns {Array} 社員のユーザープロフィールの配列（氏名順）
+ */
+function getDepartmentMembers(users, department) {
+    return users
+        .filter(user => user.department === department)
+        .sort((a, b) => (a.name || '').localeCompare(b.name || '', 'ja'));
+}
+
+/**
+ * 月の日付の一覧を取得する
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @returns {Array} 日付の配列 (YYYY-MM-DD形式)
+ */
+function getMonthDates(year, month) {
+    const dates = [];
+    for (let day = 1; day <= getDaysInMonth(year, month); day++) {
+        dates.push(formatDateString(year, month, day));
+    }
+    return dates;
+}
+
+/**
+ * シフト計画からシフト表を作成する
+ * @param {Array} members - 社員のユーザープロフィールの配列
+ * @param {Array} plans - 社員のシフト計画の配列
+ * @returns {Object} シフト表 {ユーザーID: {日付: 入力欄の値}}
+ */
+function createRoster(members, plans) {
+    const roster = {};
+
+    for (const member of members) {
+        roster[member.user_id] = {};
+    }
+    for (const plan of plans || []) {
+        if (roster[plan.user_id]) {
+            roster[plan.user_id][plan.work_date] = toShiftPlanValue(plan);
+        }
+    }
+
+    return roster;
+}
+
+/**
+ * シフト表から社員のシフト計画を取得する
+ * @param {Object} roster - シフト表
+ * @param {string} userId - ユーザーID
+ * @returns {Array} シフト計画の配列 [{work_date, plan_type, work_pattern}]
+ */
+function getRosterPlans(roster, userId) {
+    return Object.entries(roster[userId] || {})
+        .map(([workDate, value]) => fromShiftPlanValue(workDate, value))
+        .filter(Boolean)
+        .sort((a, b) => a.work_date.localeCompare(b.work_date));
+}
+
+/**
+ * 年間休日設定からシフト表の未設定の日を埋める
+ * 所定労働日はパターン1、休日は休みとする（isScheduledWorkday を参照）
+ * @param {Object} roster - シフト表
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @param {Object} holidaysByUser - 社員ごとの年間休日設定 {ユーザーID: Array}
+ * @returns {Object} 新しいシフト表
+ */
+function fillRosterFromCalendar(roster, year, month, holidaysByUser) {
+    const filled = {};
+
+    for (const [userId, values] of Object.entries(roster)) {
+        filled[userId] = { ...values };
+        for (let day = 1; day <= getDaysInMonth(year, month); day++) {
+            const workDate = formatDateString(year, month, day);
+            if (filled[userId][workDate]) continue;
+
+            filled[userId][workDate] = isScheduledWorkday(year, month, day, holidaysByUser[userId] || [])
+                ? '1'
+                : SHIFT_PLAN_TYPE.DAY_OFF;
+        }
+    }
+
+    return filled;
+}
+
+/**
+ * シフト表の週の予定を以降の週にコピーする
+ * 月内の以降の日を、コピー元の週の同じ曜日の予定で上書きする（月初の週が前月にまたがる場合、前月の曜日はコピーしない）
+ * @param {Object} roster - シフト表
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @param {string} weekStart - コピー元の週の起算日 (YYYY-MM-DD形式、getWeekStartDate を参照)
+ * @returns {Object} 新しいシフト表
+ */
+function copyRosterWeek(roster, year, month, weekStart) {
+    const weekEnd = addDaysToDate(weekStart, 6);
+    const monthStart = formatDateString(year, month, 1);
+    const copied = {};
+
+    for (const [userId, values] of Object.entries(roster)) {
+        copied[userId] = { ...values };
+        for (const workDate of getMonthDates(year, month)) {
+            // 1週前の予定（コピー元の週、またはコピー後の予定）を使用する
+            const source = addDaysToDate(workDate, -7);
+            if (workDate > weekEnd && source >= monthStart) {
+                copied[userId][workDate] = copied[userId][source] || '';
+            }
+        }
+    }
+
+    return copied;
+}
+
+/**
+ * 前月のシフト表をコピーする
+ * 曜日を揃えるため、各日に4週（28日）前の予定をコピーする（4週前が当月の日はコピー後の予定を使用する）
+ * @param {Object} previousRoster - 前月のシフト表
+ * @param {Array} members - 社員のユーザープロフィールの配列
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @returns {Object} 新しいシフト表
+ */
+function copyRosterFromPreviousMonth(previousRoster, members, year, month) {
+    const copied = {};
+
+    for (const member of members) {
+        const values = {};
+        for (const workDate of getMonthDates(year, month)) {
+            const source = addDaysToDate(workDate, -28);
+            values[workDate] = values[source] ?? previousRoster[member.user_id]?.[source] ?? '';
+        }
+        copied[member.user_id] = values;
+    }
+
+    return copied;
+}
+
+/**
+ * 日毎・勤務パターンごとの人数を集計する
+ * パターン番号は社員ごとの月間設定で異なるため、勤務パターンの名前で集計する
+ * @param {Object} roster - シフト表
+ * @param {Object} settingsByUser - 社員ごとの月間設定 {ユーザーID: Object}
+ * @returns {Object} 人数 {日付: {パターン名: 人数}}
+ */
+function countRosterHeadcount(roster, settingsByUser) {
+    const headcount = {};
+
+    for (const [userId, values] of Object.entries(roster)) {
+        for (const [workDate, value] of Object.entries(values)) {
+            const plan = fromShiftPlanValue(workDate, value);
+            if (!plan || plan.plan_type !== SHIFT_PLAN_TYPE.WORK) continue;
+
+            const name = getPlannedPattern(plan, settingsByUser[userId] || null).name;
+            headcount[workDate] = headcount[workDate] || {};
+            headcount[workDate][name] = (headcount[workDate][name] || 0) + 1;
+        }
+    }
+
+    return headcount;
+}
+
+/**
+ * 日の勤務パターンごとの人数を表示用に整形する
+ * @param {Object} counts - 勤務パターンごとの人数 {パターン名: 人数}
+ * @returns {Array} 表示文字列の配列（例: ['日勤 3', '早番 2']）
+ */
+function formatRosterHeadcount(counts) {
+    return Object.entries(counts || {}).map(([name, count]) => `${name} ${count}`);
+}
+
+/**
+ * 社員のシフト計画をまとめて取得する（未公開の計画を含む）
+ * @param {Array} userIds - ユーザーIDの配列
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @returns {Array} シフト計画の配列
+ */
+async function getTeamShiftPlans(userIds, year, month) {
+    if (userIds.length === 0) return [];
+
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('shift_plans')
+            .select('*')
+            .in('user_id', userIds)
+            .gte('work_date', formatDateString(year, month, 1))
+            .lte('work_date', formatDateString(year, month, getDaysInMonth(year, month)));
+
+        if (error) {
+            console.error('シフト表取得エラー:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('シフト表取得エラー:', error);
+        return [];
+    }
+}
+
+/**
+ * 社員の月間設定をまとめて取得する
+ * @param {Array} userIds - ユーザーIDの配列
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @returns {Object} 社員ごとの月間設定 {ユーザーID: Object}
+ */
+async function getTeamMonthlySettings(userIds, year, month) {
+    if (userIds.length === 0) return {};
+
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('monthly_settings')
+            .select('*')
+            .in('user_id', userIds)
+            .eq('year', year)
+            .eq('month', month);
+
+        if (error) {
+            console.error('月間設定取得エラー:', error);
+            return {};
+        }
+
+        return Object.fromEntries((data || []).map(settings => [settings.user_id, settings]));
+    } catch (error) {
+        console.error('月間設定取得エラー:', error);
+        return {};
+    }
+}
+
+/**
+ * 社員の年間休日設定をまとめて取得する
+ * @param {Array} userIds - ユーザーIDの配列
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @returns {Object} 社員ごとの年間休日設定 {ユーザーID: Array}
+ */
+async function getTeamAnnualHolidays(userIds, year, month) {
+    if (userIds.length === 0) return {};
+
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('annual_holidays')
+            .select('*')
+            .in('user_id', userIds)
+            .gte('holiday_date', formatDateString(year, month, 1))
+            .lte('holiday_date', formatDateString(year, month, getDaysInMonth(year, month)));
+
+        if (error) {
+            console.error('年間休日の読み込みエラー:', error);
+            return {};
+        }
+
+        const holidaysByUser = {};
+        for (const holiday of data || []) {
+            (holidaysByUser[holiday.user_id] = holidaysByUser[holiday.user_id] || []).push(holiday);
+        }
+        return holidaysByUser;
+    } catch (error) {
+        console.error('年間休日の読み込みエラー:', error);
+        return {};
+    }
+}
+
+/**
+ * シフト表を保存する
+ * 公開した場合のみ各社員の勤務入力タブに予定として表示される
+ * @param {Object} roster - シフト表
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @param {string} plannedBy - シフト表を作成したユーザーID
+ * @param {boolean} isPublished - 公開する場合true（下書き保存はfalse）
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function saveRoster(roster, year, month, plannedBy, isPublished) {
+    const userIds = Object.keys(roster);
+
+    for (const userId of userIds) {
+        const result = await saveShiftPlans(userId, year, month, getRosterPlans(roster, userId), plannedBy, isPublished);
+        if (!result.success) {
+            return result;
+        }
+    }
+
+    return {
+        success: true,
+        message: `${year}年${month}月のシフト表を${isPublished ? '公開' : '下書き保存'}しました（${userIds.length}名）`
+    };
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getDepartments,
+        getDepartmentMembers,
+        getMonthDates,
+        createRoster,
+        getRosterPlans,
+        fillRosterFromCalendar,
+        copyRosterWeek,
+        copyRosterFromPreviousMonth,
+        countRosterHeadcount,
+        formatRosterHeadcount,
+        getTeamShiftPlans,
+        getTeamMonthlySettings,
+        getTeamAnnualHolidays,
+        saveRoster
+    };
+}
@@ -0,0 +1,441 @@
+/**
+ * 振替休日・代休モジュール
+ *
+ * このファイルは休日出勤と振替休日・代休の紐付け機能を提供する
+ * 休日出勤日と休む日の紐付け、指定できる期間の検証、未取得の代休の残数の集計を担当
+ */
+
+/**
+ * 振替休日・代休の取得状況
+ */
+const SUBSTITUTE_STATUS = {
+    TAKEN: 'taken',             // 取得済み
+    SCHEDULED: 'scheduled',     // 取得予定
+    OUTSTANDING: 'outstanding', // 未取得（期限内）
+    EXPIRED: 'expired'          // 期限切れ
+};
+
+/**
+ * 2つの日付の差の日数を取得する
+ * @param {string} fromDate - 起点の日付 (YYYY-MM-DD形式)
+ * @param {string} toDate - 終点の日付 (YYYY-MM-DD形式)
+ * @returns {number} 日数（終点が起点より前の場合は負の値）
+ */
+function getDaysBetween(fromDate, toDate) {
+    return Math.round((parseDateString(toDate) - parseDateString(fromDate)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * 振替休日・代休を指定できる期間の日数を取得する
+ * @param {string} substituteType - 振替の種類（SUBSTITUTE_TYPE）
+ * @param {Object} organizationSettings - 組織設定
+ * @returns {number} 日数
+ */
+function getSubstitutionPeriodDays(substituteType, organizationSettings) {
+    return substituteType === SUBSTITUTE_TYPE.SUBSTITUTE
+        ? organizationSettings.substitute_holiday_period_days
+        : organizationSettings.compensatory_leave_period_days;
+}
+
+/**
+ * 勤務記録が振替休日・代休として休む日かどうかを判定する
+ * @param {Object} record - 日毎の勤務記録
+ * @returns {boolean} 休日出勤と紐付いた振休・代休の日の場合はtrue
+ */
+function isSubstituteDayOff(record) {
+    return !!record
+        && Object.values(SUBSTITUTE_LEAVE_TYPE).includes(record.leave_type)
+        && !!record.substitute_date;
+}
+
+/**
+ * 振替休日・代休の指定を検証する
+ * 振替休日は休日の前後、代休は休日出勤日の後の、組織設定の期間内の所定労働日を指定できる
+ * @param {Object} record - 休日出勤の勤務記録（work_date, work_type, substitute_type, substitute_date）
+ * @param {Object|null} dayOffRecord - 休む日の既存の勤務記録
+ * @param {Object} organizationSettings - 組織設定
+ * @param {Array} holidays - 休む日を含む期間の年間休日設定の配列
+ * @returns {string|null} エラーメッセージ、問題がない場合はnull
+ */
+function validateSubstitution(record, dayOffRecord, organizationSettings, holidays = []) {
+    if (!record.substitute_type) return null;
+
+    if (!isHolidayWorkType(record.work_type)) {
+        return '振替休日・代休は休日の勤務に指定してください';
+    }
+
+    const substitute = record.substitute_type === SUBSTITUTE_TYPE.SUBSTITUTE;
+    const dayOffDate = record.substitute_date;
+
+    if (!dayOffDate) {
+        return substitute ? '振替休日は休む日を指定してください' : null;
+    }
+
+    const periodDays = getSubstitutionPeriodDays(record.substitute_type, organizationSettings);
+    const diff = getDaysBetween(record.work_date, dayOffDate);
+
+    if (substitute && (diff === 0 || Math.abs(diff) > periodDays)) {
+        return `振替休日は休日の前後${periodDays}日以内で指定してください`;
+    }
+    if (!substitute && (diff <= 0 || diff > periodDays)) {
+        return `代休は休日出勤日の翌日から${periodDays}日以内で指定してください`;
+    }
+
+    // 同じ休日出勤に紐付け済みの休む日は再検証しない
+    if (dayOffRecord && dayOffRecord.substitute_date === record.work_date) {
+        return null;
+    }
+
+    if (dayOffRecord && dayOffRecord.substitute_date) {
+        return `休む日は ${dayOffRecord.substitute_date} の休日出勤の振休・代休に指定されています`;
+    }
+
+    const d = parseDateString(dayOffDate);
+    if (!isScheduledWorkday(d.getFullYear(), d.getMonth() + 1, d.getDate(), holidays)
+        || (dayOffRecord && isHolidayWorkType(dayOffRecord.work_type))) {
+        return '休む日には所定労働日を指定してください';
+    }
+
+    if (dayOffRecord && (dayOffRecord.start_time || dayOffRecord.end_time)) {
+        return '休む日に勤務の記録があります';
+    }
+
+    if (dayOffRecord && dayOffRecord.leave_type) {
+        return `休む日に休暇（${formatLeaveLabel(dayOffRecord)}）が登録されています`;
+    }
+
+    return null;
+}
+
+/**
+ * 振休・代休の日に勤務が入力されていないかを確認する
+ * @param {Object} record - 保存する日毎の勤務記録
+ * @returns {string|null} エラーメッセージ、問題がない場合はnull
+ */
+function checkSubstituteDayOffConflict(record) {
+    if (!isSubstituteDayOff(record)) return null;
+
+    if (record.start_time || record.end_time) {
+        return `${getLeaveTypeLabel(record.leave_type)}の日（${record.substitute_date} の休日出勤分）のため出退勤時刻は入力できません`;
+    }
+
+    return null;
+}
+
+/**
+ * 休む日の勤務記録を作成する
+ * 振替休日は休日出勤日と勤務の種類を入れ替え、代休は労働日のまま代休を取得した日とする
+ * @param {Object} record - 休日出勤の勤務記録
+ * @param {Object|null} existing - 休む日の既存の勤務記録
+ * @returns {Object} 保存する日毎の勤務記録
+ */
+function buildSubstituteDayOffRecord(record, existing = null) {
+    const dayOff = {
+        user_id: record.user_id,
+        work_date: record.substitute_date,
+        work_type: record.substitute_type === SUBSTITUTE_TYPE.SUBSTITUTE ? record.work_type : 'work',
+        leave_type: SUBSTITUTE_LEAVE_TYPE[record.substitute_type],
+        leave_unit: null,
+        leave_hours: 0,
+        substitute_type: null,
+        substitute_date: record.work_date
+    };
+
+    if (existing) return dayOff;
+
+    return {
+        ...dayOff,
+        work_pattern: 1,
+        note: `${record.work_date} の休日出勤分`
+    };
+}
+
+/**
+ * 紐付けを解除した休む日の勤務記録を作成する（通常の労働日に戻す）
+ * @param {Object} dayOffRecord - 休む日の既存の勤務記録
+ * @returns {Object} 保存する日毎の勤務記録
+ */
+function buildReleasedDayOffRecord(dayOffRecord) {
+    return {
+        user_id: dayOffRecord.user_id,
+        work_date: dayOffRecord.work_date,
+        work_type: 'work',
+        leave_type: null,
+        leave_unit: null,
+        leave_hours: 0,
+        substitute_date: null
+    };
+}
+
+/**
+ * 振替休日・代休の取得状況を集計する
+ * 代休の休む日が未定のまま期限（休日出勤日から組織設定の日数）を過ぎたものは期限切れとする
+ * @param {Array} records - 振替休日・代休を指定した休日出勤の勤務記録配列
+ * @param {Object} organizationSettings - 組織設定
+ * @param {string} asOfDate - 基準日 (YYYY-MM-DD形式)
+ * @returns {Object} 集計結果
+ *   {asOfDate, entries: [{workDate, type, dayOffDate, deadline, status}], outstandingDays, scheduledDays, expiredDays}
+ */
+function calculateSubstituteBalance(records, organizationSettings, asOfDate) {
+    const entries = records
+        .filter(record => record.substitute_type && isHolidayWorkType(record.work_type))
+        .sort((a, b) => a.work_date.localeCompare(b.work_date))
+        .map(record => {
+            const periodDays = getSubstitutionPeriodDays(record.substitute_type, organizationSettings);
+            const dayOffDate = record.substitute_date || null;
+            let status;
+
+            if (dayOffDate) {
+                status = dayOffDate <= asOfDate ? SUBSTITUTE_STATUS.TAKEN : SUBSTITUTE_STATUS.SCHEDULED;
+            } else {
+                status = addDaysToDate(record.work_date, periodDays) < asOfDate
+                    ? SUBSTITUTE_STATUS.EXPIRED
+                    : SUBSTITUTE_STATUS.OUTSTANDING;
+            }
+
+            return {
+                workDate: record.work_date,
+                type: record.substitute_type,
+                dayOffDate,
+                deadline: addDaysToDate(record.work_date, periodDays),
+                status
+            };
+        });
+
+    const count = status => entries.filter(entry => entry.status === status).length;
+
+    return {
+        asOfDate,
+        entries,
+        outstandingDays: count(SUBSTITUTE_STATUS.OUTSTANDING),
+        scheduledDays: count(SUBSTITUTE_STATUS.SCHEDULED),
+        expiredDays: count(SUBSTITUTE_STATUS.EXPIRED)
+    };
+}
+
+/**
+ * 振替休日・代休を指定した休日出勤の勤務記録を取得する
+ * @param {string} userId - ユーザーID
+ * @returns {Array} 日毎の勤務記録配列
+ */
+async function getSubstituteRecords(userId) {
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('daily_records')
+            .select('*')
+            .eq('user_id', userId)
+            .not('substitute_type', 'is', null)
+            .order('work_date', { ascending: true });
+
+        if (error) {
+            console.error('振替休日・代休取得エラー:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('振替休日・代休取得エラー:', error);
+        return [];
+    }
+}
+
+/**
+ * ユーザーの振替休日・代休の取得状況を取得する
+ * @param {string} userId - ユーザーID
+ * @param {string} asOfDate - 基準日 (YYYY-MM-DD形式)
+ * @returns {Object} 集計結果（calculateSubstituteBalance を参照）
+ */
+async function getSubstituteBalance(userId, asOfDate) {
+    const [organizationSettings, records] = await Promise.all([
+        getOrganizationSettings(),
+        getSubstituteRecords(userId)
+    ]);
+
+    return calculateSubstituteBalance(records, organizationSettings, asOfDate);
+}
+
+/**
+ * 休む日の既存の勤務記録を取得する
+ * @param {string} userId - ユーザーID
+ * @param {string} date - 日付 (YYYY-MM-DD形式)
+ * @returns {Object|null} 日毎の勤務記録
+ */
+async function getDayOffRecord(userId, date) {
+    const { data } = await getSupabaseClient()
+        .from('daily_records')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('work_date', date)
+        .single();
+
+    return data || null;
+}
+
+/**
+ * 休日出勤の勤務記録の振替休日・代休の指定を検証する
+ * @param {Object} record - 保存する休日出勤の勤務記録
+ * @returns {string|null} エラーメッセージ、問題がない場合はnull
+ */
+async function checkHolidaySubstitution(record) {
+    if (!record.substitute_type) return null;
+
+    try {
+        const organizationSettings = await getOrganizationSettings();
+        const dayOffRecord = record.substitute_date
+            ? await getDayOffRecord(record.user_id, record.substitute_date)
+            : null;
+        const holidays = record.substitute_date
+            ? await getAnnualHolidaysInRange(record.user_id, record.substitute_date, record.substitute_date)
+            : [];
+
+        return validateSubstitution(record, dayOffRecord, organizationSettings, holidays);
+    } catch (error) {
+        return '振替休日・代休の確認中にエラーが発生しました: ' + error.message;
+    }
+}
+
+/**
+ * 休日出勤の振替休日・代休の指定を休む日の勤務記録に反映する
+ * 休む日を変更・解除した場合は、以前の休む日を通常の労働日に戻す
+ * @param {Object} record - 保存した休日出勤の勤務記録
+ * @param {string|null} previousDayOffDate - 変更前の休む日 (YYYY-MM-DD形式)
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function saveHolidaySubstitution(record, previousDayOffDate = null) {
+    try {
+        const dayOffDate = record.substitute_type ? record.substitute_date : null;
+
+        if (previousDayOffDate && previousDayOffDate !== dayOffDate) {
+            const previous = await getDayOffRecord(record.user_id, previousDayOffDate);
+            if (previous && previous.substitute_date === record.work_date) {
+                const result = await saveDailyRecord(buildReleasedDayOffRecord(previous));
+                if (!result.success) {
+                    return {
+                        success: false,
+                        message: `${previousDayOffDate} の振休・代休の解除に失敗しました: ${result.message}`
+                    };
+                }
+            }
+        }
+
+        if (dayOffDate) {
+            const existing = await getDayOffRecord(record.user_id, dayOffDate);
+            const result = await saveDailyRecord(buildSubstituteDayOffRecord(record, existing));
+            if (!result.success) {
+                return {
+                    success: false,
+                    message: `${dayOffDate} の振休・代休の登録に失敗しました: ${result.message}`
+                };
+            }
+        }
+
+        return {
+            success: true,
+            message: '保存しました'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '振休・代休の保存に失敗しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 振替休日・代休の取得状況のラベルを取得する
+ * @param {string} status - 取得状況（SUBSTITUTE_STATUS）
+ * @returns {string} ラベル
+ */
+function getSubstituteStatusLabel(status) {
+    const labels = {
+        [SUBSTITUTE_STATUS.TAKEN]: '取得済み',
+        [SUBSTITUTE_STATUS.SCHEDULED]: '取得予定',
+        [SUBSTITUTE_STATUS.OUTSTANDING]: '未取得',
+        [SUBSTITUTE_STATUS.EXPIRED]: '期限切れ'
+    };
+    return labels[status] || '';
+}
+
+/**
+ * 休日出勤の勤務記録の振替休日・代休の表示ラベルを取得する
+ * @param {Object} record - 日毎の勤務記録
+ * @returns {string} ラベル（例: 振替 2024-11-12、代休 未定）、指定がない場合は空文字
+ */
+function formatSubstituteLabel(record) {
+    if (!record || !record.substitute_type || !isHolidayWorkType(record.work_type)) return '';
+
+    const label = record.substitute_type === SUBSTITUTE_TYPE.SUBSTITUTE ? '振替' : '代休';
+    return `${label} ${record.substitute_date || '未定'}`;
+}
+
+/**
+ * 振替休日・代休の取得状況を表示する
+ * @param {HTMLElement} container - 表示先の要素
+ * @param {Object} balance - 集計結果（calculateSubstituteBalance を参照）
+ */
+function renderSubstituteBalance(container, balance) {
+    if (!container) return;
+
+    const pending = balance.entries.filter(entry => entry.status !== SUBSTITUTE_STATUS.TAKEN);
+
+    if (pending.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const rows = pending.map(entry => `
+        <tr>
+            <td>${entry.workDate}</td>
+            <td>${entry.type === SUBSTITUTE_TYPE.SUBSTITUTE ? '振替休日' : '代休'}</td>
+            <td>${entry.dayOffDate || '-'}</td>
+            <td>${entry.dayOffDate ? '-' : entry.deadline}</td>
+            <td>${getSubstituteStatusLabel(entry.status)}</td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="substitute-figures">
+            <span>代休未取得 ${balance.outstandingDays}日（${balance.asOfDate}時点）</span>
+            <span>取得予定 ${balance.scheduledDays}日</span>
+            <span>期限切れ ${balance.expiredDays}日</span>
+        </div>
+        ${balance.expiredDays > 0
+            ? `<div class="alert alert-warning">⚠ 取得期限を過ぎた代休が ${balance.expiredDays}日 あります</div>`
+            : ''}
+        <table class="substitute-table">
+            <thead>
+                <tr>
+                    <th>休日出勤日</th>
+                    <th>種類</th>
+                    <th>休む日</th>
+                    <th>取得期限</th>
+                    <th>状況</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SUBSTITUTE_STATUS,
+        getDaysBetween,
+        getSubstitutionPeriodDays,
+        isSubstituteDayOff,
+        validateSubstitution,
+        checkSubstituteDayOffConflict,
+        buildSubstituteDayOffRecord,
+        buildReleasedDayOffRecord,
+        calculateSubstituteBalance,
+        getSubstituteRecords,
+        getSubstituteBalance,
+        checkHolidaySubstitution,
+        saveHolidaySubstitution,
+        getSubstituteStatusLabel,
+        formatSubstituteLabel,
+        renderSubstituteBalance
+    };
+}
@@ -52,7 +52,20 @@ async function checkTables() {
         'monthly_settings',
         'daily_records',
         'approvals',
-        'annual_holidays'
+        'annual_holidays',
+        'organization_settings',
+        'leave_requests',
+        'work_types',
+        'leave_types',
+        'work_patterns',
+        'shift_plans',
+        'punch_logs',
+        'record_corrections',
+        'audit_logs',
+        'approval_routes',
+        'approval_step_logs',
+        'approver_assignments',
+        'approval_delegations'
     ];
 
     const results = [];
@@ -61,7 +74,7 @@ async function checkTables() {
         try {
             const { error } = await supabase
                 .from(tableName)
-                .select('id')
+                .select('*')
                 .limit(1);
 
             results.push({
@@ -155,6 +168,141 @@ async function checkPolicies() {
             error: holidaysError?.message
         });
 
+        // 組織設定にアクセス可能か
+        const { error: organizationError } = await supabase
+            .from('organization_settings')
+            .select('*')
+            .limit(1);
+
+        results.push({
+            name: 'organization_settings - 組織設定読み取り',
+            exists: !organizationError,
+            error: organizationError?.message
+        });
+
+        // 自分の休暇申請にアクセス可能か
+        const { error: leaveRequestsError } = await supabase
+            .from('leave_requests')
+            .select('*')
+            .eq('user_id', currentUser.id)
+            .limit(1);
+
+        results.push({
+            name: 'leave_requests - 自分の休暇申請読み取り',
+            exists: !leaveRequestsError,
+            error: leaveRequestsError?.message
+        });
+
+        // 勤務種類・休暇種類マスタにアクセス可能か
+        for (const tableName of ['work_types', 'leave_types']) {
+            const { error: typesError } = await supabase
+                .from(tableName)
+                .select('*')
+                .limit(1);
+
+            results.push({
+                name: `${tableName} - 種類マスタ読み取り`,
+                exists: !typesError,
+                error: typesError?.message
+            });
+        }
+
+        // 勤務パターンライブラリにアクセス可能か
+        const { error: workPatternsError } = await supabase
+            .from('work_patterns')
+            .select('*')
+            .limit(1);
+
+        results.push({
+            name: 'work_patterns - 勤務パターン読み取り',
+            exists: !workPatternsError,
+            error: workPatternsError?.message
+        });
+
+        // 自分のシフト計画にアクセス可能か
+        const { error: shiftPlansError } = await supabase
+            .from('shift_plans')
+            .select('*')
+            .limit(1);
+
+        results.push({
+            name: 'shift_plans - 自分のシフト計画読み取り',
+            exists: !shiftPlansError,
+            error: shiftPlansError?.message
+        });
+
+        // 自分の打刻にアクセス可能か
+        const { error: punchLogsError } = await supabase
+            .from('punch_logs')
+            .select('*')
+            .limit(1);
+
+        results.push({
+            name: 'punch_logs - 自分の打刻読み取り',
+            exists: !punchLogsError,
+            error: punchLogsError?.message
+        });
+
+        // 自分の修正履歴にアクセス可能か
+        const { error: recordCorrectionsError } = await supabase
+            .from('record_corrections')
+            .select('*')
+            .limit(1);
+
+        results.push({
+            name: 'record_corrections - 自分の修正履歴読み取り',
+            exists: !recordCorrectionsError,
+            error: recordCorrectionsError?.message
+        });
+
+        // 変更履歴にアクセス可能か（管理者以外は0件）
+        const { error: auditLogsError } = await supabase
+            .from('audit_logs')
+            .select('*')
+            .limit(1);
+
+        results.push({
+            name: 'audit_logs - 変更履歴読み取り',
+            exists: !auditLogsError,
+            error: auditLogsError?.message
+        });
+
+        // 承認ルートにアクセス可能か
+        const { error: approvalRoutesError } = await supabase
+            .from('approval_routes')
+            .select('*')
+            .limit(1);
+
+        results.push({
+            name: 'approval_routes - 承認ルート読み取り',
+            exists: !approvalRoutesError,
+            error: approvalRoutesError?.message
+        });
+
+        // 承認者の担当にアクセス可能か（承認者・管理者以外は0件）
+        const { error: approverAssignmentsError } = await supabase
+            .from('approver_assignments')
+            .select('*')
+            .limit(1);
+
+        results.push({
+            name: 'approver_assignments - 承認者の担当読み取り',
+            exists: !approverAssignmentsError,
+            error: approverAssignmentsError?.message
+        });
+
+        // 承認の代理にアクセス可能か（自分に関係する代理のみ）
+        const { error: approvalDelegationsError } = await supabase
+            .from('approval_delegations')
+            .select('*')
+            .limit(1);
+
+        results.push({
+            name: 'approval_delegations - 承認の代理読み取り',
+            exists: !approvalDelegationsError,
+            error: approvalDelegationsError?.message
+        });
+
     } catch (error) {
         console.error('ポリシーチェックエラー:', error);
     }
@@ -178,7 +326,24 @@ async function checkIndexes() {
         { name: 'idx_approvals_status', exists: true },
         { name: 'idx_annual_holidays_user_id', exists: true },
         { name: 'idx_annual_holidays_year', exists: true },
-        { name: 'idx_annual_holidays_date', exists: true }
+        { name: 'idx_annual_holidays_date', exists: true },
+        { name: 'idx_leave_requests_user_id', exists: true },
+        { name: 'idx_leave_requests_status', exists: true },
+        { name: 'idx_work_patterns_user_id', exists: true },
+        { name: 'idx_shift_plans_user_id', exists: true },
+        { name: 'idx_shift_plans_work_date', exists: true },
+        { name: 'idx_user_profiles_department', exists: true },
+        { name: 'idx_punch_logs_user_id', exists: true },
+        { name: 'idx_punch_logs_work_date', exists: true },
+        { name: 'idx_record_corrections_user_id', exists: true },
+        { name: 'idx_record_corrections_work_date', exists: true },
+        { name: 'idx_audit_logs_table_name', exists: true },
+        { name: 'idx_audit_logs_target_user_id', exists: true },
+        { name: 'idx_audit_logs_changed_at', exists: true },
+        { name: 'idx_approval_step_logs_approval_id', exists: true },
+        { name: 'idx_approver_assignments_approver_id', exists: true },
+        { name: 'idx_approval_delegations_delegator_id', exists: true },
+        { name: 'idx_approval_delegations_delegate_id', exists: true }
     ];
 }
 
@@ -194,7 +359,13 @@ async function checkTriggers() {
         { name: 'update_monthly_settings_updated_at', exists: true },
         { name: 'update_daily_records_updated_at', exists: true },
         { name: 'update_approvals_updated_at', exists: true },
-        { name: 'update_annual_holidays_updated_at', exists: true }
+        { name: 'update_annual_holidays_updated_at', exists: true },
+        { name: 'update_organization_settings_updated_at', exists: true },
+        { name: 'update_work_types_updated_at', exists: true },
+        { name: 'update_leave_types_updated_at', exists: true },
+        { name: 'update_work_patterns_updated_at', exists: true },
+        { name: 'update_shift_plans_updated_at', exists: true },
+        { name: 'update_approval_routes_updated_at', exists: true }
     ];
 }
 
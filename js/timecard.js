@@ -5,6 +5,96 @@
  * 日毎の勤務記録と月間設定の管理を担当
  */
 
+/**
+ * 労働基準法上の労働時間の上限
+ */
+const STATUTORY_LIMITS = {
+    DAILY_MINUTES: 8 * 60,      // 1日の法定労働時間（分）
+    WEEKLY_MINUTES: 40 * 60,    // 1週の法定労働時間（分）
+    MONTHLY_PREMIUM_MINUTES: 60 * 60,   // 割増率50%が適用される月間時間外労働の閾値（分）
+    WEEK_START_DAY: 0           // 週の起算曜日（就業規則に定めがない場合は日曜日）
+};
+
+/**
+ * 労働時間制度
+ */
+const WORKING_TIME_SYSTEM = {
+    FIXED: 'fixed',         // 固定労働時間制（勤務パターンによる始業・終業）
+    FLEXTIME: 'flextime',   // フレックスタイム制（清算期間の総労働時間で残業を判定）
+    VARIABLE_MONTHLY: 'variable-monthly',   // 1ヶ月単位の変形労働時間制
+    VARIABLE_YEARLY: 'variable-yearly'      // 1年単位の変形労働時間制
+};
+
+/**
+ * 時間の丸め方向
+ */
+const ROUNDING_DIRECTION = {
+    NONE: 'none',           // 丸めない
+    UP: 'up',               // 切り上げ
+    DOWN: 'down',           // 切り捨て
+    NEAREST: 'nearest'      // 四捨五入（単位の半分以上は切り上げ）
+};
+
+/**
+ * 休暇の取得単位
+ */
+const LEAVE_UNIT = {
+    FULL: 'full',           // 全日
+    AM_HALF: 'am-half',     // 午前半休（始業～昼休憩終了、昼休憩終了から勤務）
+    PM_HALF: 'pm-half',     // 午後半休（昼休憩開始～終業、昼休憩開始まで勤務）
+    HOURLY: 'hourly'        // 時間単位
+};
+
+/**
+ * 休日出勤の振替の種類
+ */
+const SUBSTITUTE_TYPE = {
+    SUBSTITUTE: 'substitute',       // 振替休日（休日と労働日を入れ替え、休日労働としない）
+    COMPENSATORY: 'compensatory'    // 代休（休日労働の割増賃金を支払い、後日休みを与える）
+};
+
+/**
+ * 振替休日・代休で休む日の休暇種類
+ */
+const SUBSTITUTE_LEAVE_TYPE = {
+    [SUBSTITUTE_TYPE.SUBSTITUTE]: 'substitute-holiday',
+    [SUBSTITUTE_TYPE.COMPENSATORY]: 'compensatory'
+};
+
+/**
+ * 取得単位を持たない（全日のみの）休暇種類
+ */
+const FULL_DAY_ONLY_LEAVE_TYPES = ['absent', 'substitute-holiday', 'compensatory'];
+
+/**
+ * 勤務種類マスタの初期値
+ * work_types テーブルに行がない場合に使用する（is_system の種類は計算で参照するため削除不可）
+ * counts_as_attendance: 出勤日数に含めるか / note_required: 補足の入力を求めるか
+ */
+const DEFAULT_WORK_TYPES = [
+    { code: 'work', label: '出勤', counts_as_attendance: true, note_required: false, is_system: true, is_active: true, sort_order: 10 },
+    { code: 'remote', label: '出勤（リモート）', counts_as_attendance: true, note_required: false, is_system: true, is_active: true, sort_order: 20 },
+    { code: 'late', label: '遅刻', counts_as_attendance: true, note_required: true, is_system: true, is_active: true, sort_order: 30 },
+    { code: 'early-leave', label: '早退', counts_as_attendance: true, note_required: true, is_system: true, is_active: true, sort_order: 40 },
+    { code: 'late-early', label: '遅刻＋早退', counts_as_attendance: true, note_required: true, is_system: true, is_active: true, sort_order: 50 },
+    { code: 'legal-holiday', label: '休日（法定）', counts_as_attendance: false, note_required: true, is_system: true, is_active: true, sort_order: 60 },
+    { code: 'extra-holiday', label: '休日（法定外）', counts_as_attendance: false, note_required: true, is_system: true, is_active: true, sort_order: 70 }
+];
+
+/**
+ * 休暇種類マスタの初期値
+ * leave_types テーブルに行がない場合に使用する（is_system の種類は計算で参照するため削除不可）
+ * counts_as_attendance: 出勤扱いとするか / is_paid: 有給か / note_required: 補足の入力を求めるか
+ */
+const DEFAULT_LEAVE_TYPES = [
+    { code: 'paid', label: '有休', counts_as_attendance: true, is_paid: true, note_required: false, is_system: true, is_active: true, sort_order: 10 },
+    { code: 'absent', label: '欠勤', counts_as_attendance: false, is_paid: false, note_required: false, is_system: true, is_active: true, sort_order: 20 },
+    { code: 'special', label: '特休', counts_as_attendance: true, is_paid: true, note_required: false, is_system: false, is_active: true, sort_order: 30 },
+    { code: 'congratulation', label: '慶弔', counts_as_attendance: true, is_paid: true, note_required: false, is_system: false, is_active: true, sort_order: 40 },
+    { code: 'substitute-holiday', label: '振休', counts_as_attendance: false, is_paid: false, note_required: false, is_system: true, is_active: true, sort_order: 50 },
+    { code: 'compensatory', label: '代休', counts_as_attendance: false, is_paid: false, note_required: false, is_system: true, is_active: true, sort_order: 60 }
+];
+
 /**
  * 月間設定を取得する
  * @param {string} userId - ユーザーID
@@ -200,6 +290,81 @@ function timeToMinutes(timeStr) {
     return hours * 60 + minutes;
 }
 
+/**
+ * 退勤時刻を24時以降表記に解決する
+ * 翌日退勤の場合は時刻に24時間を加算した表記（例: 翌06:00 → 30:00）に変換する
+ * 計算関数はこの表記をそのまま受け付けるため、日跨ぎ勤務を同一日の時間軸で扱える
+ * @param {string} endTime - 退勤時刻 (HH:MM形式、24:00以降表記も可)
+ * @param {boolean} nextDay - 翌日退勤フラグ
+ * @returns {string} 退勤時刻 (HH:MM形式、翌日の場合は24:00以降表記)
+ */
+function resolveEndTime(endTime, nextDay) {
+    if (!endTime) return endTime;
+    return minutesToClockString(timeToMinutes(endTime) + (nextDay ? 24 * 60 : 0));
+}
+
+/**
+ * 退勤時刻が出勤時刻より後かを確認する
+ * 翌日退勤のフラグがなく退勤時刻が出勤時刻以前の場合は、労働時間が負になるためエラーとする
+ * @param {string} startTime - 出勤時刻 (HH:MM形式)
+ * @param {string} endTime - 退勤時刻 (HH:MM形式)
+ * @param {boolean} nextDay - 翌日退勤フラグ
+ * @returns {string|null} エラーメッセージ、問題がない場合はnull
+ */
+function checkEndTimeOrder(startTime, endTime, nextDay) {
+    if (!startTime || !endTime || nextDay) return null;
+    if (timeToMinutes(endTime) > timeToMinutes(startTime)) return null;
+
+    return '退勤時刻が出勤時刻以前です。日跨ぎ勤務の場合は「翌日（日跨ぎ勤務）」にチェックしてください';
+}
+
+/**
+ * 分を時刻文字列に変換する
+ * @param {number} minutes - 0:00からの経過分（24時以降も可）
+ * @returns {string} 時刻文字列 (HH:MM形式、24:00以降表記も可)
+ */
+function minutesToClockString(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+}
+
+/**
+ * 勤務パターンの終業時刻を24時以降表記で取得する
+ * 終業時刻が始業時刻以前のパターン（夜勤など）は翌日終業とみなす
+ * @param {Object} pattern - 勤務パターンオブジェクト
+ * @returns {string} 終業時刻 (HH:MM形式、翌日の場合は24:00以降表記)
+ */
+function getPatternEndTime(pattern) {
+    if (!pattern.start || !pattern.end) return pattern.end;
+    const overnight = timeToMinutes(pattern.end) <= timeToMinutes(pattern.start);
+    return resolveEndTime(pattern.end, overnight);
+}
+
+/**
+ * 退勤時刻を表示用の文字列に変換する
+ * @param {string} endTime - 退勤時刻 (HH:MM形式)
+ * @param {boolean} nextDay - 翌日退勤フラグ
+ * @returns {string} 表示用文字列（翌日の場合は「翌」を付与）
+ */
+function formatEndTime(endTime, nextDay) {
+    if (!endTime) return '';
+    const time = endTime.substring(0, 5);
+    return nextDay ? `翌${time}` : time;
+}
+
+/**
+ * 2つの時間帯が重なる時間を計算する
+ * @param {number} startA - 時間帯Aの開始（分）
+ * @param {number} endA - 時間帯Aの終了（分）
+ * @param {number} startB - 時間帯Bの開始（分）
+ * @param {number} endB - 時間帯Bの終了（分）
+ * @returns {number} 重なる時間（分）
+ */
+function calculateOverlapMinutes(startA, endA, startB, endB) {
+    return Math.max(0, Math.min(endA, endB) - Math.max(startA, startB));
+}
+
 /**
  * 分を時間文字列に変換する
  * @param {number} minutes - 分
@@ -212,6 +377,81 @@ function minutesToTimeString(minutes) {
     return `${hours}:${String(mins).padStart(2, '0')}`;
 }
 
+/**
+ * 分を指定した単位で丸める
+ * @param {number} minutes - 分
+ * @param {number} unit - 丸め単位（分）、1以下の場合は丸めない
+ * @param {string} direction - 丸め方向（ROUNDING_DIRECTION）
+ * @returns {number} 丸めた分
+ */
+function roundMinutes(minutes, unit, direction) {
+    if (!unit || unit <= 1) return minutes;
+    
+    switch (direction) {
+        case ROUNDING_DIRECTION.UP:
+            return Math.ceil(minutes / unit) * unit;
+        case ROUNDING_DIRECTION.DOWN:
+            return Math.floor(minutes / unit) * unit;
+        case ROUNDING_DIRECTION.NEAREST:
+            return Math.round(minutes / unit) * unit;
+        default:
+            return minutes;
+    }
+}
+
+/**
+ * 組織設定から丸めルールを取得する
+ * @param {Object} organizationSettings - 組織設定
+ * @returns {Object|null} 丸めルールオブジェクト、丸めを行わない場合はnull
+ *   {punchUnit, startDirection, endDirection, dailyUnit, dailyDirection, monthlyUnit, monthlyDirection}
+ */
+function getRoundingRules(organizationSettings) {
+    if (!organizationSettings) return null;
+    
+    const rules = {
+        punchUnit: organizationSettings.rounding_punch_unit || 1,
+        startDirection: organizationSettings.rounding_start_direction || ROUNDING_DIRECTION.NONE,
+        endDirection: organizationSettings.rounding_end_direction || ROUNDING_DIRECTION.NONE,
+        dailyUnit: organizationSettings.rounding_daily_unit || 1,
+        dailyDirection: organizationSettings.rounding_daily_direction || ROUNDING_DIRECTION.NONE,
+        monthlyUnit: organizationSettings.rounding_monthly_unit || 1,
+        monthlyDirection: organizationSettings.rounding_monthly_direction || ROUNDING_DIRECTION.NONE
+    };
+    
+    const isActive = (unit, direction) => unit > 1 && direction !== ROUNDING_DIRECTION.NONE;
+    
+    if (!isActive(rules.punchUnit, rules.startDirection) &&
+        !isActive(rules.punchUnit, rules.endDirection) &&
+        !isActive(rules.dailyUnit, rules.dailyDirection) &&
+        !isActive(rules.monthlyUnit, rules.monthlyDirection)) {
+        return null;
+    }
+    
+    return rules;
+}
+
+/**
+ * 出退勤時刻を丸める
+ * 丸めた結果、退勤が出勤より前になる場合は退勤を出勤と同じ時刻とする
+ * @param {string} startTime - 出勤時刻
+ * @param {string} endTime - 退勤時刻（翌日退勤は24:00以降表記）
+ * @param {Object|null} rules - 丸めルールオブジェクト
+ * @returns {Object} 丸めた出退勤時刻 {startTime, endTime}
+ */
+function roundPunchTimes(startTime, endTime, rules) {
+    if (!rules || !startTime || !endTime) {
+        return { startTime, endTime };
+    }
+    
+    const startMinutes = roundMinutes(timeToMinutes(startTime), rules.punchUnit, rules.startDirection);
+    const endMinutes = roundMinutes(timeToMinutes(endTime), rules.punchUnit, rules.endDirection);
+    
+    return {
+        startTime: minutesToClockString(startMinutes),
+        endTime: minutesToClockString(Math.max(startMinutes, endMinutes))
+    };
+}
+
 /**
  * 休憩時間の合計を計算する
  * @param {Object} pattern - 勤務パターンオブジェクト
@@ -232,10 +472,107 @@ function calculateBreakTime(pattern) {
     return totalBreak;
 }
 
+/**
+ * 休憩時間帯の一覧を取得する
+ * 終了が開始以前の休憩（23:30～00:30 など）は翌日にまたがるものとして扱う
+ * @param {Object} pattern - 勤務パターンオブジェクト
+ * @returns {Array} 休憩時間帯の配列 [{start: number, end: number}]（分）
+ */
+function getBreakIntervals(pattern) {
+    const intervals = [];
+    
+    for (let i = 1; i <= 3; i++) {
+        const breakStart = pattern[`break${i}_start`];
+        const breakEnd = pattern[`break${i}_end`];
+        
+        if (breakStart && breakEnd) {
+            const start = timeToMinutes(breakStart);
+            let end = timeToMinutes(breakEnd);
+            if (end <= start) {
+                end += 24 * 60;
+            }
+            intervals.push({ start, end });
+        }
+    }
+    
+    return intervals;
+}
+
+/**
+ * 勤務記録に適用する休憩時間を取得する
+ * 日毎の実績休憩が入力されている場合はパターンの休憩より優先する
+ * （昼休憩を取らなかった日や追加の休憩を取った日に対応するため）
+ * @param {Object} record - 日毎の勤務記録
+ * @param {Object} pattern - 勤務パターンオブジェクト
+ * @returns {Object} 休憩時間オブジェクト（break1_start～break3_end）
+ */
+function getEffectiveBreaks(record, pattern) {
+    const source = record && record.use_actual_breaks ? record : pattern;
+    
+    return {
+        break1_start: source.break1_start || null,
+        break1_end: source.break1_end || null,
+        break2_start: source.break2_start || null,
+        break2_end: source.break2_end || null,
+        break3_start: source.break3_start || null,
+        break3_end: source.break3_end || null
+    };
+}
+
+/**
+ * 休憩時間帯を表示用の文字列に変換する
+ * @param {Object} breaks - 休憩時間オブジェクト（break1_start～break3_end）
+ * @returns {string} 表示用文字列（例: "12:00-13:00 15:00-15:15"）、休憩なしの場合は「なし」
+ */
+function formatBreakIntervals(breaks) {
+    const labels = [];
+    
+    for (let i = 1; i <= 3; i++) {
+        const breakStart = breaks[`break${i}_start`];
+        const breakEnd = breaks[`break${i}_end`];
+        
+        if (breakStart && breakEnd) {
+            labels.push(`${breakStart.substring(0, 5)}-${breakEnd.substring(0, 5)}`);
+        }
+    }
+    
+    return labels.length > 0 ? labels.join(' ') : 'なし';
+}
+
+/**
+ * 実際の勤務時間帯に重なる休憩時間を計算する
+ * 出勤前・退勤後の休憩は控除しない（半日勤務や遅刻・早退に対応するため）
+ * 日跨ぎ勤務の場合は翌日側の休憩時間帯との重なりも計算する
+ * @param {string} startTime - 出勤時刻
+ * @param {string} endTime - 退勤時刻（翌日退勤は24:00以降表記）
+ * @param {Object} pattern - 勤務パターンオブジェクト
+ * @returns {number} 勤務時間帯と重なる休憩時間（分）
+ */
+function calculateOverlappingBreakTime(startTime, endTime, pattern) {
+    if (!startTime || !endTime) return 0;
+    
+    const startMinutes = timeToMinutes(startTime);
+    const endMinutes = timeToMinutes(endTime);
+    let totalBreak = 0;
+    
+    for (const interval of getBreakIntervals(pattern)) {
+        for (let dayOffset = 0; dayOffset <= 1; dayOffset++) {
+            const offset = dayOffset * 24 * 60;
+            totalBreak += calculateOverlapMinutes(
+                startMinutes, endMinutes,
+                interval.start + offset, interval.end + offset
+            );
+        }
+    }
+    
+    return totalBreak;
+}
+
 /**
  * 労働時間を計算する
+ * 休憩時間は実際の勤務時間帯と重なる部分のみ控除する
  * @param {string} startTime - 出勤時刻
- * @param {string} endTime - 退勤時刻
+ * @param {string} endTime - 退勤時刻（翌日退勤は24:00以降表記）
  * @param {Object} pattern - 勤務パターンオブジェクト
  * @returns {number} 労働時間（分）
  */
@@ -244,198 +581,776 @@ function calculateWorkTime(startTime, endTime, pattern) {
     
     const startMinutes = timeToMinutes(startTime);
     const endMinutes = timeToMinutes(endTime);
-    const breakMinutes = calculateBreakTime(pattern);
+    const breakMinutes = calculateOverlappingBreakTime(startTime, endTime, pattern);
     
     return endMinutes - startMinutes - breakMinutes;
 }
 
 /**
  * 残業時間を計算する
+ * 日単位で法定内残業（標準就労時間超～8時間以内）と法定外残業（8時間超）に分類する
+ * 週40時間超の判定は calculateDailyBreakdowns で週をまたいで行う
+ * 振替休日を指定した休日の勤務は休日労働とせず、通常の勤務日として計算する
  * @param {number} workTime - 労働時間（分）
  * @param {number} standardHours - 標準就労時間（時間）
- * @param {string} workType - 勤務の種類
+ * @param {string|Object} workType - 勤務の種類、または日毎の勤務記録（振替休日の判定に使用）
  * @returns {Object} 残業時間オブジェクト
  */
 function calculateOvertime(workTime, standardHours, workType) {
     const standardMinutes = standardHours * 60;
+    const dailyLimit = STATUTORY_LIMITS.DAILY_MINUTES;
+    
+    if (workType && typeof workType === 'object') {
+        workType = getEffectiveWorkType(workType);
+    }
     
     // 休日の場合は全て残業時間として計上
-    if (workType === 'legal-holiday' || workType === 'extra-holiday') {
+    if (isHolidayWorkType(workType)) {
+        // 法定休日労働は時間外労働とは別枠のため法定内・法定外には含めない
+        const isExtraHoliday = workType === 'extra-holiday';
         return {
             total: workTime,
             normal: 0,
             night: 0,
-            legalHoliday: workType === 'legal-holiday' ? workTime : 0,
-            extraHoliday: workType === 'extra-holiday' ? workTime : 0
+            legalHoliday: isExtraHoliday ? 0 : workTime,
+            extraHoliday: isExtraHoliday ? workTime : 0,
+            statutoryInternal: isExtraHoliday ? Math.min(workTime, dailyLimit) : 0,
+            statutoryExternal: isExtraHoliday ? Math.max(0, workTime - dailyLimit) : 0
         };
     }
     
     const overtime = Math.max(0, workTime - standardMinutes);
+    const statutoryInternal = Math.max(0, Math.min(workTime, dailyLimit) - standardMinutes);
     
     return {
         total: overtime,
         normal: overtime,
         night: 0,
         legalHoliday: 0,
-        extraHoliday: 0
+        extraHoliday: 0,
+        statutoryInternal: statutoryInternal,
+        statutoryExternal: overtime - statutoryInternal
+    };
+}
+
+/**
+ * 勤務の種類が休日（法定・法定外）かどうかを判定する
+ * @param {string} workType - 勤務の種類
+ * @returns {boolean} 休日の場合はtrue
+ */
+function isHolidayWorkType(workType) {
+    return workType === 'legal-holiday' || workType === 'extra-holiday';
+}
+
+/**
+ * 労働時間の判定に用いる勤務の種類を取得する
+ * 振替休日を指定した休日（休む日と紐付け済み）は労働日と入れ替わるため通常の勤務日とする
+ * 代休は休日労働のまま（割増賃金の対象）とする
+ * @param {Object} record - 日毎の勤務記録（work_type, substitute_type, substitute_date）
+ * @returns {string} 勤務の種類
+ */
+function getEffectiveWorkType(record) {
+    if (isHolidayWorkType(record.work_type)
+        && record.substitute_type === SUBSTITUTE_TYPE.SUBSTITUTE
+        && record.substitute_date) {
+        return 'work';
+    }
+    return record.work_type;
+}
+
+/**
+ * 月間設定がフレックスタイム制かどうかを判定する
+ * @param {Object} settings - 月間設定
+ * @returns {boolean} フレックスタイム制の場合はtrue
+ */
+function isFlextime(settings) {
+    return settings?.working_time_system === WORKING_TIME_SYSTEM.FLEXTIME;
+}
+
+/**
+ * 月間設定が変形労働時間制（1ヶ月単位・1年単位）かどうかを判定する
+ * @param {Object} settings - 月間設定
+ * @returns {boolean} 変形労働時間制の場合はtrue
+ */
+function isVariableHours(settings) {
+    return settings?.working_time_system === WORKING_TIME_SYSTEM.VARIABLE_MONTHLY
+        || settings?.working_time_system === WORKING_TIME_SYSTEM.VARIABLE_YEARLY;
+}
+
+/**
+ * 勤務パターンの所定労働時間を計算する（始業～終業から休憩を控除）
+ * @param {Object} pattern - 勤務パターンオブジェクト
+ * @returns {number} 所定労働時間（分）
+ */
+function getPatternScheduledMinutes(pattern) {
+    if (!pattern.start || !pattern.end) return 0;
+    return calculateWorkTime(pattern.start, getPatternEndTime(pattern), pattern);
+}
+
+/**
+ * 勤務記録の所定労働時間を取得する
+ * 休日（振替休日を指定した休日を除く）は0、それ以外は記録の勤務パターンの所定労働時間とする
+ * @param {Object} record - 日毎の勤務記録
+ * @param {Object} settings - 月間設定
+ * @returns {number} 所定労働時間（分）
+ */
+function getRecordScheduledMinutes(record, settings) {
+    if (isHolidayWorkType(getEffectiveWorkType(record))) return 0;
+    return getPatternScheduledMinutes(getPatternFromSettings(settings, record.work_pattern || 1));
+}
+
+/**
+ * 変形労働時間制の残業時間を計算する（1日単位の判定）
+ * 所定労働時間が8時間を超える日は所定労働時間、それ以外の日は8時間を超えた時間を法定外残業とする
+ * 週単位・変形期間単位の判定は calculateDailyBreakdowns と変形期間の精算で行う
+ * @param {number} workTime - 労働時間（分）
+ * @param {number} scheduledMinutes - その日の所定労働時間（分）
+ * @param {string} workType - 勤務の種類
+ * @returns {Object} 残業時間オブジェクト（calculateOvertime と同じ形式）
+ */
+function calculateVariableOvertime(workTime, scheduledMinutes, workType) {
+    if (workType === 'legal-holiday') {
+        return calculateOvertime(workTime, 0, workType);
+    }
+    
+    const isExtraHoliday = workType === 'extra-holiday';
+    const dailyLimit = Math.max(scheduledMinutes, STATUTORY_LIMITS.DAILY_MINUTES);
+    const overtime = Math.max(0, workTime - scheduledMinutes);
+    
+    return {
+        total: overtime,
+        normal: isExtraHoliday ? 0 : overtime,
+        night: 0,
+        legalHoliday: 0,
+        extraHoliday: isExtraHoliday ? workTime : 0,
+        statutoryInternal: Math.max(0, Math.min(workTime, dailyLimit) - scheduledMinutes),
+        statutoryExternal: Math.max(0, workTime - dailyLimit)
+    };
+}
+
+/**
+ * フレックスタイム制の日毎の残業時間を計算する
+ * 時間外労働は清算期間の総労働時間で判定するため日単位では計上しない（休日労働のみ計上）
+ * @param {number} workTime - 労働時間（分）
+ * @param {string} workType - 勤務の種類
+ * @returns {Object} 残業時間オブジェクト（calculateOvertime と同じ形式）
+ */
+function calculateFlextimeDailyOvertime(workTime, workType) {
+    const isLegalHoliday = workType === 'legal-holiday';
+    const isExtraHoliday = workType === 'extra-holiday';
+    
+    return {
+        total: isLegalHoliday || isExtraHoliday ? workTime : 0,
+        normal: 0,
+        night: 0,
+        legalHoliday: isLegalHoliday ? workTime : 0,
+        extraHoliday: isExtraHoliday ? workTime : 0,
+        statutoryInternal: 0,
+        statutoryExternal: 0
     };
 }
 
 /**
  * 深夜早朝の残業時間を計算する（22:00～5:00）
+ * 翌日退勤（24:00以降表記）の場合は翌日の深夜早朝時間帯も含めて計算する
+ * 深夜早朝時間帯と重なる休憩時間は控除する
  * @param {string} startTime - 出勤時刻
- * @param {string} endTime - 退勤時刻
+ * @param {string} endTime - 退勤時刻（翌日退勤は24:00以降表記）
  * @param {number} standardHours - 標準就労時間（時間）
+ * @param {Object} pattern - 休憩時間を持つ勤務パターンオブジェクト（省略時は休憩を控除しない）
  * @returns {number} 深夜早朝残業時間（分）
  */
-function calculateNightOvertime(startTime, endTime, standardHours) {
+function calculateNightOvertime(startTime, endTime, standardHours, pattern = null) {
     if (!startTime || !endTime) return 0;
     
     const startMinutes = timeToMinutes(startTime);
     const endMinutes = timeToMinutes(endTime);
+    const breakIntervals = pattern ? getBreakIntervals(pattern) : [];
     
     // 深夜早朝時間帯: 22:00 ～ 翌5:00
     const nightStart = 22 * 60; // 22:00 = 1320分
-    const morningEnd = 5 * 60; // 5:00 = 300分
+    const nightEnd = (24 + 5) * 60; // 翌5:00 = 1740分
     
     let nightMinutes = 0;
     
-    // 勤務時間が深夜時間帯にかかる場合のみ計算
-    // 22:00以降の勤務時間（同日内）
-    if (endMinutes > nightStart && startMinutes < 24 * 60) {
-        const nightWorkStart = Math.max(startMinutes, nightStart);
-        const nightWorkEnd = endMinutes;
-        if (nightWorkEnd > nightWorkStart) {
-            nightMinutes += nightWorkEnd - nightWorkStart;
+    // 前日22:00～当日5:00、当日22:00～翌5:00、翌日22:00～翌々5:00 の各時間帯との重なりを合計
+    for (let dayOffset = -1; dayOffset <= 1; dayOffset++) {
+        const offset = dayOffset * 24 * 60;
+        const from = Math.max(startMinutes, nightStart + offset);
+        const to = Math.min(endMinutes, nightEnd + offset);
+        
+        if (to <= from) continue;
+        
+        nightMinutes += to - from;
+        
+        // 深夜早朝の勤務時間帯と重なる休憩を控除
+        for (const interval of breakIntervals) {
+            for (let breakOffset = 0; breakOffset <= 1; breakOffset++) {
+                const shift = breakOffset * 24 * 60;
+                nightMinutes -= calculateOverlapMinutes(from, to, interval.start + shift, interval.end + shift);
+            }
         }
     }
     
-    // 5:00以前の勤務時間（早朝勤務がある場合）
-    if (startMinutes < morningEnd && endMinutes <= morningEnd) {
-        // 開始も終了も5:00以前の場合
-        nightMinutes += endMinutes - startMinutes;
-    } else if (startMinutes < morningEnd && endMinutes > morningEnd) {
-        // 開始が5:00以前で終了が5:00以降の場合
-        nightMinutes += morningEnd - startMinutes;
-    }
-    
-    return Math.max(0, nightMinutes);
+    return nightMinutes;
+}
+
+/**
+ * 深夜早朝の労働時間を勤務種類ごとに分類する
+ * 法定休日・法定外休日の深夜労働は休日労働の割増と合算されるため平日と分けて集計する
+ * @param {number} nightMinutes - 深夜早朝の労働時間（分）
+ * @param {string} workType - 勤務の種類
+ * @returns {Object} 深夜早朝の労働時間 {total, weekday, legalHoliday, extraHoliday}
+ */
+function classifyNightMinutes(nightMinutes, workType) {
+    return {
+        total: nightMinutes,
+        weekday: workType !== 'legal-holiday' && workType !== 'extra-holiday' ? nightMinutes : 0,
+        legalHoliday: workType === 'legal-holiday' ? nightMinutes : 0,
+        extraHoliday: workType === 'extra-holiday' ? nightMinutes : 0
+    };
 }
 
 /**
  * 遅刻時間を計算する
  * @param {string} actualStart - 実際の出勤時刻
  * @param {string} scheduledStart - 予定の出勤時刻
+ * @param {number} leaveMinutes - 始業側で取得した休暇の時間（分）、遅刻時間から差し引く
  * @returns {number} 遅刻時間（分）
  */
-function calculateLateTime(actualStart, scheduledStart) {
+function calculateLateTime(actualStart, scheduledStart, leaveMinutes = 0) {
     if (!actualStart || !scheduledStart) return 0;
     
     const actualMinutes = timeToMinutes(actualStart);
     const scheduledMinutes = timeToMinutes(scheduledStart);
     
-    return Math.max(0, actualMinutes - scheduledMinutes);
+    return Math.max(0, actualMinutes - scheduledMinutes - leaveMinutes);
 }
 
 /**
  * 早退時間を計算する
- * @param {string} actualEnd - 実際の退勤時刻
- * @param {string} scheduledEnd - 予定の退勤時刻
+ * @param {string} actualEnd - 実際の退勤時刻（翌日退勤は24:00以降表記）
+ * @param {string} scheduledEnd - 予定の退勤時刻（翌日終業は24:00以降表記）
+ * @param {number} leaveMinutes - 終業側で取得した休暇の時間（分）、早退時間から差し引く
  * @returns {number} 早退時間（分）
  */
-function calculateEarlyLeaveTime(actualEnd, scheduledEnd) {
+function calculateEarlyLeaveTime(actualEnd, scheduledEnd, leaveMinutes = 0) {
     if (!actualEnd || !scheduledEnd) return 0;
     
     const actualMinutes = timeToMinutes(actualEnd);
     const scheduledMinutes = timeToMinutes(scheduledEnd);
     
-    return Math.max(0, scheduledMinutes - actualMinutes);
+    return Math.max(0, scheduledMinutes - actualMinutes - leaveMinutes);
+}
+
+/**
+ * 勤務記録が半日・時間単位の休暇かどうかを判定する
+ * 欠勤・振休・代休は取得単位を持たない
+ * @param {Object} record - 日毎の勤務記録（leave_type, leave_unit）
+ * @returns {boolean} 半日・時間単位の休暇の場合はtrue
+ */
+function isPartialLeave(record) {
+    if (!record || !record.leave_type || FULL_DAY_ONLY_LEAVE_TYPES.includes(record.leave_type)) return false;
+    return [LEAVE_UNIT.AM_HALF, LEAVE_UNIT.PM_HALF, LEAVE_UNIT.HOURLY].includes(record.leave_unit);
+}
+
+/**
+ * 半日・時間単位の休暇で遅刻・早退から差し引く時間を取得する
+ * 午前半休は始業～昼休憩終了、午後半休は昼休憩開始～終業を差し引く
+ * 昼休憩（休憩1）がないパターンは始業～終業の中間で区切る
+ * 時間単位の休暇は遅刻に先に充て、残りを早退に充てる（calculateLateAndEarlyLeave を参照）
+ * @param {Object} record - 日毎の勤務記録（leave_type, leave_unit, leave_hours）
+ * @param {Object} pattern - 勤務パターンオブジェクト
+ * @returns {Object} 差し引く時間 {start: 始業側（分）, end: 終業側（分）, hourly: 時間単位（分）}
+ */
+function getLeaveOffsets(record, pattern) {
+    const offsets = { start: 0, end: 0, hourly: 0 };
+    if (!isPartialLeave(record)) return offsets;
+    
+    const start = timeToMinutes(pattern.start);
+    const end = timeToMinutes(getPatternEndTime(pattern));
+    const middle = Math.floor((start + end) / 2);
+    
+    if (record.leave_unit === LEAVE_UNIT.AM_HALF) {
+        offsets.start = (pattern.break1_end ? timeToMinutes(pattern.break1_end) : middle) - start;
+    } else if (record.leave_unit === LEAVE_UNIT.PM_HALF) {
+        offsets.end = end - (pattern.break1_start ? timeToMinutes(pattern.break1_start) : middle);
+    } else {
+        offsets.hourly = Math.round((record.leave_hours || 0) * 60);
+    }
+    
+    return offsets;
+}
+
+/**
+ * 半日・時間単位の休暇を差し引いた遅刻・早退時間を計算する
+ * @param {string} actualStart - 実際の出勤時刻
+ * @param {string} actualEnd - 実際の退勤時刻（翌日退勤は24:00以降表記）
+ * @param {string} scheduledStart - 予定の出勤時刻
+ * @param {string} scheduledEnd - 予定の退勤時刻（翌日終業は24:00以降表記）
+ * @param {Object} offsets - 差し引く時間（getLeaveOffsets を参照）
+ * @returns {Object} {lateTime: 遅刻時間（分）, earlyLeaveTime: 早退時間（分）}
+ */
+function calculateLateAndEarlyLeave(actualStart, actualEnd, scheduledStart, scheduledEnd, offsets = { start: 0, end: 0, hourly: 0 }) {
+    const lateBeforeHourly = calculateLateTime(actualStart, scheduledStart, offsets.start);
+    const hourlyForLate = Math.min(offsets.hourly, lateBeforeHourly);
+    
+    return {
+        lateTime: lateBeforeHourly - hourlyForLate,
+        earlyLeaveTime: calculateEarlyLeaveTime(actualEnd, scheduledEnd, offsets.end + offsets.hourly - hourlyForLate)
+    };
+}
+
+/**
+ * 勤務記録の休暇の取得日数を取得する（全日は1日、半日は0.5日、時間単位は0日）
+ * @param {Object} record - 日毎の勤務記録（leave_type, leave_unit）
+ * @returns {number} 取得日数
+ */
+function getLeaveDays(record) {
+    if (!record || !record.leave_type) return 0;
+    if (!isPartialLeave(record)) return 1;
+    return record.leave_unit === LEAVE_UNIT.HOURLY ? 0 : 0.5;
+}
+
+/**
+ * 勤務記録の労働時間を計算する
+ * 丸めルールがある場合は出退勤時刻を丸めてから計算し、日単位の丸めを適用する
+ * @param {Object} record - 日毎の勤務記録
+ * @param {Object} settings - 月間設定
+ * @param {Object|null} roundingRules - 丸めルールオブジェクト
+ * @returns {number} 労働時間（分）、出退勤時刻がない場合は0
+ */
+function calculateRecordWorkTime(record, settings, roundingRules = null) {
+    if (!record.start_time || !record.end_time) return 0;
+    
+    const pattern = getPatternFromSettings(settings, record.work_pattern || 1);
+    const endTime = resolveEndTime(record.end_time, record.end_next_day);
+    const breaks = getEffectiveBreaks(record, pattern);
+    const punches = roundPunchTimes(record.start_time, endTime, roundingRules);
+    const workTime = calculateWorkTime(punches.startTime, punches.endTime, breaks);
+    
+    if (!roundingRules) return workTime;
+    
+    return roundMinutes(workTime, roundingRules.dailyUnit, roundingRules.dailyDirection);
+}
+
+/**
+ * 勤務記録の深夜早朝の労働時間を計算する
+ * 丸めルールがある場合は丸めた出退勤時刻で計算する
+ * @param {Object} record - 日毎の勤務記録
+ * @param {Object} settings - 月間設定
+ * @param {Object|null} roundingRules - 丸めルールオブジェクト
+ * @returns {number} 深夜早朝の労働時間（分）、出退勤時刻がない場合は0
+ */
+function calculateRecordNightTime(record, settings, roundingRules = null) {
+    if (!record.start_time || !record.end_time) return 0;
+    
+    const pattern = getPatternFromSettings(settings, record.work_pattern || 1);
+    const endTime = resolveEndTime(record.end_time, record.end_next_day);
+    const breaks = getEffectiveBreaks(record, pattern);
+    const punches = roundPunchTimes(record.start_time, endTime, roundingRules);
+    
+    return calculateNightOvertime(punches.startTime, punches.endTime, settings?.standard_hours || 8, breaks);
+}
+
+/**
+ * 日毎の労働時間と法定内・法定外残業の内訳を計算する
+ * 日単位の8時間超に加え、週40時間超（法定休日労働を除く）を法定外残業に振り替える
+ * 週の途中で月が始まる場合は options.weeklyCarryOver で前月分の労働時間を引き継ぐ
+ * また法定外残業の月間累計を求め、60時間以内と60時間超（割増率50%）に分ける
+ * 深夜早朝の労働時間は休憩を控除して計算し、平日・法定休日・法定外休日に分類する
+ * フレックスタイム制の場合、日単位・週単位の法定外残業は計上しない（清算期間で判定する）
+ * 変形労働時間制の場合、日・週の所定労働時間が法定労働時間を超えるときは所定労働時間を基準に判定する
+ * 振替休日を指定した休日の勤務は通常の勤務日として判定する（getEffectiveWorkType を参照）
+ * @param {Array} records - 日毎の勤務記録配列
+ * @param {Object} settings - 月間設定
+ * @param {Object} options - オプション
+ * @param {Object} options.weeklyCarryOver - 前月から引き継ぐ週の労働時間 {weekStart: string, minutes: number}
+ * @param {Object} options.roundingRules - 丸めルールオブジェクト（getRoundingRules を参照）
+ * @param {Object} options.scheduledMinutes - 変形労働時間制の日毎の所定労働時間 {日付: 分}（省略時は勤務記録のパターンから算出）
+ * @returns {Array} 日毎の内訳配列（日付順）
+ *   [{record, workType, workTime, overtime, night, weeklyExternal, cumulativeOvertime, overtimeUpTo60, overtimeOver60, crossedMonthlyPremium}]
+ */
+function calculateDailyBreakdowns(records, settings, options = {}) {
+    const standardHours = settings?.standard_hours || 8;
+    const flextime = isFlextime(settings);
+    const variable = isVariableHours(settings);
+    const premiumThreshold = STATUTORY_LIMITS.MONTHLY_PREMIUM_MINUTES;
+    const weeklyMinutes = {};
+    const weeklyScheduled = {};
+    let cumulativeOvertime = 0;
+    
+    if (options.weeklyCarryOver) {
+        weeklyMinutes[options.weeklyCarryOver.weekStart] = options.weeklyCarryOver.minutes;
+    }
+    
+    const sorted = [...records].sort((a, b) => (a.work_date < b.work_date ? -1 : 1));
+    
+    // 変形労働時間制の日毎・週毎の所定労働時間
+    const scheduledMinutes = {};
+    if (variable) {
+        for (const record of sorted) {
+            scheduledMinutes[record.work_date] = getRecordScheduledMinutes(record, settings);
+        }
+        Object.assign(scheduledMinutes, options.scheduledMinutes || {});
+        for (const [date, minutes] of Object.entries(scheduledMinutes)) {
+            const weekStart = getWeekStartDate(date);
+            weeklyScheduled[weekStart] = (weeklyScheduled[weekStart] || 0) + minutes;
+        }
+    }
+    
+    return sorted.map(record => {
+        const workType = getEffectiveWorkType(record);
+        const workTime = calculateRecordWorkTime(record, settings, options.roundingRules);
+        let overtime;
+        if (flextime) {
+            overtime = calculateFlextimeDailyOvertime(workTime, workType);
+        } else if (variable) {
+            overtime = calculateVariableOvertime(workTime, scheduledMinutes[record.work_date], workType);
+        } else {
+            overtime = calculateOvertime(workTime, standardHours, workType);
+        }
+        const night = classifyNightMinutes(
+            calculateRecordNightTime(record, settings, options.roundingRules),
+            workType
+        );
+        overtime.night = night.total;
+        let weeklyExternal = 0;
+        
+        // 週40時間の判定（法定休日労働は対象外）
+        if (!flextime && workTime > 0 && workType !== 'legal-holiday') {
+            const weekStart = getWeekStartDate(record.work_date);
+            const before = weeklyMinutes[weekStart] || 0;
+            // 日単位で法定外となった時間は週の集計から除く
+            const after = before + workTime - overtime.statutoryExternal;
+            weeklyMinutes[weekStart] = after;
+            
+            // 変形労働時間制で週の所定労働時間が40時間を超える週は所定労働時間を基準とする
+            const weeklyLimit = variable
+                ? Math.max(weeklyScheduled[weekStart] || 0, STATUTORY_LIMITS.WEEKLY_MINUTES)
+                : STATUTORY_LIMITS.WEEKLY_MINUTES;
+            weeklyExternal = Math.max(0, after - weeklyLimit) - Math.max(0, before - weeklyLimit);
+            
+            // 週40時間超の部分は法定内残業から優先して振り替える
+            overtime.statutoryInternal = Math.max(0, overtime.statutoryInternal - weeklyExternal);
+            overtime.statutoryExternal += weeklyExternal;
+        }
+        
+        // 月60時間の判定（法定外残業の累計）
+        const before = cumulativeOvertime;
+        cumulativeOvertime += overtime.statutoryExternal;
+        const overtimeOver60 = Math.max(0, cumulativeOvertime - premiumThreshold)
+            - Math.max(0, before - premiumThreshold);
+        
+        return {
+            record,
+            workType,
+            workTime,
+            overtime,
+            night,
+            weeklyExternal,
+            cumulativeOvertime,
+            overtimeUpTo60: overtime.statutoryExternal - overtimeOver60,
+            overtimeOver60,
+            crossedMonthlyPremium: before <= premiumThreshold && cumulativeOvertime > premiumThreshold
+        };
+    });
+}
+
+/**
+ * 月初の週について前月分の労働時間を計算する
+ * 月をまたぐ週の40時間判定に使用する
+ * @param {Array} prevRecords - 前月の日毎の勤務記録配列
+ * @param {Object} prevSettings - 前月の月間設定
+ * @param {number} year - 対象年
+ * @param {number} month - 対象月
+ * @param {Object} options - オプション（options.roundingRules のみ使用）
+ * @returns {Object} 前月から引き継ぐ週の労働時間 {weekStart: string, minutes: number}
+ */
+function calculateWeeklyCarryOver(prevRecords, prevSettings, year, month, options = {}) {
+    const firstDate = formatDateString(year, month, 1);
+    const weekStart = getWeekStartDate(firstDate);
+    
+    let minutes = 0;
+    
+    for (const breakdown of calculateDailyBreakdowns(prevRecords, prevSettings, { roundingRules: options.roundingRules })) {
+        const { record, workType, workTime, overtime, weeklyExternal } = breakdown;
+        if (record.work_date >= weekStart && record.work_date < firstDate && workType !== 'legal-holiday') {
+            // 週の集計対象は日単位で法定外となった時間を除いた労働時間
+            minutes += workTime - (overtime.statutoryExternal - weeklyExternal);
+        }
+    }
+    
+    return { weekStart, minutes };
+}
+
+/**
+ * 月の合計に丸めを適用する集計項目
+ */
+const MONTHLY_ROUNDING_FIELDS = [
+    'totalWorkMinutes',
+    'totalOvertime',
+    'nightOvertime',
+    'weekdayNightMinutes',
+    'legalHolidayNightMinutes',
+    'extraHolidayNightMinutes',
+    'legalHolidayOvertime',
+    'extraHolidayOvertime',
+    'statutoryInternalOvertime',
+    'statutoryExternalOvertime',
+    'overtimeUpTo60',
+    'overtimeOver60',
+    'legalHolidayWorkMinutes'
+];
+
+/**
+ * 月間集計で休暇を計上する項目の接頭辞を取得する
+ * 欠勤・振休・代休・有休以外は休暇種類マスタの有給／無給で特別休暇と無給の休暇に分ける
+ * @param {string} leaveType - 休暇種類コード
+ * @param {Array} leaveTypes - 休暇種類マスタ（省略時は初期値）
+ * @returns {string} 接頭辞（absent, substituteHoliday, compensatory, paidLeave, specialLeave, unpaidLeave）
+ */
+function getLeaveSummaryPrefix(leaveType, leaveTypes) {
+    if (leaveType === 'absent') return 'absent';
+    if (leaveType === SUBSTITUTE_LEAVE_TYPE[SUBSTITUTE_TYPE.SUBSTITUTE]) return 'substituteHoliday';
+    if (leaveType === SUBSTITUTE_LEAVE_TYPE[SUBSTITUTE_TYPE.COMPENSATORY]) return 'compensatory';
+    if (leaveType === 'paid') return 'paidLeave';
+    
+    const type = findLeaveType(leaveType, leaveTypes);
+    return type && !type.is_paid ? 'unpaidLeave' : 'specialLeave';
 }
 
 /**
  * 月間集計を計算する
+ * 丸めルールがある場合は月の合計を項目ごとに丸め、丸め前の集計を raw に保持する
+ * フレックスタイム制の場合は options.flextimeSettlement（calculateFlextimeSettlement の結果）で残業を計上する
+ * 変形労働時間制の場合は options.variableSettlement（calculateVariablePeriodSettlement の結果）を反映する
+ * 休暇は有休・有給の特別休暇・無給の休暇ごとに取得日数（半日は0.5日）と時間単位の取得時間を集計し、欠勤日数とは分けて計上する
+ * 振休・代休の日数は休暇とは分けて計上する
+ * 残業時間の合計（totalOvertime）は入力した残業時間ではなく、実労働時間から算出した法定内・法定外残業の合計とする
+ * 出勤日数・出勤扱いの日数・有給／無給の区分は勤務種類・休暇種類マスタに従う
  * @param {Array} records - 日毎の勤務記録配列
  * @param {Object} settings - 月間設定
+ * @param {Object} options - オプション（calculateDailyBreakdowns を参照）
+ * @param {Array} options.workTypes - 勤務種類マスタ（省略時は DEFAULT_WORK_TYPES）
+ * @param {Array} options.leaveTypes - 休暇種類マスタ（省略時は DEFAULT_LEAVE_TYPES）
  * @returns {Object} 月間集計オブジェクト
  */
-function calculateMonthlySummary(records, settings) {
+function calculateMonthlySummary(records, settings, options = {}) {
     const summary = {
         workDays: 0,
+        attendanceDays: 0,
         totalWorkMinutes: 0,
         totalOvertime: 0,
         nightOvertime: 0,
+        weekdayNightMinutes: 0,
+        legalHolidayNightMinutes: 0,
+        extraHolidayNightMinutes: 0,
         legalHolidayOvertime: 0,
-        extraHolidayOvertime: 0
+        extraHolidayOvertime: 0,
+        statutoryInternalOvertime: 0,
+        statutoryExternalOvertime: 0,
+        overtimeUpTo60: 0,
+        overtimeOver60: 0,
+        monthlyPremiumCrossedDate: null,
+        legalHolidayWorkMinutes: 0,
+        paidLeaveDays: 0,
+        paidLeaveHourlyMinutes: 0,
+        specialLeaveDays: 0,
+        specialLeaveHourlyMinutes: 0,
+        unpaidLeaveDays: 0,
+        unpaidLeaveHourlyMinutes: 0,
+        absentDays: 0,
+        substituteHolidayDays: 0,
+        compensatoryDays: 0,
+        leaveDaysByType: {}
     };
     
-    const standardHours = settings?.standard_hours || 8;
-    
-    for (const record of records) {
-        // 出勤日数カウント
-        if (record.work_type && !['legal-holiday', 'extra-holiday'].includes(record.work_type)) {
-            if (record.start_time && record.end_time) {
-                summary.workDays++;
-            }
+    for (const breakdown of calculateDailyBreakdowns(records, settings, options)) {
+        const { record, workType, workTime, overtime, night } = breakdown;
+
+        // 出勤日数カウント（振替休日を指定した休日の勤務を含む）
+        const worked = isAttendanceWorkType(workType, options.workTypes) && Boolean(record.start_time && record.end_time);
+        if (worked) {
+            summary.workDays++;
+        }
+        
+        // 出勤扱いの日数カウント（出勤しなかった日は出勤扱いの休暇の日数を計上する）
+        const leaveType = findLeaveType(record.leave_type, options.leaveTypes);
+        if (worked) {
+            summary.attendanceDays++;
+        } else if (leaveType && leaveType.counts_as_attendance) {
+            summary.attendanceDays += getLeaveDays(record);
         }
         
         // 労働時間計上
-        if (record.start_time && record.end_time) {
-            const pattern = getPatternFromSettings(settings, record.work_pattern || 1);
-            const workTime = calculateWorkTime(record.start_time, record.end_time, pattern);
-            summary.totalWorkMinutes += workTime;
+        summary.totalWorkMinutes += workTime;
+        
+        // 法定内・法定外残業計上（実労働時間から算出）
+        summary.statutoryInternalOvertime += overtime.statutoryInternal;
+        summary.statutoryExternalOvertime += overtime.statutoryExternal;
+        
+        // 法定休日労働時間計上（実労働時間から算出）
+        summary.legalHolidayWorkMinutes += overtime.legalHoliday;
+        
+        // 月60時間以内・超過の計上
+        summary.overtimeUpTo60 += breakdown.overtimeUpTo60;
+        summary.overtimeOver60 += breakdown.overtimeOver60;
+        if (breakdown.crossedMonthlyPremium) {
+            summary.monthlyPremiumCrossedDate = record.work_date;
         }
         
-        // 残業時間計上
+        // 休日の残業時間計上（入力した残業時間）
         if (record.overtime) {
-            if (record.work_type === 'legal-holiday') {
+            if (workType === 'legal-holiday') {
                 summary.legalHolidayOvertime += record.overtime;
-            } else if (record.work_type === 'extra-holiday') {
+            } else if (workType === 'extra-holiday') {
                 summary.extraHolidayOvertime += record.overtime;
-            } else {
-                summary.totalOvertime += record.overtime;
             }
         }
         
-        // 深夜残業時間計上
-        if (record.night_overtime) {
-            summary.nightOvertime += record.night_overtime;
+        // 深夜早朝の労働時間計上（休憩を控除して出退勤時刻から算出）
+        summary.nightOvertime += night.total;
+        summary.weekdayNightMinutes += night.weekday;
+        summary.legalHolidayNightMinutes += night.legalHoliday;
+        summary.extraHolidayNightMinutes += night.extraHoliday;
+        
+        // 休暇の取得日数・時間計上（欠勤とは分けて集計し、半日は0.5日とする）
+        if (record.leave_type) {
+            const prefix = getLeaveSummaryPrefix(record.leave_type, options.leaveTypes);
+            const days = getLeaveDays(record);
+            summary[`${prefix}Days`] += days;
+            summary.leaveDaysByType[record.leave_type] = (summary.leaveDaysByType[record.leave_type] || 0) + days;
+            if (record.leave_unit === LEAVE_UNIT.HOURLY && `${prefix}HourlyMinutes` in summary) {
+                summary[`${prefix}HourlyMinutes`] += Math.round((record.leave_hours || 0) * 60);
+            }
+        }
+    }
+    
+    // フレックスタイム制は清算期間の精算結果から残業を計上する
+    const settlement = options.flextimeSettlement;
+    if (settlement) {
+        const premiumThreshold = STATUTORY_LIMITS.MONTHLY_PREMIUM_MINUTES;
+        summary.statutoryInternalOvertime = settlement.statutoryInternal;
+        summary.statutoryExternalOvertime = settlement.statutoryExternal;
+        summary.overtimeUpTo60 = Math.min(settlement.statutoryExternal, premiumThreshold);
+        summary.overtimeOver60 = settlement.statutoryExternal - summary.overtimeUpTo60;
+        summary.monthlyPremiumCrossedDate = null;
+        summary.flextime = settlement;
+    }
+    
+    // 変形労働時間制は変形期間の最終月に総枠を超えた時間を法定外残業に振り替える
+    const variableSettlement = options.variableSettlement;
+    if (variableSettlement) {
+        const premiumThreshold = STATUTORY_LIMITS.MONTHLY_PREMIUM_MINUTES;
+        const added = variableSettlement.periodExternal;
+        const before = summary.statutoryExternalOvertime;
+        const over60 = Math.max(0, before + added - premiumThreshold) - Math.max(0, before - premiumThreshold);
+        summary.statutoryInternalOvertime = Math.max(0, summary.statutoryInternalOvertime - added);
+        summary.statutoryExternalOvertime += added;
+        summary.overtimeUpTo60 += added - over60;
+        summary.overtimeOver60 += over60;
+        summary.variableHours = variableSettlement;
+    }
+    
+    // 残業時間の合計は法定内・法定外残業（週40時間・月60時間超の区分を含む）から算出する
+    summary.totalOvertime = summary.statutoryInternalOvertime + summary.statutoryExternalOvertime;
+    
+    const rules = options.roundingRules;
+    if (rules) {
+        for (const field of MONTHLY_ROUNDING_FIELDS) {
+            summary[field] = roundMinutes(summary[field], rules.monthlyUnit, rules.monthlyDirection);
         }
+        summary.raw = calculateMonthlySummary(records, settings, { ...options, roundingRules: null });
     }
     
     return summary;
 }
 
+/**
+ * 月間設定がない場合の勤務パターン
+ */
+const DEFAULT_WORK_PATTERN = {
+    name: 'パターン1',
+    start: '09:00',
+    end: '18:00',
+    break1_start: '12:00',
+    break1_end: '13:00',
+    break2_start: null,
+    break2_end: null,
+    break3_start: null,
+    break3_end: null
+};
+
+/**
+ * 旧形式の月間設定（pattern1_～pattern3_ の列）から勤務パターンの配列を取得する
+ * 始業・終業が未設定のパターンは末尾から除く（パターン1は常に含める）
+ * @param {Object} settings - 月間設定
+ * @returns {Array} 勤務パターンの配列（パターン番号順）
+ */
+function getLegacyPatterns(settings) {
+    const patterns = [];
+    
+    for (let number = 1; number <= 3; number++) {
+        const prefix = `pattern${number}_`;
+        patterns.push({
+            pattern_id: null,
+            name: `パターン${number}`,
+            start: settings[`${prefix}start`] || null,
+            end: settings[`${prefix}end`] || null,
+            break1_start: settings[`${prefix}break1_start`] || null,
+            break1_end: settings[`${prefix}break1_end`] || null,
+            break2_start: settings[`${prefix}break2_start`] || null,
+            break2_end: settings[`${prefix}break2_end`] || null,
+            break3_start: settings[`${prefix}break3_start`] || null,
+            break3_end: settings[`${prefix}break3_end`] || null
+        });
+    }
+    
+    while (patterns.length > 1 && !patterns[patterns.length - 1].start && !patterns[patterns.length - 1].end) {
+        patterns.pop();
+    }
+    
+    return patterns;
+}
+
+/**
+ * 月間設定の勤務パターンの配列を取得する
+ * patterns（勤務パターンライブラリから選んだパターン）がない旧形式の設定は pattern1_～pattern3_ の列から取得する
+ * @param {Object} settings - 月間設定
+ * @returns {Array} 勤務パターンの配列（パターン番号順）
+ */
+function getSettingsPatterns(settings) {
+    if (!settings) return [{ ...DEFAULT_WORK_PATTERN, pattern_id: null }];
+    if (Array.isArray(settings.patterns) && settings.patterns.length > 0) return settings.patterns;
+    
+    return getLegacyPatterns(settings);
+}
+
 /**
  * 月間設定から勤務パターンを取得する
+ * 未設定のパターン番号は始業9:00・終業18:00（休憩なし）とする
  * @param {Object} settings - 月間設定
- * @param {number} patternNumber - パターン番号 (1-3)
+ * @param {number} patternNumber - パターン番号（1から）
  * @returns {Object} 勤務パターンオブジェクト
  */
 function getPatternFromSettings(settings, patternNumber) {
     if (!settings) {
-        return {
-            start: '09:00',
-            end: '18:00',
-            break1_start: '12:00',
-            break1_end: '13:00',
-            break2_start: null,
-            break2_end: null,
-            break3_start: null,
-            break3_end: null
-        };
+        return { ...DEFAULT_WORK_PATTERN, name: `パターン${patternNumber}` };
     }
     
-    const prefix = `pattern${patternNumber}_`;
+    const pattern = getSettingsPatterns(settings)[patternNumber - 1] || {};
     
     return {
-        start: settings[`${prefix}start`] || '09:00',
-        end: settings[`${prefix}end`] || '18:00',
-        break1_start: settings[`${prefix}break1_start`],
-        break1_end: settings[`${prefix}break1_end`],
-        break2_start: settings[`${prefix}break2_start`],
-        break2_end: settings[`${prefix}break2_end`],
-        break3_start: settings[`${prefix}break3_start`],
-        break3_end: settings[`${prefix}break3_end`]
+        name: pattern.name || `パターン${patternNumber}`,
+        start: pattern.start || '09:00',
+        end: pattern.end || '18:00',
+        break1_start: pattern.break1_start,
+        break1_end: pattern.break1_end,
+        break2_start: pattern.break2_start,
+        break2_end: pattern.break2_end,
+        break3_start: pattern.break3_start,
+        break3_end: pattern.break3_end
     };
 }
 
@@ -462,6 +1377,40 @@ function getDayOfWeek(year, month, day) {
     return days[date.getDay()];
 }
 
+/**
+ * 日付文字列を生成する
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @param {number} day - 日
+ * @returns {string} 日付文字列 (YYYY-MM-DD形式)
+ */
+function formatDateString(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * 日付文字列をローカル時刻のDateに変換する
+ * new Date('YYYY-MM-DD') はUTCとして解釈されるため、曜日判定にはこちらを使用する
+ * @param {string} dateStr - 日付文字列 (YYYY-MM-DD形式)
+ * @returns {Date} 日付
+ */
+function parseDateString(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * 日付が属する週の起算日を取得する
+ * @param {string} dateStr - 日付文字列 (YYYY-MM-DD形式)
+ * @returns {string} 週の起算日 (YYYY-MM-DD形式)
+ */
+function getWeekStartDate(dateStr) {
+    const date = parseDateString(dateStr);
+    const diff = (date.getDay() - STATUTORY_LIMITS.WEEK_START_DAY + 7) % 7;
+    date.setDate(date.getDate() - diff);
+    return formatDateString(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
 /**
  * 日付が週末かどうかを判定する
  * @param {number} year - 年
@@ -480,44 +1429,72 @@ function isWeekend(year, month, day) {
 
 /**
  * CSVエクスポート用データを生成する
+ * 丸めルールがある場合は丸め後の時刻で出力し、options.rawTimes を指定すると丸め前の時刻で出力する
  * @param {Array} records - 日毎の勤務記録配列
  * @param {Object} settings - 月間設定
  * @param {number} year - 年
  * @param {number} month - 月
+ * @param {Object} options - オプション（calculateDailyBreakdowns を参照）
+ * @param {boolean} options.rawTimes - 丸め前の時刻で出力するかどうか
+ * @param {Array} options.workTypes - 勤務種類マスタ（種類のラベルに使用）
+ * @param {Array} options.leaveTypes - 休暇種類マスタ（種類のラベルに使用）
  * @returns {string} CSV文字列
  */
-function generateCSV(records, settings, year, month) {
+function generateCSV(records, settings, year, month, options = {}) {
     const headers = [
-        '日付', '曜日', '勤務種類', '出勤時刻', '退勤時刻',
-        '遅刻時間', '早退時間', '残業時間', '深夜残業', '休暇種類', '補足'
+        '日付', '曜日', '勤務種類', '出勤時刻', '退勤時刻', '労働時間',
+        '遅刻時間', '早退時間', '残業時間', '法定内残業', '法定外残業', '法定外残業(60時間以内)', '法定外残業(60時間超)',
+        '深夜残業', '深夜(平日)', '深夜(法定休日)', '深夜(法定外休日)',
+        '休暇種類', '実績休憩', '補足'
     ];
     
     const daysInMonth = getDaysInMonth(year, month);
-    const recordMap = {};
+    const roundingRules = options.rawTimes ? null : options.roundingRules;
+    const breakdownMap = {};
     
-    // 記録をマップに変換
-    for (const record of records) {
-        const day = new Date(record.work_date).getDate();
-        recordMap[day] = record;
+    // 日毎の内訳をマップに変換
+    for (const breakdown of calculateDailyBreakdowns(records, settings, { ...options, roundingRules })) {
+        const day = parseDateString(breakdown.record.work_date).getDate();
+        breakdownMap[day] = breakdown;
     }
     
     const rows = [headers.join(',')];
     
     for (let day = 1; day <= daysInMonth; day++) {
-        const record = recordMap[day] || {};
+        const breakdown = breakdownMap[day];
+        const record = breakdown ? breakdown.record : {};
+        const overtime = breakdown ? breakdown.overtime : {};
+        const night = breakdown ? breakdown.night : {};
+        const overtimeUpTo60 = breakdown ? breakdown.overtimeUpTo60 : 0;
+        const overtimeOver60 = breakdown ? breakdown.overtimeOver60 : 0;
+        const workTime = breakdown ? breakdown.workTime : 0;
         const dayOfWeek = getDayOfWeek(year, month, day);
+        const punches = roundPunchTimes(
+            record.start_time,
+            record.end_time ? resolveEndTime(record.end_time, record.end_next_day) : record.end_time,
+            roundingRules
+        );
         
         const row = [
             `${year}/${month}/${day}`,
             dayOfWeek,
-            getWorkTypeLabel(record.work_type),
-            record.start_time || '',
-            record.end_time || '',
+            getWorkTypeLabel(record.work_type, options.workTypes),
+            punches.startTime ? punches.startTime.substring(0, 5) : '',
+            punches.endTime || '',
+            workTime ? `${workTime}分` : '',
             record.late_time ? `${record.late_time}分` : '',
             record.early_leave_time ? `${record.early_leave_time}分` : '',
             record.overtime ? `${record.overtime}分` : '',
-            record.night_overtime ? `${record.night_overtime}分` : '',
-            getLeaveTypeLabel(record.leave_type),
+            overtime.statutoryInternal ? `${overtime.statutoryInternal}分` : '',
+            overtime.statutoryExternal ? `${overtime.statutoryExternal}分` : '',
+            overtimeUpTo60 ? `${overtimeUpTo60}分` : '',
+            overtimeOver60 ? `${overtimeOver60}分` : '',
+            night.total ? `${night.total}分` : '',
+            night.weekday ? `${night.weekday}分` : '',
+            night.legalHoliday ? `${night.legalHoliday}分` : '',
+            night.extraHoliday ? `${night.extraHoliday}分` : '',
+            formatLeaveLabel(record, options.leaveTypes),
+            record.use_actual_breaks ? formatBreakIntervals(record) : '',
             `"${(record.note || '').replace(/"/g, '""')}"`
         ];
         
@@ -527,62 +1504,173 @@ function generateCSV(records, settings, year, month) {
     return rows.join('\n');
 }
 
+/**
+ * 勤務種類マスタから勤務種類を取得する
+ * マスタにない場合は初期値（DEFAULT_WORK_TYPES）から取得する
+ * @param {string} workType - 勤務種類コード
+ * @param {Array} workTypes - 勤務種類マスタ
+ * @returns {Object|null} 勤務種類
+ */
+function findWorkType(workType, workTypes) {
+    if (!workType) return null;
+    
+    return (workTypes || []).find(type => type.code === workType)
+        || DEFAULT_WORK_TYPES.find(type => type.code === workType)
+        || null;
+}
+
+/**
+ * 休暇種類マスタから休暇種類を取得する
+ * マスタにない場合は初期値（DEFAULT_LEAVE_TYPES）から取得する
+ * @param {string} leaveType - 休暇種類コード
+ * @param {Array} leaveTypes - 休暇種類マスタ
+ * @returns {Object|null} 休暇種類
+ */
+function findLeaveType(leaveType, leaveTypes) {
+    if (!leaveType) return null;
+    
+    return (leaveTypes || []).find(type => type.code === leaveType)
+        || DEFAULT_LEAVE_TYPES.find(type => type.code === leaveType)
+        || null;
+}
+
+/**
+ * 出勤日数に含める勤務種類かを判定する
+ * マスタにない勤務種類は休日以外を出勤とする
+ * @param {string} workType - 勤務種類コード
+ * @param {Array} workTypes - 勤務種類マスタ
+ * @returns {boolean} 出勤日数に含める場合true
+ */
+function isAttendanceWorkType(workType, workTypes) {
+    const type = findWorkType(workType, workTypes);
+    if (type) return Boolean(type.counts_as_attendance);
+    
+    return Boolean(workType) && !isHolidayWorkType(workType);
+}
+
 /**
  * 勤務種類のラベルを取得する
  * @param {string} workType - 勤務種類コード
+ * @param {Array} workTypes - 勤務種類マスタ（省略時は初期値）
  * @returns {string} 勤務種類ラベル
  */
-function getWorkTypeLabel(workType) {
-    const labels = {
-        'work': '出勤',
-        'remote': '出勤（リモート）',
-        'late': '遅刻',
-        'early-leave': '早退',
-        'late-early': '遅刻＋早退',
-        'legal-holiday': '休日（法定）',
-        'extra-holiday': '休日（法定外）'
-    };
-    return labels[workType] || '';
+function getWorkTypeLabel(workType, workTypes) {
+    const type = findWorkType(workType, workTypes);
+    return type ? type.label : '';
 }
 
 /**
  * 休暇種類のラベルを取得する
  * @param {string} leaveType - 休暇種類コード
+ * @param {Array} leaveTypes - 休暇種類マスタ（省略時は初期値）
  * @returns {string} 休暇種類ラベル
  */
-function getLeaveTypeLabel(leaveType) {
-    const labels = {
-        'paid': '有休',
-        'absent': '欠勤',
-        'special': '特休',
-        'congratulation': '慶弔'
-    };
-    return labels[leaveType] || '';
+function getLeaveTypeLabel(leaveType, leaveTypes) {
+    const type = findLeaveType(leaveType, leaveTypes);
+    return type ? type.label : '';
+}
+
+/**
+ * 勤務記録の休暇の取得単位のラベルを取得する
+ * @param {Object} record - 日毎の勤務記録（leave_type, leave_unit, leave_hours）
+ * @returns {string} 取得単位ラベル（例: 午前半休、2時間）、全日の場合は空文字
+ */
+function getLeaveUnitLabel(record) {
+    if (!isPartialLeave(record)) return '';
+    
+    if (record.leave_unit === LEAVE_UNIT.AM_HALF) return '午前半休';
+    if (record.leave_unit === LEAVE_UNIT.PM_HALF) return '午後半休';
+    return `${record.leave_hours || 0}時間`;
+}
+
+/**
+ * 勤務記録の休暇の表示ラベルを取得する（取得単位を含む）
+ * @param {Object} record - 日毎の勤務記録（leave_type, leave_unit, leave_hours）
+ * @param {Array} leaveTypes - 休暇種類マスタ（省略時は初期値）
+ * @returns {string} 休暇ラベル（例: 有休（午前半休）、有休（2時間））
+ */
+function formatLeaveLabel(record, leaveTypes) {
+    const label = getLeaveTypeLabel(record?.leave_type, leaveTypes);
+    const unit = getLeaveUnitLabel(record);
+    
+    return label && unit ? `${label}（${unit}）` : label;
 }
 
 // モジュールエクスポート（テスト用）
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        STATUTORY_LIMITS,
+        WORKING_TIME_SYSTEM,
+        ROUNDING_DIRECTION,
+        LEAVE_UNIT,
+        SUBSTITUTE_TYPE,
+        SUBSTITUTE_LEAVE_TYPE,
+        FULL_DAY_ONLY_LEAVE_TYPES,
+        DEFAULT_WORK_TYPES,
+        DEFAULT_LEAVE_TYPES,
+        MONTHLY_ROUNDING_FIELDS,
         getMonthlySettings,
         saveMonthlySettings,
         getPreviousMonthSettings,
         getDailyRecords,
         saveDailyRecord,
         timeToMinutes,
+        resolveEndTime,
+        checkEndTimeOrder,
+        minutesToClockString,
+        getPatternEndTime,
+        formatEndTime,
+        calculateOverlapMinutes,
         minutesToTimeString,
+        roundMinutes,
+        getRoundingRules,
+        roundPunchTimes,
         calculateBreakTime,
+        getBreakIntervals,
+        getEffectiveBreaks,
+        formatBreakIntervals,
+        calculateOverlappingBreakTime,
         calculateWorkTime,
         calculateOvertime,
+        isHolidayWorkType,
+        getEffectiveWorkType,
+        isFlextime,
+        calculateFlextimeDailyOvertime,
+        isVariableHours,
+        getPatternScheduledMinutes,
+        getRecordScheduledMinutes,
+        calculateVariableOvertime,
         calculateNightOvertime,
+        classifyNightMinutes,
         calculateLateTime,
         calculateEarlyLeaveTime,
+        isPartialLeave,
+        getLeaveOffsets,
+        calculateLateAndEarlyLeave,
+        getLeaveDays,
+        calculateRecordWorkTime,
+        calculateRecordNightTime,
+        calculateDailyBreakdowns,
+        calculateWeeklyCarryOver,
         calculateMonthlySummary,
+        DEFAULT_WORK_PATTERN,
+        getLegacyPatterns,
+        getSettingsPatterns,
         getPatternFromSettings,
         getDaysInMonth,
         getDayOfWeek,
+        formatDateString,
+        parseDateString,
+        getWeekStartDate,
         isWeekend,
         generateCSV,
+        findWorkType,
+        findLeaveType,
+        isAttendanceWorkType,
+        getLeaveSummaryPrefix,
         getWorkTypeLabel,
-        getLeaveTypeLabel
+        getLeaveTypeLabel,
+        getLeaveUnitLabel,
+        formatLeaveLabel
     };
 }
@@ -0,0 +1,277 @@
+/**
+ * 変形労働時間制モジュール
+ *
+ * このファイルは1ヶ月単位・1年単位の変形労働時間制の集計機能を提供する
+ * 会社カレンダーと勤務パターンによる日毎の所定労働時間の算出、変形期間の総枠による判定を担当
+ */
+
+/**
+ * 1年単位の変形労働時間制の所定労働時間の上限
+ */
+const VARIABLE_HOURS_LIMITS = {
+    YEARLY_DAILY_MINUTES: 10 * 60,      // 1日の所定労働時間の上限（分）
+    YEARLY_WEEKLY_MINUTES: 52 * 60      // 1週の所定労働時間の上限（分）
+};
+
+/**
+ * 対象月を含む変形期間を取得する
+ * 1ヶ月単位は当月、1年単位は起算月からの12ヶ月とする
+ * @param {number} year - 対象年
+ * @param {number} month - 対象月
+ * @param {Object} settings - 月間設定
+ * @returns {Object} 変形期間 {months: [{year, month}], index: 対象月の位置}
+ */
+function getVariablePeriod(year, month, settings) {
+    if (settings?.working_time_system !== WORKING_TIME_SYSTEM.VARIABLE_YEARLY) {
+        return { months: [{ year, month }], index: 0 };
+    }
+
+    const startMonth = settings.variable_period_start_month || 4;
+    const index = (((month - startMonth) % 12) + 12) % 12;
+    const months = [];
+
+    for (let i = 0; i < 12; i++) {
+        const date = new Date(year, month - 1 - index + i, 1);
+        months.push({ year: date.getFullYear(), month: date.getMonth() + 1 });
+    }
+
+    return { months, index };
+}
+
+/**
+ * 会社カレンダー上の所定労働日かどうかを判定する
+ * 年間休日設定の法定休日・法定外休日は休日、土曜出勤日は労働日とし、設定がない土日は休日とする
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @param {number} day - 日
+ * @param {Array} holidays - 年間休日設定の配列
+ * @returns {boolean} 所定労働日の場合はtrue
+ */
+function isScheduledWorkday(year, month, day, holidays) {
+    const dateStr = formatDateString(year, month, day);
+    const holiday = holidays.find(h => h.holiday_date === dateStr);
+
+    if (holiday) {
+        return holiday.holiday_type === 'saturday-work';
+    }
+
+    const weekend = isWeekend(year, month, day);
+    return !weekend.isSaturday && !weekend.isSunday;
+}
+
+/**
+ * 振替休日により休日と労働日を入れ替えた日の勤務記録かどうかを判定する
+ * @param {Object} record - 日毎の勤務記録
+ * @returns {boolean} 振替休日を指定した休日、または振替休日として休む日の場合はtrue
+ */
+function isSubstitutedRecord(record) {
+    return getEffectiveWorkType(record) !== record.work_type
+        || record.leave_type === SUBSTITUTE_LEAVE_TYPE[SUBSTITUTE_TYPE.SUBSTITUTE];
+}
+
+/**
+ * 月の日毎の所定労働時間を算出する
+ * 所定労働日は勤務記録の勤務パターン（記録がない日はパターン1）の所定労働時間とする
+ * 振替休日で休日と入れ替えた日は勤務記録の勤務の種類で判定する
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @param {Object|null} settings - 月間設定
+ * @param {Array} records - 日毎の勤務記録配列
+ * @param {Array} holidays - 年間休日設定の配列
+ * @returns {Object} 日毎の所定労働時間 {日付: 分}
+ */
+function buildScheduledMinutes(year, month, settings, records, holidays = []) {
+    const scheduled = {};
+
+    for (let day = 1; day <= getDaysInMonth(year, month); day++) {
+        const dateStr = formatDateString(year, month, day);
+        const record = records.find(r => r.work_date === dateStr);
+
+        if (record && isSubstitutedRecord(record)) {
+            scheduled[dateStr] = getRecordScheduledMinutes(record, settings);
+        } else if (!isScheduledWorkday(year, month, day, holidays)) {
+            scheduled[dateStr] = 0;
+        } else if (record) {
+            scheduled[dateStr] = getRecordScheduledMinutes(record, settings);
+        } else {
+            scheduled[dateStr] = getPatternScheduledMinutes(getPatternFromSettings(settings, 1));
+        }
+    }
+
+    return scheduled;
+}
+
+/**
+ * 変形期間の総枠による判定を行う
+ * 1日・1週の判定で法定外となった時間を除き、変形期間の法定労働時間の総枠を超えた時間を
+ * 変形期間の最終月に法定外残業として計上する
+ * @param {Array} periodMonths - 変形期間の月データ配列 [{year, month, settings, records, holidays}]
+ * @param {number} targetIndex - 対象月の位置
+ * @param {Object|null} roundingRules - 丸めルールオブジェクト
+ * @returns {Object} 精算結果オブジェクト
+ */
+function calculateVariablePeriodSettlement(periodMonths, targetIndex, roundingRules = null) {
+    const yearly = periodMonths[targetIndex].settings?.working_time_system === WORKING_TIME_SYSTEM.VARIABLE_YEARLY;
+    const allScheduled = {};
+    let weeklyCarryOver = null;
+
+    const months = periodMonths.map((data, index) => {
+        const records = data.records || [];
+        const scheduledByDate = buildScheduledMinutes(data.year, data.month, data.settings, records, data.holidays || []);
+        const breakdowns = calculateDailyBreakdowns(records, data.settings, { weeklyCarryOver, roundingRules, scheduledMinutes: scheduledByDate });
+
+        Object.assign(allScheduled, scheduledByDate);
+
+        const next = periodMonths[index + 1];
+        weeklyCarryOver = next
+            ? calculateWeeklyCarryOver(records, data.settings, next.year, next.month, { roundingRules })
+            : null;
+
+        return {
+            year: data.year,
+            month: data.month,
+            days: getDaysInMonth(data.year, data.month),
+            scheduledByDate,
+            scheduledMinutes: Object.values(scheduledByDate).reduce((sum, minutes) => sum + minutes, 0),
+            workMinutes: breakdowns
+                .filter(b => b.workType !== 'legal-holiday')
+                .reduce((sum, b) => sum + b.workTime, 0),
+            externalMinutes: breakdowns.reduce((sum, b) => sum + b.overtime.statutoryExternal, 0)
+        };
+    });
+
+    const sum = (list, key) => list.reduce((total, m) => total + m[key], 0);
+    const elapsed = months.slice(0, targetIndex + 1);
+
+    const result = {
+        yearly,
+        months,
+        targetIndex,
+        isFinalMonth: targetIndex === months.length - 1,
+        scheduledMinutes: sum(months, 'scheduledMinutes'),
+        workMinutes: sum(elapsed, 'workMinutes'),
+        externalMinutes: sum(elapsed, 'externalMinutes'),
+        statutoryTotalMinutes: Math.floor(STATUTORY_LIMITS.WEEKLY_MINUTES * sum(months, 'days') / 7),
+        periodExternal: 0,
+        warnings: []
+    };
+
+    if (result.isFinalMonth) {
+        result.periodExternal = Math.max(0, result.workMinutes - result.externalMinutes - result.statutoryTotalMinutes);
+    }
+
+    // 所定労働時間の設定の確認
+    if (result.scheduledMinutes > result.statutoryTotalMinutes) {
+        result.warnings.push(`所定労働時間の合計（${minutesToTimeString(result.scheduledMinutes)}）が変形期間の法定労働時間の総枠（${minutesToTimeString(result.statutoryTotalMinutes)}）を超えています`);
+    }
+
+    if (yearly) {
+        const weekly = {};
+        for (const [date, minutes] of Object.entries(allScheduled)) {
+            if (minutes > VARIABLE_HOURS_LIMITS.YEARLY_DAILY_MINUTES) {
+                result.warnings.push(`${date} の所定労働時間が10時間を超えています（${minutesToTimeString(minutes)}）`);
+            }
+            const weekStart = getWeekStartDate(date);
+            weekly[weekStart] = (weekly[weekStart] || 0) + minutes;
+        }
+        for (const [weekStart, minutes] of Object.entries(weekly)) {
+            if (minutes > VARIABLE_HOURS_LIMITS.YEARLY_WEEKLY_MINUTES) {
+                result.warnings.push(`${weekStart} からの週の所定労働時間が52時間を超えています（${minutesToTimeString(minutes)}）`);
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * ユーザーの対象月の変形期間の精算結果を取得する
+ * @param {string} userId - ユーザーID
+ * @param {number} year - 対象年
+ * @param {number} month - 対象月
+ * @param {Object|null} roundingRules - 丸めルールオブジェクト
+ * @returns {Object|null} 精算結果オブジェクト、変形労働時間制でない場合はnull
+ */
+async function getVariablePeriodSettlement(userId, year, month, roundingRules = null) {
+    const settings = await getMonthlySettings(userId, year, month);
+    if (!isVariableHours(settings)) return null;
+
+    const { months, index } = getVariablePeriod(year, month, settings);
+    const first = months[0];
+    const last = months[months.length - 1];
+    const holidays = await getAnnualHolidaysInRange(
+        userId,
+        formatDateString(first.year, first.month, 1),
+        formatDateString(last.year, last.month, getDaysInMonth(last.year, last.month))
+    );
+
+    const periodMonths = await Promise.all(months.map(async ({ year: y, month: m }) => {
+        const prefix = `${y}-${String(m).padStart(2, '0')}-`;
+        return {
+            year: y,
+            month: m,
+            settings: y === year && m === month ? settings : await getMonthlySettings(userId, y, m),
+            records: await getDailyRecords(userId, y, m),
+            holidays: holidays.filter(h => h.holiday_date.startsWith(prefix))
+        };
+    }));
+
+    return calculateVariablePeriodSettlement(periodMonths, index, roundingRules);
+}
+
+/**
+ * 変形期間の精算結果を表示する
+ * @param {HTMLElement} container - 表示先の要素
+ * @param {Object|null} settlement - 精算結果オブジェクト
+ */
+function renderVariableHoursSummary(container, settlement) {
+    if (!container) return;
+
+    if (!settlement) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    const first = settlement.months[0];
+    const last = settlement.months[settlement.months.length - 1];
+    const label = settlement.yearly ? '1年単位の変形労働時間制' : '1ヶ月単位の変形労働時間制';
+    const target = settlement.months[settlement.targetIndex];
+
+    const alerts = settlement.warnings.map(message => `
+        <div class="alert alert-warning">⚠ ${message}</div>
+    `).join('');
+
+    const status = settlement.isFinalMonth
+        ? (settlement.periodExternal > 0
+            ? `<div class="alert alert-warning">変形期間の総枠を超えた ${minutesToTimeString(settlement.periodExternal)} を法定外残業に計上しています</div>`
+            : '')
+        : '<div class="alert alert-info">変形期間の途中のため、総枠による判定は最終月に行います</div>';
+
+    container.innerHTML = `
+        <div class="variable-hours-figures">
+            <span>${label} 変形期間: ${first.year}年${first.month}月～${last.year}年${last.month}月</span>
+            <span>当月の所定労働時間 ${minutesToTimeString(target.scheduledMinutes)}</span>
+            <span>期間の所定労働時間 ${minutesToTimeString(settlement.scheduledMinutes)}</span>
+            <span>実労働時間 ${minutesToTimeString(settlement.workMinutes)}</span>
+            <span>法定労働時間の総枠 ${minutesToTimeString(settlement.statutoryTotalMinutes)}</span>
+        </div>
+        ${status}
+        ${alerts}
+    `;
+    container.style.display = 'block';
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VARIABLE_HOURS_LIMITS,
+        getVariablePeriod,
+        isScheduledWorkday,
+        isSubstitutedRecord,
+        buildScheduledMinutes,
+        calculateVariablePeriodSettlement,
+        getVariablePeriodSettlement,
+        renderVariableHoursSummary
+    };
+}
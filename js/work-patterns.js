@@ -0,0 +1,278 @@
+/**
+ * 勤務パターンライブラリモジュール
+ *
+ * このファイルは名前付きの勤務パターン（早番・遅番・夜勤・短時間勤務など）の取得・保存機能を提供する
+ * 組織共通と個人のパターンを登録し、月間設定ではライブラリから選んだパターンをパターン番号順に保持する
+ */
+
+/**
+ * 月間設定で使用できる勤務パターンの上限
+ */
+const WORK_PATTERN_LIMIT = 10;
+
+/**
+ * 勤務パターンの区分
+ */
+const WORK_PATTERN_SCOPE = {
+    ORGANIZATION: 'organization',   // 組織共通（管理者が登録）
+    PERSONAL: 'personal'            // 個人
+};
+
+/**
+ * 勤務パターンの休憩の列
+ */
+const WORK_PATTERN_BREAK_FIELDS = ['break1', 'break2', 'break3'];
+
+/**
+ * 時刻を時:分の文字列にする（データベースの時:分:秒を揃える）
+ * @param {string|null} time - 時刻
+ * @returns {string|null} 時刻 (HH:MM形式)
+ */
+function toPatternTime(time) {
+    return time ? time.substring(0, 5) : null;
+}
+
+/**
+ * 勤務パターンの区分を取得する
+ * @param {Object} libraryPattern - ライブラリの勤務パターン
+ * @returns {string} 区分（WORK_PATTERN_SCOPE）
+ */
+function getWorkPatternScope(libraryPattern) {
+    return libraryPattern.user_id ? WORK_PATTERN_SCOPE.PERSONAL : WORK_PATTERN_SCOPE.ORGANIZATION;
+}
+
+/**
+ * ライブラリの勤務パターンを月間設定に保持する形式に変換する
+ * @param {Object} libraryPattern - ライブラリの勤務パターン（work_patterns の行）
+ * @returns {Object} 月間設定の勤務パターン {pattern_id, name, start, end, break1_start, ...}
+ */
+function toSettingsPattern(libraryPattern) {
+    const pattern = {
+        pattern_id: libraryPattern.id || null,
+        name: libraryPattern.name,
+        start: toPatternTime(libraryPattern.start_time),
+        end: toPatternTime(libraryPattern.end_time)
+    };
+
+    for (const field of WORK_PATTERN_BREAK_FIELDS) {
+        pattern[`${field}_start`] = toPatternTime(libraryPattern[`${field}_start`]);
+        pattern[`${field}_end`] = toPatternTime(libraryPattern[`${field}_end`]);
+    }
+
+    return pattern;
+}
+
+/**
+ * 勤務パターンの入力内容を検証する
+ * @param {Object} libraryPattern - ライブラリの勤務パターン {name, start_time, end_time, break1_start, ...}
+ * @returns {string|null} エラーメッセージ、問題がない場合はnull
+ */
+function validateWorkPattern(libraryPattern) {
+    if (!libraryPattern.name || !libraryPattern.name.trim()) {
+        return 'パターン名を入力してください';
+    }
+    if (!libraryPattern.start_time || !libraryPattern.end_time) {
+        return '始業時刻・終業時刻を入力してください';
+    }
+
+    for (const [index, field] of WORK_PATTERN_BREAK_FIELDS.entries()) {
+        if (!libraryPattern[`${field}_start`] !== !libraryPattern[`${field}_end`]) {
+            return `休憩${index + 1}の開始・終了時刻を両方入力してください`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 月間設定の勤務パターンの配列を検証する
+ * @param {Array} patterns - 月間設定の勤務パターンの配列
+ * @param {Array} records - 当月の日毎の勤務記録（使用中のパターン番号の確認に使用）
+ * @returns {string|null} エラーメッセージ、問題がない場合はnull
+ */
+function validateSettingsPatterns(patterns, records = []) {
+    if (patterns.length === 0) {
+        return '勤務パターンを1件以上設定してください';
+    }
+    if (patterns.length > WORK_PATTERN_LIMIT) {
+        return `勤務パターンは${WORK_PATTERN_LIMIT}件まで設定できます`;
+    }
+
+    const used = records.find(record => (record.work_pattern || 1) > patterns.length);
+    if (used) {
+        return `${used.work_date} の勤務記録でパターン${used.work_pattern}を使用しているため削除できません`;
+    }
+
+    return null;
+}
+
+/**
+ * 勤務パターンの時刻を表示用に整形する
+ * @param {Object} pattern - 月間設定の勤務パターン {start, end, break1_start, ...}
+ * @returns {string} 表示文字列（例: 07:00～16:00（休憩 11:00-12:00））
+ */
+function formatWorkPatternTime(pattern) {
+    const time = `${toPatternTime(pattern.start) || '09:00'}～${toPatternTime(pattern.end) || '18:00'}`;
+    return `${time}（休憩 ${formatBreakIntervals(pattern)}）`;
+}
+
+/**
+ * 勤務パターンの選択肢のラベルを取得する
+ * @param {Object} pattern - 月間設定の勤務パターン
+ * @param {number} patternNumber - パターン番号
+ * @returns {string} ラベル（例: 2: 遅番 13:00～22:00）
+ */
+function formatWorkPatternLabel(pattern, patternNumber) {
+    const name = pattern.name || `パターン${patternNumber}`;
+    return `${patternNumber}: ${name} ${toPatternTime(pattern.start) || '09:00'}～${toPatternTime(pattern.end) || '18:00'}`;
+}
+
+/**
+ * 勤務パターンライブラリを取得する（組織共通と自分のパターン）
+ * @param {string} userId - ユーザーID
+ * @returns {Array} 勤務パターンの配列（組織共通、個人の順）
+ */
+async function getWorkPatterns(userId) {
+    try {
+        const client = getSupabaseClient();
+        const { data, error } = await client
+            .from('work_patterns')
+            .select('*')
+            .or(`user_id.is.null,user_id.eq.${userId}`)
+            .order('sort_order', { ascending: true })
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('勤務パターン取得エラー:', error);
+            return [];
+        }
+
+        return (data || []).sort((a, b) => Boolean(a.user_id) - Boolean(b.user_id));
+    } catch (error) {
+        console.error('勤務パターン取得エラー:', error);
+        return [];
+    }
+}
+
+/**
+ * 勤務パターンを保存する
+ * 組織共通のパターン（user_id が null）は管理者のみ保存できる
+ * @param {Object} libraryPattern - 勤務パターン {id?, user_id, name, start_time, end_time, break1_start, ..., sort_order}
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function saveWorkPattern(libraryPattern) {
+    const validationError = validateWorkPattern(libraryPattern);
+    if (validationError) {
+        return {
+            success: false,
+            message: validationError
+        };
+    }
+
+    try {
+        const client = getSupabaseClient();
+        const { id, ...values } = libraryPattern;
+        values.name = values.name.trim();
+
+        let result;
+        if (id) {
+            // 更新
+            result = await client
+                .from('work_patterns')
+                .update(values)
+                .eq('id', id);
+        } else {
+            // 新規作成
+            result = await client
+                .from('work_patterns')
+                .insert(values);
+        }
+
+        if (result.error) {
+            return {
+                success: false,
+                message: '勤務パターンの保存に失敗しました: ' + result.error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: `勤務パターン「${values.name}」を保存しました`
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '勤務パターンの保存中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 勤務パターンを削除する
+ * 月間設定にはパターンの内容を複製しているため、削除しても設定済みの月には影響しない
+ * @param {string} id - 勤務パターンID
+ * @returns {Object} 結果オブジェクト {success: boolean, message: string}
+ */
+async function deleteWorkPattern(id) {
+    try {
+        const client = getSupabaseClient();
+        const { error } = await client
+            .from('work_patterns')
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            return {
+                success: false,
+                message: '勤務パターンの削除に失敗しました: ' + error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: '勤務パターンを削除しました'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: '勤務パターンの削除中にエラーが発生しました: ' + error.message
+        };
+    }
+}
+
+/**
+ * 日毎入力の勤務パターンの選択肢を描画する
+ * @param {HTMLSelectElement} select - 描画先のセレクトボックス
+ * @param {Object|null} settings - 月間設定
+ * @param {number} currentNumber - 記録に登録済みのパターン番号（月間設定にない場合も選択肢に含める）
+ */
+function renderWorkPatternOptions(select, settings, currentNumber = 1) {
+    if (!select) return;
+
+    const patterns = getSettingsPatterns(settings);
+    const count = Math.max(patterns.length, currentNumber || 1);
+    select.innerHTML = '';
+
+    for (let number = 1; number <= count; number++) {
+        select.appendChild(new Option(formatWorkPatternLabel(getPatternFromSettings(settings, number), number), number));
+    }
+}
+
+// モジュールエクスポート（テスト用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WORK_PATTERN_LIMIT,
+        WORK_PATTERN_SCOPE,
+        toPatternTime,
+        getWorkPatternScope,
+        toSettingsPattern,
+        validateWorkPattern,
+        validateSettingsPatterns,
+        formatWorkPatternTime,
+        formatWorkPatternLabel,
+        getWorkPatterns,
+        saveWorkPattern,
+        deleteWorkPattern,
+        renderWorkPatternOptions
+    };
+}
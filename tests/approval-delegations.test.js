@@ -0,0 +1,114 @@
+/**
+ * 承認の代理モジュール テスト
+ *
+ * このファイルはapproval-delegations.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    global.APPROVAL_STATUS = require('../js/approval.js').APPROVAL_STATUS;
+    global.canActOnApprovalStep = require('../js/approval-routes.js').canActOnApprovalStep;
+}
+
+// テスト対象の関数をロード
+const {
+    isDelegationActive,
+    getActiveDelegatorIds,
+    mergeDelegatedApprovals,
+    resolveApprovalActor,
+    formatApprovalDelegation,
+    validateApprovalDelegation
+} = require('../js/approval-delegations.js');
+const { getApprovedValues, formatApprovalStepLogLines } = require('../js/approval-routes.js');
+
+/**
+ * 課長（山田）が5/1～5/10に不在のため部長（佐藤）に代理を指定
+ */
+const DELEGATION = {
+    id: 'delegation-1',
+    delegator_id: 'manager-1',
+    delegate_id: 'director-1',
+    start_date: '2024-05-01',
+    end_date: '2024-05-10'
+};
+
+/**
+ * 課長承認 → 部長承認 のステップ
+ */
+const ROUTE_STEPS = [
+    { name: '課長承認', approver_id: 'manager-1', approver_name: '山田' },
+    { name: '部長承認', approver_id: 'director-1', approver_name: '佐藤' }
+];
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== 代理の期間 テスト ===');
+
+runner.test('isDelegationActive・getActiveDelegatorIds: 期間中のみ代理する', () => {
+    runner.assertTrue(isDelegationActive(DELEGATION, '2024-05-01'));
+    runner.assertTrue(isDelegationActive(DELEGATION, '2024-05-10'));
+    runner.assertTrue(!isDelegationActive(DELEGATION, '2024-05-11'));
+    runner.assertDeepEqual(getActiveDelegatorIds([DELEGATION], 'director-1', '2024-05-05'), ['manager-1']);
+    runner.assertDeepEqual(getActiveDelegatorIds([DELEGATION], 'director-1', '2024-04-30'), []);
+    runner.assertDeepEqual(getActiveDelegatorIds([DELEGATION], 'manager-1', '2024-05-05'), []);
+});
+
+console.log('\n=== 代理での承認 テスト ===');
+
+runner.test('resolveApprovalActor: 現在のステップの承認者の代理として操作する', () => {
+    const approval = { id: 'approval-1', user_id: 'sales-1', status: 'pending', route_steps: ROUTE_STEPS, current_step: 1 };
+    runner.assertDeepEqual(resolveApprovalActor(approval, 'director-1', ['manager-1']), { canAct: true, onBehalfOf: 'manager-1' });
+    runner.assertDeepEqual(resolveApprovalActor(approval, 'director-1', []), { canAct: false, onBehalfOf: null });
+    runner.assertDeepEqual(resolveApprovalActor({ ...approval, current_step: 2 }, 'director-1', ['manager-1']), { canAct: true, onBehalfOf: null });
+});
+
+runner.test('resolveApprovalActor: 代理で取得した申請は代理元の承認者として操作し、代理元自身の申請は操作できない', () => {
+    const approval = { id: 'approval-2', user_id: 'sales-2', status: 'pending', route_steps: [], current_step: 1, delegator_id: 'manager-1' };
+    runner.assertDeepEqual(resolveApprovalActor(approval, 'director-1', ['manager-1']), { canAct: true, onBehalfOf: 'manager-1' });
+    runner.assertDeepEqual(resolveApprovalActor({ ...approval, user_id: 'manager-1' }, 'director-1', ['manager-1']), { canAct: false, onBehalfOf: null });
+    runner.assertDeepEqual(resolveApprovalActor({ ...approval, user_id: 'director-1' }, 'director-1', ['manager-1']), { canAct: false, onBehalfOf: null });
+});
+
+runner.test('mergeDelegatedApprovals: 自分が担当する申請を優先する', () => {
+    const own = [{ id: 'approval-1' }];
+    const merged = mergeDelegatedApprovals(own, [
+        { id: 'approval-1', delegator_id: 'manager-1' },
+        { id: 'approval-2', delegator_id: 'manager-1' }
+    ]);
+    runner.assertEqual(merged.length, 2);
+    runner.assertEqual(merged[0].delegator_id, undefined);
+    runner.assertEqual(merged[1].delegator_id, 'manager-1');
+});
+
+runner.test('getApprovedValues・formatApprovalStepLogLines: 操作したユーザーと代理元の承認者を記録・表示する', () => {
+    const approval = { status: 'pending', route_steps: [], current_step: 1 };
+    const values = getApprovedValues(approval, 'director-1', '2024-05-02T10:00:00.000Z', 'manager-1');
+    runner.assertEqual(values.approved_by, 'director-1');
+    runner.assertEqual(values.approved_on_behalf_of, 'manager-1');
+    runner.assertDeepEqual(formatApprovalStepLogLines([
+        { step_number: 1, step_name: '課長承認', approver_name: '佐藤', on_behalf_of_name: '山田', action: 'approved', acted_at: '2024-05-02T12:00:00' }
+    ]), ['1. 課長承認 佐藤（山田の代理） 5/2 承認']);
+});
+
+console.log('\n=== 代理の登録 テスト ===');
+
+runner.test('validateApprovalDelegation: 自分自身・期間の逆転・期間の重複はエラー', () => {
+    const users = [{ user_id: 'manager-1', name: '山田' }, { user_id: 'director-1', name: '佐藤' }];
+    runner.assertEqual(formatApprovalDelegation(DELEGATION, users), '山田 → 佐藤（2024-05-01～2024-05-10）');
+    runner.assertEqual(validateApprovalDelegation({ ...DELEGATION, start_date: '2024-05-11', end_date: '2024-05-20' }, [DELEGATION]), null);
+    runner.assertEqual(validateApprovalDelegation({ ...DELEGATION, delegate_id: 'manager-1' }, []), '自分自身を代理にすることはできません');
+    runner.assertEqual(validateApprovalDelegation({ ...DELEGATION, end_date: '2024-04-30' }, []), '終了日は開始日以降の日付を入力してください');
+    runner.assertEqual(validateApprovalDelegation({ ...DELEGATION, start_date: '2024-05-10', end_date: '2024-05-12' }, [DELEGATION]), '期間が重なる代理がすでに登録されています');
+    runner.assertEqual(validateApprovalDelegation({ ...DELEGATION, delegate_id: '' }, []), '代理の承認者を選択してください');
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
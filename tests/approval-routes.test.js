@@ -0,0 +1,137 @@
+/**
+ * 承認ルートモジュール テスト
+ *
+ * このファイルはapproval-routes.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+
+// ブラウザではグローバルに読み込まれる定数を設定
+if (typeof window === 'undefined') {
+    global.APPROVAL_STATUS = require('../js/approval.js').APPROVAL_STATUS;
+}
+
+// テスト対象の関数をロード
+const {
+    DEFAULT_APPROVAL_STEP,
+    getCurrentApprovalStep,
+    isFinalApprovalStep,
+    canActOnApprovalStep,
+    getApprovedValues,
+    formatApprovalStepLabel,
+    formatApprovalRouteSteps,
+    formatApprovalStepLogLines,
+    getApplicantApprovalSteps,
+    getSelfApprovalStepWarning,
+    validateApprovalRoute
+} = require('../js/approval-routes.js');
+
+/**
+ * 営業部の承認ルート（課長 → 部長）
+ */
+const SALES_ROUTE = {
+    id: 'route-1',
+    department: '営業部',
+    steps: [
+        { name: '課長承認', approver_id: 'manager-1', approver_name: '山田' },
+        { name: '部長承認', approver_id: 'director-1', approver_name: '佐藤' }
+    ]
+};
+
+/**
+ * 既定の承認ルート（人事のみ）
+ */
+const DEFAULT_ROUTE = {
+    id: 'route-2',
+    department: '',
+    steps: [{ name: '人事承認', approver_id: 'hr-1', approver_name: '鈴木' }]
+};
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== 承認ルートの表示 テスト ===');
+
+runner.test('formatApprovalRouteSteps: ステップを順に表示し、ステップがない場合は既定のステップ', () => {
+    runner.assertEqual(formatApprovalRouteSteps(SALES_ROUTE), '1. 課長承認（山田） → 2. 部長承認（佐藤）');
+    runner.assertEqual(formatApprovalRouteSteps({ steps: [] }), '1. 承認');
+});
+
+console.log('\n=== ステップの進行 テスト ===');
+
+runner.test('canActOnApprovalStep: 現在のステップの承認者のみ操作できる', () => {
+    const approval = { status: 'pending', route_steps: SALES_ROUTE.steps, current_step: 1 };
+    runner.assertTrue(canActOnApprovalStep(approval, 'manager-1'));
+    runner.assertTrue(!canActOnApprovalStep(approval, 'director-1'));
+    runner.assertTrue(canActOnApprovalStep({ ...approval, current_step: 2 }, 'director-1'));
+    runner.assertTrue(!canActOnApprovalStep({ ...approval, status: 'rejected' }, 'manager-1'));
+});
+
+runner.test('getApprovedValues: 最終ステップの承認でのみ承認済みとする', () => {
+    const now = '2024-05-01T10:00:00.000Z';
+    const approval = { status: 'pending', route_steps: SALES_ROUTE.steps, current_step: 1 };
+    runner.assertDeepEqual(getApprovedValues(approval, 'manager-1', now), { current_step: 2, approved_on_behalf_of: null, updated_at: now });
+    runner.assertTrue(!isFinalApprovalStep(approval));
+
+    const finalStep = { ...approval, current_step: 2 };
+    runner.assertTrue(isFinalApprovalStep(finalStep));
+    runner.assertEqual(getApprovedValues(finalStep, 'director-1', now).status, 'approved');
+    runner.assertEqual(getApprovedValues(finalStep, 'director-1', now).approved_by, 'director-1');
+});
+
+runner.test('承認ルートがない申請は承認者のいずれかが1回承認すれば承認済み', () => {
+    const approval = { status: 'pending', route_steps: [], current_step: 1 };
+    runner.assertEqual(getCurrentApprovalStep(approval), DEFAULT_APPROVAL_STEP);
+    runner.assertTrue(canActOnApprovalStep(approval, 'anyone'));
+    runner.assertTrue(isFinalApprovalStep(approval));
+    runner.assertEqual(formatApprovalStepLabel(approval), '1/1 承認');
+});
+
+runner.test('formatApprovalStepLabel・formatApprovalStepLogLines: 現在のステップと履歴を表示する', () => {
+    const approval = { status: 'pending', route_steps: SALES_ROUTE.steps, current_step: 2 };
+    runner.assertEqual(formatApprovalStepLabel(approval), '2/2 部長承認（佐藤）');
+    runner.assertEqual(formatApprovalStepLabel({ ...approval, status: 'approved' }), '-');
+    runner.assertDeepEqual(formatApprovalStepLogLines([
+        { step_number: 1, step_name: '課長承認', approver_name: '山田', action: 'approved', acted_at: '2024-04-30T12:00:00' },
+        { step_number: 2, step_name: '部長承認', approver_name: '佐藤', action: 'rejected', acted_at: '2024-05-01T12:00:00' }
+    ]), ['1. 課長承認 山田 4/30 承認', '2. 部長承認 佐藤 5/1 却下']);
+});
+
+console.log('\n=== 承認ルートの検証 テスト ===');
+
+runner.test('validateApprovalRoute: ステップ名・承認者の未入力と所属の重複はエラー', () => {
+    runner.assertEqual(validateApprovalRoute(SALES_ROUTE, [SALES_ROUTE]), null);
+    runner.assertEqual(validateApprovalRoute({ department: '営業部', steps: [] }, []), 'ステップを1つ以上設定してください');
+    runner.assertEqual(validateApprovalRoute({ department: '営業部', steps: [{ name: ' ', approver_id: 'a' }] }, []), 'ステップ名を入力してください');
+    runner.assertEqual(validateApprovalRoute({ department: '営業部', steps: [{ name: '課長承認', approver_id: null }] }, []), '各ステップの承認者を選択してください');
+    runner.assertEqual(validateApprovalRoute({ ...SALES_ROUTE, id: null }, [SALES_ROUTE]), '「営業部」の承認ルートはすでに登録されています');
+    runner.assertEqual(validateApprovalRoute({ ...DEFAULT_ROUTE, id: null }, [DEFAULT_ROUTE]), '既定の承認ルートはすでに登録されています');
+});
+
+runner.test('getApplicantApprovalSteps: 申請者自身が承認者のステップは省略する', () => {
+    // 課長（山田）自身の申請は部長承認のみ
+    runner.assertDeepEqual(getApplicantApprovalSteps(SALES_ROUTE.steps, 'manager-1'), [SALES_ROUTE.steps[1]]);
+    runner.assertDeepEqual(getApplicantApprovalSteps(SALES_ROUTE.steps, 'sales-1'), SALES_ROUTE.steps);
+    // すべて省略した場合は承認者のいずれかが承認する
+    runner.assertDeepEqual(getApplicantApprovalSteps(DEFAULT_ROUTE.steps, 'hr-1'), []);
+    runner.assertEqual(formatApprovalRouteSteps({ steps: getApplicantApprovalSteps(DEFAULT_ROUTE.steps, 'hr-1') }), '1. 承認');
+});
+
+runner.test('getSelfApprovalStepWarning: 承認ルートが適用される所属の承認者を警告する', () => {
+    const users = [
+        { user_id: 'manager-1', name: '山田', department: '営業部' },
+        { user_id: 'director-1', name: '佐藤', department: '本社' },
+        { user_id: 'hr-1', name: '鈴木', department: '人事部' }
+    ];
+    runner.assertEqual(getSelfApprovalStepWarning(SALES_ROUTE, [SALES_ROUTE], users), '山田の申請では、本人が承認者のステップを省略します');
+    runner.assertEqual(getSelfApprovalStepWarning(DEFAULT_ROUTE, [SALES_ROUTE, DEFAULT_ROUTE], users), '鈴木の申請では、本人が承認者のステップを省略します');
+    runner.assertEqual(getSelfApprovalStepWarning(DEFAULT_ROUTE, [DEFAULT_ROUTE, { id: 'route-3', department: '人事部', steps: [] }], users), null);
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
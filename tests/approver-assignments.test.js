@@ -0,0 +1,99 @@
+/**
+ * 承認者の担当範囲モジュール テスト
+ *
+ * このファイルはapprover-assignments.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+
+// ブラウザではグローバルに読み込まれる定数を設定
+if (typeof window === 'undefined') {
+    global.APPROVAL_STATUS = require('../js/approval.js').APPROVAL_STATUS;
+}
+
+// テスト対象の関数をロード
+const {
+    APPROVER_ASSIGNMENT_TYPE,
+    getApproverAssignmentType,
+    getAssignedUserIds,
+    buildApprovalScopeFilter,
+    getScopedUserIds,
+    formatApproverAssignment,
+    validateApproverAssignment
+} = require('../js/approver-assignments.js');
+const { canActOnApprovalStep } = require('../js/approval-routes.js');
+
+/**
+ * ユーザー（営業部の課長・社員2名、開発部の社員1名）
+ */
+const USERS = [
+    { user_id: 'manager-1', name: '山田', department: '営業部', is_approver: true },
+    { user_id: 'sales-1', name: '田中', department: '営業部' },
+    { user_id: 'sales-2', name: '高橋', department: '営業部' },
+    { user_id: 'dev-1', name: '伊藤', department: '開発部' }
+];
+
+/**
+ * 課長の担当（営業部と開発部の伊藤）
+ */
+const ASSIGNMENTS = [
+    { id: 'assignment-1', approver_id: 'manager-1', department: '営業部', employee_id: null },
+    { id: 'assignment-2', approver_id: 'manager-1', department: null, employee_id: 'dev-1' },
+    { id: 'assignment-3', approver_id: 'other-approver', department: '開発部', employee_id: null }
+];
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== 担当範囲 テスト ===');
+
+runner.test('getAssignedUserIds: 担当する所属の社員と担当する社員（自分を除く）', () => {
+    runner.assertDeepEqual(getAssignedUserIds(ASSIGNMENTS, USERS, 'manager-1'), ['sales-1', 'sales-2', 'dev-1']);
+    runner.assertDeepEqual(getAssignedUserIds(ASSIGNMENTS, USERS, 'other-approver'), ['dev-1']);
+    runner.assertDeepEqual(getAssignedUserIds([], USERS, 'manager-1'), []);
+});
+
+runner.test('buildApprovalScopeFilter: 担当する社員または承認ルートの承認者に指定された申請', () => {
+    runner.assertEqual(
+        buildApprovalScopeFilter(['sales-1', 'dev-1'], 'manager-1'),
+        'user_id.in.(sales-1,dev-1),route_steps.cs.[{"approver_id":"manager-1"}]'
+    );
+    runner.assertEqual(buildApprovalScopeFilter([], 'manager-1'), 'route_steps.cs.[{"approver_id":"manager-1"}]');
+});
+
+runner.test('getScopedUserIds: 代理中の承認者が担当する社員を加える（自分と代理元の承認者自身を除く）', () => {
+    const users = [...USERS, { user_id: 'other-approver', name: '小林', department: '営業部', is_approver: true }];
+    runner.assertDeepEqual(getScopedUserIds(ASSIGNMENTS, users, 'other-approver'), ['dev-1']);
+    runner.assertDeepEqual(getScopedUserIds(ASSIGNMENTS, users, 'other-approver', ['manager-1']), ['dev-1', 'sales-1', 'sales-2']);
+});
+
+runner.test('canActOnApprovalStep: 自分の申請は承認・却下できない', () => {
+    const approval = { user_id: 'manager-1', status: 'pending', route_steps: [], current_step: 1 };
+    runner.assertTrue(!canActOnApprovalStep(approval, 'manager-1'));
+    runner.assertTrue(canActOnApprovalStep({ ...approval, user_id: 'sales-1' }, 'manager-1'));
+});
+
+console.log('\n=== 担当の登録 テスト ===');
+
+runner.test('formatApproverAssignment: 担当の種類ごとに表示する', () => {
+    runner.assertEqual(getApproverAssignmentType(ASSIGNMENTS[0]), APPROVER_ASSIGNMENT_TYPE.DEPARTMENT);
+    runner.assertEqual(getApproverAssignmentType(ASSIGNMENTS[1]), APPROVER_ASSIGNMENT_TYPE.EMPLOYEE);
+    runner.assertEqual(formatApproverAssignment(ASSIGNMENTS[0], USERS), '所属: 営業部');
+    runner.assertEqual(formatApproverAssignment(ASSIGNMENTS[1], USERS), '社員: 伊藤');
+});
+
+runner.test('validateApproverAssignment: 自分自身・重複・担当なしはエラー', () => {
+    runner.assertEqual(validateApproverAssignment({ approver_id: 'manager-1', department: '開発部' }, ASSIGNMENTS), null);
+    runner.assertEqual(validateApproverAssignment({ approver_id: 'manager-1', employee_id: 'manager-1' }, ASSIGNMENTS), '自分自身を担当にすることはできません');
+    runner.assertEqual(validateApproverAssignment({ approver_id: 'manager-1', department: '営業部' }, ASSIGNMENTS), 'すでに担当に登録されています');
+    runner.assertEqual(validateApproverAssignment({ approver_id: 'manager-1' }, ASSIGNMENTS), '担当する所属または社員を選択してください');
+    runner.assertEqual(validateApproverAssignment({ approver_id: '', department: '営業部' }, ASSIGNMENTS), '承認者を選択してください');
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
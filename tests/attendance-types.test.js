@@ -0,0 +1,109 @@
+/**
+ * 勤務種類・休暇種類マスタモジュール テスト
+ *
+ * このファイルはattendance-types.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+const timecard = require('../js/timecard.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    global.DEFAULT_WORK_TYPES = timecard.DEFAULT_WORK_TYPES;
+    global.DEFAULT_LEAVE_TYPES = timecard.DEFAULT_LEAVE_TYPES;
+    global.findWorkType = timecard.findWorkType;
+    global.findLeaveType = timecard.findLeaveType;
+    global.getLeaveTypeLabel = timecard.getLeaveTypeLabel;
+}
+
+// テスト対象の関数をロード
+const {
+    ATTENDANCE_TYPE_KIND,
+    getDefaultAttendanceTypes,
+    mergeAttendanceTypes,
+    validateAttendanceType,
+    getSelectableAttendanceTypes,
+    isNoteRequired,
+    formatLeaveDaysBreakdown
+} = require('../js/attendance-types.js');
+
+/**
+ * 育児休業・介護休暇を追加した休暇種類マスタ
+ */
+const LEAVE_TYPES = mergeAttendanceTypes(timecard.DEFAULT_LEAVE_TYPES, [
+    { code: 'childcare', label: '育児休業', counts_as_attendance: false, is_paid: false, note_required: false, sort_order: 70 },
+    { code: 'nursing-care', label: '介護休暇', counts_as_attendance: false, is_paid: false, note_required: true, sort_order: 80, is_active: false }
+]);
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== マスタの取得 テスト ===');
+
+runner.test('getDefaultAttendanceTypes: 区分ごとの初期値を取得する', () => {
+    runner.assertEqual(getDefaultAttendanceTypes(ATTENDANCE_TYPE_KIND.WORK)[0].code, 'work');
+    runner.assertEqual(getDefaultAttendanceTypes(ATTENDANCE_TYPE_KIND.LEAVE)[0].code, 'paid');
+});
+
+runner.test('mergeAttendanceTypes: 登録済みの種類を上書きし、追加の種類を表示順に並べる', () => {
+    const types = mergeAttendanceTypes(timecard.DEFAULT_WORK_TYPES, [
+        { code: 'remote', label: '在宅勤務', note_required: null },
+        { code: 'business-trip', label: '出張', counts_as_attendance: true, note_required: true, sort_order: 25 }
+    ]);
+    runner.assertDeepEqual(types.slice(0, 4).map(type => type.code), ['work', 'remote', 'business-trip', 'late']);
+    runner.assertEqual(types[1].label, '在宅勤務');
+    runner.assertEqual(types[1].note_required, false);
+    runner.assertEqual(types[1].is_system, true);
+    runner.assertEqual(types[2].is_system, false);
+    runner.assertEqual(types[2].is_active, true);
+});
+
+runner.test('mergeAttendanceTypes: データベースに行がない場合は初期値', () => {
+    runner.assertDeepEqual(mergeAttendanceTypes(timecard.DEFAULT_LEAVE_TYPES, null), timecard.DEFAULT_LEAVE_TYPES);
+});
+
+console.log('\n=== 入力の検証 テスト ===');
+
+runner.test('validateAttendanceType: 正しい種類はエラーなし', () => {
+    runner.assertEqual(validateAttendanceType({ code: 'training', label: '研修', is_active: true }, timecard.DEFAULT_WORK_TYPES, true), null);
+    runner.assertEqual(validateAttendanceType({ code: 'remote', label: '在宅勤務', is_active: true }, timecard.DEFAULT_WORK_TYPES, false), null);
+});
+
+runner.test('validateAttendanceType: コード・表示名の形式と重複を確認する', () => {
+    runner.assertTrue(validateAttendanceType({ code: 'Business Trip', label: '出張', is_active: true }, timecard.DEFAULT_WORK_TYPES, true) !== null);
+    runner.assertTrue(validateAttendanceType({ code: 'training', label: ' ', is_active: true }, timecard.DEFAULT_WORK_TYPES, true) !== null);
+    runner.assertTrue(validateAttendanceType({ code: 'remote', label: '在宅勤務', is_active: true }, timecard.DEFAULT_WORK_TYPES, true) !== null);
+});
+
+runner.test('validateAttendanceType: システムで使用する種類は無効にできない', () => {
+    runner.assertTrue(validateAttendanceType({ code: 'legal-holiday', label: '法定休日', is_active: false }, timecard.DEFAULT_WORK_TYPES, false) !== null);
+    runner.assertEqual(validateAttendanceType({ code: 'special', label: '特休', is_active: false }, timecard.DEFAULT_LEAVE_TYPES, false), null);
+});
+
+console.log('\n=== 入力の選択肢・補足 テスト ===');
+
+runner.test('getSelectableAttendanceTypes: 無効な種類は登録済みの場合のみ含める', () => {
+    runner.assertTrue(!getSelectableAttendanceTypes(LEAVE_TYPES).some(type => type.code === 'nursing-care'));
+    runner.assertTrue(getSelectableAttendanceTypes(LEAVE_TYPES, 'nursing-care').some(type => type.code === 'nursing-care'));
+});
+
+runner.test('isNoteRequired: 勤務種類・休暇種類のいずれかで補足を求める', () => {
+    runner.assertTrue(!isNoteRequired({ work_type: 'work', leave_type: null }, null, LEAVE_TYPES));
+    runner.assertTrue(isNoteRequired({ work_type: 'late', leave_type: null }, null, LEAVE_TYPES));
+    runner.assertTrue(isNoteRequired({ work_type: 'work', leave_type: 'nursing-care' }, null, LEAVE_TYPES));
+    runner.assertTrue(!isNoteRequired({ work_type: 'work', leave_type: 'childcare' }, null, LEAVE_TYPES));
+});
+
+runner.test('formatLeaveDaysBreakdown: 休暇種類ごとの取得日数を表示する', () => {
+    const leaveDaysByType = { paid: 1, childcare: 2, 'nursing-care': 0.5, special: 0 };
+    runner.assertEqual(formatLeaveDaysBreakdown(leaveDaysByType, LEAVE_TYPES), '有休 1日、育児休業 2日、介護休暇 0.5日');
+    runner.assertEqual(formatLeaveDaysBreakdown(leaveDaysByType, LEAVE_TYPES, type => !type.is_paid), '育児休業 2日、介護休暇 0.5日');
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
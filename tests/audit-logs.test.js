@@ -0,0 +1,53 @@
+/**
+ * 変更履歴（監査ログ）モジュール テスト
+ *
+ * このファイルはaudit-logs.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+
+// テスト対象の関数をロード
+const {
+    formatAuditValue,
+    getAuditChanges,
+    formatAuditChanges
+} = require('../js/audit-logs.js');
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== 変更内容の整形 テスト ===');
+
+runner.test('formatAuditValue: 値を表示用に整形する', () => {
+    runner.assertEqual(formatAuditValue(null), '（なし）');
+    runner.assertEqual(formatAuditValue(false), 'false');
+    runner.assertEqual(formatAuditValue(480), '480');
+    runner.assertEqual(formatAuditValue([{ name: '日勤' }]), '[{"name":"日勤"}]');
+});
+
+runner.test('getAuditChanges・formatAuditChanges: 変更は変更前後の値を表示する', () => {
+    const log = {
+        operation: 'UPDATE',
+        old_values: { start_time: '09:00:00', note: null },
+        new_values: { start_time: '08:30:00', note: '直行' }
+    };
+    runner.assertDeepEqual(getAuditChanges(log), [
+        { column: 'start_time', oldValue: '09:00:00', newValue: '08:30:00' },
+        { column: 'note', oldValue: null, newValue: '直行' }
+    ]);
+    runner.assertDeepEqual(formatAuditChanges(log), ['start_time: 09:00:00 → 08:30:00', 'note: （なし） → 直行']);
+});
+
+runner.test('formatAuditChanges: 追加・削除は行の値を表示し、IDなどの列は除く', () => {
+    const row = { id: 'approval-1', user_id: 'user-1', status: 'pending', created_at: '2024-04-30T10:00:00+00:00' };
+    runner.assertDeepEqual(formatAuditChanges({ operation: 'INSERT', old_values: null, new_values: row }), ['status: pending']);
+    runner.assertDeepEqual(formatAuditChanges({ operation: 'DELETE', old_values: row, new_values: null }), ['status: pending']);
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
@@ -0,0 +1,197 @@
+/**
+ * フレックスタイム制モジュール テスト
+ * 
+ * このファイルはflextime.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+const timecard = require('../js/timecard.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    global.STATUTORY_LIMITS = timecard.STATUTORY_LIMITS;
+    global.getDaysInMonth = timecard.getDaysInMonth;
+    global.isWeekend = timecard.isWeekend;
+    global.isFlextime = timecard.isFlextime;
+    global.calculateRecordWorkTime = timecard.calculateRecordWorkTime;
+    global.getEffectiveWorkType = timecard.getEffectiveWorkType;
+}
+
+// テスト対象の関数をロード
+const {
+    getSettlementPeriod,
+    countWeekdays,
+    getFlextimeRequiredMinutes,
+    getStatutoryTotalMinutes,
+    calculateFlextimeSettlement,
+    calculateFlextimeSettlementForMonth
+} = require('../js/flextime.js');
+
+const { calculateDailyBreakdowns, calculateMonthlySummary } = timecard;
+
+/**
+ * 休憩なしの勤務記録を指定日数分生成する
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @param {number} days - 勤務日数（1日から平日を順に使用）
+ * @param {string} start - 出勤時刻
+ * @param {string} end - 退勤時刻
+ * @returns {Array} 日毎の勤務記録配列
+ */
+function makeRecords(year, month, days, start, end) {
+    const records = [];
+    for (let day = 1; records.length < days; day++) {
+        const weekend = timecard.isWeekend(year, month, day);
+        if (weekend.isSaturday || weekend.isSunday) continue;
+        records.push({
+            work_date: timecard.formatDateString(year, month, day),
+            work_type: 'work',
+            start_time: start,
+            end_time: end,
+            use_actual_breaks: true
+        });
+    }
+    return records;
+}
+
+/**
+ * フレックスタイム制の月間設定を生成する
+ * @param {number} requiredHours - 月の総労働時間（時間）
+ * @param {number} settlementMonths - 清算期間の月数
+ * @returns {Object} 月間設定
+ */
+function flexSettings(requiredHours, settlementMonths = 1) {
+    return {
+        standard_hours: 8,
+        working_time_system: 'flextime',
+        flex_required_hours: requiredHours,
+        flex_settlement_months: settlementMonths,
+        flex_settlement_start_month: 4
+    };
+}
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== 清算期間 テスト ===');
+
+runner.test('getSettlementPeriod: 起算月から区切った清算期間', () => {
+    const single = getSettlementPeriod(2024, 5, 1, 4);
+    runner.assertEqual(single.months.length, 1);
+    runner.assertEqual(single.index, 0);
+
+    const quarter = getSettlementPeriod(2024, 5, 3, 4);
+    runner.assertEqual(quarter.months[0].month, 4);
+    runner.assertEqual(quarter.months[2].month, 6);
+    runner.assertEqual(quarter.index, 1);
+
+    // 年をまたぐ清算期間
+    const winter = getSettlementPeriod(2025, 2, 3, 4);
+    runner.assertEqual(winter.months[0].year, 2025);
+    runner.assertEqual(winter.months[0].month, 1);
+    const yearEnd = getSettlementPeriod(2025, 1, 2, 12);
+    runner.assertEqual(yearEnd.months[0].year, 2024);
+    runner.assertEqual(yearEnd.months[0].month, 12);
+    runner.assertEqual(yearEnd.index, 1);
+});
+
+runner.test('getFlextimeRequiredMinutes: 未入力の場合は標準就労時間×平日数', () => {
+    // 2024年4月の平日は22日
+    runner.assertEqual(countWeekdays(2024, 4), 22);
+    runner.assertEqual(getFlextimeRequiredMinutes({ standard_hours: 8 }, 2024, 4), 22 * 480);
+    runner.assertEqual(getFlextimeRequiredMinutes(flexSettings(160), 2024, 4), 9600);
+});
+
+runner.test('getStatutoryTotalMinutes: 週40時間×暦日数÷7', () => {
+    // 30日: 171.4時間
+    runner.assertEqual(getStatutoryTotalMinutes(30), 10285);
+    runner.assertEqual(getStatutoryTotalMinutes(31), 10628);
+});
+
+console.log('\n=== 日毎の残業 テスト ===');
+
+runner.test('calculateDailyBreakdowns: フレックスタイム制は日単位で残業を計上しない', () => {
+    const records = makeRecords(2024, 4, 5, '08:00', '20:00');
+    const breakdowns = calculateDailyBreakdowns(records, flexSettings(160));
+    runner.assertEqual(breakdowns[0].overtime.total, 0);
+    runner.assertEqual(breakdowns[0].overtime.statutoryExternal, 0);
+    runner.assertEqual(breakdowns[4].weeklyExternal, 0);
+});
+
+console.log('\n=== 精算 テスト ===');
+
+runner.test('calculateFlextimeSettlement: 1ヶ月の清算期間で総枠を超えた分は法定外', () => {
+    // 2024年4月（30日、総枠171:25）に 20日×10時間 = 200時間
+    const period = [{ year: 2024, month: 4, settings: flexSettings(160), records: makeRecords(2024, 4, 20, '08:00', '18:00') }];
+    const result = calculateFlextimeSettlement(period, 0);
+    runner.assertTrue(result.isFinalMonth);
+    runner.assertEqual(result.actualMinutes, 12000);
+    runner.assertEqual(result.statutoryExternal, 12000 - 10285);
+    runner.assertEqual(result.statutoryInternal, 10285 - 9600);
+    runner.assertEqual(result.shortfallMinutes, 0);
+});
+
+runner.test('calculateFlextimeSettlement: 総労働時間に満たない場合は不足時間', () => {
+    const period = [{ year: 2024, month: 4, settings: flexSettings(160), records: makeRecords(2024, 4, 19, '09:00', '17:00') }];
+    const result = calculateFlextimeSettlement(period, 0);
+    runner.assertEqual(result.statutoryInternal, 0);
+    runner.assertEqual(result.statutoryExternal, 0);
+    runner.assertEqual(result.shortfallMinutes, 9600 - 19 * 480);
+    runner.assertEqual(result.balanceMinutes, -(9600 - 19 * 480));
+});
+
+runner.test('calculateFlextimeSettlement: 複数月の清算期間は週平均50時間超を各月で計上', () => {
+    // 4月に 22日×11時間 = 242時間（50時間×30÷7 = 214:17 を超過）、5月・6月は少なめ
+    const period = [
+        { year: 2024, month: 4, settings: flexSettings(160, 3), records: makeRecords(2024, 4, 22, '08:00', '19:00') },
+        { year: 2024, month: 5, settings: flexSettings(160, 3), records: makeRecords(2024, 5, 18, '09:00', '17:00') },
+        { year: 2024, month: 6, settings: flexSettings(160, 3), records: makeRecords(2024, 6, 18, '09:00', '17:00') }
+    ];
+    const april = calculateFlextimeSettlement(period, 0);
+    runner.assertTrue(!april.isFinalMonth);
+    runner.assertEqual(april.statutoryExternal, 242 * 60 - 12857);
+    runner.assertEqual(april.statutoryInternal, 0);
+
+    const june = calculateFlextimeSettlement(period, 2);
+    runner.assertTrue(june.isFinalMonth);
+    // 4～6月の実労働 242 + 144 + 144 = 530時間、4月の超過分を除いて総枠（91日 520時間）以内
+    runner.assertEqual(june.statutoryExternal, 0);
+    // 総労働時間 480時間を超えた分は法定内
+    runner.assertEqual(june.statutoryInternal, 530 * 60 - (242 * 60 - 12857) - 480 * 60);
+    runner.assertEqual(june.shortfallMinutes, 0);
+});
+
+runner.test('calculateFlextimeSettlementForMonth: 前の清算期間の不足時間を繰り越す', () => {
+    const monthData = [
+        { year: 2024, month: 4, settings: flexSettings(160), records: makeRecords(2024, 4, 19, '09:00', '17:00') },
+        { year: 2024, month: 5, settings: flexSettings(160), records: makeRecords(2024, 5, 20, '09:00', '17:00') }
+    ];
+    const result = calculateFlextimeSettlementForMonth(monthData, 2024, 5);
+    runner.assertEqual(result.carryInMinutes, 480);
+    runner.assertEqual(result.requiredMinutes, 9600 + 480);
+    runner.assertEqual(result.shortfallMinutes, 480);
+});
+
+runner.test('calculateFlextimeSettlementForMonth: 固定労働時間制の月はnull', () => {
+    const monthData = [{ year: 2024, month: 5, settings: { standard_hours: 8 }, records: [] }];
+    runner.assertEqual(calculateFlextimeSettlementForMonth(monthData, 2024, 5), null);
+});
+
+runner.test('calculateMonthlySummary: 精算結果から残業を計上', () => {
+    const settings = flexSettings(160);
+    const records = makeRecords(2024, 4, 20, '08:00', '18:00');
+    const settlement = calculateFlextimeSettlement([{ year: 2024, month: 4, settings, records }], 0);
+    const summary = calculateMonthlySummary(records, settings, { flextimeSettlement: settlement });
+    runner.assertEqual(summary.statutoryExternalOvertime, 12000 - 10285);
+    runner.assertEqual(summary.statutoryInternalOvertime, 10285 - 9600);
+    runner.assertEqual(summary.overtimeUpTo60, 12000 - 10285);
+    runner.assertEqual(summary.flextime, settlement);
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
@@ -0,0 +1,163 @@
+/**
+ * 休暇申請モジュール テスト
+ *
+ * このファイルはleave-requests.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+const timecard = require('../js/timecard.js');
+const variableHours = require('../js/variable-hours.js');
+const paidLeave = require('../js/paid-leave.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    global.LEAVE_UNIT = timecard.LEAVE_UNIT;
+    global.isPartialLeave = timecard.isPartialLeave;
+    global.formatLeaveLabel = timecard.formatLeaveLabel;
+    global.findLeaveType = timecard.findLeaveType;
+    global.DEFAULT_LEAVE_TYPES = timecard.DEFAULT_LEAVE_TYPES;
+    global.formatDateString = timecard.formatDateString;
+    global.parseDateString = timecard.parseDateString;
+    global.isWeekend = timecard.isWeekend;
+    global.isScheduledWorkday = variableHours.isScheduledWorkday;
+    global.addDaysToDate = paidLeave.addDaysToDate;
+}
+
+// テスト対象の関数をロード
+const {
+    LEAVE_REQUEST_STATUS,
+    validateLeaveRequest,
+    getRequestableLeaveTypes,
+    getLeaveRequestDates,
+    findOverlappingLeaveRequest,
+    findApprovedLeaveRequest,
+    checkLeaveRequestConflict,
+    formatLeaveRequestPeriod,
+    getLeaveRequestStatusLabel
+} = require('../js/leave-requests.js');
+
+/**
+ * 休暇申請を生成する
+ * @param {Object} overrides - 上書きする項目
+ * @returns {Object} 休暇申請
+ */
+function leaveRequest(overrides = {}) {
+    return {
+        id: 'req-1',
+        user_id: 'user-1',
+        start_date: '2024-11-05',
+        end_date: '2024-11-05',
+        leave_type: 'paid',
+        leave_unit: 'full',
+        leave_hours: 0,
+        reason: '私用のため',
+        status: LEAVE_REQUEST_STATUS.APPROVED,
+        ...overrides
+    };
+}
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== 休暇申請の検証 テスト ===');
+
+runner.test('validateLeaveRequest: 正しい申請はエラーなし', () => {
+    runner.assertEqual(validateLeaveRequest(leaveRequest({ end_date: '2024-11-08' })), null);
+    runner.assertEqual(validateLeaveRequest(leaveRequest({ leave_unit: 'hourly', leave_hours: 2 })), null);
+});
+
+runner.test('validateLeaveRequest: 終了日が開始日より前の場合はエラー', () => {
+    runner.assertTrue(validateLeaveRequest(leaveRequest({ end_date: '2024-11-04' })) !== null);
+});
+
+runner.test('validateLeaveRequest: 欠勤は申請できない', () => {
+    runner.assertTrue(validateLeaveRequest(leaveRequest({ leave_type: 'absent' })) !== null);
+});
+
+runner.test('validateLeaveRequest: 休暇種類マスタで追加・無効にした種類', () => {
+    const leaveTypes = [
+        ...timecard.DEFAULT_LEAVE_TYPES.map(type => type.code === 'special' ? { ...type, is_active: false } : type),
+        { code: 'childcare', label: '育児休業', counts_as_attendance: false, is_paid: false, note_required: true, is_active: true }
+    ];
+    runner.assertEqual(validateLeaveRequest(leaveRequest({ leave_type: 'childcare' }), leaveTypes), null);
+    runner.assertTrue(validateLeaveRequest(leaveRequest({ leave_type: 'special' }), leaveTypes) !== null);
+    runner.assertTrue(validateLeaveRequest(leaveRequest({ leave_type: 'childcare' })) !== null);
+    runner.assertDeepEqual(getRequestableLeaveTypes(leaveTypes).map(type => type.code), ['paid', 'congratulation', 'childcare']);
+});
+
+runner.test('validateLeaveRequest: 半日・時間単位は1日のみ', () => {
+    runner.assertTrue(validateLeaveRequest(leaveRequest({ leave_unit: 'am-half', end_date: '2024-11-06' })) !== null);
+    runner.assertTrue(validateLeaveRequest(leaveRequest({ leave_unit: 'hourly', leave_hours: 0 })) !== null);
+});
+
+console.log('\n=== 対象日 テスト ===');
+
+runner.test('getLeaveRequestDates: 土日と年間休日を除き、土曜出勤日を含める', () => {
+    const holidays = [
+        { holiday_date: '2024-11-04', holiday_type: 'legal-holiday' },
+        { holiday_date: '2024-11-09', holiday_type: 'saturday-work' }
+    ];
+    const dates = getLeaveRequestDates(leaveRequest({ start_date: '2024-11-01', end_date: '2024-11-11' }), holidays);
+    runner.assertDeepEqual(dates, [
+        '2024-11-01', '2024-11-05', '2024-11-06', '2024-11-07', '2024-11-08', '2024-11-09', '2024-11-11'
+    ]);
+});
+
+runner.test('findOverlappingLeaveRequest: 承認待ち・承認済みの期間の重なりを検出する', () => {
+    const requests = [
+        leaveRequest({ id: 'a', start_date: '2024-11-01', end_date: '2024-11-03', status: LEAVE_REQUEST_STATUS.REJECTED }),
+        leaveRequest({ id: 'b', start_date: '2024-11-07', end_date: '2024-11-08', status: LEAVE_REQUEST_STATUS.PENDING })
+    ];
+    runner.assertEqual(findOverlappingLeaveRequest(requests, { start_date: '2024-11-02', end_date: '2024-11-02' }), undefined);
+    runner.assertEqual(findOverlappingLeaveRequest(requests, { start_date: '2024-11-05', end_date: '2024-11-07' }).id, 'b');
+});
+
+runner.test('findApprovedLeaveRequest: 日付を含む承認済みの申請を取得する', () => {
+    const requests = [
+        leaveRequest({ id: 'a', start_date: '2024-11-05', end_date: '2024-11-06', status: LEAVE_REQUEST_STATUS.PENDING }),
+        leaveRequest({ id: 'b', start_date: '2024-11-11', end_date: '2024-11-13' })
+    ];
+    runner.assertEqual(findApprovedLeaveRequest(requests, '2024-11-05'), undefined);
+    runner.assertEqual(findApprovedLeaveRequest(requests, '2024-11-12').id, 'b');
+});
+
+console.log('\n=== 承認済みの休暇との矛盾 テスト ===');
+
+runner.test('checkLeaveRequestConflict: 承認済みの申請と同じ内容は保存できる', () => {
+    runner.assertEqual(checkLeaveRequestConflict({ leave_type: 'paid', leave_unit: 'full' }, undefined), null);
+    runner.assertEqual(checkLeaveRequestConflict({ leave_type: 'paid', leave_unit: 'full' }, leaveRequest()), null);
+    runner.assertEqual(checkLeaveRequestConflict(
+        { leave_type: 'paid', leave_unit: 'am-half', start_time: '14:00', end_time: '18:00' },
+        leaveRequest({ leave_unit: 'am-half' })
+    ), null);
+});
+
+runner.test('checkLeaveRequestConflict: 休暇の変更と全日の休暇の日の出退勤は矛盾とする', () => {
+    runner.assertTrue(checkLeaveRequestConflict({ leave_type: null, leave_unit: null }, leaveRequest()) !== null);
+    runner.assertTrue(checkLeaveRequestConflict({ leave_type: 'paid', leave_unit: 'am-half' }, leaveRequest()) !== null);
+    runner.assertTrue(checkLeaveRequestConflict(
+        { leave_type: 'paid', leave_unit: 'hourly', leave_hours: 3 },
+        leaveRequest({ leave_unit: 'hourly', leave_hours: 2 })
+    ) !== null);
+    runner.assertTrue(checkLeaveRequestConflict(
+        { leave_type: 'paid', leave_unit: 'full', start_time: '09:00', end_time: '18:00' },
+        leaveRequest()
+    ) !== null);
+});
+
+console.log('\n=== 表示 テスト ===');
+
+runner.test('formatLeaveRequestPeriod / getLeaveRequestStatusLabel', () => {
+    runner.assertEqual(formatLeaveRequestPeriod(leaveRequest()), '2024-11-05');
+    runner.assertEqual(formatLeaveRequestPeriod(leaveRequest({ end_date: '2024-11-07' })), '2024-11-05～2024-11-07');
+    runner.assertEqual(getLeaveRequestStatusLabel(LEAVE_REQUEST_STATUS.PENDING), '承認待ち');
+    runner.assertEqual(getLeaveRequestStatusLabel('unknown'), '不明');
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
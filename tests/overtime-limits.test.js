@@ -0,0 +1,187 @@
+/**
+ * 36協定上限チェックモジュール テスト
+ * 
+ * このファイルはovertime-limits.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+const { minutesToTimeString } = require('../js/timecard.js');
+const { ORGANIZATION_SETTINGS_DEFAULTS, mergeOrganizationSettings } = require('../js/organization-settings.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    global.minutesToTimeString = minutesToTimeString;
+}
+
+// テスト対象の関数をロード
+const {
+    OVERTIME_ALERT_LEVEL,
+    getOvertimeHistoryMonths,
+    selectOvertimeMonthData,
+    getAgreementYear,
+    checkOvertimeLimits
+} = require('../js/overtime-limits.js');
+
+/**
+ * 月ごとの集計配列を生成する
+ * @param {number} year - 対象年
+ * @param {number} month - 対象月
+ * @param {Array} hours - 古い順の時間外労働時間（時間）、最後が対象月
+ * @param {Array} holidayHours - 古い順の休日労働時間（時間）
+ * @returns {Array} 月ごとの集計配列
+ */
+function makeHistory(year, month, hours, holidayHours = []) {
+    return hours.map((h, index) => {
+        const date = new Date(year, month - hours.length + index, 1);
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            overtimeMinutes: h * 60,
+            holidayWorkMinutes: (holidayHours[index] || 0) * 60
+        };
+    });
+}
+
+// テスト実行
+const runner = new TestRunner();
+const limits = { ...ORGANIZATION_SETTINGS_DEFAULTS };
+
+console.log('=== mergeOrganizationSettings テスト ===');
+
+runner.test('mergeOrganizationSettings: 未設定の項目はデフォルト値で補完', () => {
+    const merged = mergeOrganizationSettings({ overtime_limit_monthly_hours: 42, special_clause_enabled: null });
+    runner.assertEqual(merged.overtime_limit_monthly_hours, 42);
+    runner.assertEqual(merged.special_clause_enabled, true);
+    runner.assertEqual(merged.overtime_limit_yearly_hours, 360);
+});
+
+runner.test('mergeOrganizationSettings: 設定がない場合はデフォルト値', () => {
+    runner.assertDeepEqual(mergeOrganizationSettings(null), ORGANIZATION_SETTINGS_DEFAULTS);
+});
+
+console.log('\n=== 月ごとの集計の取得 テスト ===');
+
+runner.test('getOvertimeHistoryMonths: 対象月まで年をまたいで古い順', () => {
+    runner.assertDeepEqual(getOvertimeHistoryMonths(2024, 2, 3), [
+        { year: 2023, month: 12 },
+        { year: 2024, month: 1 },
+        { year: 2024, month: 2 }
+    ]);
+});
+
+runner.test('selectOvertimeMonthData: まとめて取得したデータからユーザー・月ごとに取り出す', () => {
+    const data = {
+        settings: [
+            { user_id: 'user-1', year: 2024, month: 5 },
+            { user_id: 'user-2', year: 2024, month: 6 }
+        ],
+        records: [
+            { user_id: 'user-1', work_date: '2024-05-31' },
+            { user_id: 'user-1', work_date: '2024-06-01' },
+            { user_id: 'user-2', work_date: '2024-06-01' }
+        ]
+    };
+    const loaded = selectOvertimeMonthData(data, 'user-1', [{ year: 2024, month: 5 }, { year: 2024, month: 6 }]);
+    runner.assertEqual(loaded[0].settings, data.settings[0]);
+    runner.assertEqual(loaded[1].settings, null);
+    runner.assertDeepEqual(loaded[0].records.map(r => r.work_date), ['2024-05-31']);
+    runner.assertDeepEqual(loaded[1].records.map(r => r.work_date), ['2024-06-01']);
+});
+
+console.log('\n=== getAgreementYear テスト ===');
+
+runner.test('getAgreementYear: 起算月より前は前年度', () => {
+    runner.assertEqual(getAgreementYear(2024, 4, 4), 2024);
+    runner.assertEqual(getAgreementYear(2025, 3, 4), 2024);
+    runner.assertEqual(getAgreementYear(2024, 12, 1), 2024);
+});
+
+console.log('\n=== checkOvertimeLimits テスト ===');
+
+runner.test('checkOvertimeLimits: 上限内は警告なし', () => {
+    const result = checkOvertimeLimits(makeHistory(2024, 6, [5, 10, 20, 30]), limits);
+    runner.assertEqual(result.monthlyOvertime, 30 * 60);
+    runner.assertEqual(result.yearlyOvertime, 60 * 60, '4月起算のため3月分は含めない');
+    runner.assertEqual(result.alerts.length, 0);
+    runner.assertTrue(!result.hasError);
+});
+
+runner.test('checkOvertimeLimits: 月45時間に近づくと注意', () => {
+    const result = checkOvertimeLimits(makeHistory(2024, 6, [10, 10, 40]), limits);
+    runner.assertEqual(result.alerts.length, 1);
+    runner.assertEqual(result.alerts[0].level, OVERTIME_ALERT_LEVEL.WARNING);
+});
+
+runner.test('checkOvertimeLimits: 特別条項ありで月45時間超は注意', () => {
+    const result = checkOvertimeLimits(makeHistory(2024, 6, [10, 10, 50]), limits);
+    runner.assertEqual(result.exceedCount, 1);
+    runner.assertTrue(!result.hasError);
+    runner.assertTrue(result.alerts.some(a => a.message.includes('特別条項')));
+});
+
+runner.test('checkOvertimeLimits: 特別条項なしで月45時間超は上限超過', () => {
+    const result = checkOvertimeLimits(makeHistory(2024, 6, [10, 10, 50]), { ...limits, special_clause_enabled: false });
+    runner.assertTrue(result.hasError);
+});
+
+runner.test('checkOvertimeLimits: 時間外＋休日労働が月100時間以上は上限超過', () => {
+    const result = checkOvertimeLimits(makeHistory(2024, 6, [0, 0, 80], [0, 0, 20]), limits);
+    runner.assertEqual(result.monthlyTotal, 100 * 60);
+    runner.assertTrue(result.hasError);
+    runner.assertEqual(result.alerts[0].level, OVERTIME_ALERT_LEVEL.ERROR);
+});
+
+runner.test('checkOvertimeLimits: 特別条項なしでも時間外＋休日労働が月100時間以上は上限超過', () => {
+    // 時間外 40時間（月45時間以内）＋休日労働 60時間
+    const result = checkOvertimeLimits(makeHistory(2024, 6, [0, 0, 40], [0, 0, 60]), { ...limits, special_clause_enabled: false });
+    runner.assertEqual(result.monthlyTotal, 100 * 60);
+    runner.assertTrue(result.hasError);
+    runner.assertTrue(result.alerts.some(a => a.level === OVERTIME_ALERT_LEVEL.ERROR && a.message.includes('100時間以上')));
+});
+
+runner.test('checkOvertimeLimits: 特別条項なしでも2～6ヶ月平均80時間超は上限超過', () => {
+    // 時間外は各月40時間、休日労働を含めた2ヶ月平均 85時間
+    const result = checkOvertimeLimits(makeHistory(2024, 6, [40, 40], [45, 45]), { ...limits, special_clause_enabled: false });
+    runner.assertEqual(result.averages[0].average, 85 * 60);
+    runner.assertTrue(result.alerts.some(a => a.level === OVERTIME_ALERT_LEVEL.ERROR && a.message.includes('複数月平均')));
+});
+
+runner.test('checkOvertimeLimits: 2～6ヶ月平均80時間超は上限超過', () => {
+    const result = checkOvertimeLimits(makeHistory(2024, 6, [0, 0, 0, 85, 70, 90]), limits);
+    // 2ヶ月平均 80時間、3ヶ月平均 81.67時間
+    runner.assertEqual(result.averages[0].average, 80 * 60);
+    runner.assertEqual(result.averages[1].average, 4900);
+    runner.assertTrue(result.hasError);
+});
+
+runner.test('checkOvertimeLimits: 複数月平均は協定年度をまたいで判定', () => {
+    // 3月 90時間、4月 75時間（4月起算）
+    const result = checkOvertimeLimits(makeHistory(2024, 4, [90, 75]), limits);
+    runner.assertEqual(result.yearlyOvertime, 75 * 60);
+    runner.assertEqual(result.averages[0].average, 4950);
+    runner.assertTrue(result.hasError);
+});
+
+runner.test('checkOvertimeLimits: 月45時間超が年7回目は上限超過', () => {
+    const result = checkOvertimeLimits(makeHistory(2025, 1, [10, 50, 50, 50, 10, 50, 50, 50, 46, 10]), limits);
+    runner.assertEqual(result.exceedCount, 7);
+    runner.assertTrue(result.alerts.some(a => a.level === OVERTIME_ALERT_LEVEL.ERROR && a.message.includes('7回')));
+});
+
+runner.test('checkOvertimeLimits: 年360時間超は特別条項ありなら注意、720時間超は上限超過', () => {
+    const history = makeHistory(2025, 3, [40, 40, 40, 40, 40, 40, 40, 40, 40, 40, 40, 40]);
+    const result = checkOvertimeLimits(history, limits);
+    runner.assertEqual(result.yearlyOvertime, 480 * 60);
+    runner.assertTrue(!result.hasError);
+
+    const strict = checkOvertimeLimits(history, { ...limits, special_limit_yearly_hours: 400 });
+    runner.assertTrue(strict.hasError);
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
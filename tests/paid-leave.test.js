@@ -0,0 +1,239 @@
+/**
+ * 年次有給休暇管理モジュール テスト
+ *
+ * このファイルはpaid-leave.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+const timecard = require('../js/timecard.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    global.LEAVE_UNIT = timecard.LEAVE_UNIT;
+    global.getDaysInMonth = timecard.getDaysInMonth;
+    global.formatDateString = timecard.formatDateString;
+    global.parseDateString = timecard.parseDateString;
+    global.getLeaveDays = timecard.getLeaveDays;
+    global.getLeaveUnitLabel = timecard.getLeaveUnitLabel;
+}
+
+// テスト対象の関数をロード
+const {
+    addMonthsToDate,
+    addDaysToDate,
+    getPaidLeaveDayMinutes,
+    getPaidLeaveGrants,
+    getNextPaidLeaveGrant,
+    getPaidLeaveUsage,
+    calculatePaidLeaveLedger,
+    formatPaidLeaveMinutes,
+    MANDATORY_LEAVE_STATUS,
+    getGrantYearLeave,
+    evaluateMandatoryLeave,
+    calculateMandatoryLeaveStatus,
+    generatePaidLeaveRegisterCSV
+} = require('../js/paid-leave.js');
+
+/**
+ * 有休の記録を生成する
+ * @param {string} date - 日付
+ * @param {string} unit - 取得単位
+ * @param {number} hours - 時間単位の取得時間
+ * @returns {Object} 日毎の勤務記録
+ */
+function paidLeave(date, unit = 'full', hours = 0) {
+    return { work_date: date, work_type: 'work', leave_type: 'paid', leave_unit: unit, leave_hours: hours };
+}
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== 日付計算 テスト ===');
+
+runner.test('addMonthsToDate: 月数を加算し、存在しない日は月末とする', () => {
+    runner.assertEqual(addMonthsToDate('2024-04-01', 6), '2024-10-01');
+    runner.assertEqual(addMonthsToDate('2023-08-31', 6), '2024-02-29');
+    runner.assertEqual(addMonthsToDate('2024-10-15', 24), '2026-10-15');
+});
+
+runner.test('addDaysToDate: 日数を加算する', () => {
+    runner.assertEqual(addDaysToDate('2026-10-01', -1), '2026-09-30');
+    runner.assertEqual(addDaysToDate('2024-02-28', 1), '2024-02-29');
+});
+
+console.log('\n=== 付与日数 テスト ===');
+
+runner.test('getPaidLeaveGrants: 入社6ヶ月で10日、以降1年ごとに付与', () => {
+    const grants = getPaidLeaveGrants('2020-04-01', '2024-10-01');
+    runner.assertEqual(grants.length, 5);
+    runner.assertEqual(grants[0].grantDate, '2020-10-01');
+    runner.assertEqual(grants[0].days, 10);
+    runner.assertEqual(grants[0].expiryDate, '2022-09-30');
+    runner.assertDeepEqual(grants.map(g => g.days), [10, 11, 12, 14, 16]);
+});
+
+runner.test('getPaidLeaveGrants: 6年6ヶ月以降は毎年20日', () => {
+    const grants = getPaidLeaveGrants('2010-04-01', '2024-10-01');
+    runner.assertEqual(grants[6].days, 20);
+    runner.assertEqual(grants[grants.length - 1].days, 20);
+});
+
+runner.test('getPaidLeaveGrants: 入社6ヶ月未満・入社日未設定は付与なし', () => {
+    runner.assertEqual(getPaidLeaveGrants('2024-06-01', '2024-11-30').length, 0);
+    runner.assertEqual(getPaidLeaveGrants(null, '2024-11-30').length, 0);
+});
+
+runner.test('getNextPaidLeaveGrant: 次回の付与日と日数', () => {
+    runner.assertDeepEqual(getNextPaidLeaveGrant('2024-06-01', '2024-11-30'), { grantDate: '2024-12-01', days: 10 });
+    runner.assertDeepEqual(getNextPaidLeaveGrant('2020-04-01', '2024-10-01'), { grantDate: '2025-10-01', days: 18 });
+});
+
+console.log('\n=== 取得時間 テスト ===');
+
+runner.test('getPaidLeaveDayMinutes: 1時間未満の端数は切り上げ', () => {
+    runner.assertEqual(getPaidLeaveDayMinutes(8), 480);
+    runner.assertEqual(getPaidLeaveDayMinutes(7.5), 480);
+    runner.assertEqual(getPaidLeaveDayMinutes(null), 480);
+});
+
+runner.test('getPaidLeaveUsage: 全日・半日・時間単位の取得時間', () => {
+    const usage = getPaidLeaveUsage([
+        paidLeave('2024-05-10', 'hourly', 2),
+        paidLeave('2024-05-01'),
+        paidLeave('2024-05-02', 'am-half'),
+        { work_date: '2024-05-03', leave_type: 'absent' }
+    ], 480);
+    runner.assertDeepEqual(usage, [
+        { date: '2024-05-01', minutes: 480 },
+        { date: '2024-05-02', minutes: 240 },
+        { date: '2024-05-10', minutes: 120 }
+    ]);
+});
+
+console.log('\n=== 管理台帳 テスト ===');
+
+runner.test('calculatePaidLeaveLedger: 取得を差し引いた残日数', () => {
+    const records = [paidLeave('2024-11-01'), paidLeave('2024-11-05', 'pm-half'), paidLeave('2024-11-06', 'hourly', 2)];
+    const ledger = calculatePaidLeaveLedger('2024-04-01', records, '2024-11-30');
+    runner.assertEqual(ledger.grantedMinutes, 10 * 480);
+    runner.assertEqual(ledger.usedMinutes, 480 + 240 + 120);
+    runner.assertEqual(ledger.remainingMinutes, 10 * 480 - 840);
+    runner.assertEqual(formatPaidLeaveMinutes(ledger.remainingMinutes, 480), '8日2時間');
+});
+
+runner.test('calculatePaidLeaveLedger: 付与日の古いものから充当し、2年経過で時効消滅', () => {
+    // 2020-10-01 に10日、2021-10-01 に11日付与。2022-01 に12日取得（古い付与10日＋新しい付与2日）
+    const records = Array.from({ length: 12 }, (_, i) => paidLeave(`2022-01-${String(i + 10).padStart(2, '0')}`));
+    const ledger = calculatePaidLeaveLedger('2020-04-01', records, '2022-10-01');
+    const [first, second, third] = ledger.grants;
+    runner.assertEqual(first.usedMinutes, 10 * 480);
+    runner.assertEqual(first.expired, true);
+    runner.assertEqual(second.usedMinutes, 2 * 480);
+    runner.assertEqual(second.remainingMinutes, 9 * 480);
+    runner.assertEqual(third.days, 12);
+    runner.assertEqual(ledger.remainingMinutes, (9 + 12) * 480);
+    runner.assertEqual(ledger.expiredMinutes, 0);
+});
+
+runner.test('calculatePaidLeaveLedger: 使い残しは有効期限の翌日に時効消滅', () => {
+    const records = [paidLeave('2021-03-01')];
+    const before = calculatePaidLeaveLedger('2020-04-01', records, '2022-09-30');
+    runner.assertEqual(before.expiredMinutes, 0);
+    runner.assertEqual(before.remainingMinutes, (9 + 11) * 480);
+    const after = calculatePaidLeaveLedger('2020-04-01', records, '2022-10-01');
+    runner.assertEqual(after.expiredMinutes, 9 * 480);
+    runner.assertEqual(after.remainingMinutes, (11 + 12) * 480);
+});
+
+runner.test('calculatePaidLeaveLedger: 付与前・残日数超過の取得は超過として計上', () => {
+    const records = [paidLeave('2024-05-01'), paidLeave('2024-11-01', 'am-half')];
+    const ledger = calculatePaidLeaveLedger('2024-04-01', records, '2024-11-30');
+    runner.assertEqual(ledger.overdrawnMinutes, 480);
+    runner.assertEqual(ledger.usedMinutes, 240);
+});
+
+runner.test('formatPaidLeaveMinutes: 日数と時間で表示', () => {
+    runner.assertEqual(formatPaidLeaveMinutes(4800, 480), '10日');
+    runner.assertEqual(formatPaidLeaveMinutes(720, 480), '1日4時間');
+    runner.assertEqual(formatPaidLeaveMinutes(0, 480), '0日');
+});
+
+console.log('\n=== 年5日の取得義務 テスト ===');
+
+runner.test('getGrantYearLeave: 基準日から1年間の取得日数（時間単位は含めない）', () => {
+    const records = [
+        paidLeave('2024-09-30'),
+        paidLeave('2024-10-01'),
+        paidLeave('2024-12-02', 'am-half'),
+        paidLeave('2025-01-10', 'hourly', 3),
+        paidLeave('2025-10-01')
+    ];
+    const year = getGrantYearLeave(records, '2024-10-01');
+    runner.assertEqual(year.endDate, '2025-09-30');
+    runner.assertEqual(year.days, 1.5);
+    runner.assertEqual(year.hourlyMinutes, 180);
+    runner.assertEqual(year.records.length, 3);
+});
+
+runner.test('evaluateMandatoryLeave: 付与日数10日未満は対象外', () => {
+    runner.assertEqual(evaluateMandatoryLeave({ grantDate: '2024-10-01', days: 7 }, [], '2024-12-01'), null);
+});
+
+runner.test('evaluateMandatoryLeave: 5日取得で取得済み', () => {
+    const records = ['2024-11-01', '2024-11-02', '2024-11-03', '2024-11-04'].map(d => paidLeave(d));
+    records.push(paidLeave('2024-11-05', 'am-half'), paidLeave('2024-11-06', 'pm-half'));
+    const status = evaluateMandatoryLeave({ grantDate: '2024-10-01', days: 10 }, records, '2024-12-01');
+    runner.assertEqual(status.takenDays, 5);
+    runner.assertEqual(status.status, MANDATORY_LEAVE_STATUS.ACHIEVED);
+});
+
+runner.test('evaluateMandatoryLeave: 期限まで90日以内で未達は要注意、期限後は未達', () => {
+    const records = [paidLeave('2024-11-01')];
+    const grant = { grantDate: '2024-10-01', days: 10 };
+    const early = evaluateMandatoryLeave(grant, records, '2025-03-01');
+    runner.assertEqual(early.status, MANDATORY_LEAVE_STATUS.ON_TRACK);
+    runner.assertEqual(early.remainingDays, 4);
+    const late = evaluateMandatoryLeave(grant, records, '2025-07-02');
+    runner.assertEqual(late.status, MANDATORY_LEAVE_STATUS.AT_RISK);
+    runner.assertEqual(late.daysUntilDeadline, 90);
+    const overdue = evaluateMandatoryLeave(grant, records, '2025-10-01');
+    runner.assertEqual(overdue.status, MANDATORY_LEAVE_STATUS.OVERDUE);
+});
+
+runner.test('calculateMandatoryLeaveStatus: 直近の付与について判定', () => {
+    const ledger = calculatePaidLeaveLedger('2023-04-01', [paidLeave('2024-11-01')], '2025-08-01');
+    const status = calculateMandatoryLeaveStatus(ledger);
+    runner.assertEqual(status.grantDate, '2024-10-01');
+    runner.assertEqual(status.grantDays, 11);
+    runner.assertEqual(status.takenDays, 1);
+    runner.assertEqual(status.status, MANDATORY_LEAVE_STATUS.AT_RISK);
+    runner.assertEqual(calculateMandatoryLeaveStatus(calculatePaidLeaveLedger('2025-04-01', [], '2025-08-01')), null);
+});
+
+runner.test('generatePaidLeaveRegisterCSV: 付与ごとに基準日・取得日数・時季を出力', () => {
+    const records = [paidLeave('2024-11-01'), paidLeave('2024-11-05', 'am-half'), paidLeave('2025-01-10', 'hourly', 2)];
+    const ledger = calculatePaidLeaveLedger('2023-04-01', records, '2025-08-01');
+    const entries = [
+        { user: { name: '山田 太郎', department: '開発部' }, ledger },
+        { user: { name: '未設定', department: '' }, ledger: null }
+    ];
+    const lines = generatePaidLeaveRegisterCSV(entries).split('\n');
+    runner.assertEqual(lines.length, 3);
+    const headers = lines[0].split(',');
+    const columns = lines[2].split(',');
+    runner.assertEqual(columns[headers.indexOf('基準日')], '2024-10-01');
+    runner.assertEqual(columns[headers.indexOf('付与日数')], '11日');
+    runner.assertEqual(columns[headers.indexOf('取得日数')], '1.5日');
+    runner.assertEqual(columns[headers.indexOf('取得時間(時間単位)')], '2時間');
+    runner.assertEqual(columns[headers.indexOf('取得時季')], '"2024-11-01 2024-11-05（午前半休） 2025-01-10（2時間）"');
+    runner.assertEqual(columns[headers.indexOf('年5日の取得義務')], '要注意');
+    runner.assertEqual(lines[1].split(',')[headers.indexOf('年5日の取得義務')], '未達');
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
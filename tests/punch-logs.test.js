@@ -0,0 +1,169 @@
+/**
+ * 打刻モジュール テスト
+ *
+ * このファイルはpunch-logs.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+const timecard = require('../js/timecard.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    global.formatDateString = timecard.formatDateString;
+    global.parseDateString = timecard.parseDateString;
+    global.addDaysToDate = require('../js/paid-leave.js').addDaysToDate;
+}
+
+// テスト対象の関数をロード
+const {
+    PUNCH_TYPE,
+    PUNCH_STATE,
+    PUNCH_TIME_SOURCE,
+    formatPunchTime,
+    getPunchDate,
+    getPunchToday,
+    getWorkDatePunches,
+    getPunchState,
+    getPunchWorkDate,
+    validatePunch,
+    derivePunchedTimes,
+    applyPunchesToRecord,
+    getPunchTimeSources,
+    formatPunchTimeSource
+} = require('../js/punch-logs.js');
+
+/**
+ * 打刻を作成する
+ * @param {string} workDate - 勤務日
+ * @param {string} punchType - 打刻の種類
+ * @param {string} punchedAt - 打刻時刻（タイムスタンプ、データベースと同じくタイムゾーン付き）
+ * @returns {Object} 打刻
+ */
+function punch(workDate, punchType, punchedAt) {
+    return { work_date: workDate, punch_type: punchType, punched_at: punchedAt };
+}
+
+/**
+ * 4/1の打刻（休憩2回）
+ */
+const DAY_PUNCHES = [
+    punch('2024-04-01', PUNCH_TYPE.BREAK_START, '2024-04-01T12:00:30+09:00'),
+    punch('2024-04-01', PUNCH_TYPE.CLOCK_IN, '2024-04-01T08:58:10+09:00'),
+    punch('2024-04-01', PUNCH_TYPE.BREAK_END, '2024-04-01T12:45:00+09:00'),
+    punch('2024-04-01', PUNCH_TYPE.BREAK_START, '2024-04-01T15:00:00+09:00'),
+    punch('2024-04-01', PUNCH_TYPE.BREAK_END, '2024-04-01T15:10:00+09:00'),
+    punch('2024-04-01', PUNCH_TYPE.CLOCK_OUT, '2024-04-01T18:05:00+09:00')
+];
+
+/**
+ * 4/1の夜勤の打刻（翌日に退勤）
+ */
+const NIGHT_PUNCHES = [
+    punch('2024-04-01', PUNCH_TYPE.CLOCK_IN, '2024-04-01T22:00:00+09:00'),
+    punch('2024-04-01', PUNCH_TYPE.CLOCK_OUT, '2024-04-02T07:01:00+09:00')
+];
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== 打刻の状態 テスト ===');
+
+runner.test('formatPunchTime・getWorkDatePunches: 打刻を勤務日・時刻順に整理する', () => {
+    const punches = getWorkDatePunches(DAY_PUNCHES, '2024-04-01');
+    runner.assertEqual(punches[0].punch_type, PUNCH_TYPE.CLOCK_IN);
+    runner.assertEqual(formatPunchTime(punches[0].punched_at), '08:58');
+    runner.assertEqual(getWorkDatePunches(DAY_PUNCHES, '2024-04-02').length, 0);
+});
+
+runner.test('formatPunchTime・getPunchDate・getPunchToday: 実行環境のタイムゾーンによらず日本時間で扱う', () => {
+    // UTC 15:30 は日本時間の翌日 0:30
+    runner.assertEqual(formatPunchTime('2024-04-01T15:30:00Z'), '00:30');
+    runner.assertEqual(getPunchDate('2024-04-01T15:30:00Z'), '2024-04-02');
+    runner.assertEqual(getPunchDate('2024-04-01T14:59:00Z'), '2024-04-01');
+    runner.assertEqual(getPunchToday(new Date('2024-04-01T16:00:00Z')), '2024-04-02');
+});
+
+runner.test('getPunchState: 最後の打刻から勤務の状態を判定する', () => {
+    const punches = getWorkDatePunches(DAY_PUNCHES, '2024-04-01');
+    runner.assertEqual(getPunchState([]), PUNCH_STATE.BEFORE_WORK);
+    runner.assertEqual(getPunchState(punches.slice(0, 1)), PUNCH_STATE.WORKING);
+    runner.assertEqual(getPunchState(punches.slice(0, 2)), PUNCH_STATE.ON_BREAK);
+    runner.assertEqual(getPunchState(punches), PUNCH_STATE.FINISHED);
+});
+
+runner.test('validatePunch: 状態に合わない打刻はエラー', () => {
+    const punches = getWorkDatePunches(DAY_PUNCHES, '2024-04-01');
+    runner.assertEqual(validatePunch([], PUNCH_TYPE.CLOCK_IN), null);
+    runner.assertTrue(validatePunch([], PUNCH_TYPE.CLOCK_OUT) !== null);
+    runner.assertTrue(validatePunch(punches.slice(0, 1), PUNCH_TYPE.CLOCK_IN) !== null);
+    runner.assertEqual(validatePunch(punches.slice(0, 2), PUNCH_TYPE.BREAK_END), null);
+    runner.assertEqual(validatePunch(punches.slice(0, 2), PUNCH_TYPE.CLOCK_OUT), '休憩を終了してから退勤してください');
+    runner.assertTrue(validatePunch(punches, PUNCH_TYPE.CLOCK_IN) !== null);
+});
+
+runner.test('validatePunch: 休憩は3回まで', () => {
+    const punches = [punch('2024-04-01', PUNCH_TYPE.CLOCK_IN, '2024-04-01T09:00:00+09:00')];
+    for (let i = 0; i < 3; i++) {
+        punches.push(punch('2024-04-01', PUNCH_TYPE.BREAK_START, `2024-04-01T1${i}:00:00+09:00`));
+        punches.push(punch('2024-04-01', PUNCH_TYPE.BREAK_END, `2024-04-01T1${i}:10:00+09:00`));
+    }
+    runner.assertEqual(validatePunch(punches, PUNCH_TYPE.BREAK_START), '休憩は3回まで打刻できます');
+});
+
+runner.test('getPunchWorkDate: 前日の勤務が退勤前の場合は前日の勤務に打刻する', () => {
+    const open = NIGHT_PUNCHES.slice(0, 1);
+    runner.assertEqual(getPunchWorkDate(open, '2024-04-02', PUNCH_TYPE.CLOCK_OUT), '2024-04-01');
+    runner.assertEqual(getPunchWorkDate(open, '2024-04-02', PUNCH_TYPE.CLOCK_IN), '2024-04-02');
+    runner.assertEqual(getPunchWorkDate(NIGHT_PUNCHES, '2024-04-02', PUNCH_TYPE.CLOCK_OUT), '2024-04-02');
+});
+
+console.log('\n=== 打刻の勤務記録への反映 テスト ===');
+
+runner.test('derivePunchedTimes: 打刻から出退勤時刻・実績休憩を求める', () => {
+    const punched = derivePunchedTimes(getWorkDatePunches(DAY_PUNCHES, '2024-04-01'), '2024-04-01');
+    runner.assertEqual(punched.start_time, '08:58');
+    runner.assertEqual(punched.end_time, '18:05');
+    runner.assertEqual(punched.end_next_day, false);
+    runner.assertDeepEqual(punched.breaks, [{ start: '12:00', end: '12:45' }, { start: '15:00', end: '15:10' }]);
+});
+
+runner.test('derivePunchedTimes: 翌日の退勤は日をまたぐ勤務とする', () => {
+    const punched = derivePunchedTimes(NIGHT_PUNCHES, '2024-04-01');
+    runner.assertEqual(punched.end_time, '07:01');
+    runner.assertEqual(punched.end_next_day, true);
+});
+
+runner.test('applyPunchesToRecord: 打刻がある項目のみ勤務記録に反映する', () => {
+    const record = { work_type: 'work', start_time: null, note: '外出あり' };
+    const clockedIn = applyPunchesToRecord(record, DAY_PUNCHES.slice(1, 2), '2024-04-01');
+    runner.assertEqual(clockedIn.start_time, '08:58');
+    runner.assertEqual(clockedIn.end_time, undefined);
+    runner.assertEqual(clockedIn.note, '外出あり');
+
+    const finished = applyPunchesToRecord(record, getWorkDatePunches(DAY_PUNCHES, '2024-04-01'), '2024-04-01');
+    runner.assertEqual(finished.use_actual_breaks, true);
+    runner.assertEqual(finished.break2_end, '15:10');
+    runner.assertEqual(finished.break3_start, null);
+});
+
+runner.test('getPunchTimeSources: 打刻と異なる出退勤時刻は修正とする', () => {
+    const punches = getWorkDatePunches(DAY_PUNCHES, '2024-04-01');
+    const record = { work_date: '2024-04-01', start_time: '08:58:00', end_time: '18:30:00', end_next_day: false };
+    const sources = getPunchTimeSources(record, punches);
+    runner.assertEqual(sources.start, PUNCH_TIME_SOURCE.PUNCHED);
+    runner.assertEqual(sources.end, PUNCH_TIME_SOURCE.EDITED);
+    runner.assertEqual(formatPunchTimeSource(sources.end), '修正');
+
+    const manual = getPunchTimeSources({ work_date: '2024-04-02', start_time: '09:00', end_time: null }, []);
+    runner.assertEqual(manual.start, PUNCH_TIME_SOURCE.MANUAL);
+    runner.assertEqual(manual.end, null);
+    runner.assertEqual(formatPunchTimeSource(manual.start), '');
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
@@ -0,0 +1,119 @@
+/**
+ * 勤務記録の手修正モジュール テスト
+ *
+ * このファイルはrecord-corrections.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+const timecard = require('../js/timecard.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    global.formatDateString = timecard.formatDateString;
+    global.parseDateString = timecard.parseDateString;
+    global.applyPunchesToRecord = require('../js/punch-logs.js').applyPunchesToRecord;
+}
+
+// テスト対象の関数をロード
+const {
+    getCorrectionValues,
+    getChangedCorrectionFields,
+    getPunchDeviationFields,
+    hasCorrectionTimes,
+    requiresCorrectionReason,
+    formatCorrectionChanges,
+    groupCorrectionsByDate,
+    formatCorrectionLines,
+    getRecordCorrectionBadge
+} = require('../js/record-corrections.js');
+
+/**
+ * 4/1の打刻（出勤 8:58、退勤 18:05）
+ */
+const PUNCHES = [
+    { work_date: '2024-04-01', punch_type: 'clock-in', punched_at: '2024-04-01T08:58:10+09:00' },
+    { work_date: '2024-04-01', punch_type: 'clock-out', punched_at: '2024-04-01T18:05:00+09:00' }
+];
+
+/**
+ * 打刻を反映した4/1の勤務記録（データベースの行）
+ */
+const PUNCHED_RECORD = {
+    user_id: 'user-1',
+    work_date: '2024-04-01',
+    work_type: 'work',
+    start_time: '08:58:00',
+    end_time: '18:05:00',
+    end_next_day: false,
+    use_actual_breaks: false,
+    note: null
+};
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== 修正の判定 テスト ===');
+
+runner.test('getCorrectionValues・getChangedCorrectionFields: 時刻の秒の違いは修正としない', () => {
+    runner.assertEqual(getCorrectionValues(PUNCHED_RECORD).start_time, '08:58');
+    runner.assertEqual(getCorrectionValues(null).end_next_day, false);
+    runner.assertDeepEqual(getChangedCorrectionFields(PUNCHED_RECORD, { ...PUNCHED_RECORD, start_time: '08:58', note: '補足' }), []);
+    runner.assertDeepEqual(getChangedCorrectionFields(PUNCHED_RECORD, { ...PUNCHED_RECORD, end_time: '18:30' }), ['end_time']);
+});
+
+runner.test('getPunchDeviationFields: 打刻がある項目のみ打刻と比較する', () => {
+    runner.assertDeepEqual(getPunchDeviationFields(PUNCHED_RECORD, PUNCHES), []);
+    runner.assertDeepEqual(getPunchDeviationFields({ ...PUNCHED_RECORD, start_time: '08:30' }, PUNCHES), ['start_time']);
+    runner.assertDeepEqual(getPunchDeviationFields({ ...PUNCHED_RECORD, end_time: null }, PUNCHES.slice(0, 1)), []);
+});
+
+runner.test('requiresCorrectionReason: 当日は打刻と異なる時刻への修正のみ理由が必要', () => {
+    const today = '2024-04-01';
+    runner.assertEqual(requiresCorrectionReason(PUNCHED_RECORD, { ...PUNCHED_RECORD, start_time: '08:30' }, PUNCHES, today), true);
+    runner.assertEqual(requiresCorrectionReason(null, { work_date: today, start_time: '09:00' }, [], today), false);
+    runner.assertEqual(requiresCorrectionReason(PUNCHED_RECORD, { ...PUNCHED_RECORD, note: '補足' }, PUNCHES, today), false);
+});
+
+runner.test('requiresCorrectionReason: 勤務日を過ぎてからの入力済みの時刻の修正は理由が必要', () => {
+    const record = { work_date: '2024-04-01', start_time: '09:00', end_time: '18:00' };
+    runner.assertEqual(requiresCorrectionReason(record, { ...record, end_time: '19:00' }, [], '2024-04-02'), true);
+    runner.assertEqual(requiresCorrectionReason(record, { ...record }, [], '2024-04-02'), false);
+});
+
+runner.test('requiresCorrectionReason: 打刻がない日の後日入力は理由が不要', () => {
+    const record = { work_date: '2024-04-01', start_time: '09:00', end_time: '18:00' };
+    runner.assertEqual(requiresCorrectionReason(null, record, [], '2024-04-05'), false);
+    runner.assertEqual(requiresCorrectionReason({ work_date: '2024-04-01', start_time: null, note: '在宅' }, record, [], '2024-04-05'), false);
+    runner.assertTrue(!hasCorrectionTimes({ work_date: '2024-04-01', end_next_day: true }));
+    runner.assertTrue(hasCorrectionTimes({ work_date: '2024-04-01', break1_start: '12:00' }));
+});
+
+console.log('\n=== 修正履歴 テスト ===');
+
+runner.test('formatCorrectionChanges: 修正した項目の修正前後の値を表示する', () => {
+    const correction = { work_date: '2024-04-01', reason: '退勤の打刻が遅れたため', before_values: { end_time: '18:05' }, after_values: { end_time: '18:30' } };
+    runner.assertEqual(formatCorrectionChanges(correction), '退勤時刻 18:05→18:30');
+});
+
+runner.test('formatCorrectionLines・getRecordCorrectionBadge: 手修正した日を表示する', () => {
+    const corrections = [
+        { work_date: '2024-04-01', reason: '打刻忘れ', before_values: { start_time: null }, after_values: { start_time: '09:00' } },
+        { work_date: '2024-04-01', reason: '誤入力', before_values: { end_next_day: false }, after_values: { end_next_day: true } },
+        { work_date: '2024-04-03', reason: '直行', before_values: { start_time: '09:30' }, after_values: { start_time: '08:00' } }
+    ];
+    runner.assertEqual(Object.keys(groupCorrectionsByDate(corrections)).length, 2);
+    runner.assertDeepEqual(formatCorrectionLines(corrections.slice(0, 2)), [
+        '4/1 出勤時刻 未入力→09:00（打刻忘れ）',
+        '4/1 退勤の翌日 なし→あり（誤入力）'
+    ]);
+    runner.assertTrue(getRecordCorrectionBadge(corrections).includes('2日'));
+    runner.assertEqual(getRecordCorrectionBadge([]), '-');
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
@@ -0,0 +1,139 @@
+/**
+ * シフト計画モジュール テスト
+ *
+ * このファイルはshift-plans.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+const timecard = require('../js/timecard.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    global.getPatternFromSettings = timecard.getPatternFromSettings;
+    global.isAttendanceWorkType = timecard.isAttendanceWorkType;
+    global.isFlextime = timecard.isFlextime;
+    global.roundPunchTimes = timecard.roundPunchTimes;
+    global.resolveEndTime = timecard.resolveEndTime;
+    global.getPatternEndTime = timecard.getPatternEndTime;
+    global.getLeaveOffsets = timecard.getLeaveOffsets;
+    global.calculateLateAndEarlyLeave = timecard.calculateLateAndEarlyLeave;
+}
+
+// テスト対象の関数をロード
+const {
+    SHIFT_PLAN_TYPE,
+    findShiftPlan,
+    isShiftPlanEditable,
+    getPlannedPattern,
+    formatShiftPlanLabel,
+    compareWithShiftPlan,
+    formatShiftPlanDeviation
+} = require('../js/shift-plans.js');
+
+/**
+ * 日勤・早番・夜勤の月間設定
+ */
+const SETTINGS = {
+    standard_hours: 8,
+    patterns: [
+        { name: '日勤', start: '09:00', end: '18:00', break1_start: '12:00', break1_end: '13:00' },
+        { name: '早番', start: '07:00', end: '16:00', break1_start: '11:00', break1_end: '12:00' },
+        { name: '夜勤', start: '22:00', end: '07:00', break1_start: '02:00', break1_end: '03:00' }
+    ]
+};
+
+/**
+ * シフト計画（4/1 早番、4/2 夜勤、4/3 休み）
+ */
+const PLANS = [
+    { work_date: '2024-04-01', plan_type: SHIFT_PLAN_TYPE.WORK, work_pattern: 2 },
+    { work_date: '2024-04-02', plan_type: SHIFT_PLAN_TYPE.WORK, work_pattern: 3 },
+    { work_date: '2024-04-03', plan_type: SHIFT_PLAN_TYPE.DAY_OFF, work_pattern: null }
+];
+
+const OPTIONS = { today: '2024-04-10' };
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== シフト計画の予定 テスト ===');
+
+runner.test('getPlannedPattern: 予定の勤務パターンを取得し、休み・予定なしはnull', () => {
+    runner.assertEqual(getPlannedPattern(findShiftPlan(PLANS, '2024-04-01'), SETTINGS).start, '07:00');
+    runner.assertEqual(getPlannedPattern(findShiftPlan(PLANS, '2024-04-03'), SETTINGS), null);
+    runner.assertEqual(getPlannedPattern(findShiftPlan(PLANS, '2024-04-04'), SETTINGS), null);
+});
+
+runner.test('isShiftPlanEditable: 社員は自分で作成した計画のみ変更でき、承認者はすべて変更できる', () => {
+    const ownPlan = { ...PLANS[0], user_id: 'user-1', planned_by: 'user-1' };
+    const rosterPlan = { ...PLANS[1], user_id: 'user-1', planned_by: 'manager-1' };
+    runner.assertTrue(isShiftPlanEditable(ownPlan, 'user-1', false));
+    runner.assertTrue(isShiftPlanEditable(null, 'user-1', false));
+    runner.assertTrue(!isShiftPlanEditable(rosterPlan, 'user-1', false));
+    runner.assertTrue(isShiftPlanEditable(rosterPlan, 'manager-1', true));
+});
+
+runner.test('formatShiftPlanLabel: 予定を表示用に整形する', () => {
+    runner.assertEqual(formatShiftPlanLabel(PLANS[0], SETTINGS), '早番 07:00～16:00');
+    runner.assertEqual(formatShiftPlanLabel(PLANS[2], SETTINGS), '休み');
+    runner.assertEqual(formatShiftPlanLabel(null, SETTINGS), '');
+});
+
+console.log('\n=== 予定と実績の比較 テスト ===');
+
+runner.test('compareWithShiftPlan: 予定のパターンに対して遅刻・早退を判定する', () => {
+    const record = { work_date: '2024-04-01', work_type: 'work', start_time: '07:15', end_time: '15:30', work_pattern: 2 };
+    const comparison = compareWithShiftPlan(record, PLANS[0], SETTINGS, OPTIONS);
+    runner.assertEqual(comparison.lateTime, 15);
+    runner.assertEqual(comparison.earlyLeaveTime, 30);
+    runner.assertEqual(comparison.isPatternChanged, false);
+    runner.assertEqual(formatShiftPlanDeviation(comparison), '遅刻15分・早退30分');
+});
+
+runner.test('compareWithShiftPlan: 日をまたぐ予定は翌日の終業時刻で判定する', () => {
+    const record = { work_date: '2024-04-02', work_type: 'work', start_time: '22:00', end_time: '07:00', end_next_day: true, work_pattern: 3 };
+    const comparison = compareWithShiftPlan(record, PLANS[1], SETTINGS, OPTIONS);
+    runner.assertEqual(comparison.lateTime, 0);
+    runner.assertEqual(comparison.earlyLeaveTime, 0);
+    runner.assertEqual(formatShiftPlanDeviation(comparison), '');
+});
+
+runner.test('compareWithShiftPlan: 実績のパターンが予定と異なる場合も予定に対して判定する', () => {
+    const record = { work_date: '2024-04-01', work_type: 'work', start_time: '09:00', end_time: '18:00', work_pattern: 1 };
+    const comparison = compareWithShiftPlan(record, PLANS[0], SETTINGS, OPTIONS);
+    runner.assertEqual(comparison.lateTime, 120);
+    runner.assertEqual(comparison.isPatternChanged, true);
+});
+
+runner.test('compareWithShiftPlan: 半日休暇の時間は遅刻から差し引く', () => {
+    const record = {
+        work_date: '2024-04-01', work_type: 'work', start_time: '12:00', end_time: '16:00',
+        leave_type: 'paid', leave_unit: 'am-half', work_pattern: 2
+    };
+    runner.assertEqual(compareWithShiftPlan(record, PLANS[0], SETTINGS, OPTIONS).lateTime, 0);
+});
+
+runner.test('compareWithShiftPlan: 勤務の予定の日に記録がない場合は当日より前のみ欠勤', () => {
+    runner.assertEqual(compareWithShiftPlan(null, PLANS[0], SETTINGS, OPTIONS).isAbsent, true);
+    runner.assertEqual(compareWithShiftPlan(null, PLANS[0], SETTINGS, { today: '2024-04-01' }).isAbsent, false);
+    runner.assertEqual(compareWithShiftPlan({ work_type: 'work', leave_type: 'paid', leave_unit: 'full' }, PLANS[0], SETTINGS, OPTIONS).isAbsent, false);
+    runner.assertEqual(compareWithShiftPlan({ work_type: 'work' }, PLANS[0], SETTINGS, OPTIONS).isAbsent, true);
+});
+
+runner.test('compareWithShiftPlan: 予定と異なる休み・出勤を判定する', () => {
+    const holiday = compareWithShiftPlan({ work_type: 'extra-holiday' }, PLANS[0], SETTINGS, OPTIONS);
+    runner.assertEqual(holiday.isAbsent, false);
+    runner.assertEqual(holiday.isUnplannedDayOff, true);
+
+    const holidayWork = { work_date: '2024-04-03', work_type: 'extra-holiday', start_time: '09:00', end_time: '12:00' };
+    runner.assertEqual(formatShiftPlanDeviation(compareWithShiftPlan(holidayWork, PLANS[2], SETTINGS, OPTIONS)), '予定外の出勤');
+    runner.assertEqual(compareWithShiftPlan(holidayWork, null, SETTINGS, OPTIONS), null);
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
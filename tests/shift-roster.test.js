@@ -0,0 +1,137 @@
+/**
+ * チームのシフト表モジュール テスト
+ *
+ * このファイルはshift-roster.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+const timecard = require('../js/timecard.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    for (const name of [
+        'getDaysInMonth', 'formatDateString', 'parseDateString', 'isWeekend', 'getPatternFromSettings'
+    ]) {
+        global[name] = timecard[name];
+    }
+    global.addDaysToDate = require('../js/paid-leave.js').addDaysToDate;
+    global.isScheduledWorkday = require('../js/variable-hours.js').isScheduledWorkday;
+
+    const shiftPlans = require('../js/shift-plans.js');
+    global.SHIFT_PLAN_TYPE = shiftPlans.SHIFT_PLAN_TYPE;
+    global.toShiftPlanValue = shiftPlans.toShiftPlanValue;
+    global.fromShiftPlanValue = shiftPlans.fromShiftPlanValue;
+    global.getPlannedPattern = shiftPlans.getPlannedPattern;
+}
+
+// テスト対象の関数をロード
+const {
+    getDepartments,
+    getDepartmentMembers,
+    createRoster,
+    getRosterPlans,
+    fillRosterFromCalendar,
+    copyRosterWeek,
+    copyRosterFromPreviousMonth,
+    countRosterHeadcount,
+    formatRosterHeadcount
+} = require('../js/shift-roster.js');
+
+/**
+ * ユーザー（営業部2名、開発部1名、所属なし1名）
+ */
+const USERS = [
+    { user_id: 'user-b', name: '鈴木', department: '営業部' },
+    { user_id: 'user-c', name: '田中', department: '開発部' },
+    { user_id: 'user-a', name: '佐藤', department: '営業部' },
+    { user_id: 'user-d', name: '高橋', department: null }
+];
+
+const MEMBERS = [USERS[2], USERS[0]];
+
+/**
+ * 日勤・早番の月間設定
+ */
+const SETTINGS = {
+    patterns: [
+        { name: '日勤', start: '09:00', end: '18:00' },
+        { name: '早番', start: '07:00', end: '16:00' }
+    ]
+};
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== 所属・シフト表の作成 テスト ===');
+
+runner.test('getDepartments・getDepartmentMembers: 所属の一覧と社員を取得する', () => {
+    runner.assertEqual(getDepartments(USERS).length, 2);
+    runner.assertDeepEqual(getDepartmentMembers(USERS, '営業部').map(user => user.user_id), ['user-a', 'user-b']);
+});
+
+runner.test('createRoster・getRosterPlans: シフト計画と相互に変換する', () => {
+    const plans = [
+        { user_id: 'user-a', work_date: '2024-04-02', plan_type: 'day-off', work_pattern: null },
+        { user_id: 'user-a', work_date: '2024-04-01', plan_type: 'work', work_pattern: 2 },
+        { user_id: 'user-c', work_date: '2024-04-01', plan_type: 'work', work_pattern: 1 }
+    ];
+    const roster = createRoster(MEMBERS, plans);
+    runner.assertDeepEqual(roster, { 'user-a': { '2024-04-02': 'day-off', '2024-04-01': '2' }, 'user-b': {} });
+    runner.assertDeepEqual(getRosterPlans(roster, 'user-a'), [
+        { work_date: '2024-04-01', plan_type: 'work', work_pattern: 2 },
+        { work_date: '2024-04-02', plan_type: 'day-off', work_pattern: null }
+    ]);
+});
+
+console.log('\n=== シフト表の入力補助 テスト ===');
+
+runner.test('fillRosterFromCalendar: 未設定の日を年間休日設定から埋める', () => {
+    const roster = { 'user-a': { '2024-04-01': '2' } };
+    const holidays = { 'user-a': [{ holiday_date: '2024-04-29', holiday_type: 'holiday' }] };
+    const filled = fillRosterFromCalendar(roster, 2024, 4, holidays);
+    runner.assertEqual(filled['user-a']['2024-04-01'], '2');
+    runner.assertEqual(filled['user-a']['2024-04-02'], '1');
+    runner.assertEqual(filled['user-a']['2024-04-06'], 'day-off');
+    runner.assertEqual(filled['user-a']['2024-04-29'], 'day-off');
+    runner.assertEqual(roster['user-a']['2024-04-02'], undefined);
+});
+
+runner.test('copyRosterWeek: 週の予定を月内の以降の週の同じ曜日にコピーする', () => {
+    const roster = { 'user-a': { '2024-04-08': '2', '2024-04-13': 'day-off', '2024-04-01': '1' } };
+    const copied = copyRosterWeek(roster, 2024, 4, '2024-04-07');
+    runner.assertEqual(copied['user-a']['2024-04-15'], '2');
+    runner.assertEqual(copied['user-a']['2024-04-29'], '2');
+    runner.assertEqual(copied['user-a']['2024-04-20'], 'day-off');
+    runner.assertEqual(copied['user-a']['2024-04-16'], '');
+    runner.assertEqual(copied['user-a']['2024-04-01'], '1');
+});
+
+runner.test('copyRosterFromPreviousMonth: 4週前の同じ曜日の予定をコピーする', () => {
+    const previous = { 'user-a': { '2024-03-04': '2', '2024-03-09': 'day-off' } };
+    const copied = copyRosterFromPreviousMonth(previous, MEMBERS, 2024, 4);
+    runner.assertEqual(copied['user-a']['2024-04-01'], '2');
+    runner.assertEqual(copied['user-a']['2024-04-06'], 'day-off');
+    runner.assertEqual(copied['user-a']['2024-04-29'], '2');
+    runner.assertEqual(copied['user-b']['2024-04-01'], '');
+});
+
+console.log('\n=== パターン別の人数 テスト ===');
+
+runner.test('countRosterHeadcount: 日毎に勤務パターンの名前で人数を集計する', () => {
+    const roster = {
+        'user-a': { '2024-04-01': '1', '2024-04-02': 'day-off' },
+        'user-b': { '2024-04-01': '2', '2024-04-02': '1' }
+    };
+    const headcount = countRosterHeadcount(roster, { 'user-a': SETTINGS, 'user-b': SETTINGS });
+    runner.assertDeepEqual(headcount['2024-04-01'], { '日勤': 1, '早番': 1 });
+    runner.assertDeepEqual(formatRosterHeadcount(headcount['2024-04-02']), ['日勤 1']);
+    runner.assertDeepEqual(formatRosterHeadcount(headcount['2024-04-03']), []);
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
@@ -0,0 +1,168 @@
+/**
+ * 振替休日・代休モジュール テスト
+ *
+ * このファイルはsubstitute-holidays.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+const timecard = require('../js/timecard.js');
+const variableHours = require('../js/variable-hours.js');
+const paidLeave = require('../js/paid-leave.js');
+const { ORGANIZATION_SETTINGS_DEFAULTS } = require('../js/organization-settings.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    global.SUBSTITUTE_TYPE = timecard.SUBSTITUTE_TYPE;
+    global.SUBSTITUTE_LEAVE_TYPE = timecard.SUBSTITUTE_LEAVE_TYPE;
+    global.isHolidayWorkType = timecard.isHolidayWorkType;
+    global.formatLeaveLabel = timecard.formatLeaveLabel;
+    global.getLeaveTypeLabel = timecard.getLeaveTypeLabel;
+    global.formatDateString = timecard.formatDateString;
+    global.parseDateString = timecard.parseDateString;
+    global.isWeekend = timecard.isWeekend;
+    global.isScheduledWorkday = variableHours.isScheduledWorkday;
+    global.addDaysToDate = paidLeave.addDaysToDate;
+}
+
+// テスト対象の関数をロード
+const {
+    SUBSTITUTE_STATUS,
+    getDaysBetween,
+    isSubstituteDayOff,
+    validateSubstitution,
+    checkSubstituteDayOffConflict,
+    buildSubstituteDayOffRecord,
+    buildReleasedDayOffRecord,
+    calculateSubstituteBalance,
+    formatSubstituteLabel
+} = require('../js/substitute-holidays.js');
+
+/**
+ * 休日出勤の勤務記録を生成する（2024-11-03 は日曜日）
+ * @param {string} type - 振替の種類
+ * @param {string|null} dayOffDate - 休む日
+ * @param {string} workDate - 休日出勤日
+ * @returns {Object} 日毎の勤務記録
+ */
+function holidayWork(type, dayOffDate, workDate = '2024-11-03') {
+    return {
+        user_id: 'user-1',
+        work_date: workDate,
+        work_type: 'legal-holiday',
+        start_time: '09:00',
+        end_time: '18:00',
+        substitute_type: type,
+        substitute_date: dayOffDate
+    };
+}
+
+const settings = { ...ORGANIZATION_SETTINGS_DEFAULTS, substitute_holiday_period_days: 7, compensatory_leave_period_days: 30 };
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== 振替休日・代休の検証 テスト ===');
+
+runner.test('getDaysBetween: 日付の差の日数を取得する', () => {
+    runner.assertEqual(getDaysBetween('2024-11-03', '2024-11-06'), 3);
+    runner.assertEqual(getDaysBetween('2024-11-03', '2024-10-31'), -3);
+});
+
+runner.test('validateSubstitution: 振替休日は休日の前後の期間内の所定労働日', () => {
+    runner.assertEqual(validateSubstitution(holidayWork('substitute', '2024-11-06'), null, settings), null);
+    runner.assertEqual(validateSubstitution(holidayWork('substitute', '2024-10-31'), null, settings), null);
+    runner.assertTrue(validateSubstitution(holidayWork('substitute', null), null, settings) !== null);
+    runner.assertTrue(validateSubstitution(holidayWork('substitute', '2024-11-11'), null, settings) !== null);
+    // 休む日が土曜日（休日）
+    runner.assertTrue(validateSubstitution(holidayWork('substitute', '2024-11-09'), null, settings) !== null);
+});
+
+runner.test('validateSubstitution: 代休は休日出勤日の後の期間内（休む日は未定でもよい）', () => {
+    runner.assertEqual(validateSubstitution(holidayWork('compensatory', null), null, settings), null);
+    runner.assertEqual(validateSubstitution(holidayWork('compensatory', '2024-12-03'), null, settings), null);
+    runner.assertTrue(validateSubstitution(holidayWork('compensatory', '2024-10-31'), null, settings) !== null);
+    runner.assertTrue(validateSubstitution(holidayWork('compensatory', '2024-12-04'), null, settings) !== null);
+});
+
+runner.test('validateSubstitution: 休日以外の勤務には指定できない', () => {
+    runner.assertTrue(validateSubstitution({ ...holidayWork('compensatory', null), work_type: 'work' }, null, settings) !== null);
+});
+
+runner.test('validateSubstitution: 休む日の勤務・休暇・他の紐付けを確認する', () => {
+    const record = holidayWork('substitute', '2024-11-06');
+    const dayOff = date => ({ work_date: '2024-11-06', work_type: 'work', substitute_date: date });
+    runner.assertTrue(validateSubstitution(record, { ...dayOff(null), start_time: '09:00' }, settings) !== null);
+    runner.assertTrue(validateSubstitution(record, { ...dayOff(null), leave_type: 'paid', leave_unit: 'full' }, settings) !== null);
+    runner.assertTrue(validateSubstitution(record, { ...dayOff('2024-11-02'), leave_type: 'compensatory' }, settings) !== null);
+    // 同じ休日出勤の振休は変更できる
+    runner.assertEqual(validateSubstitution(record, { ...dayOff('2024-11-03'), work_type: 'legal-holiday', leave_type: 'substitute-holiday' }, settings), null);
+});
+
+console.log('\n=== 休む日の記録 テスト ===');
+
+runner.test('buildSubstituteDayOffRecord: 振替休日は休日と勤務の種類を入れ替える', () => {
+    const record = buildSubstituteDayOffRecord(holidayWork('substitute', '2024-11-06'));
+    runner.assertEqual(record.work_date, '2024-11-06');
+    runner.assertEqual(record.work_type, 'legal-holiday');
+    runner.assertEqual(record.leave_type, 'substitute-holiday');
+    runner.assertEqual(record.substitute_date, '2024-11-03');
+    runner.assertEqual(record.note, '2024-11-03 の休日出勤分');
+    runner.assertTrue(isSubstituteDayOff(record));
+});
+
+runner.test('buildSubstituteDayOffRecord: 代休は労働日のまま代休とする', () => {
+    const record = buildSubstituteDayOffRecord(holidayWork('compensatory', '2024-11-20'), { id: 'rec-1' });
+    runner.assertEqual(record.work_type, 'work');
+    runner.assertEqual(record.leave_type, 'compensatory');
+    runner.assertEqual(record.note, undefined);
+});
+
+runner.test('buildReleasedDayOffRecord: 紐付けを解除して労働日に戻す', () => {
+    const record = buildReleasedDayOffRecord(buildSubstituteDayOffRecord(holidayWork('substitute', '2024-11-06')));
+    runner.assertEqual(record.work_type, 'work');
+    runner.assertEqual(record.leave_type, null);
+    runner.assertEqual(record.substitute_date, null);
+    runner.assertTrue(!isSubstituteDayOff(record));
+});
+
+runner.test('checkSubstituteDayOffConflict: 振休・代休の日の出退勤は入力できない', () => {
+    const dayOff = buildSubstituteDayOffRecord(holidayWork('compensatory', '2024-11-20'));
+    runner.assertEqual(checkSubstituteDayOffConflict(dayOff), null);
+    runner.assertTrue(checkSubstituteDayOffConflict({ ...dayOff, start_time: '09:00' }) !== null);
+    runner.assertEqual(checkSubstituteDayOffConflict({ work_type: 'work', start_time: '09:00' }), null);
+});
+
+console.log('\n=== 取得状況 テスト ===');
+
+runner.test('calculateSubstituteBalance: 取得済み・取得予定・未取得・期限切れを集計する', () => {
+    const records = [
+        holidayWork('compensatory', null, '2024-09-01'),
+        holidayWork('substitute', '2024-11-06', '2024-11-03'),
+        holidayWork('compensatory', '2024-11-20', '2024-11-10'),
+        holidayWork('compensatory', null, '2024-11-17'),
+        { ...holidayWork(null, null, '2024-11-24') }
+    ];
+    const balance = calculateSubstituteBalance(records, settings, '2024-11-18');
+    runner.assertEqual(balance.entries.length, 4);
+    runner.assertDeepEqual(balance.entries.map(e => e.status), [
+        SUBSTITUTE_STATUS.EXPIRED, SUBSTITUTE_STATUS.TAKEN, SUBSTITUTE_STATUS.SCHEDULED, SUBSTITUTE_STATUS.OUTSTANDING
+    ]);
+    runner.assertEqual(balance.entries[3].deadline, '2024-12-17');
+    runner.assertEqual(balance.outstandingDays, 1);
+    runner.assertEqual(balance.scheduledDays, 1);
+    runner.assertEqual(balance.expiredDays, 1);
+});
+
+runner.test('formatSubstituteLabel: 休日出勤の振替休日・代休を表示する', () => {
+    runner.assertEqual(formatSubstituteLabel(holidayWork('substitute', '2024-11-06')), '振替 2024-11-06');
+    runner.assertEqual(formatSubstituteLabel(holidayWork('compensatory', null)), '代休 未定');
+    runner.assertEqual(formatSubstituteLabel({ work_type: 'work' }), '');
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
@@ -0,0 +1,93 @@
+/**
+ * テストユーティリティ
+ * 
+ * このファイルは各テストファイルで共通に使用するテストランナーを提供する
+ */
+
+/**
+ * テストランナー
+ * テストの実行・検証・結果集計を行う
+ */
+class TestRunner {
+    constructor() {
+        this.passed = 0;
+        this.failed = 0;
+        this.errors = [];
+    }
+    
+    /**
+     * テストを実行する
+     * @param {string} name - テスト名
+     * @param {Function} testFn - テスト関数
+     */
+    test(name, testFn) {
+        try {
+            testFn();
+            this.passed++;
+            console.log(`✓ ${name}`);
+        } catch (error) {
+            this.failed++;
+            this.errors.push({ name, error });
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${error.message}`);
+        }
+    }
+    
+    /**
+     * 等価性を検証する
+     * @param {*} actual - 実際の値
+     * @param {*} expected - 期待値
+     * @param {string} message - エラーメッセージ
+     */
+    assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message} Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+    
+    /**
+     * オブジェクトの等価性を検証する
+     * @param {Object} actual - 実際の値
+     * @param {Object} expected - 期待値
+     * @param {string} message - エラーメッセージ
+     */
+    assertDeepEqual(actual, expected, message = '') {
+        const actualStr = JSON.stringify(actual);
+        const expectedStr = JSON.stringify(expected);
+        if (actualStr !== expectedStr) {
+            throw new Error(`${message} Expected: ${expectedStr}, Actual: ${actualStr}`);
+        }
+    }
+    
+    /**
+     * 真偽値を検証する
+     * @param {boolean} condition - 条件
+     * @param {string} message - エラーメッセージ
+     */
+    assertTrue(condition, message = '') {
+        if (!condition) {
+            throw new Error(message || 'Expected true but got false');
+        }
+    }
+    
+    /**
+     * テスト結果を表示する
+     */
+    summary() {
+        console.log('\n-------------------');
+        console.log(`Tests: ${this.passed + this.failed}`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        
+        if (this.errors.length > 0) {
+            console.log('\nFailed tests:');
+            this.errors.forEach(({ name, error }) => {
+                console.log(`  - ${name}: ${error.message}`);
+            });
+        }
+        
+        return this.failed === 0;
+    }
+}
+
+module.exports = TestRunner;
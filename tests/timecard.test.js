@@ -30,108 +30,65 @@ if (typeof window === 'undefined') {
     global.getSupabaseClient = getSupabaseClient;
 }
 
+const TestRunner = require('./test-runner.js');
+
 // テスト対象の関数をロード
 const {
     timeToMinutes,
+    resolveEndTime,
+    checkEndTimeOrder,
+    getPatternEndTime,
+    formatEndTime,
+    calculateOverlapMinutes,
     minutesToTimeString,
     calculateBreakTime,
+    getBreakIntervals,
+    getEffectiveBreaks,
+    formatBreakIntervals,
+    calculateOverlappingBreakTime,
     calculateWorkTime,
     calculateOvertime,
+    getEffectiveWorkType,
     calculateNightOvertime,
+    classifyNightMinutes,
     calculateLateTime,
     calculateEarlyLeaveTime,
+    getLeaveOffsets,
+    calculateLateAndEarlyLeave,
+    getLeaveDays,
+    formatLeaveLabel,
     getDaysInMonth,
     getDayOfWeek,
     isWeekend,
     getWorkTypeLabel,
     getLeaveTypeLabel,
-    getPatternFromSettings
+    isAttendanceWorkType,
+    DEFAULT_WORK_TYPES,
+    DEFAULT_LEAVE_TYPES,
+    getPatternFromSettings,
+    getSettingsPatterns,
+    calculateMonthlySummary,
+    calculateDailyBreakdowns,
+    calculateWeeklyCarryOver,
+    getWeekStartDate,
+    roundMinutes,
+    getRoundingRules,
+    roundPunchTimes,
+    calculateRecordWorkTime,
+    generateCSV
 } = require('../js/timecard.js');
 
 /**
- * テストユーティリティ
+ * 出張・育児休業を追加し、慶弔を無給とした勤務種類・休暇種類マスタ
  */
-class TestRunner {
-    constructor() {
-        this.passed = 0;
-        this.failed = 0;
-        this.errors = [];
-    }
-    
-    /**
-     * テストを実行する
-     * @param {string} name - テスト名
-     * @param {Function} testFn - テスト関数
-     */
-    test(name, testFn) {
-        try {
-            testFn();
-            this.passed++;
-            console.log(`✓ ${name}`);
-        } catch (error) {
-            this.failed++;
-            this.errors.push({ name, error });
-            console.log(`✗ ${name}`);
-            console.log(`  Error: ${error.message}`);
-        }
-    }
-    
-    /**
-     * 等価性を検証する
-     * @param {*} actual - 実際の値
-     * @param {*} expected - 期待値
-     * @param {string} message - エラーメッセージ
-     */
-    assertEqual(actual, expected, message = '') {
-        if (actual !== expected) {
-            throw new Error(`${message} Expected: ${expected}, Actual: ${actual}`);
-        }
-    }
-    
-    /**
-     * オブジェクトの等価性を検証する
-     * @param {Object} actual - 実際の値
-     * @param {Object} expected - 期待値
-     * @param {string} message - エラーメッセージ
-     */
-    assertDeepEqual(actual, expected, message = '') {
-        const actualStr = JSON.stringify(actual);
-        const expectedStr = JSON.stringify(expected);
-        if (actualStr !== expectedStr) {
-            throw new Error(`${message} Expected: ${expectedStr}, Actual: ${actualStr}`);
-        }
-    }
-    
-    /**
-     * 真偽値を検証する
-     * @param {boolean} condition - 条件
-     * @param {string} message - エラーメッセージ
-     */
-    assertTrue(condition, message = '') {
-        if (!condition) {
-            throw new Error(message || 'Expected true but got false');
-        }
-    }
-    
-    /**
-     * テスト結果を表示する
-     */
-    summary() {
-        console.log('\n-------------------');
-        console.log(`Tests: ${this.passed + this.failed}`);
-        console.log(`Passed: ${this.passed}`);
-        console.log(`Failed: ${this.failed}`);
-        
-        if (this.errors.length > 0) {
-            console.log('\nFailed tests:');
-            this.errors.forEach(({ name, error }) => {
-                console.log(`  - ${name}: ${error.message}`);
-            });
-        }
-        
-        return this.failed === 0;
-    }
-}
+const CUSTOM_WORK_TYPES = [
+    ...DEFAULT_WORK_TYPES,
+    { code: 'business-trip', label: '出張', counts_as_attendance: true, note_required: true, is_active: true }
+];
+const CUSTOM_LEAVE_TYPES = [
+    ...DEFAULT_LEAVE_TYPES.map(type => type.code === 'congratulation' ? { ...type, label: '慶弔休暇', is_paid: false } : type),
+    { code: 'childcare', label: '育児休業', counts_as_attendance: false, is_paid: false, note_required: false, is_active: true }
+];
 
 // テスト実行
 const runner = new TestRunner();
@@ -156,6 +113,49 @@ runner.test('timeToMinutes: 空文字列は0を返す', () => {
     runner.assertEqual(timeToMinutes(undefined), 0);
 });
 
+runner.test('timeToMinutes: 24時以降表記を変換', () => {
+    runner.assertEqual(timeToMinutes('27:00'), 1620);
+    runner.assertEqual(timeToMinutes('30:30'), 1830);
+});
+
+console.log('\n=== resolveEndTime テスト ===');
+
+runner.test('resolveEndTime: 翌日退勤は24時以降表記に変換', () => {
+    runner.assertEqual(resolveEndTime('06:00', true), '30:00');
+    runner.assertEqual(resolveEndTime('00:30:00', true), '24:30');
+});
+
+runner.test('resolveEndTime: 当日退勤はそのまま', () => {
+    runner.assertEqual(resolveEndTime('18:00', false), '18:00');
+    runner.assertEqual(resolveEndTime('27:00', false), '27:00');
+    runner.assertEqual(resolveEndTime('', true), '');
+});
+
+runner.test('checkEndTimeOrder: 翌日退勤でない退勤時刻が出勤時刻以前の場合はエラー', () => {
+    runner.assertTrue(checkEndTimeOrder('21:00', '06:00', false) !== null);
+    runner.assertTrue(checkEndTimeOrder('09:00', '09:00', false) !== null);
+    runner.assertEqual(checkEndTimeOrder('21:00', '06:00', true), null);
+    runner.assertEqual(checkEndTimeOrder('09:00', '18:00', false), null);
+    runner.assertEqual(checkEndTimeOrder('09:00', '', false), null);
+});
+
+runner.test('getPatternEndTime: 夜勤パターンは翌日終業とみなす', () => {
+    runner.assertEqual(getPatternEndTime({ start: '21:00', end: '06:00' }), '30:00');
+    runner.assertEqual(getPatternEndTime({ start: '09:00', end: '18:00' }), '18:00');
+});
+
+runner.test('formatEndTime: 翌日退勤は「翌」を付与', () => {
+    runner.assertEqual(formatEndTime('06:00:00', true), '翌06:00');
+    runner.assertEqual(formatEndTime('18:00:00', false), '18:00');
+    runner.assertEqual(formatEndTime(null, true), '');
+});
+
+runner.test('calculateOverlapMinutes: 時間帯の重なりを計算', () => {
+    runner.assertEqual(calculateOverlapMinutes(540, 1080, 720, 780), 60);
+    runner.assertEqual(calculateOverlapMinutes(540, 660, 720, 780), 0);
+    runner.assertEqual(calculateOverlapMinutes(750, 1080, 720, 780), 30);
+});
+
 console.log('\n=== minutesToTimeString テスト ===');
 
 runner.test('minutesToTimeString: 分を時間文字列に変換', () => {
@@ -210,6 +210,92 @@ runner.test('calculateBreakTime: 休憩なしは0を返す', () => {
     runner.assertEqual(calculateBreakTime(pattern), 0);
 });
 
+console.log('\n=== getBreakIntervals テスト ===');
+
+runner.test('getBreakIntervals: 休憩時間帯を取得', () => {
+    const pattern = {
+        break1_start: '12:00',
+        break1_end: '13:00',
+        break2_start: '23:30',
+        break2_end: '00:30',
+        break3_start: null,
+        break3_end: null
+    };
+    runner.assertDeepEqual(getBreakIntervals(pattern), [
+        { start: 720, end: 780 },
+        { start: 1410, end: 1470 }
+    ]);
+});
+
+console.log('\n=== getEffectiveBreaks テスト ===');
+
+runner.test('getEffectiveBreaks: 実績休憩がない場合はパターンの休憩を使用', () => {
+    const pattern = { start: '09:00', end: '18:00', break1_start: '12:00', break1_end: '13:00' };
+    const breaks = getEffectiveBreaks({ use_actual_breaks: false }, pattern);
+    runner.assertEqual(breaks.break1_start, '12:00');
+    runner.assertEqual(breaks.break1_end, '13:00');
+    runner.assertEqual(breaks.break2_start, null);
+});
+
+runner.test('getEffectiveBreaks: 実績休憩がある場合は優先して使用', () => {
+    const pattern = { start: '09:00', end: '18:00', break1_start: '12:00', break1_end: '13:00' };
+    const record = { use_actual_breaks: true, break1_start: '12:30', break1_end: '13:00' };
+    const breaks = getEffectiveBreaks(record, pattern);
+    runner.assertEqual(breaks.break1_start, '12:30');
+    runner.assertEqual(breaks.break1_end, '13:00');
+});
+
+runner.test('getEffectiveBreaks: 休憩なしの実績を優先して使用', () => {
+    const pattern = { start: '09:00', end: '18:00', break1_start: '12:00', break1_end: '13:00' };
+    const breaks = getEffectiveBreaks({ use_actual_breaks: true }, pattern);
+    runner.assertEqual(breaks.break1_start, null);
+    runner.assertEqual(calculateWorkTime('09:00', '18:00', breaks), 540);
+});
+
+console.log('\n=== formatBreakIntervals テスト ===');
+
+runner.test('formatBreakIntervals: 休憩時間帯を文字列に変換', () => {
+    runner.assertEqual(formatBreakIntervals({
+        break1_start: '12:00:00',
+        break1_end: '13:00:00',
+        break2_start: '15:00',
+        break2_end: '15:15'
+    }), '12:00-13:00 15:00-15:15');
+    runner.assertEqual(formatBreakIntervals({}), 'なし');
+});
+
+console.log('\n=== calculateOverlappingBreakTime テスト ===');
+
+runner.test('calculateOverlappingBreakTime: 勤務時間帯と重なる休憩のみ計算', () => {
+    const pattern = {
+        break1_start: '12:00',
+        break1_end: '13:00',
+        break2_start: '15:00',
+        break2_end: '15:15',
+        break3_start: null,
+        break3_end: null
+    };
+    runner.assertEqual(calculateOverlappingBreakTime('09:00', '18:00', pattern), 75);
+    // 午前半日勤務（休憩前に退勤）
+    runner.assertEqual(calculateOverlappingBreakTime('09:00', '11:00', pattern), 0);
+    // 午後から出勤（休憩後に出勤）
+    runner.assertEqual(calculateOverlappingBreakTime('13:00', '18:00', pattern), 15);
+    // 休憩途中で出勤
+    runner.assertEqual(calculateOverlappingBreakTime('12:30', '18:00', pattern), 45);
+});
+
+runner.test('calculateOverlappingBreakTime: 日跨ぎ勤務の翌日側の休憩を計算', () => {
+    const pattern = {
+        break1_start: '02:00',
+        break1_end: '03:00',
+        break2_start: null,
+        break2_end: null,
+        break3_start: null,
+        break3_end: null
+    };
+    runner.assertEqual(calculateOverlappingBreakTime('21:00', '30:00', pattern), 60);
+});
+
 console.log('\n=== calculateWorkTime テスト ===');
 
 runner.test('calculateWorkTime: 通常の労働時間を計算', () => {
@@ -238,6 +324,21 @@ runner.test('calculateWorkTime: 残業ありの労働時間を計算', () => {
     runner.assertEqual(calculateWorkTime('09:00', '20:00', pattern), 600);
 });
 
+runner.test('calculateWorkTime: 休憩前に退勤した場合は休憩を控除しない', () => {
+    const pattern = {
+        break1_start: '12:00',
+        break1_end: '13:00',
+        break2_start: null,
+        break2_end: null,
+        break3_start: null,
+        break3_end: null
+    };
+    // 9:00-11:00 = 2時間 = 120分
+    runner.assertEqual(calculateWorkTime('09:00', '11:00', pattern), 120);
+    // 14:00-18:00 = 4時間 = 240分
+    runner.assertEqual(calculateWorkTime('14:00', '18:00', pattern), 240);
+});
+
 runner.test('calculateWorkTime: 時刻がない場合は0を返す', () => {
     const pattern = {
         break1_start: null,
@@ -252,6 +353,20 @@ runner.test('calculateWorkTime: 時刻がない場合は0を返す', () => {
     runner.assertEqual(calculateWorkTime('', '', pattern), 0);
 });
 
+runner.test('calculateWorkTime: 日跨ぎ勤務の労働時間を計算', () => {
+    const pattern = {
+        break1_start: null,
+        break1_end: null,
+        break2_start: null,
+        break2_end: null,
+        break3_start: null,
+        break3_end: null
+    };
+    // 21:00-翌6:00 = 9時間 = 540分
+    runner.assertEqual(calculateWorkTime('21:00', resolveEndTime('06:00', true), pattern), 540);
+    runner.assertEqual(calculateWorkTime('21:00', '30:00', pattern), 540);
+});
+
 console.log('\n=== calculateOvertime テスト ===');
 
 runner.test('calculateOvertime: 通常勤務で残業なし', () => {
@@ -280,6 +395,94 @@ runner.test('calculateOvertime: 法定外休日出勤', () => {
     runner.assertEqual(result.normal, 0);
 });
 
+runner.test('calculateOvertime: 標準7.5時間で法定内・法定外を分類', () => {
+    // 9時間勤務: 7.5h超～8hが法定内（30分）、8h超が法定外（60分）
+    const result = calculateOvertime(540, 7.5, 'work');
+    runner.assertEqual(result.total, 90);
+    runner.assertEqual(result.statutoryInternal, 30);
+    runner.assertEqual(result.statutoryExternal, 60);
+});
+
+runner.test('calculateOvertime: 8時間以内の残業は法定内', () => {
+    const result = calculateOvertime(465, 7, 'work');
+    runner.assertEqual(result.statutoryInternal, 45);
+    runner.assertEqual(result.statutoryExternal, 0);
+});
+
+runner.test('calculateOvertime: 法定休日労働は法定内・法定外に含めない', () => {
+    const result = calculateOvertime(600, 8, 'legal-holiday');
+    runner.assertEqual(result.statutoryInternal, 0);
+    runner.assertEqual(result.statutoryExternal, 0);
+});
+
+runner.test('calculateOvertime: 法定外休日労働は8時間超を法定外に分類', () => {
+    const result = calculateOvertime(600, 8, 'extra-holiday');
+    runner.assertEqual(result.statutoryInternal, 480);
+    runner.assertEqual(result.statutoryExternal, 120);
+});
+
+runner.test('calculateOvertime: 振替休日を指定した休日は通常の勤務日として計算', () => {
+    const substituted = { work_type: 'legal-holiday', substitute_type: 'substitute', substitute_date: '2024-01-10' };
+    const result = calculateOvertime(540, 8, substituted);
+    runner.assertEqual(result.legalHoliday, 0);
+    runner.assertEqual(result.total, 60);
+    runner.assertEqual(result.statutoryExternal, 60);
+
+    // 代休は休日労働のまま
+    const compensatory = calculateOvertime(540, 8, { ...substituted, substitute_type: 'compensatory' });
+    runner.assertEqual(compensatory.legalHoliday, 540);
+});
+
+runner.test('getEffectiveWorkType: 休む日と紐付いた振替休日のみ通常の勤務日とする', () => {
+    runner.assertEqual(getEffectiveWorkType({ work_type: 'legal-holiday', substitute_type: 'substitute', substitute_date: '2024-01-10' }), 'work');
+    runner.assertEqual(getEffectiveWorkType({ work_type: 'legal-holiday', substitute_type: 'substitute', substitute_date: null }), 'legal-holiday');
+    runner.assertEqual(getEffectiveWorkType({ work_type: 'extra-holiday', substitute_type: 'compensatory', substitute_date: '2024-01-10' }), 'extra-holiday');
+    runner.assertEqual(getEffectiveWorkType({ work_type: 'work' }), 'work');
+});
+
+console.log('\n=== calculateNightOvertime テスト ===');
+
+runner.test('calculateNightOvertime: 22時以降の勤務', () => {
+    runner.assertEqual(calculateNightOvertime('09:00', '23:00', 8), 60);
+    runner.assertEqual(calculateNightOvertime('09:00', '18:00', 8), 0);
+});
+
+runner.test('calculateNightOvertime: 早朝勤務', () => {
+    runner.assertEqual(calculateNightOvertime('04:00', '13:00', 8), 60);
+});
+
+runner.test('calculateNightOvertime: 日跨ぎ勤務は翌5時までを含める', () => {
+    // 21:00-翌6:00 のうち 22:00-翌5:00 = 7時間
+    runner.assertEqual(calculateNightOvertime('21:00', '30:00', 8), 420);
+    // 18:00-翌2:00 のうち 22:00-翌2:00 = 4時間
+    runner.assertEqual(calculateNightOvertime('18:00', resolveEndTime('02:00', true), 8), 240);
+});
+
+runner.test('calculateNightOvertime: 深夜早朝時間帯の休憩を控除', () => {
+    // 21:00-翌6:00、休憩 23:30-翌0:30 と 翌3:00-翌3:30
+    const pattern = {
+        break1_start: '23:30', break1_end: '00:30',
+        break2_start: '03:00', break2_end: '03:30'
+    };
+    runner.assertEqual(calculateNightOvertime('21:00', '30:00', 8, pattern), 420 - 90);
+    // 深夜早朝時間帯外の休憩は控除しない
+    runner.assertEqual(calculateNightOvertime('13:00', '23:00', 8, { break1_start: '18:00', break1_end: '19:00' }), 60);
+    // 日中の休憩のみで早朝勤務
+    runner.assertEqual(calculateNightOvertime('04:00', '13:00', 8, { break1_start: '04:30', break1_end: '05:30' }), 30);
+});
+
+runner.test('classifyNightMinutes: 勤務種類ごとに分類', () => {
+    const weekday = classifyNightMinutes(60, 'work');
+    runner.assertEqual(weekday.weekday, 60);
+    runner.assertEqual(weekday.legalHoliday, 0);
+    const legal = classifyNightMinutes(60, 'legal-holiday');
+    runner.assertEqual(legal.legalHoliday, 60);
+    runner.assertEqual(legal.weekday, 0);
+    const extra = classifyNightMinutes(60, 'extra-holiday');
+    runner.assertEqual(extra.extraHoliday, 60);
+    runner.assertEqual(extra.total, 60);
+});
+
 console.log('\n=== calculateLateTime テスト ===');
 
 runner.test('calculateLateTime: 遅刻時間を計算', () => {
@@ -314,6 +517,72 @@ runner.test('calculateEarlyLeaveTime: 時刻がない場合は0を返す', () =>
     runner.assertEqual(calculateEarlyLeaveTime('17:30', ''), 0);
 });
 
+runner.test('calculateEarlyLeaveTime: 日跨ぎ勤務の早退時間を計算', () => {
+    runner.assertEqual(calculateEarlyLeaveTime('29:00', '30:00'), 60);
+    runner.assertEqual(calculateEarlyLeaveTime('27:00', '18:00'), 0);
+});
+
+console.log('\n=== 半日・時間単位の休暇 テスト ===');
+
+runner.test('getLeaveOffsets: 午前半休は始業～昼休憩終了、午後半休は昼休憩開始～終業', () => {
+    const pattern = getPatternFromSettings(null, 1);
+    const am = getLeaveOffsets({ leave_type: 'paid', leave_unit: 'am-half' }, pattern);
+    runner.assertEqual(am.start, 240);
+    runner.assertEqual(am.end, 0);
+    const pm = getLeaveOffsets({ leave_type: 'paid', leave_unit: 'pm-half' }, pattern);
+    runner.assertEqual(pm.start, 0);
+    runner.assertEqual(pm.end, 360);
+});
+
+runner.test('getLeaveOffsets: 昼休憩がないパターンは中間で区切る', () => {
+    const pattern = { start: '09:00', end: '17:00' };
+    runner.assertEqual(getLeaveOffsets({ leave_type: 'paid', leave_unit: 'am-half' }, pattern).start, 240);
+    runner.assertEqual(getLeaveOffsets({ leave_type: 'paid', leave_unit: 'pm-half' }, pattern).end, 240);
+});
+
+runner.test('getLeaveOffsets: 全日・欠勤・休暇なしは差し引かない', () => {
+    const pattern = getPatternFromSettings(null, 1);
+    runner.assertDeepEqual(getLeaveOffsets({ leave_type: 'paid', leave_unit: 'full' }, pattern), { start: 0, end: 0, hourly: 0 });
+    runner.assertDeepEqual(getLeaveOffsets({ leave_type: 'absent', leave_unit: 'am-half' }, pattern), { start: 0, end: 0, hourly: 0 });
+    runner.assertDeepEqual(getLeaveOffsets({ leave_type: null, leave_unit: 'hourly', leave_hours: 2 }, pattern), { start: 0, end: 0, hourly: 0 });
+});
+
+runner.test('calculateLateAndEarlyLeave: 午前半休で午後から出勤しても遅刻にならない', () => {
+    const offsets = getLeaveOffsets({ leave_type: 'paid', leave_unit: 'am-half' }, getPatternFromSettings(null, 1));
+    const result = calculateLateAndEarlyLeave('13:00', '18:00', '09:00', '18:00', offsets);
+    runner.assertEqual(result.lateTime, 0);
+    runner.assertEqual(result.earlyLeaveTime, 0);
+    runner.assertEqual(calculateLateAndEarlyLeave('13:20', '18:00', '09:00', '18:00', offsets).lateTime, 20);
+});
+
+runner.test('calculateLateAndEarlyLeave: 午後半休で昼に退勤しても早退にならない', () => {
+    const offsets = getLeaveOffsets({ leave_type: 'paid', leave_unit: 'pm-half' }, getPatternFromSettings(null, 1));
+    const result = calculateLateAndEarlyLeave('09:00', '12:00', '09:00', '18:00', offsets);
+    runner.assertEqual(result.lateTime, 0);
+    runner.assertEqual(result.earlyLeaveTime, 0);
+});
+
+runner.test('calculateLateAndEarlyLeave: 時間単位の休暇は遅刻に充て、残りを早退に充てる', () => {
+    const offsets = getLeaveOffsets({ leave_type: 'paid', leave_unit: 'hourly', leave_hours: 2 }, getPatternFromSettings(null, 1));
+    const late = calculateLateAndEarlyLeave('10:00', '17:30', '09:00', '18:00', offsets);
+    runner.assertEqual(late.lateTime, 0);
+    runner.assertEqual(late.earlyLeaveTime, 0);
+    const early = calculateLateAndEarlyLeave('09:00', '16:00', '09:00', '18:00', offsets);
+    runner.assertEqual(early.earlyLeaveTime, 0);
+    const over = calculateLateAndEarlyLeave('10:30', '17:00', '09:00', '18:00', offsets);
+    runner.assertEqual(over.lateTime, 0);
+    runner.assertEqual(over.earlyLeaveTime, 30);
+});
+
+runner.test('getLeaveDays: 全日は1日、半日は0.5日、時間単位は0日', () => {
+    runner.assertEqual(getLeaveDays({ leave_type: 'paid', leave_unit: 'full' }), 1);
+    runner.assertEqual(getLeaveDays({ leave_type: 'paid' }), 1);
+    runner.assertEqual(getLeaveDays({ leave_type: 'paid', leave_unit: 'am-half' }), 0.5);
+    runner.assertEqual(getLeaveDays({ leave_type: 'paid', leave_unit: 'hourly', leave_hours: 2 }), 0);
+    runner.assertEqual(getLeaveDays({ leave_type: 'absent', leave_unit: 'pm-half' }), 1);
+    runner.assertEqual(getLeaveDays({ leave_type: null }), 0);
+});
+
 console.log('\n=== getDaysInMonth テスト ===');
 
 runner.test('getDaysInMonth: 各月の日数を取得', () => {
@@ -373,6 +642,19 @@ runner.test('getWorkTypeLabel: 未定義は空文字を返す', () => {
     runner.assertEqual(getWorkTypeLabel(null), '');
 });
 
+runner.test('getWorkTypeLabel: 勤務種類マスタのラベルを取得', () => {
+    runner.assertEqual(getWorkTypeLabel('business-trip', CUSTOM_WORK_TYPES), '出張');
+    runner.assertEqual(getWorkTypeLabel('work', CUSTOM_WORK_TYPES), '出勤');
+    runner.assertEqual(getWorkTypeLabel('business-trip'), '');
+});
+
+runner.test('isAttendanceWorkType: 勤務種類マスタで出勤日数に含めるかを判定', () => {
+    runner.assertTrue(isAttendanceWorkType('business-trip', CUSTOM_WORK_TYPES));
+    runner.assertTrue(isAttendanceWorkType('late'));
+    runner.assertTrue(!isAttendanceWorkType('legal-holiday'));
+    runner.assertTrue(!isAttendanceWorkType(null));
+});
+
 console.log('\n=== getLeaveTypeLabel テスト ===');
 
 runner.test('getLeaveTypeLabel: 休暇種類ラベルを取得', () => {
@@ -382,6 +664,19 @@ runner.test('getLeaveTypeLabel: 休暇種類ラベルを取得', () => {
     runner.assertEqual(getLeaveTypeLabel('congratulation'), '慶弔');
 });
 
+runner.test('formatLeaveLabel: 取得単位を含むラベルを取得', () => {
+    runner.assertEqual(formatLeaveLabel({ leave_type: 'paid' }), '有休');
+    runner.assertEqual(formatLeaveLabel({ leave_type: 'paid', leave_unit: 'am-half' }), '有休（午前半休）');
+    runner.assertEqual(formatLeaveLabel({ leave_type: 'special', leave_unit: 'pm-half' }), '特休（午後半休）');
+    runner.assertEqual(formatLeaveLabel({ leave_type: 'paid', leave_unit: 'hourly', leave_hours: 2 }), '有休（2時間）');
+    runner.assertEqual(formatLeaveLabel({ leave_type: null }), '');
+});
+
+runner.test('getLeaveTypeLabel: 休暇種類マスタのラベルを取得', () => {
+    runner.assertEqual(getLeaveTypeLabel('childcare', CUSTOM_LEAVE_TYPES), '育児休業');
+    runner.assertEqual(formatLeaveLabel({ leave_type: 'congratulation', leave_unit: 'am-half' }, CUSTOM_LEAVE_TYPES), '慶弔休暇（午前半休）');
+});
+
 runner.test('getLeaveTypeLabel: 未定義は空文字を返す', () => {
     runner.assertEqual(getLeaveTypeLabel('unknown'), '');
     runner.assertEqual(getLeaveTypeLabel(''), '');
@@ -415,6 +710,407 @@ runner.test('getPatternFromSettings: 設定がない場合はデフォルト値
     runner.assertEqual(pattern.end, '18:00');
 });
 
+runner.test('getPatternFromSettings: ライブラリから選んだ4番目以降のパターンを取得', () => {
+    const settings = {
+        pattern1_start: '09:00',
+        pattern1_end: '18:00',
+        patterns: [
+            { pattern_id: 'a', name: '日勤', start: '09:00', end: '18:00', break1_start: '12:00', break1_end: '13:00' },
+            { pattern_id: 'b', name: '早番', start: '07:00', end: '16:00', break1_start: '11:00', break1_end: '12:00' },
+            { pattern_id: 'c', name: '遅番', start: '13:00', end: '22:00', break1_start: '17:00', break1_end: '18:00' },
+            { pattern_id: 'd', name: '夜勤', start: '22:00', end: '07:00', break1_start: '02:00', break1_end: '03:00' },
+            { pattern_id: 'e', name: '短時間勤務', start: '10:00', end: '15:00' }
+        ]
+    };
+
+    const pattern = getPatternFromSettings(settings, 4);
+    runner.assertEqual(pattern.name, '夜勤');
+    runner.assertEqual(pattern.start, '22:00');
+    runner.assertEqual(pattern.break1_start, '02:00');
+    runner.assertEqual(getPatternFromSettings(settings, 5).name, '短時間勤務');
+    runner.assertEqual(getPatternFromSettings(settings, 6).name, 'パターン6');
+});
+
+runner.test('getSettingsPatterns: 旧形式の設定は未設定のパターンを末尾から除く', () => {
+    const patterns = getSettingsPatterns({
+        pattern1_start: '09:00',
+        pattern1_end: '18:00',
+        pattern2_start: '07:00',
+        pattern2_end: '16:00',
+        pattern3_start: null,
+        pattern3_end: null
+    });
+    runner.assertEqual(patterns.length, 2);
+    runner.assertEqual(patterns[1].name, 'パターン2');
+    runner.assertEqual(patterns[1].start, '07:00');
+    runner.assertEqual(getSettingsPatterns({}).length, 1);
+});
+
+console.log('\n=== calculateMonthlySummary テスト ===');
+
+runner.test('calculateMonthlySummary: 休暇の取得日数・時間を欠勤と分けて集計', () => {
+    const records = [
+        { work_date: '2024-01-09', work_type: 'work', leave_type: 'paid', leave_unit: 'full' },
+        { ...makeRecord('2024-01-10', '13:00', '18:00'), leave_type: 'paid', leave_unit: 'am-half' },
+        { ...makeRecord('2024-01-11', '11:00', '18:00'), leave_type: 'paid', leave_unit: 'hourly', leave_hours: 2 },
+        { ...makeRecord('2024-01-12', '09:00', '12:00'), leave_type: 'congratulation', leave_unit: 'pm-half' },
+        { work_date: '2024-01-15', work_type: 'work', leave_type: 'absent' }
+    ];
+    const summary = calculateMonthlySummary(records, null);
+    runner.assertEqual(summary.paidLeaveDays, 1.5);
+    runner.assertEqual(summary.paidLeaveHourlyMinutes, 120);
+    runner.assertEqual(summary.specialLeaveDays, 0.5);
+    runner.assertEqual(summary.specialLeaveHourlyMinutes, 0);
+    runner.assertEqual(summary.absentDays, 1);
+    runner.assertEqual(summary.workDays, 3);
+});
+
+runner.test('calculateMonthlySummary: 振替休日の勤務は出勤日とし、振休・代休の日数を集計', () => {
+    const records = [
+        { ...makeRecord('2024-01-07', '09:00', '17:00', 'legal-holiday'), substitute_type: 'substitute', substitute_date: '2024-01-10' },
+        { work_date: '2024-01-10', work_type: 'legal-holiday', leave_type: 'substitute-holiday', substitute_date: '2024-01-07' },
+        { ...makeRecord('2024-01-14', '09:00', '17:00', 'legal-holiday'), substitute_type: 'compensatory', substitute_date: '2024-01-16' },
+        { work_date: '2024-01-16', work_type: 'work', leave_type: 'compensatory', substitute_date: '2024-01-14' }
+    ];
+    const summary = calculateMonthlySummary(records, { standard_hours: 8 });
+    runner.assertEqual(summary.workDays, 1);
+    runner.assertEqual(summary.legalHolidayWorkMinutes, 480);
+    runner.assertEqual(summary.substituteHolidayDays, 1);
+    runner.assertEqual(summary.compensatoryDays, 1);
+    runner.assertEqual(summary.paidLeaveDays, 0);
+});
+
+runner.test('calculateMonthlySummary: 勤務種類・休暇種類マスタの出勤扱い・有給／無給で集計', () => {
+    const records = [
+        makeRecord('2024-01-09', '09:00', '17:00', 'business-trip'),
+        { work_date: '2024-01-10', work_type: 'work', leave_type: 'paid', leave_unit: 'full' },
+        { work_date: '2024-01-11', work_type: 'work', leave_type: 'special', leave_unit: 'full' },
+        { work_date: '2024-01-12', work_type: 'work', leave_type: 'congratulation', leave_unit: 'full' },
+        { work_date: '2024-01-15', work_type: 'work', leave_type: 'childcare', leave_unit: 'full' },
+        { ...makeRecord('2024-01-16', '13:00', '17:00'), leave_type: 'childcare', leave_unit: 'am-half' }
+    ];
+    const summary = calculateMonthlySummary(records, { standard_hours: 8 }, { workTypes: CUSTOM_WORK_TYPES, leaveTypes: CUSTOM_LEAVE_TYPES });
+    runner.assertEqual(summary.workDays, 2);
+    // 出勤2日＋有休・特休・慶弔（出勤扱い）、育児休業は含めない
+    runner.assertEqual(summary.attendanceDays, 5);
+    runner.assertEqual(summary.paidLeaveDays, 1);
+    runner.assertEqual(summary.specialLeaveDays, 1);
+    runner.assertEqual(summary.unpaidLeaveDays, 2.5);
+    runner.assertDeepEqual(summary.leaveDaysByType, { paid: 1, special: 1, congratulation: 1, childcare: 1.5 });
+});
+
+runner.test('calculateMonthlySummary: 実績休憩を労働時間に反映', () => {
+    const settings = {
+        standard_hours: 8,
+        pattern1_start: '09:00',
+        pattern1_end: '18:00',
+        pattern1_break1_start: '12:00',
+        pattern1_break1_end: '13:00'
+    };
+    const records = [
+        { work_date: '2024-01-04', work_type: 'work', start_time: '09:00', end_time: '18:00', work_pattern: 1 },
+        {
+            work_date: '2024-01-05', work_type: 'work', start_time: '09:00', end_time: '18:00', work_pattern: 1,
+            use_actual_breaks: true, break1_start: '12:00', break1_end: '12:30'
+        }
+    ];
+    const summary = calculateMonthlySummary(records, settings);
+    runner.assertEqual(summary.workDays, 2);
+    runner.assertEqual(summary.totalWorkMinutes, 480 + 510);
+});
+
+console.log('\n=== 週40時間判定 テスト ===');
+
+runner.test('getWeekStartDate: 日曜日起算の週の開始日を取得', () => {
+    runner.assertEqual(getWeekStartDate('2024-01-10'), '2024-01-07');
+    runner.assertEqual(getWeekStartDate('2024-01-07'), '2024-01-07');
+    runner.assertEqual(getWeekStartDate('2024-03-02'), '2024-02-25');
+});
+
+/**
+ * 休憩なしの勤務記録を生成する
+ * @param {string} date - 日付
+ * @param {string} start - 出勤時刻
+ * @param {string} end - 退勤時刻
+ * @param {string} workType - 勤務の種類
+ * @returns {Object} 勤務記録
+ */
+function makeRecord(date, start, end, workType = 'work') {
+    return { work_date: date, work_type: workType, start_time: start, end_time: end, use_actual_breaks: true };
+}
+
+runner.test('calculateDailyBreakdowns: 週40時間超を法定外に振り替える', () => {
+    // 2024-01-08(月)～01-13(土) に8時間ずつ勤務、土曜は法定外休日
+    const records = [8, 9, 10, 11, 12].map(d => makeRecord(`2024-01-${String(d).padStart(2, '0')}`, '09:00', '17:00'));
+    records.push(makeRecord('2024-01-13', '09:00', '14:00', 'extra-holiday'));
+    const breakdowns = calculateDailyBreakdowns(records, { standard_hours: 7.5 });
+    // 平日は各日30分が法定内
+    runner.assertEqual(breakdowns[0].overtime.statutoryInternal, 30);
+    runner.assertEqual(breakdowns[0].overtime.statutoryExternal, 0);
+    // 土曜の5時間は週40時間超のため全て法定外
+    runner.assertEqual(breakdowns[5].weeklyExternal, 300);
+    runner.assertEqual(breakdowns[5].overtime.statutoryInternal, 0);
+    runner.assertEqual(breakdowns[5].overtime.statutoryExternal, 300);
+});
+
+runner.test('calculateDailyBreakdowns: 法定休日労働は週40時間の集計に含めない', () => {
+    const records = [7, 8, 9, 10, 11, 12].map(d => makeRecord(`2024-01-${String(d).padStart(2, '0')}`, '09:00', '17:00'));
+    records[0].work_type = 'legal-holiday';
+    const breakdowns = calculateDailyBreakdowns(records, { standard_hours: 8 });
+    runner.assertEqual(breakdowns.reduce((sum, b) => sum + b.weeklyExternal, 0), 0);
+});
+
+runner.test('calculateDailyBreakdowns: 振替休日を指定した休日は週40時間の集計に含める', () => {
+    const records = [7, 8, 9, 10, 11, 12].map(d => makeRecord(`2024-01-${String(d).padStart(2, '0')}`, '09:00', '17:00'));
+    records[0] = { ...records[0], work_type: 'legal-holiday', substitute_type: 'substitute', substitute_date: '2024-01-15' };
+    const breakdowns = calculateDailyBreakdowns(records, { standard_hours: 8 });
+    runner.assertEqual(breakdowns[0].workType, 'work');
+    runner.assertEqual(breakdowns[0].overtime.legalHoliday, 0);
+    runner.assertEqual(breakdowns.reduce((sum, b) => sum + b.weeklyExternal, 0), 480);
+});
+
+runner.test('calculateDailyBreakdowns: 日単位の法定外は週の集計から除く', () => {
+    // 月～金 10時間勤務（日単位で各2時間法定外）、週の集計は40時間ちょうど
+    const records = [8, 9, 10, 11, 12].map(d => makeRecord(`2024-01-${String(d).padStart(2, '0')}`, '08:00', '18:00'));
+    const summary = calculateMonthlySummary(records, { standard_hours: 8 });
+    runner.assertEqual(summary.statutoryInternalOvertime, 0);
+    runner.assertEqual(summary.statutoryExternalOvertime, 600);
+});
+
+runner.test('calculateMonthlySummary: 残業時間の合計は入力した残業時間ではなく法定内・法定外残業から算出', () => {
+    // 平日は各日30分が法定内、土曜の5時間は週40時間超の法定外（入力した残業時間は各日60分）
+    const records = [8, 9, 10, 11, 12].map(d => ({ ...makeRecord(`2024-01-${String(d).padStart(2, '0')}`, '09:00', '17:00'), overtime: 60 }));
+    records.push(makeRecord('2024-01-13', '09:00', '14:00', 'extra-holiday'));
+    const summary = calculateMonthlySummary(records, { standard_hours: 7.5 });
+    runner.assertEqual(summary.statutoryInternalOvertime, 150);
+    runner.assertEqual(summary.statutoryExternalOvertime, 300);
+    runner.assertEqual(summary.totalOvertime, 450);
+});
+
+runner.test('calculateWeeklyCarryOver: 月をまたぐ週の前月分を引き継ぐ', () => {
+    // 2024-03-01は金曜日。週の起算日は2024-02-25(日)
+    const prevRecords = [26, 27, 28, 29].map(d => makeRecord(`2024-02-${d}`, '09:00', '17:00'));
+    prevRecords.push(makeRecord('2024-02-20', '09:00', '17:00'));
+    const carryOver = calculateWeeklyCarryOver(prevRecords, { standard_hours: 8 }, 2024, 3);
+    runner.assertEqual(carryOver.weekStart, '2024-02-25');
+    runner.assertEqual(carryOver.minutes, 4 * 480);
+
+    // 3/1(金)8時間で40時間、3/2(土)4時間は週40時間超
+    const records = [
+        makeRecord('2024-03-01', '09:00', '17:00'),
+        makeRecord('2024-03-02', '09:00', '13:00', 'extra-holiday')
+    ];
+    const summary = calculateMonthlySummary(records, { standard_hours: 8 }, { weeklyCarryOver: carryOver });
+    runner.assertEqual(summary.statutoryInternalOvertime, 0);
+    runner.assertEqual(summary.statutoryExternalOvertime, 240);
+
+    // 引き継ぎがなければ法定内
+    const withoutCarryOver = calculateMonthlySummary(records, { standard_hours: 8 });
+    runner.assertEqual(withoutCarryOver.statutoryInternalOvertime, 240);
+    runner.assertEqual(withoutCarryOver.statutoryExternalOvertime, 0);
+});
+
+console.log('\n=== 月60時間判定 テスト ===');
+
+runner.test('calculateDailyBreakdowns: 法定外残業の月間累計を計算', () => {
+    // 平日 8:00-20:00 勤務（日4時間の法定外）を1/22まで16日
+    const records = [];
+    for (let day = 1; day <= 22; day++) {
+        const date = `2024-01-${String(day).padStart(2, '0')}`;
+        if (isWeekend(2024, 1, day).isSaturday || isWeekend(2024, 1, day).isSunday) continue;
+        records.push(makeRecord(date, '08:00', '20:00'));
+    }
+    const breakdowns = calculateDailyBreakdowns(records, { standard_hours: 8 });
+    runner.assertEqual(breakdowns[0].cumulativeOvertime, 240);
+    runner.assertEqual(breakdowns[14].cumulativeOvertime, 3600);
+    runner.assertTrue(!breakdowns[14].crossedMonthlyPremium, '60時間ちょうどは超過ではない');
+    runner.assertTrue(breakdowns[15].crossedMonthlyPremium);
+    runner.assertEqual(breakdowns[15].overtimeUpTo60, 0);
+    runner.assertEqual(breakdowns[15].overtimeOver60, 240);
+});
+
+runner.test('calculateMonthlySummary: 60時間以内と60時間超に分けて集計', () => {
+    const records = [];
+    for (let day = 1; day <= 31; day++) {
+        if (isWeekend(2024, 1, day).isSaturday || isWeekend(2024, 1, day).isSunday) continue;
+        records.push(makeRecord(`2024-01-${String(day).padStart(2, '0')}`, '08:00', '20:00'));
+    }
+    // 23日 × 4時間 = 92時間
+    const summary = calculateMonthlySummary(records, { standard_hours: 8 });
+    runner.assertEqual(summary.statutoryExternalOvertime, 92 * 60);
+    runner.assertEqual(summary.overtimeUpTo60, 60 * 60);
+    runner.assertEqual(summary.overtimeOver60, 32 * 60);
+    runner.assertEqual(summary.monthlyPremiumCrossedDate, '2024-01-22');
+});
+
+runner.test('calculateDailyBreakdowns: 法定休日労働は60時間の累計に含めない', () => {
+    const records = [makeRecord('2024-01-07', '08:00', '23:00', 'legal-holiday')];
+    const breakdowns = calculateDailyBreakdowns(records, { standard_hours: 8 });
+    runner.assertEqual(breakdowns[0].cumulativeOvertime, 0);
+});
+
+console.log('\n=== 時間の丸め テスト ===');
+
+// 出勤15分切り上げ・退勤15分切り捨て・月の合計30分単位四捨五入
+const ROUNDING_SETTINGS = {
+    rounding_punch_unit: 15,
+    rounding_start_direction: 'up',
+    rounding_end_direction: 'down',
+    rounding_monthly_unit: 30,
+    rounding_monthly_direction: 'nearest'
+};
+
+runner.test('roundMinutes: 方向ごとに丸める', () => {
+    runner.assertEqual(roundMinutes(547, 15, 'up'), 555);
+    runner.assertEqual(roundMinutes(547, 15, 'down'), 540);
+    runner.assertEqual(roundMinutes(547, 15, 'nearest'), 540);
+    runner.assertEqual(roundMinutes(548, 15, 'nearest'), 555);
+    runner.assertEqual(roundMinutes(14, 30, 'nearest'), 0);
+    runner.assertEqual(roundMinutes(15, 30, 'nearest'), 30);
+    runner.assertEqual(roundMinutes(547, 15, 'none'), 547);
+    runner.assertEqual(roundMinutes(547, 1, 'up'), 547);
+});
+
+runner.test('getRoundingRules: 丸めがない場合はnull', () => {
+    runner.assertEqual(getRoundingRules(null), null);
+    runner.assertEqual(getRoundingRules({ rounding_punch_unit: 15 }), null);
+    const rules = getRoundingRules(ROUNDING_SETTINGS);
+    runner.assertEqual(rules.punchUnit, 15);
+    runner.assertEqual(rules.dailyDirection, 'none');
+});
+
+runner.test('roundPunchTimes: 出勤は切り上げ、退勤は切り捨て', () => {
+    const rules = getRoundingRules(ROUNDING_SETTINGS);
+    const punches = roundPunchTimes('08:52', '18:14', rules);
+    runner.assertEqual(punches.startTime, '09:00');
+    runner.assertEqual(punches.endTime, '18:00');
+    // 翌日退勤（24時以降表記）
+    runner.assertEqual(roundPunchTimes('21:03', '30:10', rules).endTime, '30:00');
+    // 退勤が出勤より前にならない
+    runner.assertEqual(roundPunchTimes('09:05', '09:10', rules).endTime, '09:15');
+});
+
+runner.test('calculateRecordWorkTime: 丸めた時刻と日単位の丸めで計算', () => {
+    const record = makeRecord('2024-01-05', '08:52', '18:14');
+    runner.assertEqual(calculateRecordWorkTime(record, null), 562);
+    runner.assertEqual(calculateRecordWorkTime(record, null, getRoundingRules(ROUNDING_SETTINGS)), 540);
+    const dailyRules = getRoundingRules({ rounding_daily_unit: 60, rounding_daily_direction: 'down' });
+    runner.assertEqual(calculateRecordWorkTime(record, null, dailyRules), 540);
+});
+
+runner.test('calculateMonthlySummary: 月の合計を丸め、丸め前の集計を保持', () => {
+    const records = [
+        makeRecord('2024-01-04', '08:52', '19:14'),
+        makeRecord('2024-01-05', '09:00', '18:20')
+    ];
+    const summary = calculateMonthlySummary(records, { standard_hours: 8 }, {
+        roundingRules: getRoundingRules(ROUNDING_SETTINGS)
+    });
+    // 丸め後: 9:00-19:00（600分）+ 9:00-18:15（555分）= 1155分 → 30分単位で1170分
+    runner.assertEqual(summary.totalWorkMinutes, 1170);
+    // 法定外: 120 + 75 = 195分 → 210分
+    runner.assertEqual(summary.statutoryExternalOvertime, 210);
+    runner.assertEqual(summary.raw.totalWorkMinutes, 622 + 560);
+    runner.assertEqual(summary.raw.statutoryExternalOvertime, 142 + 80);
+});
+
+console.log('\n=== 深夜労働の区分 テスト ===');
+
+runner.test('calculateMonthlySummary: 深夜労働を平日・法定休日・法定外休日に分けて集計', () => {
+    const records = [
+        makeRecord('2024-01-05', '13:00', '23:00'),
+        makeRecord('2024-01-06', '20:00', '24:00', 'extra-holiday'),
+        makeRecord('2024-01-07', '21:00', '23:30', 'legal-holiday')
+    ];
+    const summary = calculateMonthlySummary(records, { standard_hours: 8 });
+    runner.assertEqual(summary.weekdayNightMinutes, 60);
+    runner.assertEqual(summary.extraHolidayNightMinutes, 120);
+    runner.assertEqual(summary.legalHolidayNightMinutes, 90);
+    runner.assertEqual(summary.nightOvertime, 270);
+});
+
+runner.test('calculateDailyBreakdowns: 実績休憩を控除した深夜労働', () => {
+    const record = {
+        work_date: '2024-01-05',
+        work_type: 'work',
+        start_time: '21:00',
+        end_time: '06:00',
+        end_next_day: true,
+        use_actual_breaks: true,
+        break1_start: '01:00',
+        break1_end: '02:00'
+    };
+    const [breakdown] = calculateDailyBreakdowns([record], { standard_hours: 8 });
+    runner.assertEqual(breakdown.night.weekday, 360);
+    runner.assertEqual(breakdown.overtime.night, 360);
+});
+
+console.log('\n=== generateCSV テスト ===');
+
+runner.test('generateCSV: 翌日退勤は24時以降表記で出力', () => {
+    const records = [{
+        work_date: '2024-01-05',
+        work_type: 'work',
+        start_time: '21:00:00',
+        end_time: '06:00:00',
+        end_next_day: true
+    }];
+    const lines = generateCSV(records, null, 2024, 1).split('\n');
+    const columns = lines[5].split(',');
+    runner.assertEqual(columns[0], '2024/1/5');
+    runner.assertEqual(columns[4], '30:00');
+});
+
+runner.test('generateCSV: 実績休憩を出力', () => {
+    const records = [{
+        work_date: '2024-01-05',
+        work_type: 'work',
+        start_time: '09:00:00',
+        end_time: '18:00:00',
+        use_actual_breaks: true,
+        break1_start: '12:00:00',
+        break1_end: '12:30:00'
+    }];
+    const lines = generateCSV(records, null, 2024, 1).split('\n');
+    runner.assertEqual(lines[0].split(',')[18], '実績休憩');
+    runner.assertEqual(lines[5].split(',')[18], '12:00-12:30');
+    runner.assertEqual(lines[1].split(',')[18], '');
+});
+
+runner.test('generateCSV: 深夜労働の区分を出力', () => {
+    const records = [makeRecord('2024-01-07', '21:00', '23:30', 'legal-holiday')];
+    const lines = generateCSV(records, null, 2024, 1).split('\n');
+    const headers = lines[0].split(',');
+    const columns = lines[7].split(',');
+    runner.assertEqual(columns[headers.indexOf('深夜残業')], '90分');
+    runner.assertEqual(columns[headers.indexOf('深夜(平日)')], '');
+    runner.assertEqual(columns[headers.indexOf('深夜(法定休日)')], '90分');
+});
+
+runner.test('generateCSV: 勤務種類・休暇種類マスタのラベルで出力', () => {
+    const records = [
+        makeRecord('2024-01-05', '09:00', '18:00', 'business-trip'),
+        { work_date: '2024-01-09', work_type: 'work', leave_type: 'childcare', leave_unit: 'full' }
+    ];
+    const lines = generateCSV(records, null, 2024, 1, { workTypes: CUSTOM_WORK_TYPES, leaveTypes: CUSTOM_LEAVE_TYPES }).split('\n');
+    const headers = lines[0].split(',');
+    runner.assertEqual(lines[5].split(',')[headers.indexOf('勤務種類')], '出張');
+    runner.assertEqual(lines[9].split(',')[headers.indexOf('休暇種類')], '育児休業');
+});
+
+runner.test('generateCSV: 丸め後と丸め前の時刻を選んで出力', () => {
+    const records = [makeRecord('2024-01-05', '08:52', '18:14')];
+    const roundingRules = getRoundingRules(ROUNDING_SETTINGS);
+    const rounded = generateCSV(records, null, 2024, 1, { roundingRules }).split('\n')[5].split(',');
+    runner.assertEqual(rounded[3], '09:00');
+    runner.assertEqual(rounded[4], '18:00');
+    runner.assertEqual(rounded[5], '540分');
+    const raw = generateCSV(records, null, 2024, 1, { roundingRules, rawTimes: true }).split('\n')[5].split(',');
+    runner.assertEqual(raw[3], '08:52');
+    runner.assertEqual(raw[4], '18:14');
+    runner.assertEqual(raw[5], '562分');
+});
+
 // テスト結果のサマリー
 const success = runner.summary();
 
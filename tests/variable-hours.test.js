@@ -0,0 +1,176 @@
+/**
+ * 変形労働時間制モジュール テスト
+ * 
+ * このファイルはvariable-hours.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+const timecard = require('../js/timecard.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    for (const name of [
+        'STATUTORY_LIMITS', 'WORKING_TIME_SYSTEM', 'getDaysInMonth', 'isWeekend', 'formatDateString',
+        'getWeekStartDate', 'getPatternFromSettings', 'getPatternScheduledMinutes', 'getRecordScheduledMinutes',
+        'calculateDailyBreakdowns', 'calculateWeeklyCarryOver', 'isVariableHours', 'minutesToTimeString',
+        'getEffectiveWorkType', 'SUBSTITUTE_TYPE', 'SUBSTITUTE_LEAVE_TYPE'
+    ]) {
+        global[name] = timecard[name];
+    }
+}
+
+// テスト対象の関数をロード
+const {
+    getVariablePeriod,
+    isScheduledWorkday,
+    buildScheduledMinutes,
+    calculateVariablePeriodSettlement
+} = require('../js/variable-hours.js');
+
+const { calculateVariableOvertime, calculateDailyBreakdowns, calculateMonthlySummary } = timecard;
+
+/**
+ * 変形労働時間制の月間設定を生成する
+ * パターン1は 8:00-18:00（休憩1時間、所定9時間）、パターン2は 9:00-15:00（休憩なし、所定6時間）
+ * @param {string} system - 労働時間制度
+ * @returns {Object} 月間設定
+ */
+function variableSettings(system = 'variable-monthly') {
+    return {
+        standard_hours: 8,
+        working_time_system: system,
+        variable_period_start_month: 4,
+        pattern1_start: '08:00',
+        pattern1_end: '18:00',
+        pattern1_break1_start: '12:00',
+        pattern1_break1_end: '13:00',
+        pattern2_start: '09:00',
+        pattern2_end: '15:00'
+    };
+}
+
+/**
+ * 勤務記録を生成する
+ * @param {string} date - 日付
+ * @param {string} start - 出勤時刻
+ * @param {string} end - 退勤時刻
+ * @param {number} pattern - 勤務パターン番号
+ * @returns {Object} 日毎の勤務記録
+ */
+function makeRecord(date, start, end, pattern = 1) {
+    return { work_date: date, work_type: 'work', start_time: start, end_time: end, work_pattern: pattern };
+}
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== 所定労働時間 テスト ===');
+
+runner.test('getVariablePeriod: 1ヶ月単位は当月、1年単位は起算月から12ヶ月', () => {
+    const monthly = getVariablePeriod(2024, 6, variableSettings());
+    runner.assertEqual(monthly.months.length, 1);
+    const yearly = getVariablePeriod(2025, 2, variableSettings('variable-yearly'));
+    runner.assertEqual(yearly.months.length, 12);
+    runner.assertEqual(yearly.months[0].year, 2024);
+    runner.assertEqual(yearly.months[0].month, 4);
+    runner.assertEqual(yearly.index, 10);
+});
+
+runner.test('isScheduledWorkday: 会社カレンダーで所定労働日を判定', () => {
+    const holidays = [
+        { holiday_date: '2024-06-08', holiday_type: 'saturday-work' },
+        { holiday_date: '2024-06-12', holiday_type: 'extra-holiday' }
+    ];
+    runner.assertTrue(isScheduledWorkday(2024, 6, 10, holidays), '平日は労働日');
+    runner.assertTrue(isScheduledWorkday(2024, 6, 8, holidays), '土曜出勤日は労働日');
+    runner.assertTrue(!isScheduledWorkday(2024, 6, 15, holidays), '土曜は休日');
+    runner.assertTrue(!isScheduledWorkday(2024, 6, 12, holidays), '休日設定は休日');
+});
+
+runner.test('buildScheduledMinutes: 勤務パターンから日毎の所定労働時間を算出', () => {
+    const records = [makeRecord('2024-06-04', '09:00', '15:00', 2)];
+    const scheduled = buildScheduledMinutes(2024, 6, variableSettings(), records, []);
+    runner.assertEqual(scheduled['2024-06-03'], 540);
+    runner.assertEqual(scheduled['2024-06-04'], 360);
+    runner.assertEqual(scheduled['2024-06-01'], 0);
+});
+
+console.log('\n=== 1日・1週の判定 テスト ===');
+
+runner.test('calculateVariableOvertime: 所定9時間の日は9時間超が法定外', () => {
+    const overtime = calculateVariableOvertime(600, 540, 'work');
+    runner.assertEqual(overtime.statutoryInternal, 0);
+    runner.assertEqual(overtime.statutoryExternal, 60);
+});
+
+runner.test('calculateVariableOvertime: 所定6時間の日は8時間までが法定内', () => {
+    const overtime = calculateVariableOvertime(540, 360, 'work');
+    runner.assertEqual(overtime.total, 180);
+    runner.assertEqual(overtime.statutoryInternal, 120);
+    runner.assertEqual(overtime.statutoryExternal, 60);
+});
+
+runner.test('calculateDailyBreakdowns: 所定45時間の週は45時間超が法定外', () => {
+    // 2024-06-03(月)～06-07(金) 所定9時間×5日 = 45時間、金曜に1時間残業
+    const records = [3, 4, 5, 6].map(d => makeRecord(`2024-06-0${d}`, '08:00', '18:00'));
+    records.push(makeRecord('2024-06-07', '08:00', '19:00'));
+    const scheduledMinutes = buildScheduledMinutes(2024, 6, variableSettings(), records, []);
+    const breakdowns = calculateDailyBreakdowns(records, variableSettings(), { scheduledMinutes });
+    runner.assertEqual(breakdowns[4].overtime.statutoryExternal, 60);
+    runner.assertEqual(breakdowns[4].weeklyExternal, 0);
+});
+
+runner.test('calculateDailyBreakdowns: 所定36時間の週は40時間超が法定外', () => {
+    // 所定6時間×5日 = 30時間の週に土曜（法定外休日）8時間勤務 + 平日各8時間
+    const records = [3, 4, 5, 6, 7].map(d => makeRecord(`2024-06-0${d}`, '09:00', '17:00', 2));
+    records.push({ work_date: '2024-06-08', work_type: 'extra-holiday', start_time: '09:00', end_time: '17:00', use_actual_breaks: true });
+    const scheduledMinutes = buildScheduledMinutes(2024, 6, variableSettings(), records, []);
+    const breakdowns = calculateDailyBreakdowns(records, variableSettings(), { scheduledMinutes });
+    // 平日は各2時間が法定内（計40時間）、土曜の8時間は週40時間超
+    runner.assertEqual(breakdowns[0].overtime.statutoryInternal, 120);
+    runner.assertEqual(breakdowns[5].weeklyExternal, 480);
+    runner.assertEqual(breakdowns[5].overtime.statutoryInternal, 0);
+});
+
+console.log('\n=== 変形期間の判定 テスト ===');
+
+runner.test('calculateVariablePeriodSettlement: 総枠を超えた時間を最終月に法定外として計上', () => {
+    // 2024年2月（29日、総枠165:42）の平日21日に 8:00-17:00（休憩1時間、8時間）勤務 → 168時間
+    const settings = variableSettings();
+    settings.pattern1_end = '17:00';
+    const records = [];
+    for (let day = 1; day <= 29; day++) {
+        const weekend = timecard.isWeekend(2024, 2, day);
+        if (weekend.isSaturday || weekend.isSunday) continue;
+        records.push(makeRecord(timecard.formatDateString(2024, 2, day), '08:00', '17:00'));
+    }
+    const settlement = calculateVariablePeriodSettlement([{ year: 2024, month: 2, settings, records, holidays: [] }], 0);
+    runner.assertEqual(settlement.workMinutes, 21 * 480);
+    runner.assertEqual(settlement.statutoryTotalMinutes, 9942);
+    runner.assertEqual(settlement.periodExternal, 21 * 480 - 9942);
+    runner.assertTrue(settlement.warnings.length === 1, '所定労働時間が総枠を超える警告');
+
+    const summary = calculateMonthlySummary(records, settings, { variableSettlement: settlement });
+    runner.assertEqual(summary.statutoryExternalOvertime, 21 * 480 - 9942);
+});
+
+runner.test('calculateVariablePeriodSettlement: 1年単位は10時間超の所定労働日を警告', () => {
+    const settings = variableSettings('variable-yearly');
+    settings.pattern1_end = '20:00';
+    const periodMonths = getVariablePeriod(2024, 4, settings).months.map(({ year, month }) => ({
+        year, month, settings, records: [], holidays: []
+    }));
+    const settlement = calculateVariablePeriodSettlement(periodMonths, 0);
+    runner.assertTrue(!settlement.isFinalMonth);
+    runner.assertEqual(settlement.periodExternal, 0);
+    runner.assertTrue(settlement.warnings.some(w => w.includes('10時間を超えています')));
+    runner.assertTrue(settlement.warnings.some(w => w.includes('52時間を超えています')));
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}
@@ -0,0 +1,117 @@
+/**
+ * 勤務パターンライブラリモジュール テスト
+ *
+ * このファイルはwork-patterns.jsの機能をテストする
+ */
+
+const TestRunner = require('./test-runner.js');
+const timecard = require('../js/timecard.js');
+
+// ブラウザではグローバルに読み込まれる関数を設定
+if (typeof window === 'undefined') {
+    global.formatBreakIntervals = timecard.formatBreakIntervals;
+    global.getSettingsPatterns = timecard.getSettingsPatterns;
+    global.getPatternFromSettings = timecard.getPatternFromSettings;
+}
+
+// テスト対象の関数をロード
+const {
+    WORK_PATTERN_LIMIT,
+    WORK_PATTERN_SCOPE,
+    getWorkPatternScope,
+    toSettingsPattern,
+    validateWorkPattern,
+    validateSettingsPatterns,
+    formatWorkPatternTime,
+    formatWorkPatternLabel
+} = require('../js/work-patterns.js');
+
+/**
+ * 組織共通の早番パターン（データベースの行）
+ */
+const EARLY_SHIFT = {
+    id: 'pattern-early',
+    user_id: null,
+    name: '早番',
+    start_time: '07:00:00',
+    end_time: '16:00:00',
+    break1_start: '11:00:00',
+    break1_end: '12:00:00',
+    break2_start: null,
+    break2_end: null,
+    break3_start: null,
+    break3_end: null,
+    sort_order: 10
+};
+
+// テスト実行
+const runner = new TestRunner();
+
+console.log('=== ライブラリのパターン テスト ===');
+
+runner.test('getWorkPatternScope: user_id がないパターンは組織共通', () => {
+    runner.assertEqual(getWorkPatternScope(EARLY_SHIFT), WORK_PATTERN_SCOPE.ORGANIZATION);
+    runner.assertEqual(getWorkPatternScope({ ...EARLY_SHIFT, user_id: 'user-1' }), WORK_PATTERN_SCOPE.PERSONAL);
+});
+
+runner.test('toSettingsPattern: 月間設定に保持する形式に変換する', () => {
+    runner.assertDeepEqual(toSettingsPattern(EARLY_SHIFT), {
+        pattern_id: 'pattern-early',
+        name: '早番',
+        start: '07:00',
+        end: '16:00',
+        break1_start: '11:00',
+        break1_end: '12:00',
+        break2_start: null,
+        break2_end: null,
+        break3_start: null,
+        break3_end: null
+    });
+});
+
+runner.test('validateWorkPattern: 正しいパターンはエラーなし', () => {
+    runner.assertEqual(validateWorkPattern(EARLY_SHIFT), null);
+});
+
+runner.test('validateWorkPattern: パターン名・始業終業・休憩の組を確認する', () => {
+    runner.assertTrue(validateWorkPattern({ ...EARLY_SHIFT, name: ' ' }) !== null);
+    runner.assertTrue(validateWorkPattern({ ...EARLY_SHIFT, end_time: null }) !== null);
+    runner.assertTrue(validateWorkPattern({ ...EARLY_SHIFT, break2_start: '14:00:00' }) !== null);
+});
+
+console.log('\n=== 月間設定のパターン テスト ===');
+
+runner.test('validateSettingsPatterns: 件数の上限を確認する', () => {
+    const pattern = toSettingsPattern(EARLY_SHIFT);
+    runner.assertEqual(validateSettingsPatterns(Array(WORK_PATTERN_LIMIT).fill(pattern)), null);
+    runner.assertTrue(validateSettingsPatterns(Array(WORK_PATTERN_LIMIT + 1).fill(pattern)) !== null);
+    runner.assertTrue(validateSettingsPatterns([]) !== null);
+});
+
+runner.test('validateSettingsPatterns: 勤務記録で使用中のパターン番号は削除できない', () => {
+    const patterns = [toSettingsPattern(EARLY_SHIFT), toSettingsPattern(EARLY_SHIFT)];
+    const records = [
+        { work_date: '2024-04-01', work_pattern: 1 },
+        { work_date: '2024-04-02', work_pattern: 3 }
+    ];
+    runner.assertEqual(validateSettingsPatterns(patterns, [records[0]]), null);
+    runner.assertEqual(
+        validateSettingsPatterns(patterns, records),
+        '2024-04-02 の勤務記録でパターン3を使用しているため削除できません'
+    );
+});
+
+runner.test('formatWorkPatternTime・formatWorkPatternLabel: 表示用に整形する', () => {
+    const pattern = toSettingsPattern(EARLY_SHIFT);
+    runner.assertEqual(formatWorkPatternTime(pattern), '07:00～16:00（休憩 11:00-12:00）');
+    runner.assertEqual(formatWorkPatternLabel(pattern, 2), '2: 早番 07:00～16:00');
+    runner.assertEqual(formatWorkPatternLabel({ start: '09:00', end: '18:00' }, 4), '4: パターン4 09:00～18:00');
+});
+
+// テスト結果のサマリー
+const success = runner.summary();
+
+// 終了コード（CI環境では終了コードで結果を判定）
+if (typeof process !== 'undefined' && process.exit) {
+    process.exit(success ? 0 : 1);
+}